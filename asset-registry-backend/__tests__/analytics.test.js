@@ -0,0 +1,170 @@
+import { describe, it, expect, beforeEach, jest } from '@jest/globals';
+import { testDbModule, TestAsset as Asset, TestTransfer as Transfer } from './testDb.js';
+import './setup.js';
+
+// Point the aggregates at the in-memory test models
+jest.unstable_mockModule('../db.js', () => testDbModule);
+
+const {
+  getSummary,
+  getTopOwners,
+  getTimeseries,
+  parseTimeseriesQuery,
+  parseTopOwnersQuery,
+  getDistribution,
+  getHoldingTimes,
+  getTurnover,
+  parseDistributionQuery,
+  DEFAULT_TOP_OWNERS
+} = await import('../analytics.js');
+
+const scope = { chainId: 31337, contractAddress: '0x1234567890123456789012345678901234567890' };
+const otherScope = { chainId: 1, contractAddress: '0x9999999999999999999999999999999999999999' };
+const owner1 = '0x1111111111111111111111111111111111111111';
+const owner2 = '0x2222222222222222222222222222222222222222';
+const owner3 = '0x3333333333333333333333333333333333333333';
+
+function assetId(n) {
+  return `0x${n.toString(16).padStart(64, '0')}`;
+}
+
+let blockNumber = 100;
+async function createTransfer(n, fromOwner, toOwner, date, extra = {}) {
+  blockNumber += 1;
+  return Transfer.create({
+    ...scope,
+    assetId: assetId(n),
+    fromOwner,
+    toOwner,
+    blockNumber: String(blockNumber),
+    transactionHash: `0xtx${blockNumber}`,
+    timestamp: String(Math.floor(new Date(date).getTime() / 1000)),
+    transferredAt: new Date(date),
+    ...extra
+  });
+}
+
+describe('Analytics', () => {
+  beforeEach(async () => {
+    blockNumber = 100;
+    // Monday 2024-01-01 and Sunday 2024-01-07 fall in one week, Monday 2024-01-08 in the next
+    await Asset.bulkCreate([
+      { ...scope, id: assetId(1), owner: owner2, description: 'Asset 1', timestamp: '1704103200', registeredAt: new Date('2024-01-01T10:00:00Z') },
+      { ...scope, id: assetId(2), owner: owner2, description: 'Asset 2', timestamp: '1704106800', registeredAt: new Date('2024-01-01T11:00:00Z') },
+      { ...scope, id: assetId(3), owner: owner1, description: 'Asset 3', timestamp: '1704625200', registeredAt: new Date('2024-01-07T11:00:00Z') },
+      { ...otherScope, id: assetId(1), owner: owner3, description: 'Elsewhere', timestamp: '1704103200', registeredAt: new Date('2024-01-01T10:00:00Z') }
+    ]);
+    await createTransfer(1, null, owner1, '2024-01-01T10:00:00Z');
+    await createTransfer(2, null, owner1, '2024-01-01T11:00:00Z');
+    await createTransfer(3, null, owner1, '2024-01-07T11:00:00Z');
+    await createTransfer(1, owner1, owner2, '2024-01-07T12:00:00Z');
+    await createTransfer(2, owner1, owner2, '2024-01-08T09:00:00Z');
+    await createTransfer(1, null, owner3, '2024-01-01T10:00:00Z', otherScope);
+  });
+
+  it('should total assets, ownership transfers and owners', async () => {
+    expect(await getSummary(scope)).toEqual({ assets: 3, transfers: 2, owners: 2 });
+    expect(await getSummary()).toEqual({ assets: 4, transfers: 2, owners: 3 });
+  });
+
+  it('should rank owners by the transfers they took part in', async () => {
+    expect(await getTopOwners(scope)).toEqual([
+      { address: owner1, transfers: 5, held: 1 },
+      { address: owner2, transfers: 2, held: 2 }
+    ]);
+    expect(await getTopOwners({}, 1)).toEqual([{ address: owner1, transfers: 5, held: 1 }]);
+    expect(await getTopOwners({ chainId: 5 })).toEqual([]);
+  });
+
+  it('should count events per bucket', async () => {
+    const series = (query) => getTimeseries(scope, parseTimeseriesQuery(query));
+
+    expect(await series({ metric: 'registrations', bucket: 'hour' })).toEqual([
+      { bucket: '2024-01-01T10:00:00.000Z', count: 1 },
+      { bucket: '2024-01-01T11:00:00.000Z', count: 1 },
+      { bucket: '2024-01-07T11:00:00.000Z', count: 1 }
+    ]);
+    expect(await series({ metric: 'registrations' })).toEqual([
+      { bucket: '2024-01-01T00:00:00.000Z', count: 2 },
+      { bucket: '2024-01-07T00:00:00.000Z', count: 1 }
+    ]);
+    expect(await series({ metric: 'transfers', bucket: 'week' })).toEqual([
+      { bucket: '2024-01-01T00:00:00.000Z', count: 1 },
+      { bucket: '2024-01-08T00:00:00.000Z', count: 1 }
+    ]);
+  });
+
+  it('should limit a series to a date range', async () => {
+    const query = parseTimeseriesQuery({ metric: 'registrations', from: '2024-01-01T10:30:00Z', to: '2024-01-07T11:00:00Z' });
+
+    expect(await getTimeseries(scope, query)).toEqual([
+      { bucket: '2024-01-01T00:00:00.000Z', count: 1 },
+      { bucket: '2024-01-07T00:00:00.000Z', count: 1 }
+    ]);
+  });
+
+  it.each([
+    [{}, 'Invalid metric'],
+    [{ metric: 'owners' }, 'Invalid metric'],
+    [{ metric: 'transfers', bucket: 'month' }, 'Invalid bucket'],
+    [{ metric: 'transfers', from: 'last week' }, 'Invalid from'],
+    [{ metric: 'transfers', from: '2024-02-01', to: '2024-01-01' }, 'Invalid date range']
+  ])('should reject the time series query %o', (query, error) => {
+    expect(parseTimeseriesQuery(query).error).toMatch(error);
+  });
+
+  it('should measure how assets are spread over owners', async () => {
+    const distribution = await getDistribution(scope, { top: 1 });
+
+    expect(distribution).toMatchObject({
+      assets: 3,
+      owners: 2,
+      topShare: { top: 1, assets: 2 },
+      neverTransferred: { assets: 1 }
+    });
+    expect(distribution.topShare.share).toBeCloseTo(2 / 3);
+    expect(distribution.gini).toBeCloseTo(1 / 6);
+    expect(distribution.hhi).toBeCloseTo(5 / 9);
+    expect(distribution.neverTransferred.share).toBeCloseTo(1 / 3);
+
+    // Only asset 3 was registered on the 7th, and owner1 holds it alone
+    const registeredLater = await getDistribution(scope, { from: new Date('2024-01-05T00:00:00Z') });
+    expect(registeredLater).toMatchObject({ assets: 1, owners: 1, gini: 0, hhi: 1 });
+  });
+
+  it('should measure ended holding periods', async () => {
+    // owner1 held asset 1 for 6 days and 2 hours and asset 2 for 6 days and 22 hours
+    const asset1Seconds = 6 * 86400 + 2 * 3600;
+    const asset2Seconds = 6 * 86400 + 22 * 3600;
+
+    expect(await getHoldingTimes(scope)).toEqual({
+      periods: { count: 2, averageSeconds: (asset1Seconds + asset2Seconds) / 2, medianSeconds: (asset1Seconds + asset2Seconds) / 2 },
+      perAsset: { count: 2, averageSeconds: (asset1Seconds + asset2Seconds) / 2, medianSeconds: (asset1Seconds + asset2Seconds) / 2 },
+      perOwner: { count: 1, averageSeconds: (asset1Seconds + asset2Seconds) / 2, medianSeconds: (asset1Seconds + asset2Seconds) / 2 }
+    });
+    expect((await getHoldingTimes(scope, { from: new Date('2024-01-08T00:00:00Z') })).periods).toEqual({
+      count: 1,
+      averageSeconds: asset2Seconds,
+      medianSeconds: asset2Seconds
+    });
+    expect((await getHoldingTimes({ chainId: 5 })).periods).toEqual({ count: 0, averageSeconds: null, medianSeconds: null });
+  });
+
+  it('should measure turnover over a window', async () => {
+    expect(await getTurnover(scope)).toEqual({ transfers: 2, assets: 3, assetsTransferred: 2, turnoverRate: 2 / 3 });
+    expect(await getTurnover(scope, { to: new Date('2024-01-01T23:59:59Z') })).toEqual({ transfers: 0, assets: 2, assetsTransferred: 0, turnoverRate: 0 });
+    expect(await getTurnover(scope, { from: new Date('2024-01-08T00:00:00Z') })).toEqual({ transfers: 1, assets: 3, assetsTransferred: 1, turnoverRate: 1 / 3 });
+  });
+
+  it('should read the distribution query', () => {
+    expect(parseDistributionQuery({ top: '5', from: '2024-01-01' })).toEqual({ top: 5, from: new Date('2024-01-01'), to: null });
+    expect(parseDistributionQuery({ top: '0' }).error).toMatch('Invalid top');
+    expect(parseDistributionQuery({ to: 'soon' }).error).toMatch('Invalid to');
+  });
+
+  it('should read the top owners limit', () => {
+    expect(parseTopOwnersQuery({})).toEqual({ limit: DEFAULT_TOP_OWNERS });
+    expect(parseTopOwnersQuery({ limit: '3' })).toEqual({ limit: 3 });
+    expect(parseTopOwnersQuery({ limit: '0' }).error).toMatch('Invalid limit');
+  });
+});
@@ -1,122 +1,104 @@
-import { describe, it, expect, beforeEach } from '@jest/globals';
+import { describe, it, expect, beforeEach, afterEach, jest } from '@jest/globals';
 import request from 'supertest';
-import express from 'express';
-import { TestAsset as Asset, TestTransfer as Transfer } from './testDb.js';
+import {
+  testDbModule,
+  testSequelize,
+  TestAsset as Asset,
+  TestTransfer as Transfer,
+  TestFailedRange as FailedRange,
+  TestDeadLetterEvent as DeadLetterEvent
+} from './testDb.js';
+import { mockProvider, createListener } from './testChain.js';
+import { EventMapping } from '../eventMapping.js';
 import './setup.js';
 
-// Create a test app with the same routes as index.js
-const app = express();
-app.use(express.json());
-
-// Health check route
-app.get('/', (req, res) => {
-  res.json({ 
-    message: 'Asset Registry Backend API',
-    status: 'running',
-    endpoints: {
-      getAllAssets: 'GET /api/assets',
-      getAssetTransfers: 'GET /api/assets/:assetId/transfers',
-      getAssetsByOwner: 'GET /api/assets/owner/:address'
-    }
-  });
-});
+// Chain and contract every test record belongs to
+const scope = { chainId: 31337, contractAddress: '0x1234567890123456789012345678901234567890' };
 
-// API routes (same as index.js)
-app.get('/api/assets', async (req, res) => {
-  try {
-    const assets = await Asset.findAll({
-      order: [['registeredAt', 'DESC']]
-    });
-    
-    res.json({
-      success: true,
-      count: assets.length,
-      data: assets
-    });
-  } catch (error) {
-    console.error('Error fetching assets:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to fetch assets',
-      message: error.message
-    });
-  }
-});
+// Serve the real app on the in-memory test models
+jest.unstable_mockModule('../db.js', () => testDbModule);
 
-app.get('/api/assets/:assetId/transfers', async (req, res) => {
-  try {
-    const { assetId } = req.params;
-    
-    if (!assetId || !assetId.startsWith('0x') || assetId.length < 3) {
-      return res.status(400).json({
-        success: false,
-        error: 'Invalid asset ID format. Expected a hex string starting with 0x.'
-      });
-    }
+const { app, indexer } = await import('../app.js');
 
-    const transfers = await Transfer.findAll({
-      where: { assetId: assetId },
-      order: [['transferredAt', 'ASC']],
-      include: [{
-        model: Asset,
-        as: 'asset',
-        attributes: ['id', 'description', 'owner']
-      }]
-    });
-
-    res.json({
-      success: true,
-      assetId: assetId,
-      count: transfers.length,
-      data: transfers
-    });
-  } catch (error) {
-    console.error('Error fetching transfers:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to fetch transfers',
-      message: error.message
-    });
-  }
-});
+// Defined before the test database is synced, so the entity table is created with it
+const mapping = new EventMapping({
+  entities: { AssetBurn: { assetId: 'string', burnedBy: 'string' } },
+  events: [{
+    event: 'AssetBurned(bytes32 indexed id, address indexed owner)',
+    entity: 'AssetBurn',
+    action: 'insert',
+    columns: { assetId: '$args.id', burnedBy: '$args.owner' }
+  }]
+}, testSequelize);
+const AssetBurn = mapping.models.get('AssetBurn');
 
-app.get('/api/assets/owner/:address', async (req, res) => {
-  try {
-    const { address } = req.params;
-    
-    if (!address || address.length !== 42 || !address.startsWith('0x')) {
-      return res.status(400).json({
-        success: false,
-        error: 'Invalid address format. Expected a valid Ethereum address.'
-      });
-    }
+// Chain and contract of a second indexed contract
+const otherScope = { chainId: 1, contractAddress: '0x9999999999999999999999999999999999999999' };
 
-    const normalizedAddress = address.toLowerCase();
-    const assets = await Asset.findAll({
-      where: { owner: normalizedAddress },
-      order: [['registeredAt', 'DESC']],
-      include: [{
-        model: Transfer,
-        as: 'transfers',
-        attributes: ['id', 'fromOwner', 'toOwner', 'blockNumber', 'transactionHash', 'transferredAt']
-      }]
-    });
-
-    res.json({
-      success: true,
-      owner: normalizedAddress,
-      count: assets.length,
-      data: assets
-    });
-  } catch (error) {
-    console.error('Error fetching assets by owner:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to fetch assets by owner',
-      message: error.message
-    });
-  }
-});
+// Stands in for a running EventListener: the routes read its scope and call these methods
+function fakeListener({ chainId, contractAddress }, overrides = {}) {
+  return {
+    name: `${chainId}:${contractAddress}`,
+    chainId,
+    contractAddress,
+    lastReconciliation: null,
+    enqueue: jest.fn((task) => task()),
+    getStatus: jest.fn(async () => ({ chainId, contractAddress, checkpoint: 105 })),
+    getRpcHealth: jest.fn(() => ({ connectionMode: 'http' })),
+    retryFailedRanges: jest.fn(async () => ({ retried: 1, resolved: 1, pending: 0 })),
+    retryDeadLetters: jest.fn(async () => ({ retried: 2, resolved: 1, pending: 1 })),
+    retryDeadLetter: jest.fn(async (id) => ({ id, status: 'resolved' })),
+    reconcile: jest.fn(async (options) => ({ chainId, contractAddress, repair: options.repair, drift: [] })),
+    ...overrides
+  };
+}
+
+function assetId(n) {
+  return `0x${n.toString(16).padStart(64, '0')}`;
+}
+
+function createAsset(n, owner, date, extra = {}) {
+  return Asset.create({
+    ...scope,
+    id: assetId(n),
+    owner,
+    description: `Asset ${n}`,
+    timestamp: String(Math.floor(new Date(date).getTime() / 1000)),
+    registeredAt: new Date(date),
+    ...extra
+  });
+}
+
+// Store a transfer of asset n, the registration when fromOwner is null
+function createTransfer(n, fromOwner, toOwner, blockNumber, date, extra = {}) {
+  return Transfer.create({
+    ...scope,
+    assetId: assetId(n),
+    fromOwner,
+    toOwner,
+    blockNumber: String(blockNumber),
+    transactionHash: `0xtx${blockNumber}`,
+    logIndex: 0,
+    timestamp: String(Math.floor(new Date(date).getTime() / 1000)),
+    transferredAt: new Date(date),
+    ...extra
+  });
+}
+
+// Request a list route and every page after it, following nextCursor; returns the page bodies
+async function fetchAllPages(url) {
+  const pages = [];
+  let cursor = null;
+  do {
+    const separator = url.includes('?') ? '&' : '?';
+    const response = await request(app)
+      .get(cursor === null ? url : `${url}${separator}cursor=${encodeURIComponent(cursor)}`)
+      .expect(200);
+    pages.push(response.body);
+    cursor = response.body.nextCursor;
+  } while (cursor !== null);
+  return pages;
+}
 
 describe('API Endpoints', () => {
   beforeEach(async () => {
@@ -125,6 +107,11 @@ describe('API Endpoints', () => {
     await Asset.destroy({ where: {} });
   });
 
+  afterEach(() => {
+    indexer.eventListeners.length = 0;
+    indexer.reconcileOptions = {};
+  });
+
   describe('GET /', () => {
     it('should return API information', async () => {
       const response = await request(app)
@@ -146,13 +133,15 @@ describe('API Endpoints', () => {
       expect(response.body).toEqual({
         success: true,
         count: 0,
-        data: []
+        data: [],
+        nextCursor: null
       });
     });
 
     it('should return all assets', async () => {
       // Create test assets
       const asset1 = await Asset.create({
+        ...scope,
         id: '0x1234567890abcdef1234567890abcdef1234567890abcdef1234567890abcdef',
         owner: '0x1111111111111111111111111111111111111111',
         description: 'Test Asset 1',
@@ -161,6 +150,7 @@ describe('API Endpoints', () => {
       });
 
       const asset2 = await Asset.create({
+        ...scope,
         id: '0xabcdef1234567890abcdef1234567890abcdef1234567890abcdef1234567890',
         owner: '0x2222222222222222222222222222222222222222',
         description: 'Test Asset 2',
@@ -178,6 +168,98 @@ describe('API Endpoints', () => {
       expect(response.body.data[0].id).toBe(asset2.id); // Should be ordered by registeredAt DESC
       expect(response.body.data[1].id).toBe(asset1.id);
     });
+
+    it('should page through all assets by following nextCursor', async () => {
+      // Assets 3 and 4 share a registration time, so the first page boundary falls on a tie
+      await Asset.bulkCreate([1, 2, 3, 3, 4].map((day, i) => ({
+        ...scope,
+        id: assetId(i + 1),
+        owner: '0x1111111111111111111111111111111111111111',
+        description: `Asset ${i + 1}`,
+        timestamp: '1234567890',
+        registeredAt: new Date(Date.UTC(2024, 0, day))
+      })));
+
+      const pages = await fetchAllPages('/api/assets?limit=2');
+
+      expect(pages.map((page) => page.count)).toEqual([2, 2, 1]);
+      expect(pages.flatMap((page) => page.data.map((asset) => asset.id))).toEqual([5, 4, 3, 2, 1].map(assetId));
+    });
+
+    it.each([
+      ['an invalid cursor', 'cursor=abc', 'Invalid cursor'],
+      ['an invalid limit', 'limit=0', 'Invalid limit']
+    ])('should return 400 for %s', async (name, query, error) => {
+      const response = await request(app)
+        .get(`/api/assets?${query}`)
+        .expect(400);
+
+      expect(response.body.success).toBe(false);
+      expect(response.body.error).toContain(error);
+    });
+
+    it('should return only the requested fields', async () => {
+      await createAsset(1, '0x1111111111111111111111111111111111111111', '2024-01-01T00:00:00Z');
+
+      const response = await request(app)
+        .get('/api/assets?fields=id,owner')
+        .expect(200);
+
+      expect(response.body.data).toEqual([{ id: assetId(1), owner: '0x1111111111111111111111111111111111111111' }]);
+    });
+
+    it('should return 400 for a cursor issued for another sort', async () => {
+      await Asset.bulkCreate([1, 2].map((n) => ({
+        ...scope,
+        id: assetId(n),
+        owner: '0x1111111111111111111111111111111111111111',
+        description: `Asset ${n}`,
+        timestamp: '1234567890',
+        registeredAt: new Date(Date.UTC(2024, 0, n))
+      })));
+      const { body } = await request(app)
+        .get('/api/assets?limit=1')
+        .expect(200);
+
+      const response = await request(app)
+        .get(`/api/assets?limit=1&sort=id&cursor=${encodeURIComponent(body.nextCursor)}`)
+        .expect(400);
+
+      expect(response.body.error).toContain('Invalid cursor');
+    });
+  });
+
+  describe('GET /api/transfers', () => {
+    it('should page through all transfers in chain order by following nextCursor', async () => {
+      for (const blockNumber of [100, 101, 101, 102, 103]) {
+        await Transfer.create({
+          ...scope,
+          assetId: assetId(1),
+          fromOwner: null,
+          toOwner: '0x1111111111111111111111111111111111111111',
+          blockNumber: String(blockNumber),
+          transactionHash: `0xtx${blockNumber}`,
+          logIndex: await Transfer.count({ where: { blockNumber: String(blockNumber) } }),
+          timestamp: '1234567890',
+          transferredAt: new Date('2024-01-01')
+        });
+      }
+
+      const pages = await fetchAllPages('/api/transfers?limit=2');
+
+      expect(pages.map((page) => page.count)).toEqual([2, 2, 1]);
+      expect(pages.flatMap((page) => page.data.map((transfer) => [transfer.blockNumber, transfer.logIndex]))).toEqual([
+        [100, 0], [101, 0], [101, 1], [102, 0], [103, 0]
+      ]);
+    });
+
+    it('should return 400 for an invalid cursor', async () => {
+      const response = await request(app)
+        .get('/api/transfers?cursor=not-a-cursor')
+        .expect(400);
+
+      expect(response.body.error).toContain('Invalid cursor');
+    });
   });
 
   describe('GET /api/assets/:assetId/transfers', () => {
@@ -207,6 +289,7 @@ describe('API Endpoints', () => {
       
       // Create asset
       await Asset.create({
+        ...scope,
         id: assetId,
         owner: '0x1111111111111111111111111111111111111111',
         description: 'Test Asset',
@@ -216,6 +299,7 @@ describe('API Endpoints', () => {
 
       // Create transfers
       const transfer1 = await Transfer.create({
+        ...scope,
         assetId: assetId,
         fromOwner: null,
         toOwner: '0x1111111111111111111111111111111111111111',
@@ -226,6 +310,7 @@ describe('API Endpoints', () => {
       });
 
       const transfer2 = await Transfer.create({
+        ...scope,
         assetId: assetId,
         fromOwner: '0x1111111111111111111111111111111111111111',
         toOwner: '0x2222222222222222222222222222222222222222',
@@ -249,6 +334,435 @@ describe('API Endpoints', () => {
     });
   });
 
+  describe('GET /api/assets/:assetId', () => {
+    const owner1 = '0x1111111111111111111111111111111111111111';
+    const owner2 = '0x2222222222222222222222222222222222222222';
+
+    beforeEach(async () => {
+      await createAsset(1, owner2, '2024-01-01T00:00:00Z');
+      await createTransfer(1, null, owner1, 100, '2024-01-01T00:00:00Z');
+      await createTransfer(1, owner1, owner2, 110, '2024-01-03T00:00:00Z');
+    });
+
+    it('should return the asset with its registration and provenance', async () => {
+      const response = await request(app)
+        .get(`/api/assets/${assetId(1)}`)
+        .expect(200);
+
+      const { data } = response.body;
+      expect(data.asset).toMatchObject({ ...scope, id: assetId(1), owner: owner2 });
+      expect(data.currentOwner).toBe(owner2);
+      expect(data.registration).toMatchObject({ owner: owner1, blockNumber: 100, transactionHash: '0xtx100' });
+      expect(data.provenance.map((hop) => [hop.from, hop.to, hop.blockNumber, hop.current])).toEqual([
+        [null, owner1, 100, false],
+        [owner1, owner2, 110, true]
+      ]);
+      // owner1 held it from the 1st to the 3rd
+      expect(data.provenance[0].heldSeconds).toBe(2 * 86400);
+      expect(data.continuity).toEqual({ continuous: true, currentOwnerMatches: true, breaks: [] });
+    });
+
+    it('should flag a provenance chain that does not end at the stored owner', async () => {
+      await Transfer.destroy({ where: { transactionHash: '0xtx110' } });
+
+      const response = await request(app)
+        .get(`/api/assets/${assetId(1)}`)
+        .expect(200);
+
+      expect(response.body.data.continuity).toEqual({ continuous: true, currentOwnerMatches: false, breaks: [] });
+    });
+
+    it('should return 404 for an asset that does not exist', async () => {
+      const response = await request(app)
+        .get(`/api/assets/${assetId(2)}`)
+        .expect(404);
+
+      expect(response.body).toEqual({ success: false, error: 'Asset not found' });
+    });
+
+    it('should return 400 for an asset ID on more than one chain unless the scope picks one', async () => {
+      await createAsset(1, owner1, '2024-01-02T00:00:00Z', otherScope);
+
+      const response = await request(app)
+        .get(`/api/assets/${assetId(1)}`)
+        .expect(400);
+      expect(response.body.error).toContain('Several contracts have an asset with this ID');
+
+      const scoped = await request(app)
+        .get(`/api/assets/${assetId(1)}?chainId=${otherScope.chainId}`)
+        .expect(200);
+      expect(scoped.body.data.asset).toMatchObject({ ...otherScope, owner: owner1 });
+      expect(scoped.body.data.provenance).toEqual([]);
+    });
+  });
+
+  describe('point-in-time ownership', () => {
+    const owner1 = '0x1111111111111111111111111111111111111111';
+    const owner2 = '0x2222222222222222222222222222222222222222';
+
+    beforeEach(async () => {
+      // owner1 registers asset 1 and hands it to owner2, then registers asset 2
+      await createAsset(1, owner2, '2024-01-01T00:00:00Z');
+      await createAsset(2, owner1, '2024-01-05T00:00:00Z');
+      await createTransfer(1, null, owner1, 100, '2024-01-01T00:00:00Z');
+      await createTransfer(1, owner1, owner2, 110, '2024-01-03T00:00:00Z');
+      await createTransfer(2, null, owner1, 120, '2024-01-05T00:00:00Z');
+    });
+
+    it.each([
+      ['block=105', owner1, 100],
+      ['block=110', owner2, 110],
+      ['at=2024-01-02T00:00:00Z', owner1, 100],
+      ['at=2024-01-03T00:00:00Z', owner2, 110]
+    ])('should return the owner of an asset at %s', async (query, owner, sinceBlock) => {
+      const response = await request(app)
+        .get(`/api/assets/${assetId(1)}/owner?${query}`)
+        .expect(200);
+
+      expect(response.body.data).toMatchObject({ assetId: assetId(1), ...scope, owner, currentOwner: owner2 });
+      expect(response.body.data.since.blockNumber).toBe(sinceBlock);
+    });
+
+    it('should echo the point it was asked for', async () => {
+      const byBlock = await request(app)
+        .get(`/api/assets/${assetId(1)}/owner?block=105`)
+        .expect(200);
+      expect(byBlock.body.data).toMatchObject({ block: 105, at: null });
+
+      const byDate = await request(app)
+        .get(`/api/assets/${assetId(1)}/owner?at=2024-01-02`)
+        .expect(200);
+      expect(byDate.body.data).toMatchObject({ block: null, at: '2024-01-02T00:00:00.000Z' });
+    });
+
+    it('should return no owner before the asset was registered', async () => {
+      const response = await request(app)
+        .get(`/api/assets/${assetId(2)}/owner?block=115`)
+        .expect(200);
+
+      expect(response.body.data).toMatchObject({ owner: null, since: null, currentOwner: owner1 });
+    });
+
+    it.each([
+      ['', 'Pass either block or at.'],
+      ['?block=105&at=2024-01-02T00:00:00Z', 'Pass either block or at.'],
+      ['?block=-1', 'Invalid block'],
+      ['?at=yesterday', 'Invalid at']
+    ])('should return 400 for the point %p', async (query, error) => {
+      const owner = await request(app)
+        .get(`/api/assets/${assetId(1)}/owner${query}`)
+        .expect(400);
+      expect(owner.body.error).toContain(error);
+
+      const portfolio = await request(app)
+        .get(`/api/owners/${owner1}/assets${query}`)
+        .expect(400);
+      expect(portfolio.body.error).toContain(error);
+    });
+
+    it('should return 404 for the owner of an asset that does not exist', async () => {
+      await request(app)
+        .get(`/api/assets/${assetId(3)}/owner?block=105`)
+        .expect(404);
+    });
+
+    it('should return the assets an address held at a block or date', async () => {
+      const before = await request(app)
+        .get(`/api/owners/${owner1}/assets?block=105`)
+        .expect(200);
+      expect(before.body).toMatchObject({ owner: owner1, block: 105, at: null, count: 1 });
+      expect(before.body.data[0]).toMatchObject({ id: assetId(1), currentOwner: owner2, heldNow: false });
+      expect(before.body.data[0].since.blockNumber).toBe(100);
+
+      const after = await request(app)
+        .get(`/api/owners/${owner1}/assets?at=2024-01-06T00:00:00Z`)
+        .expect(200);
+      expect(after.body.data.map((asset) => [asset.id, asset.heldNow])).toEqual([[assetId(2), true]]);
+
+      // Not yet registered at the block
+      const empty = await request(app)
+        .get(`/api/owners/${owner2}/assets?block=105`)
+        .expect(200);
+      expect(empty.body).toMatchObject({ count: 0, data: [] });
+    });
+
+    it('should return 400 for a block when the address has transfers on several chains', async () => {
+      await createTransfer(1, null, owner1, 100, '2024-01-01T00:00:00Z', otherScope);
+
+      const response = await request(app)
+        .get(`/api/owners/${owner1}/assets?block=105`)
+        .expect(400);
+      expect(response.body.error).toContain('Pass chainId');
+
+      await request(app)
+        .get(`/api/owners/${owner1}/assets?block=105&chainId=${scope.chainId}`)
+        .expect(200);
+    });
+  });
+
+  describe('GET /api/owners/:address', () => {
+    // The EIP-55 example address, with letters so its checksum matters
+    const checksummed = '0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed';
+    const owner = checksummed.toLowerCase();
+    const owner2 = '0x2222222222222222222222222222222222222222';
+
+    beforeEach(async () => {
+      await createAsset(1, owner2, '2024-01-01T00:00:00Z');
+      await createAsset(2, owner, '2024-01-05T00:00:00Z');
+      await createTransfer(1, null, owner, 100, '2024-01-01T00:00:00Z');
+      await createTransfer(1, owner, owner2, 110, '2024-01-03T00:00:00Z');
+      await createTransfer(2, null, owner, 120, '2024-01-05T00:00:00Z');
+    });
+
+    it.each([
+      ['not an address', 'invalid'],
+      ['too short', '0x123'],
+      ['a wrong checksum', '0x5AAeb6053F3E94C9b9A09f33669435E7Ef1BeAed']
+    ])('should return 400 for an address that is %s', async (name, address) => {
+      const response = await request(app)
+        .get(`/api/owners/${address}`)
+        .expect(400);
+
+      expect(response.body).toEqual({ success: false, error: 'Invalid address format. Expected a valid Ethereum address.' });
+    });
+
+    it('should return the profile of a checksummed address under its lowercase form', async () => {
+      const response = await request(app)
+        .get(`/api/owners/${checksummed}`)
+        .expect(200);
+
+      expect(response.body.data).toMatchObject({
+        address: owner,
+        registered: 2,
+        held: 1,
+        sent: 1,
+        received: 0,
+        counterparties: [{ address: owner2, sent: 1, received: 0, transfers: 1 }]
+      });
+      expect(response.body.data.activity.data.map((entry) => entry.type)).toEqual(['registered', 'sent', 'registered']);
+    });
+
+    it('should page through the activity feed by following nextCursor', async () => {
+      const first = await request(app)
+        .get(`/api/owners/${owner}?limit=2`)
+        .expect(200);
+      expect(first.body.data.activity.count).toBe(2);
+      expect(first.body.data.activity.data.map((entry) => Number(entry.blockNumber))).toEqual([120, 110]);
+
+      const second = await request(app)
+        .get(`/api/owners/${owner}?limit=2&cursor=${encodeURIComponent(first.body.data.activity.nextCursor)}`)
+        .expect(200);
+      expect(second.body.data.activity).toMatchObject({ count: 1, nextCursor: null });
+      expect(second.body.data.activity.data[0]).toMatchObject({ type: 'registered', counterparty: null, transactionHash: '0xtx100' });
+      // The profile covers every transfer on each page
+      expect(second.body.data.registered).toBe(2);
+    });
+
+    it('should keep the activity type when fields leaves out the owners', async () => {
+      const response = await request(app)
+        .get(`/api/owners/${owner}?fields=transactionHash&limit=1&order=asc`)
+        .expect(200);
+
+      expect(response.body.data.activity.data).toEqual([{ type: 'registered', counterparty: null, transactionHash: '0xtx100' }]);
+    });
+
+    it('should return 400 for an invalid activity cursor', async () => {
+      const response = await request(app)
+        .get(`/api/owners/${owner}?cursor=abc`)
+        .expect(400);
+
+      expect(response.body.error).toContain('Invalid cursor');
+    });
+  });
+
+  describe('analytics routes', () => {
+    const owner1 = '0x1111111111111111111111111111111111111111';
+    const owner2 = '0x2222222222222222222222222222222222222222';
+    const owner3 = '0x3333333333333333333333333333333333333333';
+
+    beforeEach(async () => {
+      // owner1 registers two assets and hands one to owner2; owner3 registers one on the other chain
+      await createAsset(1, owner2, '2024-01-01T10:00:00Z');
+      await createAsset(2, owner1, '2024-01-02T10:00:00Z');
+      await createAsset(1, owner3, '2024-01-02T12:00:00Z', otherScope);
+      await createTransfer(1, null, owner1, 100, '2024-01-01T10:00:00Z');
+      await createTransfer(2, null, owner1, 101, '2024-01-02T10:00:00Z');
+      await createTransfer(1, owner1, owner2, 102, '2024-01-03T10:00:00Z');
+      await createTransfer(1, null, owner3, 100, '2024-01-02T12:00:00Z', otherScope);
+    });
+
+    it('should total the whole index or one scope', async () => {
+      const all = await request(app)
+        .get('/api/analytics/summary')
+        .expect(200);
+      expect(all.body).toEqual({ success: true, data: { assets: 3, transfers: 1, owners: 3 } });
+
+      const scoped = await request(app)
+        .get(`/api/analytics/summary?chainId=${otherScope.chainId}`)
+        .expect(200);
+      expect(scoped.body.data).toEqual({ assets: 1, transfers: 0, owners: 1 });
+    });
+
+    it('should rank the owners of a contract', async () => {
+      const response = await request(app)
+        .get(`/api/analytics/top-owners?contract=${scope.contractAddress}&limit=1`)
+        .expect(200);
+
+      expect(response.body).toEqual({ success: true, count: 1, data: [{ address: owner1, transfers: 3, held: 1 }] });
+    });
+
+    it('should count events per bucket within the scope and range', async () => {
+      const response = await request(app)
+        .get(`/api/analytics/timeseries?metric=registrations&chainId=${scope.chainId}&from=2024-01-02T00:00:00Z`)
+        .expect(200);
+
+      expect(response.body).toEqual({
+        success: true,
+        metric: 'registrations',
+        bucket: 'day',
+        from: '2024-01-02T00:00:00.000Z',
+        to: null,
+        count: 1,
+        data: [{ bucket: '2024-01-02T00:00:00.000Z', count: 1 }]
+      });
+    });
+
+    it('should measure the distribution of the assets registered in a range', async () => {
+      const response = await request(app)
+        .get(`/api/analytics/distribution?chainId=${scope.chainId}&top=1`)
+        .expect(200);
+      expect(response.body).toMatchObject({ success: true, from: null, to: null });
+      expect(response.body.data).toMatchObject({
+        assets: 2,
+        owners: 2,
+        topShare: { top: 1, assets: 1, share: 0.5 },
+        neverTransferred: { assets: 1, share: 0.5 }
+      });
+
+      // Only asset 2 was registered from the 2nd
+      const later = await request(app)
+        .get(`/api/analytics/distribution?chainId=${scope.chainId}&from=2024-01-02`)
+        .expect(200);
+      expect(later.body.from).toBe('2024-01-02T00:00:00.000Z');
+      expect(later.body.data).toMatchObject({ assets: 1, owners: 1, topShare: { top: 10, assets: 1, share: 1 } });
+    });
+
+    it('should measure the holding periods that ended in a range', async () => {
+      // owner1 held asset 1 from the 1st to the 3rd
+      const response = await request(app)
+        .get(`/api/analytics/holding-times?chainId=${scope.chainId}&to=2024-01-03T10:00:00Z`)
+        .expect(200);
+      expect(response.body).toMatchObject({ from: null, to: '2024-01-03T10:00:00.000Z' });
+      expect(response.body.data.periods).toEqual({ count: 1, averageSeconds: 2 * 86400, medianSeconds: 2 * 86400 });
+
+      const none = await request(app)
+        .get(`/api/analytics/holding-times?chainId=${scope.chainId}&from=2024-01-04`)
+        .expect(200);
+      expect(none.body.data.periods).toEqual({ count: 0, averageSeconds: null, medianSeconds: null });
+    });
+
+    it('should measure turnover over a range', async () => {
+      const response = await request(app)
+        .get(`/api/analytics/turnover?chainId=${scope.chainId}`)
+        .expect(200);
+      expect(response.body.data).toEqual({ transfers: 1, assets: 2, assetsTransferred: 1, turnoverRate: 0.5 });
+
+      const before = await request(app)
+        .get(`/api/analytics/turnover?chainId=${scope.chainId}&from=2024-01-01&to=2024-01-02T23:59:59Z`)
+        .expect(200);
+      expect(before.body).toMatchObject({ from: '2024-01-01T00:00:00.000Z', to: '2024-01-02T23:59:59.000Z' });
+      expect(before.body.data).toEqual({ transfers: 0, assets: 2, assetsTransferred: 0, turnoverRate: 0 });
+    });
+
+    it.each([
+      ['/api/analytics/summary?chainId=x', 'Invalid chainId'],
+      ['/api/analytics/top-owners?contract=0x123', 'Invalid contract address'],
+      ['/api/analytics/top-owners?limit=0', 'Invalid limit'],
+      ['/api/analytics/top-owners?limit=101', 'Invalid limit'],
+      ['/api/analytics/timeseries', 'Invalid metric'],
+      ['/api/analytics/timeseries?metric=owners', 'Invalid metric'],
+      ['/api/analytics/timeseries?metric=transfers&bucket=month', 'Invalid bucket'],
+      ['/api/analytics/timeseries?metric=transfers&from=yesterday', 'Invalid from'],
+      ['/api/analytics/timeseries?metric=transfers&chainId=0', 'Invalid chainId'],
+      ['/api/analytics/distribution?top=0', 'Invalid top'],
+      ['/api/analytics/distribution?top=2.5', 'Invalid top'],
+      ['/api/analytics/distribution?top=101', 'Invalid top'],
+      ['/api/analytics/distribution?to=soon', 'Invalid to'],
+      ['/api/analytics/distribution?from=2024-02-01&to=2024-01-01', 'Invalid date range'],
+      ['/api/analytics/holding-times?from=last-week', 'Invalid from'],
+      ['/api/analytics/holding-times?from=2024-02-01&to=2024-01-01', 'Invalid date range'],
+      ['/api/analytics/turnover?to=soon', 'Invalid to'],
+      ['/api/analytics/turnover?from=2024-02-01&to=2024-01-01', 'Invalid date range'],
+      ['/api/analytics/turnover?chainId=x', 'Invalid chainId']
+    ])('should return 400 for %s', async (url, error) => {
+      const response = await request(app)
+        .get(url)
+        .expect(400);
+
+      expect(response.body.success).toBe(false);
+      expect(response.body.error).toContain(error);
+    });
+  });
+
+  describe('GET /api/entities/:entity', () => {
+    const owner1 = '0x1111111111111111111111111111111111111111';
+    const owner2 = '0x2222222222222222222222222222222222222222';
+
+    beforeEach(async () => {
+      indexer.eventMapping = mapping;
+      await AssetBurn.destroy({ where: {} });
+      await AssetBurn.bulkCreate([100, 101, 101, 102].map((blockNumber, i) => ({
+        ...scope,
+        assetId: assetId(i + 1),
+        burnedBy: i === 3 ? owner2 : owner1,
+        blockNumber: String(blockNumber),
+        logIndex: i === 2 ? 1 : 0,
+        transactionHash: `0xtx${blockNumber}`
+      })));
+    });
+
+    afterEach(() => {
+      indexer.eventMapping = null;
+    });
+
+    it('should page through the rows of an entity, newest first', async () => {
+      const pages = await fetchAllPages('/api/entities/AssetBurn?limit=3');
+
+      expect(pages.map((page) => page.count)).toEqual([3, 1]);
+      expect(pages[0].entity).toBe('AssetBurn');
+      expect(pages.flatMap((page) => page.data.map((row) => row.assetId))).toEqual([4, 3, 2, 1].map(assetId));
+    });
+
+    it('should filter by columns and return the requested fields', async () => {
+      const response = await request(app)
+        .get(`/api/entities/AssetBurn?burnedBy=${owner1}&order=asc&fields=assetId&limit=2`)
+        .expect(200);
+
+      expect(response.body.data).toEqual([{ assetId: assetId(1) }, { assetId: assetId(2) }]);
+      expect(response.body.nextCursor).not.toBeNull();
+    });
+
+    it.each([
+      ['an unknown column', 'owner=0x1', 'Invalid filter owner'],
+      ['an invalid limit', 'limit=1001', 'Invalid limit'],
+      ['an invalid cursor', 'cursor=abc', 'Invalid cursor']
+    ])('should return 400 for %s', async (name, query, error) => {
+      const response = await request(app)
+        .get(`/api/entities/AssetBurn?${query}`)
+        .expect(400);
+
+      expect(response.body.error).toContain(error);
+    });
+
+    it('should return 404 for an entity the mapping does not declare', async () => {
+      const response = await request(app)
+        .get('/api/entities/AssetMetadata')
+        .expect(404);
+
+      expect(response.body.error).toBe('Unknown entity AssetMetadata');
+    });
+  });
+
   describe('GET /api/assets/owner/:address', () => {
     it('should return 400 for invalid address format', async () => {
       const response = await request(app)
@@ -267,6 +781,17 @@ describe('API Endpoints', () => {
       expect(response.body.success).toBe(false);
     });
 
+    it.each([
+      ['not hex', `0x${'g'.repeat(40)}`],
+      ['a wrong checksum', '0x5AAeb6053F3E94C9b9A09f33669435E7Ef1BeAed']
+    ])('should return 400 for an address that is %s', async (name, address) => {
+      const response = await request(app)
+        .get(`/api/assets/owner/${address}`)
+        .expect(400);
+
+      expect(response.body.error).toContain('Invalid address format');
+    });
+
     it('should return empty array when owner has no assets', async () => {
       const address = '0x1111111111111111111111111111111111111111';
       
@@ -285,6 +810,7 @@ describe('API Endpoints', () => {
       
       // Create assets for owner1
       const asset1 = await Asset.create({
+        ...scope,
         id: '0x1234567890abcdef1234567890abcdef1234567890abcdef1234567890abcdef',
         owner: owner1,
         description: 'Asset 1',
@@ -293,6 +819,7 @@ describe('API Endpoints', () => {
       });
 
       const asset2 = await Asset.create({
+        ...scope,
         id: '0xabcdef1234567890abcdef1234567890abcdef1234567890abcdef1234567890',
         owner: owner1,
         description: 'Asset 2',
@@ -302,6 +829,7 @@ describe('API Endpoints', () => {
 
       // Create asset for owner2
       await Asset.create({
+        ...scope,
         id: '0x9999999999999999999999999999999999999999999999999999999999999999',
         owner: owner2,
         description: 'Asset 3',
@@ -328,6 +856,7 @@ describe('API Endpoints', () => {
       const assetId = '0x1234567890abcdef1234567890abcdef1234567890abcdef1234567890abcdef';
       
       const asset = await Asset.create({
+        ...scope,
         id: assetId,
         owner: owner,
         description: 'Test Asset',
@@ -336,6 +865,7 @@ describe('API Endpoints', () => {
       });
 
       await Transfer.create({
+        ...scope,
         assetId: assetId,
         fromOwner: null,
         toOwner: owner,
@@ -353,5 +883,304 @@ describe('API Endpoints', () => {
       expect(response.body.data[0].transfers[0].transactionHash).toBe('0xtx1');
     });
   });
-});
 
+  describe('GET /api/status', () => {
+    it('should return 503 when no event listener is running', async () => {
+      const response = await request(app)
+        .get('/api/status')
+        .expect(503);
+
+      expect(response.body).toEqual({ success: false, error: 'Event listener is not running' });
+    });
+
+    it('should return the status of each listener in scope', async () => {
+      indexer.eventListeners.push(fakeListener(scope), fakeListener(otherScope));
+
+      const all = await request(app)
+        .get('/api/status')
+        .expect(200);
+      expect(all.body.count).toBe(2);
+
+      const response = await request(app)
+        .get(`/api/status?chainId=${otherScope.chainId}`)
+        .expect(200);
+      expect(response.body).toEqual({ success: true, count: 1, data: [{ ...otherScope, checkpoint: 105 }] });
+    });
+
+    it('should report the progress of a backfill that is still running', async () => {
+      // The backfill's getLogs stay in flight until released
+      let releaseLogs;
+      const logsReleased = new Promise((resolve) => { releaseLogs = resolve; });
+      mockProvider.getBlockNumber.mockResolvedValue(110);
+      mockProvider.getLogs.mockImplementation(async () => {
+        await logsReleased;
+        return [];
+      });
+      const listener = createListener();
+      // Registered before it starts, as on startup
+      indexer.eventListeners.push(listener);
+
+      const started = listener.start(100);
+      try {
+        while (mockProvider.getLogs.mock.calls.length === 0) {
+          await new Promise((resolve) => setImmediate(resolve));
+        }
+
+        const response = await request(app)
+          .get('/api/status')
+          .expect(200);
+
+        expect(response.body.data[0]).toMatchObject({
+          ...scope,
+          isListening: false,
+          isBackfilling: true,
+          checkpoint: null,
+          headBlock: 110,
+          syncProgress: { fromBlock: 100, toBlock: 110, lastBlock: 99 }
+        });
+      } finally {
+        releaseLogs();
+        await started;
+      }
+
+      try {
+        const response = await request(app)
+          .get('/api/status')
+          .expect(200);
+        expect(response.body.data[0]).toMatchObject({ isListening: true, isBackfilling: false, checkpoint: 110 });
+      } finally {
+        listener.stopListening();
+      }
+    });
+
+    it('should return 503 when no listener runs for the scope', async () => {
+      indexer.eventListeners.push(fakeListener(scope));
+
+      await request(app)
+        .get('/api/status?chainId=5')
+        .expect(503);
+    });
+
+    it.each([
+      ['chainId=0', 'Invalid chainId'],
+      ['contract=0x123', 'Invalid contract address']
+    ])('should return 400 for %s', async (query, error) => {
+      indexer.eventListeners.push(fakeListener(scope));
+
+      const response = await request(app)
+        .get(`/api/status?${query}`)
+        .expect(400);
+
+      expect(response.body.success).toBe(false);
+      expect(response.body.error).toContain(error);
+    });
+  });
+
+  describe('admin routes', () => {
+    beforeEach(async () => {
+      await FailedRange.destroy({ where: {} });
+      await DeadLetterEvent.destroy({ where: {} });
+    });
+
+    function createDeadLetter(extra = {}) {
+      return DeadLetterEvent.create({
+        ...scope,
+        eventName: 'AssetTransferred',
+        blockNumber: '103',
+        transactionHash: '0xtx9',
+        logIndex: 0,
+        rawLog: '{}',
+        args: '[]',
+        error: 'Bug',
+        ...extra
+      });
+    }
+
+    it.each([
+      ['get', '/api/admin/failed-ranges?status=failed', 'Invalid status'],
+      ['get', '/api/admin/dead-letters?status=failed', 'Invalid status'],
+      ['get', '/api/admin/dead-letters?chainId=x', 'Invalid chainId'],
+      ['post', '/api/admin/failed-ranges/retry?contract=0x123', 'Invalid contract address'],
+      ['post', '/api/admin/dead-letters/retry?chainId=-1', 'Invalid chainId'],
+      ['post', '/api/admin/dead-letters/1/retry?chainId=x', 'Invalid chainId'],
+      ['delete', '/api/admin/dead-letters/1?contract=0x123', 'Invalid contract address'],
+      ['get', '/api/admin/rpc-health?chainId=x', 'Invalid chainId'],
+      ['get', '/api/admin/reconciliation?chainId=x', 'Invalid chainId'],
+      ['post', '/api/admin/reconciliation/run?repair=yes', 'Invalid repair']
+    ])('should return 400 for %s %s', async (method, url, error) => {
+      indexer.eventListeners.push(fakeListener(scope));
+
+      const response = await request(app)[method](url).expect(400);
+
+      expect(response.body.success).toBe(false);
+      expect(response.body.error).toContain(error);
+    });
+
+    it.each([
+      ['post', '/api/admin/failed-ranges/retry'],
+      ['post', '/api/admin/dead-letters/retry'],
+      ['get', '/api/admin/rpc-health'],
+      ['get', '/api/admin/reconciliation'],
+      ['post', '/api/admin/reconciliation/run']
+    ])('should return 503 for %s %s when no event listener is running', async (method, url) => {
+      const response = await request(app)[method](url).expect(503);
+
+      expect(response.body.error).toBe('Event listener is not running');
+    });
+
+    it('should list failed ranges by status and scope', async () => {
+      await FailedRange.bulkCreate([
+        { ...scope, fromBlock: '200', toBlock: '209', error: 'timeout' },
+        { ...scope, fromBlock: '100', toBlock: '109', error: 'timeout', status: 'resolved' },
+        { ...otherScope, fromBlock: '100', toBlock: '109', error: 'timeout' }
+      ]);
+
+      const response = await request(app)
+        .get(`/api/admin/failed-ranges?status=pending&chainId=${scope.chainId}`)
+        .expect(200);
+
+      expect(response.body.count).toBe(1);
+      expect(response.body.data[0]).toMatchObject({ fromBlock: 200, status: 'pending' });
+    });
+
+    it('should page failed ranges by first block', async () => {
+      await FailedRange.bulkCreate([300, 100, 200].map((fromBlock) => ({
+        ...scope, fromBlock: String(fromBlock), toBlock: String(fromBlock + 9), error: 'timeout'
+      })));
+
+      const pages = await fetchAllPages('/api/admin/failed-ranges?limit=2&fields=fromBlock');
+
+      expect(pages.map((page) => page.count)).toEqual([2, 1]);
+      expect(pages.flatMap((page) => page.data)).toEqual([{ fromBlock: 100 }, { fromBlock: 200 }, { fromBlock: 300 }]);
+    });
+
+    it('should page dead letters in the order they were stored, including those without a block', async () => {
+      const stored = [
+        await createDeadLetter({ blockNumber: '105' }),
+        await createDeadLetter({ eventName: null, blockNumber: null, logIndex: null }),
+        await createDeadLetter({ blockNumber: '101' })
+      ];
+
+      const pages = await fetchAllPages('/api/admin/dead-letters?limit=2&status=pending');
+
+      expect(pages.map((page) => page.count)).toEqual([2, 1]);
+      expect(pages.flatMap((page) => page.data.map((deadLetter) => deadLetter.id))).toEqual(stored.map((deadLetter) => deadLetter.id));
+    });
+
+    it.each([
+      ['/api/admin/failed-ranges?limit=0', 'Invalid limit'],
+      ['/api/admin/dead-letters?sort=blockNumber', 'Invalid sort']
+    ])('should return 400 for GET %s', async (url, error) => {
+      const response = await request(app).get(url).expect(400);
+
+      expect(response.body.error).toContain(error);
+    });
+
+    it('should add up the retries of each listener', async () => {
+      const listeners = [fakeListener(scope), fakeListener(otherScope)];
+      indexer.eventListeners.push(...listeners);
+
+      const ranges = await request(app)
+        .post('/api/admin/failed-ranges/retry')
+        .expect(200);
+      expect(ranges.body.data).toEqual({ retried: 2, resolved: 2, pending: 0 });
+      expect(listeners[0].retryFailedRanges).toHaveBeenCalledWith({ force: true });
+
+      const deadLetters = await request(app)
+        .post(`/api/admin/dead-letters/retry?chainId=${scope.chainId}`)
+        .expect(200);
+      expect(deadLetters.body.data).toEqual({ retried: 2, resolved: 1, pending: 1 });
+      expect(listeners[1].retryDeadLetters).not.toHaveBeenCalled();
+    });
+
+    it('should replay a dead letter on the listener of its contract', async () => {
+      const deadLetter = await createDeadLetter();
+      const listeners = [fakeListener(otherScope), fakeListener(scope)];
+      indexer.eventListeners.push(...listeners);
+
+      const response = await request(app)
+        .post(`/api/admin/dead-letters/${deadLetter.id}/retry`)
+        .expect(200);
+
+      expect(response.body.data).toEqual({ id: deadLetter.id, status: 'resolved' });
+      expect(listeners[1].retryDeadLetter).toHaveBeenCalledWith(deadLetter.id);
+      expect(listeners[0].retryDeadLetter).not.toHaveBeenCalled();
+    });
+
+    it('should return 503 when the listener of a dead letter is not running', async () => {
+      const deadLetter = await createDeadLetter();
+      indexer.eventListeners.push(fakeListener(otherScope));
+
+      await request(app)
+        .post(`/api/admin/dead-letters/${deadLetter.id}/retry`)
+        .expect(503);
+    });
+
+    it('should return 404 for a dead letter that does not exist or is out of scope', async () => {
+      const deadLetter = await createDeadLetter();
+      indexer.eventListeners.push(fakeListener(scope));
+
+      await request(app)
+        .post(`/api/admin/dead-letters/${deadLetter.id + 1}/retry`)
+        .expect(404);
+      await request(app)
+        .post(`/api/admin/dead-letters/${deadLetter.id}/retry?chainId=${otherScope.chainId}`)
+        .expect(404);
+      const response = await request(app)
+        .delete(`/api/admin/dead-letters/${deadLetter.id + 1}`)
+        .expect(404);
+      expect(response.body.error).toBe('Dead letter not found');
+    });
+
+    it('should discard a pending dead letter but not a resolved one', async () => {
+      const pending = await createDeadLetter();
+      const resolved = await createDeadLetter({ logIndex: 1, status: 'resolved' });
+
+      const response = await request(app)
+        .delete(`/api/admin/dead-letters/${pending.id}`)
+        .expect(200);
+      expect(response.body.data.status).toBe('discarded');
+      expect((await DeadLetterEvent.findByPk(pending.id)).status).toBe('discarded');
+
+      const rejected = await request(app)
+        .delete(`/api/admin/dead-letters/${resolved.id}`)
+        .expect(400);
+      expect(rejected.body.error).toBe('Dead letter has already been resolved');
+    });
+
+    it('should report the RPC health and latest reconciliation of each listener', async () => {
+      const report = { ...scope, drift: [] };
+      indexer.eventListeners.push(fakeListener(scope, { lastReconciliation: report }), fakeListener(otherScope));
+
+      const health = await request(app)
+        .get('/api/admin/rpc-health')
+        .expect(200);
+      expect(health.body.data).toEqual([
+        { name: `${scope.chainId}:${scope.contractAddress}`, ...scope, connectionMode: 'http' },
+        { name: `${otherScope.chainId}:${otherScope.contractAddress}`, ...otherScope, connectionMode: 'http' }
+      ]);
+
+      const reconciliation = await request(app)
+        .get('/api/admin/reconciliation')
+        .expect(200);
+      expect(reconciliation.body).toEqual({ success: true, count: 1, data: [report] });
+    });
+
+    it('should reconcile with the configured repair option unless overridden', async () => {
+      indexer.reconcileOptions = { repair: true, batchSize: 10 };
+      const listener = fakeListener(scope);
+      indexer.eventListeners.push(listener);
+
+      const response = await request(app)
+        .post('/api/admin/reconciliation/run')
+        .expect(200);
+      expect(response.body.data).toEqual([{ ...scope, repair: true, drift: [] }]);
+      expect(listener.reconcile).toHaveBeenLastCalledWith({ repair: true, batchSize: 10 });
+
+      await request(app)
+        .post('/api/admin/reconciliation/run?repair=false')
+        .expect(200);
+      expect(listener.reconcile).toHaveBeenLastCalledWith({ repair: false, batchSize: 10 });
+    });
+  });
+});
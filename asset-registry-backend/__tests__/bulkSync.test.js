@@ -0,0 +1,149 @@
+import { describe, it, expect, beforeEach, jest } from '@jest/globals';
+import {
+  TestAsset as Asset,
+  TestTransfer as Transfer,
+  TestPendingTransfer as PendingTransfer,
+  TestRawEvent as RawEvent
+} from './testDb.js';
+import {
+  scope,
+  owner1,
+  owner2,
+  owner3,
+  unknownAsset,
+  mockProvider,
+  mockContract,
+  makeLog,
+  createListener
+} from './testChain.js';
+import './setup.js';
+
+const { MemoryStorage } = await import('../memoryStorage.js');
+
+const asset1 = '0x1111111111111111111111111111111111111111111111111111111111111111';
+const asset2 = '0x2222222222222222222222222222222222222222222222222222222222222222';
+const asset3 = '0x3333333333333333333333333333333333333333333333333333333333333333';
+
+// Bulk writes, with blocks final after one confirmation and logs read up to 100 blocks at a time
+const listenerOptions = { confirmations: 1, chunkSize: 100, bulkSync: true };
+
+const logs = [
+  makeLog('AssetRegistered', [asset1, owner1, 'First', 1234567990], { transactionHash: '0xtx1', blockNumber: 100, blockHash: '0xhash100' }),
+  makeLog('AssetRegistered', [asset2, owner2, 'Second', 1234567990], { transactionHash: '0xtx2', blockNumber: 100, blockHash: '0xhash100', index: 1 }),
+  makeLog('AssetTransferred', [asset1, owner2], { transactionHash: '0xtx3', blockNumber: 101, blockHash: '0xhash101' }),
+  makeLog('AssetTransferred', [asset1, owner3], { transactionHash: '0xtx4', blockNumber: 103, blockHash: '0xhash103' }),
+  makeLog('AssetTransferred', [asset2, owner3], { transactionHash: '0xtx5', blockNumber: 103, blockHash: '0xhash103', index: 1 })
+];
+
+describe('Bulk sync', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockProvider.getBlock.mockImplementation(async (blockNumber) => ({ number: blockNumber, hash: `0xhash${blockNumber}`, timestamp: 1234567890 + blockNumber }));
+    mockProvider.getBlockNumber.mockResolvedValue(110);
+    mockProvider.getLogs.mockResolvedValue(logs);
+    mockContract.getAsset.mockResolvedValue(unknownAsset);
+  });
+
+  it('should write a range like the per-block path does', async () => {
+    const listener = createListener(listenerOptions);
+    const emitted = [];
+    listener.on('assetRegistered', (event) => emitted.push(['assetRegistered', event.assetId]));
+    listener.on('assetTransferred', (event) => emitted.push(['assetTransferred', event.assetId, event.from, event.to]));
+
+    const result = await listener.syncHistoricalEvents(100, 105);
+
+    expect(result).toMatchObject({ registered: 2, transferred: 3, complete: true });
+    expect(result.eventsPerSecond).toBeGreaterThan(0);
+    expect(listener.syncProgress.eventsPerSecond).toBeGreaterThan(0);
+
+    const assets = await Asset.findAll({ where: scope, order: [['id', 'ASC']] });
+    expect(assets.map((asset) => [asset.id, asset.owner])).toEqual([[asset1, owner3], [asset2, owner3]]);
+
+    const transfers = await Transfer.findAll({ where: scope, order: [['blockNumber', 'ASC'], ['logIndex', 'ASC']] });
+    expect(transfers.map((transfer) => [transfer.assetId, transfer.fromOwner, transfer.toOwner, Number(transfer.timestamp)])).toEqual([
+      [asset1, null, owner1, 1234567990],
+      [asset2, null, owner2, 1234567990],
+      [asset1, owner1, owner2, 1234567991],
+      [asset1, owner2, owner3, 1234567993],
+      [asset2, owner2, owner3, 1234567993]
+    ]);
+    expect(transfers[2].transferredAt).toEqual(new Date(1234567991 * 1000));
+    expect(await RawEvent.count()).toBe(5);
+    expect(await listener.getCheckpoint()).toBe(105);
+
+    expect(emitted).toEqual([
+      ['assetRegistered', asset1],
+      ['assetRegistered', asset2],
+      ['assetTransferred', asset1, owner1, owner2],
+      ['assetTransferred', asset1, owner2, owner3],
+      ['assetTransferred', asset2, owner2, owner3]
+    ]);
+  });
+
+  it('should fetch each block time once and not for blocks with a registration', async () => {
+    await createListener(listenerOptions).syncHistoricalEvents(100, 105);
+
+    expect(mockProvider.getBlock.mock.calls.map(([blockNumber]) => blockNumber).sort()).toEqual([101, 103]);
+  });
+
+  it('should skip logs returned twice and raw events already stored', async () => {
+    const listener = createListener(listenerOptions);
+    mockProvider.getLogs.mockResolvedValueOnce([...logs, logs[2]]);
+    await listener.syncHistoricalEvents(100, 105);
+    expect(await Transfer.count()).toBe(5);
+
+    // The raw event log is kept by a reset, so the next sync finds it filled
+    await listener.resetIndex();
+    await listener.syncHistoricalEvents(100, 105);
+
+    expect(await Transfer.count()).toBe(5);
+    expect(await RawEvent.count()).toBe(5);
+  });
+
+  it('should leave transfers of unknown assets to the per-block path', async () => {
+    const listener = createListener(listenerOptions);
+    mockProvider.getLogs.mockResolvedValueOnce([
+      ...logs,
+      makeLog('AssetTransferred', [asset3, owner1], { transactionHash: '0xtx6', blockNumber: 104, blockHash: '0xhash104' })
+    ]);
+
+    await listener.syncHistoricalEvents(100, 105);
+
+    expect(await Transfer.count()).toBe(5);
+    expect(await PendingTransfer.count()).toBe(1);
+    expect(listener.contract.getAsset).toHaveBeenCalled();
+  });
+
+  it('should leave retried ranges to the per-block path', async () => {
+    const listener = createListener(listenerOptions);
+    await listener.syncHistoricalEvents(100, 105);
+
+    mockProvider.getLogs.mockResolvedValueOnce(logs.slice(0, 3));
+    await listener.syncRange(100, 101);
+
+    expect(await Transfer.count()).toBe(5);
+    expect((await Asset.findOne({ where: { ...scope, id: asset1 } })).owner).toBe(owner3);
+  });
+
+  it('should fall back to the per-block path when a bulk write fails', async () => {
+    const listener = createListener(listenerOptions);
+    const emitted = [];
+    listener.on('assetTransferred', (event) => emitted.push(event.transactionHash));
+    jest.spyOn(listener.storage, 'createTransfers').mockRejectedValueOnce(new Error('disk I/O error'));
+
+    await listener.syncHistoricalEvents(100, 105);
+
+    expect(await Transfer.count()).toBe(5);
+    expect(await RawEvent.count()).toBe(5);
+    expect(emitted).toEqual(['0xtx3', '0xtx4', '0xtx5']);
+  });
+
+  it('should work with other storage adapters', async () => {
+    const storage = new MemoryStorage();
+    await createListener({ ...listenerOptions, storage }).syncHistoricalEvents(100, 105);
+
+    expect((await storage.listAssets(scope)).map((asset) => asset.owner)).toEqual([owner3, owner3]);
+    expect(await storage.listTransfers(scope)).toHaveLength(5);
+    expect(await storage.getCheckpoint(scope)).toBe(105);
+  });
+});
@@ -0,0 +1,110 @@
+import { describe, it, expect, beforeAll, afterAll } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { loadChainConfig, getIndexedContracts } from '../chainConfig.js';
+
+const sepoliaContract = '0x4de8A863f6FCa76498D26BE85Ff1323F5E01A6c2';
+const hardhatContract = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+
+let configDir;
+
+function writeConfig(config) {
+  const file = path.join(configDir, `chains-${Math.random().toString(36).slice(2)}.json`);
+  fs.writeFileSync(file, JSON.stringify(config));
+  return file;
+}
+
+describe('Chain config', () => {
+  beforeAll(() => {
+    configDir = fs.mkdtempSync(path.join(os.tmpdir(), 'chains-'));
+  });
+
+  afterAll(() => {
+    fs.rmSync(configDir, { recursive: true, force: true });
+  });
+
+  it('should load every contract with its sync settings', () => {
+    const file = writeConfig({
+      contracts: [
+        { name: 'hardhat', chainId: 31337, contractAddress: hardhatContract, rpcUrl: 'http://127.0.0.1:8545', confirmations: 0 },
+        { name: 'sepolia', chainId: '11155111', contractAddress: sepoliaContract, rpcUrl: 'https://rpc.sepolia.org', syncFromBlock: 9600520 }
+      ]
+    });
+
+    const contracts = loadChainConfig(file, {});
+
+    expect(contracts).toHaveLength(2);
+    expect(contracts[0]).toMatchObject({ name: 'hardhat', chainId: 31337, confirmations: 0, syncFromBlock: 0 });
+    expect(contracts[1]).toMatchObject({ name: 'sepolia', chainId: 11155111, syncFromBlock: 9600520 });
+  });
+
+  it('should fill in environment variables', () => {
+    const file = writeConfig([
+      { chainId: 11155111, contractAddress: sepoliaContract, rpcUrl: 'wss://eth-sepolia.g.alchemy.com/v2/${ALCHEMY_API_KEY}' }
+    ]);
+
+    const [contract] = loadChainConfig(file, { ALCHEMY_API_KEY: 'secret' });
+
+    expect(contract.rpcUrl).toBe('wss://eth-sepolia.g.alchemy.com/v2/secret');
+    expect(contract.name).toBe(`11155111:${sepoliaContract.toLowerCase()}`);
+  });
+
+  it('should reject a missing environment variable', () => {
+    const file = writeConfig([
+      { chainId: 11155111, contractAddress: sepoliaContract, rpcUrl: 'https://example.com/${MISSING_KEY}' }
+    ]);
+
+    expect(() => loadChainConfig(file, {})).toThrow('Environment variable MISSING_KEY is not set');
+  });
+
+  it('should reject invalid entries', () => {
+    expect(() => loadChainConfig(writeConfig([{ chainId: 'sepolia', contractAddress: sepoliaContract, rpcUrl: 'https://x' }]), {}))
+      .toThrow('chainId must be a positive integer');
+    expect(() => loadChainConfig(writeConfig([{ chainId: 1, contractAddress: '0x1234', rpcUrl: 'https://x' }]), {}))
+      .toThrow('contractAddress is not a valid address');
+    expect(() => loadChainConfig(writeConfig([{ name: 'arbitrum', chainId: 42161, contractAddress: sepoliaContract }]), {}))
+      .toThrow('Contract arbitrum: rpcUrl or rpcEndpoints is required');
+    expect(() => loadChainConfig(writeConfig({ contracts: [] }), {})).toThrow('does not list any contracts');
+  });
+
+  it('should reject the same contract listed twice on one chain', () => {
+    const file = writeConfig([
+      { chainId: 31337, contractAddress: hardhatContract, rpcUrl: 'http://127.0.0.1:8545' },
+      { chainId: 31337, contractAddress: hardhatContract.toLowerCase(), rpcUrl: 'http://localhost:8545' }
+    ]);
+
+    expect(() => loadChainConfig(file, {})).toThrow('is listed twice for chain 31337');
+  });
+
+  describe('getIndexedContracts', () => {
+    it('should fall back to the single contract from the environment', () => {
+      const contracts = getIndexedContracts({
+        CONTRACT_ADDRESS: sepoliaContract,
+        RPC_URL: 'https://rpc.sepolia.org',
+        SYNC_FROM_BLOCK: '9600520',
+        CONFIRMATIONS: '12'
+      });
+
+      expect(contracts).toEqual([expect.objectContaining({
+        chainId: null,
+        contractAddress: sepoliaContract,
+        rpcUrl: 'https://rpc.sepolia.org',
+        syncFromBlock: 9600520,
+        confirmations: 12
+      })]);
+    });
+
+    it('should prefer the config file', () => {
+      const file = writeConfig([{ chainId: 31337, contractAddress: hardhatContract, rpcUrl: 'http://127.0.0.1:8545' }]);
+
+      const contracts = getIndexedContracts({ CHAINS_CONFIG: file, CONTRACT_ADDRESS: sepoliaContract, RPC_URL: 'https://x' });
+
+      expect(contracts.map(c => c.contractAddress)).toEqual([hardhatContract]);
+    });
+
+    it('should return nothing when no contract is configured', () => {
+      expect(getIndexedContracts({})).toEqual([]);
+    });
+  });
+});
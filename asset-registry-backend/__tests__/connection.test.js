@@ -0,0 +1,193 @@
+import { describe, it, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import { TestSyncCheckpoint as SyncCheckpoint } from './testDb.js';
+import { EventListener, contractAddress, chainId, createMockProvider } from './testChain.js';
+import { AssetRegistryABI } from '../contractABI.js';
+import './setup.js';
+
+const wsUrl = 'wss://eth-sepolia.example.com/v2/key';
+const httpUrl = 'https://eth-sepolia.example.com/v2/key';
+
+// A WebSocket provider whose getBlockNumber, the heartbeat's ping, behaves as given
+function createHeartbeatProvider(getBlockNumber) {
+  return { ...createMockProvider(), getBlockNumber: jest.fn(getBlockNumber), destroy: jest.fn() };
+}
+
+const deadProvider = () => createHeartbeatProvider(async () => { throw new Error('connection refused'); });
+const hangingProvider = () => createHeartbeatProvider(() => new Promise(() => {}));
+const liveProvider = (head) => createHeartbeatProvider(async () => head);
+
+let createProviderSpy;
+
+function createListener(options = {}) {
+  const listener = new EventListener(contractAddress, wsUrl, AssetRegistryABI, {
+    chainId,
+    heartbeatTimeoutMs: 20,
+    reconnectDelayMs: 1,
+    ...options
+  });
+  jest.spyOn(listener, 'handleNewBlock').mockResolvedValue();
+  return listener;
+}
+
+describe('Connection handling', () => {
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    createProviderSpy = jest.spyOn(EventListener.prototype, 'createProvider').mockImplementation(() => liveProvider(100));
+
+    await SyncCheckpoint.destroy({ where: {} });
+  });
+
+  afterEach(() => {
+    createProviderSpy.mockRestore();
+  });
+
+  it('should use WebSockets for ws:// and wss:// URLs', () => {
+    const listener = createListener();
+
+    expect(listener.connectionMode).toBe('websocket');
+    expect(listener.pollingRpcUrl).toBe(httpUrl);
+  });
+
+  it('should use an explicit polling URL when given', () => {
+    const listener = createListener({ pollingRpcUrl: 'https://fallback.example.com' });
+
+    expect(listener.pollingRpcUrl).toBe('https://fallback.example.com');
+  });
+
+  describe('reconnect', () => {
+    it('should retry with backoff, move the subscription and backfill the gap', async () => {
+      const listener = createListener();
+      const oldProvider = listener.provider;
+      const newProvider = liveProvider(110);
+      await listener.startListening();
+
+      createProviderSpy
+        .mockImplementationOnce(deadProvider)
+        .mockImplementationOnce(() => newProvider);
+
+      expect(await listener.reconnect()).toBe(true);
+      await listener.enqueue(async () => {});
+
+      expect(listener.provider).toBe(newProvider);
+      expect(listener.connectionMode).toBe('websocket');
+      expect(newProvider.on).toHaveBeenCalledWith('block', listener.blockListener);
+      expect(listener.handleNewBlock).toHaveBeenCalledWith(110);
+      await new Promise(resolve => setImmediate(resolve));
+      expect(oldProvider.destroy).toHaveBeenCalled();
+
+      listener.stopListening();
+    });
+
+    it('should fall back to HTTP polling when WebSockets stay unavailable', async () => {
+      const listener = createListener();
+      await listener.startListening();
+
+      createProviderSpy.mockImplementation((url) => url === httpUrl ? liveProvider(120) : deadProvider());
+
+      expect(await listener.reconnect()).toBe(true);
+
+      expect(listener.connectionMode).toBe('polling');
+      expect(createProviderSpy).toHaveBeenLastCalledWith(httpUrl);
+      // The initial provider plus five reconnect attempts
+      expect(createProviderSpy.mock.calls.filter(([url]) => url === wsUrl)).toHaveLength(6);
+
+      listener.stopListening();
+    });
+
+    it('should report failure when no endpoint answers', async () => {
+      const listener = createListener();
+      const provider = listener.provider;
+      createProviderSpy.mockImplementation(deadProvider);
+
+      expect(await listener.reconnect()).toBe(false);
+      expect(listener.provider).toBe(provider);
+    });
+  });
+
+  describe('checkConnection', () => {
+    it('should reconnect when a heartbeat times out', async () => {
+      const listener = createListener();
+      listener.provider = hangingProvider();
+      const reconnectSpy = jest.spyOn(listener, 'reconnect').mockResolvedValue(true);
+
+      await listener.checkConnection();
+
+      expect(reconnectSpy).toHaveBeenCalled();
+    });
+
+    it('should record a healthy heartbeat', async () => {
+      const listener = createListener();
+      const reconnectSpy = jest.spyOn(listener, 'reconnect');
+
+      await listener.checkConnection();
+
+      expect(reconnectSpy).not.toHaveBeenCalled();
+      expect(listener.lastHeartbeatAt).toBeInstanceOf(Date);
+    });
+
+    it('should try to get back to WebSockets while polling', async () => {
+      const listener = createListener();
+      listener.connectionMode = 'polling';
+      listener.lastWebSocketAttemptAt = 0;
+
+      await listener.checkConnection();
+
+      expect(createProviderSpy).toHaveBeenLastCalledWith(wsUrl);
+      expect(listener.connectionMode).toBe('websocket');
+    });
+  });
+
+  describe('multiple endpoints', () => {
+    const rpcEndpoints = [
+      { url: 'https://primary.example.com/v2/key', priority: 1 },
+      { url: 'wss://backup.example.com/v2/key', priority: 2 }
+    ];
+
+    it('should fail over between the configured endpoints', async () => {
+      const failover = new EventListener(contractAddress, rpcEndpoints, AssetRegistryABI, { chainId, rpcQuorum: 1 });
+
+      expect(failover.connectionMode).toBe('failover');
+      expect(createProviderSpy).toHaveBeenCalledWith('wss://backup.example.com/v2/key');
+      expect(await failover.provider.getBlockNumber()).toBe(100);
+    });
+
+    it('should expose the health of each endpoint', async () => {
+      const failover = new EventListener(contractAddress, rpcEndpoints, AssetRegistryABI, { chainId });
+
+      await failover.checkConnection();
+
+      const health = failover.getRpcHealth();
+      expect(health.connectionMode).toBe('failover');
+      expect(health.quorum).toBe(1);
+      expect(health.endpoints.map(e => [e.name, e.healthy, e.blockNumber])).toEqual([
+        ['https://primary.example.com', true, 100],
+        ['wss://backup.example.com', true, 100]
+      ]);
+      expect(failover.lastHeartbeatAt).toBeInstanceOf(Date);
+    });
+
+    it('should expose the single connection otherwise', () => {
+      const listener = createListener();
+
+      expect(listener.getRpcHealth()).toMatchObject({
+        connectionMode: 'websocket',
+        endpoints: [{ name: 'wss://eth-sepolia.example.com', healthy: true }]
+      });
+    });
+  });
+
+  describe('start', () => {
+    it('should fall back to polling when the WebSocket does not answer', async () => {
+      createProviderSpy.mockImplementation((url) => url === httpUrl ? liveProvider(100) : hangingProvider());
+      const listener = createListener();
+
+      await listener.start();
+
+      expect(listener.connectionMode).toBe('polling');
+      expect(listener.isListening).toBe(true);
+      expect(await listener.getCheckpoint()).toBe(100);
+
+      listener.stopListening();
+    });
+  });
+});
@@ -2,6 +2,9 @@ import { describe, it, expect, beforeEach } from '@jest/globals';
 import { TestAsset as Asset, TestTransfer as Transfer } from './testDb.js';
 import './setup.js';
 
+// Chain and contract every test record belongs to
+const scope = { chainId: 31337, contractAddress: '0x1234567890123456789012345678901234567890' };
+
 describe('Database Models', () => {
   beforeEach(async () => {
     await Transfer.destroy({ where: {} });
@@ -11,6 +14,7 @@ describe('Database Models', () => {
   describe('Asset Model', () => {
     it('should create an asset with all required fields', async () => {
       const assetData = {
+        ...scope,
         id: '0x1234567890abcdef1234567890abcdef1234567890abcdef1234567890abcdef',
         owner: '0x1111111111111111111111111111111111111111',
         description: 'Test Asset Description',
@@ -29,6 +33,7 @@ describe('Database Models', () => {
 
     it('should not allow duplicate asset IDs', async () => {
       const assetData = {
+        ...scope,
         id: '0x1234567890abcdef1234567890abcdef1234567890abcdef1234567890abcdef',
         owner: '0x1111111111111111111111111111111111111111',
         description: 'Test Asset',
@@ -41,9 +46,27 @@ describe('Database Models', () => {
       await expect(Asset.create(assetData)).rejects.toThrow();
     });
 
+    it('should allow the same asset ID on another chain or contract', async () => {
+      const assetData = {
+        ...scope,
+        id: '0x1234567890abcdef1234567890abcdef1234567890abcdef1234567890abcdef',
+        owner: '0x1111111111111111111111111111111111111111',
+        description: 'Test Asset',
+        timestamp: '1234567890',
+        registeredAt: new Date(),
+      };
+
+      await Asset.create(assetData);
+      await Asset.create({ ...assetData, chainId: 11155111 });
+      await Asset.create({ ...assetData, contractAddress: '0x5fbdb2315678afecb367f032d93f642f64180aa3' });
+
+      expect(await Asset.count({ where: { id: assetData.id } })).toBe(3);
+    });
+
     it('should require all required fields', async () => {
       await expect(
         Asset.create({
+          ...scope,
           id: '0x1234567890abcdef1234567890abcdef1234567890abcdef1234567890abcdef',
           // Missing owner, description, timestamp
         })
@@ -52,6 +75,7 @@ describe('Database Models', () => {
 
     it('should find asset by primary key', async () => {
       const assetData = {
+        ...scope,
         id: '0x1234567890abcdef1234567890abcdef1234567890abcdef1234567890abcdef',
         owner: '0x1111111111111111111111111111111111111111',
         description: 'Test Asset',
@@ -68,6 +92,7 @@ describe('Database Models', () => {
 
     it('should update asset owner', async () => {
       const assetData = {
+        ...scope,
         id: '0x1234567890abcdef1234567890abcdef1234567890abcdef1234567890abcdef',
         owner: '0x1111111111111111111111111111111111111111',
         description: 'Test Asset',
@@ -88,6 +113,7 @@ describe('Database Models', () => {
     it('should create a transfer with all required fields', async () => {
       // Create asset first
       const asset = await Asset.create({
+        ...scope,
         id: '0x1234567890abcdef1234567890abcdef1234567890abcdef1234567890abcdef',
         owner: '0x1111111111111111111111111111111111111111',
         description: 'Test Asset',
@@ -96,6 +122,7 @@ describe('Database Models', () => {
       });
 
       const transferData = {
+        ...scope,
         assetId: asset.id,
         fromOwner: null,
         toOwner: '0x1111111111111111111111111111111111111111',
@@ -115,8 +142,9 @@ describe('Database Models', () => {
       expect(transfer.timestamp).toBe(transferData.timestamp);
     });
 
-    it('should not allow duplicate transaction hashes', async () => {
+    it('should not allow duplicate (transactionHash, logIndex) pairs', async () => {
       const asset = await Asset.create({
+        ...scope,
         id: '0x1234567890abcdef1234567890abcdef1234567890abcdef1234567890abcdef',
         owner: '0x1111111111111111111111111111111111111111',
         description: 'Test Asset',
@@ -125,6 +153,7 @@ describe('Database Models', () => {
       });
 
       const transferData = {
+        ...scope,
         assetId: asset.id,
         fromOwner: null,
         toOwner: '0x1111111111111111111111111111111111111111',
@@ -139,8 +168,47 @@ describe('Database Models', () => {
       await expect(Transfer.create(transferData)).rejects.toThrow();
     });
 
+    it('should allow several events from the same transaction', async () => {
+      const asset = await Asset.create({
+        ...scope,
+        id: '0x1234567890abcdef1234567890abcdef1234567890abcdef1234567890abcdef',
+        owner: '0x1111111111111111111111111111111111111111',
+        description: 'Test Asset',
+        timestamp: '1234567890',
+        registeredAt: new Date(),
+      });
+
+      await Transfer.create({
+        ...scope,
+        assetId: asset.id,
+        fromOwner: null,
+        toOwner: '0x1111111111111111111111111111111111111111',
+        blockNumber: '100',
+        transactionHash: '0xtxhash123',
+        transactionIndex: 4,
+        logIndex: 7,
+        timestamp: '1234567890',
+      });
+
+      await Transfer.create({
+        ...scope,
+        assetId: asset.id,
+        fromOwner: '0x1111111111111111111111111111111111111111',
+        toOwner: '0x2222222222222222222222222222222222222222',
+        blockNumber: '100',
+        transactionHash: '0xtxhash123',
+        transactionIndex: 4,
+        logIndex: 8,
+        timestamp: '1234567890',
+      });
+
+      const transfers = await Transfer.findAll({ where: { transactionHash: '0xtxhash123' } });
+      expect(transfers).toHaveLength(2);
+    });
+
     it('should allow null fromOwner for initial registration', async () => {
       const asset = await Asset.create({
+        ...scope,
         id: '0x1234567890abcdef1234567890abcdef1234567890abcdef1234567890abcdef',
         owner: '0x1111111111111111111111111111111111111111',
         description: 'Test Asset',
@@ -149,6 +217,7 @@ describe('Database Models', () => {
       });
 
       const transfer = await Transfer.create({
+        ...scope,
         assetId: asset.id,
         fromOwner: null,
         toOwner: '0x1111111111111111111111111111111111111111',
@@ -163,6 +232,7 @@ describe('Database Models', () => {
 
     it('should create transfer with fromOwner for subsequent transfers', async () => {
       const asset = await Asset.create({
+        ...scope,
         id: '0x1234567890abcdef1234567890abcdef1234567890abcdef1234567890abcdef',
         owner: '0x1111111111111111111111111111111111111111',
         description: 'Test Asset',
@@ -171,6 +241,7 @@ describe('Database Models', () => {
       });
 
       const transfer = await Transfer.create({
+        ...scope,
         assetId: asset.id,
         fromOwner: '0x1111111111111111111111111111111111111111',
         toOwner: '0x2222222222222222222222222222222222222222',
@@ -188,6 +259,7 @@ describe('Database Models', () => {
   describe('Model Associations', () => {
     it('should associate asset with transfers', async () => {
       const asset = await Asset.create({
+        ...scope,
         id: '0x1234567890abcdef1234567890abcdef1234567890abcdef1234567890abcdef',
         owner: '0x1111111111111111111111111111111111111111',
         description: 'Test Asset',
@@ -196,6 +268,7 @@ describe('Database Models', () => {
       });
 
       const transfer1 = await Transfer.create({
+        ...scope,
         assetId: asset.id,
         fromOwner: null,
         toOwner: '0x1111111111111111111111111111111111111111',
@@ -206,6 +279,7 @@ describe('Database Models', () => {
       });
 
       const transfer2 = await Transfer.create({
+        ...scope,
         assetId: asset.id,
         fromOwner: '0x1111111111111111111111111111111111111111',
         toOwner: '0x2222222222222222222222222222222222222222',
@@ -226,6 +300,7 @@ describe('Database Models', () => {
 
     it('should associate transfer with asset', async () => {
       const asset = await Asset.create({
+        ...scope,
         id: '0x1234567890abcdef1234567890abcdef1234567890abcdef1234567890abcdef',
         owner: '0x1111111111111111111111111111111111111111',
         description: 'Test Asset',
@@ -234,6 +309,7 @@ describe('Database Models', () => {
       });
 
       const transfer = await Transfer.create({
+        ...scope,
         assetId: asset.id,
         fromOwner: null,
         toOwner: '0x1111111111111111111111111111111111111111',
@@ -0,0 +1,138 @@
+import { describe, it, expect, beforeEach, jest } from '@jest/globals';
+import {
+  TestAsset as Asset,
+  TestTransfer as Transfer,
+  TestSyncCheckpoint as SyncCheckpoint,
+  TestDeadLetterEvent as DeadLetterEvent
+} from './testDb.js';
+import { assetId, owner1, owner2, mockProvider, contractInterface, makeLog, createListener } from './testChain.js';
+import './setup.js';
+
+// Build a contract event payload, which wraps the log
+function makeEvent(eventName, args, position) {
+  return { log: makeLog(eventName, args, position) };
+}
+
+describe('Dead-letter queue', () => {
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    mockProvider.getBlock.mockResolvedValue({ timestamp: 1234567890 });
+    mockProvider.getLogs.mockResolvedValue([]);
+
+    await Transfer.destroy({ where: {} });
+    await Asset.destroy({ where: {} });
+    await SyncCheckpoint.destroy({ where: {} });
+    await DeadLetterEvent.destroy({ where: {} });
+  });
+
+  it('should store an event whose handler throws', async () => {
+    const listener = createListener();
+    jest.spyOn(listener, 'handleAssetRegistered').mockRejectedValueOnce(new Error('SQLITE_BUSY: database is locked'));
+
+    const args = [assetId, owner1, 'Test Asset', 1234567890n];
+    mockProvider.getLogs.mockResolvedValueOnce([
+      makeLog('AssetRegistered', args, { transactionHash: '0xtx1', blockNumber: 100, index: 4 })
+    ]);
+    await listener.handleNewBlock(100);
+
+    const entries = await DeadLetterEvent.findAll();
+    expect(entries).toHaveLength(1);
+    expect(entries[0].eventName).toBe('AssetRegistered');
+    expect(Number(entries[0].blockNumber)).toBe(100);
+    expect(entries[0].transactionHash).toBe('0xtx1');
+    expect(entries[0].logIndex).toBe(4);
+    expect(entries[0].error).toBe('SQLITE_BUSY: database is locked');
+    expect(entries[0].status).toBe('pending');
+    expect(JSON.parse(entries[0].args)).toEqual([assetId, owner1, 'Test Asset', '1234567890']);
+    expect(JSON.parse(entries[0].rawLog).topics[0]).toBe(contractInterface.getEvent('AssetRegistered').topicHash);
+  });
+
+  it('should apply the rest of the block and advance the checkpoint once the event is stored', async () => {
+    const listener = createListener();
+    await listener.saveCheckpoint(149);
+    jest.spyOn(listener, 'handleAssetTransferred').mockRejectedValueOnce(new Error('Bug'));
+
+    mockProvider.getLogs.mockResolvedValueOnce([
+      makeLog('AssetTransferred', [assetId, owner2], { transactionHash: '0xtx2', blockNumber: 150, index: 0 }),
+      makeLog('AssetRegistered', [assetId, owner1, 'Test Asset', 1234567890n], { transactionHash: '0xtx3', blockNumber: 150, index: 1 })
+    ]);
+    await listener.handleNewBlock(150);
+
+    expect(await DeadLetterEvent.count()).toBe(1);
+    expect(await Asset.findByPk(assetId)).not.toBeNull();
+    expect(await listener.getCheckpoint()).toBe(150);
+  });
+
+  it('should count another attempt when the same log fails again', async () => {
+    const listener = createListener();
+    const event = makeEvent('AssetTransferred', [assetId, owner2], { transactionHash: '0xtx2', blockNumber: 150 });
+
+    await listener.deadLetter('AssetTransferred', event, [assetId, owner2], new Error('First'));
+    await listener.deadLetter('AssetTransferred', event, [assetId, owner2], new Error('Second'));
+
+    const entries = await DeadLetterEvent.findAll();
+    expect(entries).toHaveLength(1);
+    expect(entries[0].attempts).toBe(2);
+    expect(entries[0].error).toBe('Second');
+  });
+
+  describe('retryDeadLetter', () => {
+    it('should replay the raw log and resolve the entry', async () => {
+      const listener = createListener();
+      const args = [assetId, owner1, 'Test Asset', 1234567890n];
+      const entry = await listener.deadLetter('AssetRegistered',
+        makeEvent('AssetRegistered', args, { transactionHash: '0xtx1', blockNumber: 100 }), args, new Error('Bug'));
+
+      const result = await listener.retryDeadLetter(entry.id);
+
+      expect(result.status).toBe('resolved');
+      expect(result.resolvedAt).toBeInstanceOf(Date);
+      const asset = await Asset.findByPk(assetId);
+      expect(asset.owner).toBe(owner1);
+      expect(asset.description).toBe('Test Asset');
+    });
+
+    it('should keep the entry pending and record the error when it fails again', async () => {
+      const listener = createListener();
+      const args = [assetId, owner1, 'Test Asset', 1234567890n];
+      const entry = await listener.deadLetter('AssetRegistered',
+        makeEvent('AssetRegistered', args, { transactionHash: '0xtx1', blockNumber: 100 }), args, new Error('Bug'));
+      jest.spyOn(listener, 'handleAssetRegistered').mockRejectedValueOnce(new Error('Still broken'));
+
+      const result = await listener.retryDeadLetter(entry.id);
+
+      expect(result.status).toBe('pending');
+      expect(result.attempts).toBe(2);
+      expect(result.error).toBe('Still broken');
+    });
+
+    it('should return null for an unknown entry', async () => {
+      const listener = createListener();
+
+      expect(await listener.retryDeadLetter(999)).toBeNull();
+    });
+  });
+
+  describe('retryDeadLetters', () => {
+    it('should replay pending entries in chain order and skip discarded ones', async () => {
+      const listener = createListener();
+      const registerArgs = [assetId, owner1, 'Test Asset', 1234567890n];
+
+      // Stored out of order: the transfer failed after the registration it depends on
+      await listener.deadLetter('AssetTransferred',
+        makeEvent('AssetTransferred', [assetId, owner2], { transactionHash: '0xtx2', blockNumber: 101 }), [assetId, owner2], new Error('Bug'));
+      await listener.deadLetter('AssetRegistered',
+        makeEvent('AssetRegistered', registerArgs, { transactionHash: '0xtx1', blockNumber: 100 }), registerArgs, new Error('Bug'));
+      const discarded = await listener.deadLetter('AssetTransferred',
+        makeEvent('AssetTransferred', [assetId, owner1], { transactionHash: '0xtx3', blockNumber: 102 }), [assetId, owner1], new Error('Bug'));
+      await discarded.update({ status: 'discarded' });
+
+      const result = await listener.retryDeadLetters();
+
+      expect(result).toEqual({ retried: 2, resolved: 2, pending: 0 });
+      const asset = await Asset.findByPk(assetId);
+      expect(asset.owner).toBe(owner2);
+      expect((await DeadLetterEvent.findByPk(discarded.id)).status).toBe('discarded');
+    });
+  });
+});
@@ -176,6 +176,8 @@ describe('EventListener', () => {
       
       // Create existing asset
       await Asset.create({
+        chainId: 31337,
+        contractAddress,
         id: assetId,
         owner: oldOwner,
         description: 'Test Asset',
@@ -212,6 +214,8 @@ describe('EventListener', () => {
       const newOwner = '0x2222222222222222222222222222222222222222';
       
       await Asset.create({
+        chainId: 31337,
+        contractAddress,
         id: assetId,
         owner: oldOwner,
         description: 'Test Asset',
@@ -297,6 +301,8 @@ describe('EventListener', () => {
       
       // Create asset first
       await Asset.create({
+        chainId: 31337,
+        contractAddress,
         id: assetId,
         owner: oldOwner,
         description: 'Test Asset',
@@ -0,0 +1,211 @@
+import { describe, it, expect, beforeEach, jest } from '@jest/globals';
+import { ethers } from 'ethers';
+import {
+  testSequelize,
+  TestAsset as Asset,
+  TestSyncCheckpoint as SyncCheckpoint,
+  TestRawEvent as RawEvent
+} from './testDb.js';
+import {
+  EventListener,
+  contractAddress,
+  chainId,
+  rpcUrl,
+  assetId,
+  owner1,
+  owner2,
+  mockProvider,
+  makeLog,
+  createListener
+} from './testChain.js';
+import { AssetRegistryABI } from '../contractABI.js';
+import { EventMapping } from '../eventMapping.js';
+import './setup.js';
+
+const metadataUpdated = 'AssetMetadataUpdated(bytes32 indexed id, address indexed updatedBy, string description)';
+const burned = 'AssetBurned(bytes32 indexed id, address indexed owner)';
+
+const config = {
+  entities: {
+    AssetMetadata: { assetId: 'string', description: 'text', updatedBy: 'string', updatedAt: 'bigint', source: 'string' },
+    AssetBurn: { assetId: 'string', burnedBy: 'string', burnedAtBlock: 'bigint' }
+  },
+  events: [
+    {
+      event: metadataUpdated,
+      entity: 'AssetMetadata',
+      action: 'upsert',
+      key: ['assetId'],
+      columns: { assetId: '$args.id', description: '$args.description', updatedBy: '$args.updatedBy', updatedAt: '$block.timestamp', source: 'contract' }
+    },
+    { event: burned, entity: 'AssetBurn', action: 'insert', columns: { assetId: '$args.id', burnedBy: '$args.owner', burnedAtBlock: '$block.number' } },
+    { event: burned, entity: 'AssetMetadata', action: 'delete', key: ['assetId'], columns: { assetId: '$args.id' } }
+  ]
+};
+
+// Defined before the test database is synced, so the entity tables are created with it
+const mapping = new EventMapping(config, testSequelize);
+const AssetMetadata = mapping.models.get('AssetMetadata');
+const AssetBurn = mapping.models.get('AssetBurn');
+// The contract's events and the mapped ones
+const mappedInterface = new ethers.Interface([...AssetRegistryABI, ...mapping.fragments]);
+
+// A listener of the mapping, decoding the mapped events too
+function createMappedListener() {
+  const listener = createListener({ mapping });
+  listener.contract = { interface: mappedInterface };
+  return listener;
+}
+
+function updateLog(description, updatedBy, blockNumber) {
+  return makeLog('AssetMetadataUpdated', [assetId, updatedBy, description], {
+    transactionHash: `0xtx${blockNumber}`, blockNumber, blockHash: `0xhash${blockNumber}`
+  }, mappedInterface);
+}
+
+describe('Event mapping', () => {
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    mockProvider.getBlock.mockImplementation(async (blockNumber) => ({ number: blockNumber, hash: `0xhash${blockNumber}`, timestamp: 1700000000 + blockNumber }));
+    mockProvider.getLogs.mockResolvedValue([]);
+
+    await Asset.destroy({ where: {} });
+    await SyncCheckpoint.destroy({ where: {} });
+    await RawEvent.destroy({ where: {} });
+    await AssetMetadata.destroy({ where: {} });
+    await AssetBurn.destroy({ where: {} });
+  });
+
+  describe('validation', () => {
+    const entities = { AssetBurn: { assetId: 'string' } };
+    const burnRule = { event: burned, entity: 'AssetBurn', action: 'insert', columns: { assetId: '$args.id' } };
+
+    it.each([
+      ['an invalid signature', { entities, events: [{ ...burnRule, event: 'AssetBurned(' }] }, 'is not a valid event signature'],
+      ['a built-in event', { entities, events: [{ ...burnRule, event: 'AssetTransferred(bytes32 indexed id, address indexed newOwner)' }] }, 'handled by the built-in handlers'],
+      ['an unknown entity', { entities, events: [{ ...burnRule, entity: 'Burn' }] }, 'unknown entity Burn'],
+      ['an unknown action', { entities, events: [{ ...burnRule, action: 'merge' }] }, 'action must be one of'],
+      ['an unknown column', { entities, events: [{ ...burnRule, columns: { owner: '$args.owner' } }] }, 'AssetBurn has no column owner'],
+      ['an unknown argument', { entities, events: [{ ...burnRule, columns: { assetId: '$args.assetId' } }] }, 'AssetBurned has no argument assetId'],
+      ['an unknown value', { entities, events: [{ ...burnRule, columns: { assetId: '$block.gasUsed' } }] }, 'unknown value $block.gasUsed'],
+      ['an upsert without key', { entities, events: [{ ...burnRule, action: 'upsert' }] }, 'upsert needs a key made of mapped columns'],
+      ['an unknown column type', { entities: { AssetBurn: { assetId: 'uuid' } }, events: [burnRule] }, 'unknown type uuid'],
+      ['a reserved column', { entities: { AssetBurn: { blockNumber: 'bigint' } }, events: [burnRule] }, 'column blockNumber is reserved'],
+      ['a column named like a query parameter', { entities: { AssetBurn: { assetId: 'string', cursor: 'string' } }, events: [burnRule] }, 'column cursor is reserved'],
+      ['a built-in table', { entities: { Transfer: { assetId: 'string' } }, events: [burnRule] }, 'taken by a built-in table'],
+      ['no events', { entities, events: [] }, 'does not list any events']
+    ])('should reject %s', (name, invalidConfig, message) => {
+      expect(() => new EventMapping(invalidConfig, testSequelize)).toThrow(message);
+    });
+  });
+
+  it('should fetch mapped events together with the built-in ones', async () => {
+    const listener = createMappedListener();
+
+    await listener.fetchLogs(100, 109);
+
+    const [topicHashes] = mockProvider.getLogs.mock.calls[0][0].topics;
+    expect(topicHashes).toHaveLength(4);
+    expect(topicHashes).toContain(ethers.id('AssetBurned(bytes32,address)'));
+    expect(topicHashes).toContain(ethers.id('AssetMetadataUpdated(bytes32,address,string)'));
+  });
+
+  it('should keep decoding mapped events after a reconnect', async () => {
+    const listener = new EventListener(contractAddress, rpcUrl, AssetRegistryABI, { chainId, mapping });
+    const createProviderSpy = jest.spyOn(listener, 'createProvider').mockReturnValue(mockProvider);
+    mockProvider.getBlockNumber.mockResolvedValue(110);
+    mockProvider.getLogs.mockResolvedValue([]);
+    mockProvider.getLogs.mockResolvedValueOnce([updateLog('Reconnected', owner1, 100)]);
+
+    try {
+      await listener.connect(rpcUrl, 'http');
+      await listener.syncRange(100, 109);
+    } finally {
+      createProviderSpy.mockRestore();
+    }
+
+    expect(mockProvider.getLogs.mock.calls[0][0].topics[0]).toContain(ethers.id('AssetBurned(bytes32,address)'));
+    const row = await AssetMetadata.findOne();
+    expect(row.description).toBe('Reconnected');
+  });
+
+  it('should upsert rows by key with mapped args, block values and literals', async () => {
+    const listener = createMappedListener();
+    mockProvider.getLogs.mockResolvedValueOnce([
+      updateLog('First', owner1, 100),
+      updateLog('Second', ethers.getAddress(owner2), 101)
+    ]);
+
+    await listener.syncRange(100, 101);
+
+    const rows = await AssetMetadata.findAll();
+    expect(rows).toHaveLength(1);
+    expect(rows[0]).toMatchObject({
+      chainId,
+      contractAddress,
+      assetId,
+      description: 'Second',
+      updatedBy: owner2,
+      source: 'contract',
+      transactionHash: '0xtx101'
+    });
+    expect(Number(rows[0].updatedAt)).toBe(1700000101);
+  });
+
+  it('should not let an older event overwrite a newer one', async () => {
+    const listener = createMappedListener();
+    mockProvider.getLogs.mockResolvedValueOnce([updateLog('Newer', owner2, 105)]);
+    await listener.syncRange(105, 105);
+
+    // e.g. a failed range retried after later blocks were synced
+    mockProvider.getLogs.mockResolvedValueOnce([updateLog('Older', owner1, 100)]);
+    await listener.syncRange(100, 100);
+
+    const row = await AssetMetadata.findOne();
+    expect(row.description).toBe('Newer');
+  });
+
+  it('should insert a row per event and delete by key', async () => {
+    const listener = createMappedListener();
+    mockProvider.getLogs.mockResolvedValueOnce([
+      updateLog('Described', owner1, 100),
+      makeLog('AssetBurned', [assetId, owner1], { transactionHash: '0xtx101', blockNumber: 101, blockHash: '0xhash101' }, mappedInterface)
+    ]);
+
+    await listener.syncRange(100, 101);
+    await listener.syncRange(101, 101);
+
+    expect(await AssetMetadata.count()).toBe(0);
+    const burns = await AssetBurn.findAll();
+    expect(burns).toHaveLength(1);
+    expect(burns[0]).toMatchObject({ assetId, burnedBy: owner1, transactionHash: '0xtx101' });
+    expect(Number(burns[0].burnedAtBlock)).toBe(101);
+  });
+
+  it('should replay mapped entities from the raw log when a block is orphaned', async () => {
+    const listener = createMappedListener();
+    mockProvider.getLogs.mockResolvedValueOnce([
+      updateLog('Kept', owner1, 100),
+      updateLog('Orphaned', owner2, 101)
+    ]);
+    await listener.syncRange(100, 101);
+
+    await listener.rollbackFromBlock(101);
+
+    const row = await AssetMetadata.findOne();
+    expect(row.description).toBe('Kept');
+    expect(row.updatedBy).toBe(owner1);
+  });
+
+  it('should rebuild mapped entities offline', async () => {
+    mockProvider.getLogs.mockResolvedValueOnce([updateLog('Stored', owner1, 100)]);
+    await createMappedListener().syncRange(100, 100);
+    await AssetMetadata.update({ description: 'Broken' }, { where: {} });
+
+    const offline = new EventListener(contractAddress, null, AssetRegistryABI, { chainId, mapping });
+    await offline.rebuildProjections();
+
+    const rows = await AssetMetadata.findAll();
+    expect(rows.map(row => row.description)).toEqual(['Stored']);
+  });
+});
@@ -0,0 +1,116 @@
+import { describe, it, expect, beforeEach, jest } from '@jest/globals';
+import {
+  TestAsset as Asset,
+  TestTransfer as Transfer,
+  TestFailedRange as FailedRange
+} from './testDb.js';
+import { assetId, owner1, owner2, owner3, mockProvider, makeLog, createListener } from './testChain.js';
+import './setup.js';
+
+describe('Failed range tracking', () => {
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    mockProvider.getBlock.mockResolvedValue({ timestamp: 1234567890 });
+    mockProvider.getLogs.mockResolvedValue([]);
+
+    await Transfer.destroy({ where: {} });
+    await Asset.destroy({ where: {} });
+    await FailedRange.destroy({ where: {} });
+  });
+
+  it('should record a failed range with its error', async () => {
+    const listener = createListener();
+    mockProvider.getLogs.mockRejectedValueOnce(new Error('RPC Error'));
+
+    await listener.syncHistoricalEvents(100, 109);
+
+    const ranges = await FailedRange.findAll();
+    expect(ranges).toHaveLength(1);
+    expect(Number(ranges[0].fromBlock)).toBe(100);
+    expect(Number(ranges[0].toBlock)).toBe(109);
+    expect(ranges[0].error).toBe('RPC Error');
+    expect(ranges[0].attempts).toBe(1);
+    expect(ranges[0].status).toBe('pending');
+    expect(ranges[0].nextRetryAt.getTime()).toBeGreaterThan(Date.now());
+  });
+
+  it('should report the sync as complete only when no range failed', async () => {
+    const listener = createListener();
+
+    const result = await listener.syncHistoricalEvents(100, 109);
+
+    expect(result.complete).toBe(true);
+    expect(listener.syncProgress.complete).toBe(true);
+  });
+
+  describe('retryFailedRanges', () => {
+    it('should not retry ranges before their backoff expires', async () => {
+      const listener = createListener();
+      await listener.recordFailedRange(100, 109, new Error('RPC Error'));
+
+      const result = await listener.retryFailedRanges();
+
+      expect(result.retried).toBe(0);
+      expect(mockProvider.getLogs).not.toHaveBeenCalled();
+    });
+
+    it('should resolve a range once the retry succeeds', async () => {
+      const listener = createListener();
+      await listener.recordFailedRange(100, 109, new Error('RPC Error'));
+      await FailedRange.update({ nextRetryAt: new Date(Date.now() - 1000) }, { where: {} });
+
+      mockProvider.getLogs.mockResolvedValueOnce([
+        makeLog('AssetRegistered', [assetId, owner1, 'Test Asset', 1234567890], { transactionHash: '0xtx1', blockNumber: 105 })
+      ]);
+
+      const result = await listener.retryFailedRanges();
+
+      expect(result).toEqual({ retried: 1, resolved: 1, pending: 0 });
+      const range = await FailedRange.findOne();
+      expect(range.status).toBe('resolved');
+      expect(range.attempts).toBe(2);
+      expect(range.resolvedAt).toBeInstanceOf(Date);
+      expect(await Asset.findByPk(assetId)).not.toBeNull();
+    });
+
+    it('should count the attempt and push back the next retry when it fails again', async () => {
+      const listener = createListener();
+      await listener.recordFailedRange(100, 109, new Error('RPC Error'));
+      const firstRetryAt = (await FailedRange.findOne()).nextRetryAt;
+
+      mockProvider.getLogs.mockRejectedValueOnce(new Error('Still down'));
+
+      const result = await listener.retryFailedRanges({ force: true });
+
+      expect(result).toEqual({ retried: 1, resolved: 0, pending: 1 });
+      const range = await FailedRange.findOne();
+      expect(range.attempts).toBe(2);
+      expect(range.error).toBe('Still down');
+      expect(range.nextRetryAt.getTime()).toBeGreaterThan(firstRetryAt.getTime());
+    });
+  });
+
+  describe('out-of-order transfers', () => {
+    it('should converge to the right owners when an earlier range is retried later', async () => {
+      const listener = createListener();
+
+      await listener.handleAssetRegistered(assetId, owner1, 'Test Asset', '1234567890', {
+        transactionHash: '0xtx100', blockNumber: 100
+      });
+
+      // Block 120 synced first; block 110 comes in later from a retried range
+      await listener.handleAssetTransferred(assetId, owner3, { transactionHash: '0xtx120', blockNumber: 120 });
+      await listener.handleAssetTransferred(assetId, owner2, { transactionHash: '0xtx110', blockNumber: 110 });
+
+      const asset = await Asset.findByPk(assetId);
+      expect(asset.owner).toBe(owner3);
+
+      const transfers = await Transfer.findAll({ order: [['blockNumber', 'ASC'], ['logIndex', 'ASC']] });
+      expect(transfers.map(t => [t.fromOwner, t.toOwner])).toEqual([
+        [null, owner1],
+        [owner1, owner2],
+        [owner2, owner3]
+      ]);
+    });
+  });
+});
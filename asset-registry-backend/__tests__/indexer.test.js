@@ -0,0 +1,178 @@
+import { describe, it, expect, beforeEach, jest } from '@jest/globals';
+import { testSequelize, TestAsset as Asset } from './testDb.js';
+import {
+  scope,
+  assetId,
+  owner1,
+  owner2,
+  owner3,
+  mockProvider,
+  makeLog,
+  createListener
+} from './testChain.js';
+import { EventMapping } from '../eventMapping.js';
+import './setup.js';
+
+// The public entry point, on the default SequelizeStorage over the in-memory test models
+const { MemoryStorage } = await import('../indexer.js');
+
+let canonicalHashes = {};
+
+const registeredLog = makeLog('AssetRegistered', [assetId, owner1, 'Test Asset', 1234567890], {
+  transactionHash: '0xtx1', blockNumber: 100, blockHash: '0xhash100'
+});
+const transferLogs = [
+  makeLog('AssetTransferred', [assetId, owner2], { transactionHash: '0xtx2', blockNumber: 101, blockHash: '0xhash101' }),
+  makeLog('AssetTransferred', [assetId, owner3], { transactionHash: '0xtx3', blockNumber: 102, blockHash: '0xhash102' })
+];
+
+// Collect every event the indexer emits, in order
+function recordEvents(indexer) {
+  const events = [];
+  for (const name of ['assetRegistered', 'assetTransferred', 'reorg', 'synced', 'error']) {
+    indexer.on(name, (payload, context) => events.push(name === 'error' ? [name, payload.message, context] : [name, payload]));
+  }
+  return events;
+}
+
+describe('Embedded indexer', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    canonicalHashes = {};
+    mockProvider.getBlock.mockImplementation(async (blockNumber) => ({
+      number: blockNumber,
+      hash: canonicalHashes[blockNumber] || `0xhash${blockNumber}`,
+      timestamp: 1234567890 + blockNumber
+    }));
+    mockProvider.getLogs.mockResolvedValue([registeredLog, ...transferLogs]);
+  });
+
+  describe('with MemoryStorage', () => {
+    it('should index into memory and emit typed events in chain order', async () => {
+      const storage = new MemoryStorage();
+      const indexer = createListener({ storage });
+      const events = recordEvents(indexer);
+
+      await indexer.syncHistoricalEvents(100, 102);
+
+      expect((await storage.findAsset(scope, assetId)).owner).toBe(owner3);
+      expect(await storage.listTransfers(scope)).toHaveLength(3);
+      expect(await storage.getCheckpoint(scope)).toBe(102);
+
+      expect(events.map(([name]) => name)).toEqual(['assetRegistered', 'assetTransferred', 'assetTransferred', 'synced']);
+      expect(events[0][1]).toEqual({
+        ...scope,
+        assetId,
+        owner: owner1,
+        description: 'Test Asset',
+        timestamp: 1234567890,
+        blockNumber: 100,
+        blockHash: '0xhash100',
+        transactionHash: '0xtx1',
+        logIndex: 0
+      });
+      expect(events[2][1]).toMatchObject({ from: owner2, to: owner3, timestamp: 1234567992, blockNumber: 102 });
+      expect(events[3][1]).toEqual({
+        fromBlock: 100,
+        toBlock: 102,
+        registered: 1,
+        transferred: 2,
+        failedRanges: 0,
+        complete: true,
+        durationMs: expect.any(Number),
+        blocksPerSecond: expect.any(Number),
+        eventsPerSecond: expect.any(Number)
+      });
+    });
+
+    it('should not emit events again when blocks are synced again', async () => {
+      const indexer = createListener({ storage: new MemoryStorage() });
+      await indexer.syncRange(100, 102);
+      const events = recordEvents(indexer);
+
+      await indexer.syncRange(100, 102);
+
+      expect(events).toEqual([]);
+    });
+
+    it('should roll back a block and emit nothing when its transaction fails', async () => {
+      const storage = new MemoryStorage();
+      const indexer = createListener({ storage });
+      const events = recordEvents(indexer);
+      jest.spyOn(storage, 'setCheckpoint').mockRejectedValueOnce(new Error('Disk full'));
+      mockProvider.getLogs.mockResolvedValueOnce([registeredLog]);
+
+      await expect(indexer.syncRange(100, 100)).rejects.toThrow('Disk full');
+
+      expect(await storage.findAsset(scope, assetId)).toBeNull();
+      expect(await storage.listRawEvents(scope)).toEqual([]);
+      expect(events).toEqual([]);
+    });
+
+    it('should report a failing event as an error and dead-letter it', async () => {
+      const storage = new MemoryStorage();
+      const indexer = createListener({ storage });
+      const events = recordEvents(indexer);
+      jest.spyOn(indexer, 'handleAssetTransferred').mockRejectedValueOnce(new Error('Bug'));
+
+      await indexer.syncRange(100, 102);
+
+      expect(events.map(([name]) => name)).toEqual(['assetRegistered', 'error', 'assetTransferred']);
+      expect(events[1]).toEqual(['error', 'Bug', { stage: 'event', transactionHash: '0xtx2', logIndex: 0 }]);
+      expect(await storage.listPendingDeadLetters(scope)).toHaveLength(1);
+    });
+
+    it('should roll back orphaned blocks and emit a reorg', async () => {
+      const storage = new MemoryStorage();
+      const indexer = createListener({ storage });
+      await indexer.syncRange(100, 102);
+      const events = recordEvents(indexer);
+
+      canonicalHashes[101] = '0xforked101';
+      expect(await indexer.checkForReorg()).toBe(101);
+
+      expect(events).toEqual([['reorg', { ...scope, blockNumber: 101, rolledBack: 2 }]]);
+      expect((await storage.findAsset(scope, assetId)).owner).toBe(owner1);
+      expect(await storage.getCheckpoint(scope)).toBe(100);
+      expect(await storage.listRawEvents(scope)).toHaveLength(1);
+    });
+
+    it('should rebuild from the raw event log without emitting', async () => {
+      const storage = new MemoryStorage();
+      const indexer = createListener({ storage });
+      await indexer.syncRange(100, 102);
+      await storage.updateAsset(await storage.findAsset(scope, assetId), { owner: owner1 });
+      const events = recordEvents(indexer);
+
+      expect(await indexer.rebuildProjections()).toEqual({ replayed: 3, pendingTransfers: 0 });
+
+      expect((await storage.findAsset(scope, assetId)).owner).toBe(owner3);
+      expect(events).toEqual([]);
+    });
+
+    it('should refuse an event mapping', () => {
+      const mapping = new EventMapping({
+        entities: { AssetBurn: { assetId: 'string' } },
+        events: [{ event: 'AssetBurned(bytes32 indexed id, address indexed owner)', entity: 'AssetBurn', action: 'insert', columns: { assetId: '$args.id' } }]
+      }, testSequelize);
+
+      expect(() => createListener({ storage: new MemoryStorage(), mapping })).toThrow('An event mapping needs a SequelizeStorage');
+    });
+  });
+
+  describe('with the default SequelizeStorage', () => {
+    it('should emit events once the block is committed', async () => {
+      const indexer = createListener();
+      const owners = [];
+      indexer.on('assetRegistered', async ({ assetId: id }) => {
+        owners.push((await Asset.findOne({ where: { ...scope, id } })).owner);
+      });
+      mockProvider.getLogs.mockResolvedValueOnce([registeredLog]);
+
+      await indexer.syncRange(100, 100);
+      await new Promise((resolve) => setImmediate(resolve));
+
+      expect(owners).toEqual([owner1]);
+    });
+  });
+});
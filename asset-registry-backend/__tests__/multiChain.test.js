@@ -0,0 +1,151 @@
+import { describe, it, expect, beforeEach } from '@jest/globals';
+import {
+  TestAsset as Asset,
+  TestTransfer as Transfer,
+  TestSyncCheckpoint as SyncCheckpoint
+} from './testDb.js';
+import {
+  EventListener,
+  rpcUrl,
+  assetId,
+  owner1,
+  owner2,
+  contractInterface,
+  createMockProvider
+} from './testChain.js';
+import { AssetRegistryABI } from '../contractABI.js';
+import './setup.js';
+
+const { TaskQueue } = await import('../taskQueue.js');
+
+const hardhat = { chainId: 31337, contractAddress: '0x5fbdb2315678afecb367f032d93f642f64180aa3' };
+const sepolia = { chainId: 11155111, contractAddress: '0x4de8a863f6fca76498d26be85ff1323f5e01a6c2' };
+const otherContract = { chainId: 31337, contractAddress: '0xe7f1725e7734ce288f8367e1bb143e90bb3f0512' };
+
+// Each listener gets a provider of its own chain
+function createListener({ chainId, contractAddress }, options = {}) {
+  const listener = new EventListener(contractAddress, rpcUrl, AssetRegistryABI, { chainId, ...options });
+  listener.provider = createMockProvider(chainId);
+  listener.contract = { interface: contractInterface };
+  return listener;
+}
+
+// The same transaction position on each chain, as a fresh Hardhat node and a testnet can produce
+async function register(listener, owner) {
+  await listener.handleAssetRegistered(assetId, owner, 'Test Asset', '1234567890', {
+    transactionHash: '0xtx1', blockNumber: 100, blockHash: '0xhash100'
+  });
+}
+
+describe('Multiple chains and contracts', () => {
+  beforeEach(async () => {
+    await Transfer.destroy({ where: {} });
+    await Asset.destroy({ where: {} });
+    await SyncCheckpoint.destroy({ where: {} });
+  });
+
+  it('should tag every record with its chain and contract', async () => {
+    const listener = createListener(sepolia);
+
+    await register(listener, owner1);
+
+    const asset = await Asset.findOne();
+    expect(asset.chainId).toBe(sepolia.chainId);
+    expect(asset.contractAddress).toBe(sepolia.contractAddress);
+    const transfer = await Transfer.findOne();
+    expect(transfer.chainId).toBe(sepolia.chainId);
+    expect(transfer.contractAddress).toBe(sepolia.contractAddress);
+  });
+
+  it('should keep the same asset id and transaction apart on different chains', async () => {
+    const local = createListener(hardhat);
+    const testnet = createListener(sepolia);
+
+    await register(local, owner1);
+    await register(testnet, owner2);
+    await local.handleAssetTransferred(assetId, owner2, { transactionHash: '0xtx2', blockNumber: 101, blockHash: '0xhash101' });
+
+    const assets = await Asset.findAll({ order: [['chainId', 'ASC']] });
+    expect(assets.map(a => [a.chainId, a.owner])).toEqual([
+      [hardhat.chainId, owner2],
+      [sepolia.chainId, owner2]
+    ]);
+    expect(await Transfer.count({ where: { chainId: hardhat.chainId } })).toBe(2);
+    expect(await Transfer.count({ where: { chainId: sepolia.chainId } })).toBe(1);
+  });
+
+  it('should keep a separate checkpoint per chain and contract', async () => {
+    const local = createListener(hardhat);
+    const other = createListener(otherContract);
+    const testnet = createListener(sepolia);
+
+    await local.saveCheckpoint(100);
+    await other.saveCheckpoint(200);
+    await testnet.saveCheckpoint(9600520);
+
+    expect(await local.getCheckpoint()).toBe(100);
+    expect(await other.getCheckpoint()).toBe(200);
+    expect(await testnet.getCheckpoint()).toBe(9600520);
+    expect(await SyncCheckpoint.count()).toBe(3);
+  });
+
+  it('should only roll back the chain that reorganized', async () => {
+    const local = createListener(hardhat);
+    const testnet = createListener(sepolia);
+    await register(local, owner1);
+    await register(testnet, owner1);
+    await local.saveCheckpoint(100);
+    await testnet.saveCheckpoint(100);
+
+    local.provider.getBlock.mockResolvedValue({ number: 100, hash: '0xforked', timestamp: 1234567890 });
+    expect(await local.checkForReorg()).toBe(100);
+
+    expect(await Asset.count({ where: { chainId: hardhat.chainId } })).toBe(0);
+    expect(await Asset.count({ where: { chainId: sepolia.chainId } })).toBe(1);
+    expect(await testnet.getCheckpoint()).toBe(100);
+  });
+
+  describe('resolveChainId', () => {
+    it('should read the chain id from the RPC when none is configured', async () => {
+      const listener = new EventListener(sepolia.contractAddress, rpcUrl, AssetRegistryABI);
+      listener.provider = createMockProvider(sepolia.chainId);
+
+      expect(listener.chainId).toBeNull();
+      expect(await listener.resolveChainId()).toBe(sepolia.chainId);
+      expect(listener.scope()).toEqual(sepolia);
+    });
+
+    it('should refuse an RPC that serves a different chain', async () => {
+      const listener = createListener(sepolia);
+      listener.provider.getNetwork.mockResolvedValue({ chainId: 1n });
+
+      await expect(listener.start()).rejects.toThrow('serves chain 1, expected chain 11155111');
+      expect(listener.isListening).toBe(false);
+    });
+  });
+
+  describe('shared queue', () => {
+    it('should run the writes of all listeners one at a time', async () => {
+      const queue = new TaskQueue();
+      const local = createListener(hardhat, { queue });
+      const testnet = createListener(sepolia, { queue });
+      const steps = [];
+      let releaseFirst;
+
+      const first = local.enqueue(async () => {
+        steps.push('hardhat:start');
+        await new Promise(resolve => { releaseFirst = resolve; });
+        steps.push('hardhat:end');
+      });
+      const second = testnet.enqueue(async () => {
+        steps.push('sepolia');
+      });
+
+      await new Promise(resolve => setImmediate(resolve));
+      releaseFirst();
+      await Promise.all([first, second]);
+
+      expect(steps).toEqual(['hardhat:start', 'hardhat:end', 'sepolia']);
+    });
+  });
+});
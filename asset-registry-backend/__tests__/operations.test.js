@@ -0,0 +1,141 @@
+import { describe, it, expect, beforeEach, jest } from '@jest/globals';
+import {
+  TestAsset as Asset,
+  TestTransfer as Transfer,
+  TestSyncCheckpoint as SyncCheckpoint,
+  TestFailedRange as FailedRange,
+  TestDeadLetterEvent as DeadLetterEvent,
+  TestRawEvent as RawEvent
+} from './testDb.js';
+import {
+  scope,
+  assetId,
+  owner1,
+  owner2,
+  owner3,
+  mockProvider,
+  makeLog,
+  getLogsFrom,
+  createListener
+} from './testChain.js';
+import './setup.js';
+
+const otherAssetId = '0xabcdefabcdefabcdefabcdefabcdefabcdefabcdefabcdefabcdefabcdefabcd';
+
+// Blocks are final after one confirmation; logs are read up to 100 blocks at a time
+const listenerOptions = { confirmations: 1, chunkSize: 100 };
+
+const assetLogs = [
+  makeLog('AssetRegistered', [assetId, owner1, 'Test Asset', 1234567890], { transactionHash: '0xtx1', blockNumber: 100, blockHash: '0xhash100' }),
+  makeLog('AssetTransferred', [assetId, owner2], { transactionHash: '0xtx2', blockNumber: 101, blockHash: '0xhash101' }),
+  makeLog('AssetTransferred', [assetId, owner3], { transactionHash: '0xtx3', blockNumber: 102, blockHash: '0xhash102' })
+];
+const otherLogs = [
+  makeLog('AssetRegistered', [otherAssetId, owner2, 'Other Asset', 1234567890], { transactionHash: '0xtx4', blockNumber: 100, blockHash: '0xhash100', index: 1 })
+];
+
+describe('Operations', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockProvider.getBlock.mockImplementation(async (blockNumber) => ({ number: blockNumber, hash: `0xhash${blockNumber}`, timestamp: 1234567890 + blockNumber }));
+    mockProvider.getBlockNumber.mockResolvedValue(110);
+    mockProvider.getLogs.mockImplementation(getLogsFrom([...assetLogs, ...otherLogs]));
+  });
+
+  describe('resyncAsset', () => {
+    it('should replace the records of one asset with its events from the chain', async () => {
+      const listener = createListener(listenerOptions);
+      await listener.syncHistoricalEvents(100, 105);
+
+      // A dropped transfer: the index missed the event at block 102
+      await Transfer.destroy({ where: { transactionHash: '0xtx3' } });
+      await Asset.update({ owner: owner2 }, { where: { id: assetId } });
+      // Also dropped for the other asset, which the resync must not repair
+      await Asset.update({ owner: owner3 }, { where: { id: otherAssetId } });
+
+      expect(await listener.resyncAsset(assetId, { fromBlock: 90 })).toBe(3);
+
+      const filter = mockProvider.getLogs.mock.calls.at(-1)[0];
+      expect(filter).toMatchObject({ fromBlock: 90, toBlock: 105 });
+      expect(filter.topics).toHaveLength(1);
+
+      expect((await Asset.findOne({ where: { ...scope, id: assetId } })).owner).toBe(owner3);
+      const transfers = await Transfer.findAll({ where: { assetId }, order: [['blockNumber', 'ASC']] });
+      expect(transfers.map((transfer) => [transfer.fromOwner, transfer.toOwner])).toEqual([[null, owner1], [owner1, owner2], [owner2, owner3]]);
+      expect(transfers.every((transfer) => transfer.status === 'confirmed')).toBe(true);
+
+      // Other assets are left alone, and the raw log is not duplicated
+      expect((await Asset.findOne({ where: { ...scope, id: otherAssetId } })).owner).toBe(owner3);
+      expect(await Transfer.count({ where: { assetId: otherAssetId } })).toBe(1);
+      expect(await RawEvent.count()).toBe(4);
+    });
+
+    it('should keep the stored records when the chain has no registration of the asset', async () => {
+      const listener = createListener(listenerOptions);
+      await listener.syncHistoricalEvents(100, 105);
+
+      await expect(listener.resyncAsset(assetId, { fromBlock: 101 })).rejects.toThrow('No AssetRegistered event');
+
+      expect(await Asset.count({ where: { id: assetId } })).toBe(1);
+      expect(await Transfer.count({ where: { assetId } })).toBe(3);
+    });
+
+    it('should refuse to resync before the first sync', async () => {
+      await expect(createListener(listenerOptions).resyncAsset(assetId)).rejects.toThrow('has not been synced yet');
+    });
+  });
+
+  describe('resetIndex', () => {
+    it('should delete the index and checkpoint but keep the raw event log', async () => {
+      const listener = createListener(listenerOptions);
+      await listener.syncHistoricalEvents(100, 105);
+      await FailedRange.create({ ...scope, fromBlock: '106', toBlock: '110', error: 'timeout', nextRetryAt: new Date() });
+
+      expect(await listener.resetIndex()).toEqual({ assets: 2, transfers: 4, rawEvents: 0 });
+
+      expect(await Asset.count()).toBe(0);
+      expect(await Transfer.count()).toBe(0);
+      expect(await FailedRange.count()).toBe(0);
+      expect(await SyncCheckpoint.count()).toBe(0);
+      expect(await RawEvent.count()).toBe(4);
+    });
+
+    it('should delete the raw event log when asked to', async () => {
+      const listener = createListener(listenerOptions);
+      await listener.syncHistoricalEvents(100, 105);
+
+      expect(await listener.resetIndex({ rawEvents: true })).toMatchObject({ rawEvents: 4 });
+      expect(await RawEvent.count()).toBe(0);
+    });
+  });
+
+  describe('getStatus', () => {
+    it('should compare the checkpoint with the chain head', async () => {
+      const listener = createListener(listenerOptions);
+      await listener.syncHistoricalEvents(100, 105);
+      await DeadLetterEvent.create({ ...scope, eventName: 'AssetTransferred', blockNumber: '103', transactionHash: '0xtx9', logIndex: 0, rawLog: '{}', args: '[]', error: 'Bug' });
+
+      expect(await listener.getStatus()).toEqual({
+        name: null,
+        ...scope,
+        isListening: false,
+        isBackfilling: false,
+        connectionMode: 'http',
+        checkpoint: 105,
+        headBlock: 110,
+        lag: 5,
+        lagSeconds: 5,
+        syncProgress: expect.objectContaining({ fromBlock: 100, toBlock: 105, lastBlock: 105, complete: true }),
+        failedRanges: 0,
+        deadLetters: 1,
+        pendingTransfers: 0
+      });
+    });
+
+    it('should report an unknown head when the RPC fails', async () => {
+      mockProvider.getBlockNumber.mockRejectedValueOnce(new Error('ECONNREFUSED'));
+
+      expect(await createListener(listenerOptions).getStatus()).toMatchObject({ checkpoint: null, headBlock: null, lag: null, lagSeconds: null });
+    });
+  });
+});
@@ -0,0 +1,99 @@
+import { describe, it, expect, beforeEach, jest } from '@jest/globals';
+import { testDbModule, TestAsset as Asset, TestTransfer as Transfer } from './testDb.js';
+import './setup.js';
+
+// Point the profile queries at the in-memory test models
+jest.unstable_mockModule('../db.js', () => testDbModule);
+
+const { getOwnerProfile, describeActivity, COUNTERPARTY_LIMIT } = await import('../ownerProfile.js');
+
+const scope = { chainId: 31337, contractAddress: '0x1234567890123456789012345678901234567890' };
+const owner1 = '0x1111111111111111111111111111111111111111';
+const owner2 = '0x2222222222222222222222222222222222222222';
+const owner3 = '0x3333333333333333333333333333333333333333';
+
+function assetId(n) {
+  return `0x${n.toString(16).padStart(64, '0')}`;
+}
+
+let blockNumber = 100;
+async function createTransfer(n, fromOwner, toOwner, extra = {}) {
+  blockNumber += 1;
+  return Transfer.create({
+    ...scope,
+    assetId: assetId(n),
+    fromOwner,
+    toOwner,
+    blockNumber: String(blockNumber),
+    transactionHash: `0xtx${blockNumber}`,
+    timestamp: String(1234567890 + blockNumber),
+    transferredAt: new Date((1234567890 + blockNumber) * 1000),
+    ...extra
+  });
+}
+
+describe('Owner profile', () => {
+  beforeEach(async () => {
+    blockNumber = 100;
+    // owner1 registers assets 1 and 2, sends both to owner2, gets asset 1 back and sends it to owner3
+    await createTransfer(1, null, owner1);
+    await createTransfer(2, null, owner1);
+    await createTransfer(1, owner1, owner2);
+    await createTransfer(2, owner1, owner2);
+    await createTransfer(1, owner2, owner1);
+    await createTransfer(1, owner1, owner3);
+    // owner2 registers asset 3 and sends it to owner1
+    await createTransfer(3, null, owner2);
+    await createTransfer(3, owner2, owner1);
+    await Asset.bulkCreate([
+      { ...scope, id: assetId(1), owner: owner3, description: 'Asset 1', timestamp: '1234567990', registeredAt: new Date() },
+      { ...scope, id: assetId(2), owner: owner2, description: 'Asset 2', timestamp: '1234567990', registeredAt: new Date() },
+      { ...scope, id: assetId(3), owner: owner1, description: 'Asset 3', timestamp: '1234567990', registeredAt: new Date() }
+    ]);
+  });
+
+  it('should count assets and rank counterparties', async () => {
+    const profile = await getOwnerProfile(owner1, scope);
+
+    expect(profile).toEqual({
+      address: owner1,
+      registered: 2,
+      held: 1,
+      received: 2,
+      sent: 2,
+      firstActivityAt: new Date((1234567890 + 101) * 1000),
+      lastActivityAt: new Date((1234567890 + 108) * 1000),
+      counterparties: [
+        { address: owner2, sent: 2, received: 2, transfers: 4 },
+        { address: owner3, sent: 1, received: 0, transfers: 1 }
+      ]
+    });
+  });
+
+  it('should keep to the scope filter', async () => {
+    const profile = await getOwnerProfile(owner1, { chainId: 1 });
+
+    expect(profile).toMatchObject({ registered: 0, held: 0, received: 0, sent: 0, firstActivityAt: null, lastActivityAt: null, counterparties: [] });
+  });
+
+  it('should list the most frequent counterparties only', async () => {
+    for (let n = 0; n <= COUNTERPARTY_LIMIT; n++) {
+      await createTransfer(3, owner1, `0x${(n + 16).toString(16).padStart(40, '0')}`);
+    }
+
+    const profile = await getOwnerProfile(owner1, scope);
+
+    expect(profile.counterparties).toHaveLength(COUNTERPARTY_LIMIT);
+    expect(profile.counterparties[0].address).toBe(owner2);
+  });
+
+  it('should describe transfers from the side of the address', async () => {
+    const transfers = await Transfer.findAll({ where: { assetId: assetId(1) }, order: [['blockNumber', 'ASC']] });
+
+    expect(transfers.slice(0, 3).map((transfer) => describeActivity(transfer, owner1))).toEqual([
+      { type: 'registered', counterparty: null },
+      { type: 'sent', counterparty: owner2 },
+      { type: 'received', counterparty: owner2 }
+    ]);
+  });
+});
@@ -0,0 +1,172 @@
+import { describe, it, expect, beforeEach } from '@jest/globals';
+import { TestAsset as Asset, TestTransfer as Transfer } from './testDb.js';
+import { parseListQuery, findPage, partPage, nextCursor, nextPartsCursor, projectRows, DEFAULT_PAGE_SIZE } from '../pagination.js';
+import './setup.js';
+
+const scope = { chainId: 31337, contractAddress: '0x1234567890123456789012345678901234567890' };
+const owner1 = '0x1111111111111111111111111111111111111111';
+const owner2 = '0x2222222222222222222222222222222222222222';
+
+// The lists of index.js, on the test models
+const ASSET_LIST = {
+  model: Asset,
+  sortFields: ['registeredAt', 'id', 'owner'],
+  defaultOrder: 'desc',
+  tieBreakers: ['chainId', 'contractAddress', 'id'],
+  associations: ['transfers']
+};
+const TRANSFER_LIST = {
+  model: Transfer,
+  sortFields: ['blockNumber', 'transferredAt'],
+  defaultOrder: 'asc',
+  tieBreakers: ['blockNumber', 'logIndex', 'id'],
+  associations: ['asset']
+};
+const SEARCH_PARTS = { transfers: { ...TRANSFER_LIST, defaultOrder: 'desc' }, assets: ASSET_LIST };
+
+function assetId(n) {
+  return `0x${n.toString(16).padStart(64, '0')}`;
+}
+
+// Follow nextCursor until the last page, collecting the rows
+async function readAllPages(list, query, options = {}) {
+  const rows = [];
+  let cursor;
+  do {
+    const page = parseListQuery({ ...query, ...(cursor && { cursor }) }, list);
+    const result = await findPage(list, page, options);
+    rows.push(...result.rows);
+    cursor = nextCursor(page, result);
+  } while (cursor);
+  return rows;
+}
+
+describe('Pagination', () => {
+  beforeEach(async () => {
+    // Five assets, two registered at the same time, with two transfers per block
+    for (let n = 1; n <= 5; n++) {
+      await Asset.create({
+        ...scope,
+        id: assetId(n),
+        owner: n % 2 ? owner1 : owner2,
+        description: `Asset ${n}`,
+        timestamp: '1234567890',
+        registeredAt: new Date((1234567890 + Math.min(n, 4)) * 1000)
+      });
+    }
+    for (let n = 0; n < 6; n++) {
+      await Transfer.create({
+        ...scope,
+        assetId: assetId(1 + (n % 5)),
+        fromOwner: owner1,
+        toOwner: owner2,
+        blockNumber: String(100 + Math.floor(n / 2)),
+        transactionHash: `0xtx${n}`,
+        logIndex: 1 - (n % 2),
+        timestamp: String(1234567890 + n),
+        transferredAt: new Date((1234567890 + Math.floor(n / 2)) * 1000)
+      });
+    }
+  });
+
+  describe('parseListQuery', () => {
+    it('should default to the first sort field and the list order', () => {
+      expect(parseListQuery({}, TRANSFER_LIST)).toEqual({ limit: DEFAULT_PAGE_SIZE, sort: 'blockNumber', order: 'asc', fields: null, after: null });
+    });
+
+    it.each([
+      [{ limit: '0' }, 'Invalid limit'],
+      [{ limit: '1001' }, 'Invalid limit'],
+      [{ limit: 'ten' }, 'Invalid limit'],
+      [{ sort: 'fromOwner' }, 'Invalid sort'],
+      [{ order: 'up' }, 'Invalid order'],
+      [{ fields: 'id,password' }, 'Invalid fields'],
+      [{ cursor: 'not-a-cursor' }, 'Invalid cursor']
+    ])('should reject %o', (query, error) => {
+      expect(parseListQuery(query, TRANSFER_LIST).error).toMatch(error);
+    });
+
+    it('should reject a cursor issued for another order', async () => {
+      const page = parseListQuery({ limit: '2' }, TRANSFER_LIST);
+      const cursor = nextCursor(page, await findPage(TRANSFER_LIST, page));
+
+      expect(parseListQuery({ cursor }, TRANSFER_LIST).after).toHaveLength(3);
+      expect(parseListQuery({ cursor, order: 'desc' }, TRANSFER_LIST).error).toMatch('Invalid cursor');
+      expect(parseListQuery({ cursor, sort: 'transferredAt' }, TRANSFER_LIST).error).toMatch('Invalid cursor');
+    });
+  });
+
+  describe('findPage', () => {
+    it('should page through transfers in chain order', async () => {
+      const transfers = await readAllPages(TRANSFER_LIST, { limit: '4' });
+
+      expect(transfers.map((transfer) => transfer.transactionHash)).toEqual(['0xtx1', '0xtx0', '0xtx3', '0xtx2', '0xtx5', '0xtx4']);
+    });
+
+    it('should page newest first and by date', async () => {
+      const newest = await readAllPages(TRANSFER_LIST, { limit: '1', order: 'desc' });
+      const byDate = await readAllPages(TRANSFER_LIST, { limit: '2', sort: 'transferredAt', order: 'desc' });
+
+      expect(newest.map((transfer) => transfer.transactionHash)).toEqual(['0xtx4', '0xtx5', '0xtx2', '0xtx3', '0xtx0', '0xtx1']);
+      expect(byDate.map((transfer) => transfer.transactionHash)).toEqual(newest.map((transfer) => transfer.transactionHash));
+    });
+
+    it('should not repeat or skip rows with the same sort value', async () => {
+      const assets = await readAllPages(ASSET_LIST, { limit: '2' });
+
+      // Assets 4 and 5 share registeredAt and are ordered by id
+      expect(assets.map((asset) => asset.description)).toEqual(['Asset 5', 'Asset 4', 'Asset 3', 'Asset 2', 'Asset 1']);
+    });
+
+    it('should not shift pages when rows are added in between', async () => {
+      const page = parseListQuery({ limit: '3' }, TRANSFER_LIST);
+      const first = await findPage(TRANSFER_LIST, page);
+      await Transfer.create({ ...scope, assetId: assetId(1), fromOwner: owner2, toOwner: owner1, blockNumber: '99', transactionHash: '0xtx9', timestamp: '1234567889', transferredAt: new Date() });
+
+      const second = await findPage(TRANSFER_LIST, parseListQuery({ limit: '3', cursor: nextCursor(page, first) }, TRANSFER_LIST));
+
+      expect(second.rows.map((transfer) => transfer.transactionHash)).toEqual(['0xtx2', '0xtx5', '0xtx4']);
+      expect(second.next).toBeNull();
+    });
+
+    it('should page assets with their transfers included', async () => {
+      const include = [{ model: Transfer, as: 'transfers' }];
+      const order = [[{ model: Transfer, as: 'transfers' }, 'blockNumber', 'ASC']];
+      const assets = await readAllPages(ASSET_LIST, { limit: '1' }, { where: { owner: owner1 }, include, order });
+
+      expect(assets.map((asset) => [asset.description, asset.transfers.length])).toEqual([['Asset 5', 1], ['Asset 3', 1], ['Asset 1', 2]]);
+    });
+  });
+
+  describe('projectRows', () => {
+    it('should keep the requested fields only', async () => {
+      const page = parseListQuery({ limit: '1', fields: 'transactionHash,asset' }, TRANSFER_LIST);
+      const include = [{ model: Asset, as: 'asset', attributes: ['id', 'owner'] }];
+      const result = await findPage(TRANSFER_LIST, page, { include });
+
+      expect(projectRows(result.rows, page.fields)).toEqual([{ transactionHash: '0xtx1', asset: { id: assetId(2), owner: owner2 } }]);
+      // The cursor still works without the sort columns among the fields
+      expect(nextCursor(page, result)).not.toBeNull();
+    });
+  });
+
+  describe('multi-part lists', () => {
+    it('should page each part until all are exhausted', async () => {
+      const pages = [];
+      let cursor;
+      do {
+        const page = parseListQuery({ limit: '2', ...(cursor && { cursor }) }, SEARCH_PARTS.transfers, { parts: SEARCH_PARTS });
+        const results = {};
+        for (const name of Object.keys(SEARCH_PARTS)) {
+          const part = partPage(page, SEARCH_PARTS, name);
+          results[name] = part && await findPage(SEARCH_PARTS[name], part, { where: name === 'assets' ? { owner: owner2 } : {} });
+        }
+        pages.push([results.transfers?.rows.length ?? null, results.assets?.rows.length ?? null]);
+        cursor = nextPartsCursor(page, results);
+      } while (cursor);
+
+      // The two assets of owner2 fit on the first page, so that part is not queried again
+      expect(pages).toEqual([[2, 2], [2, null], [2, null]]);
+    });
+  });
+});
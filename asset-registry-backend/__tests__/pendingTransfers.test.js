@@ -0,0 +1,181 @@
+import { describe, it, expect, beforeEach, jest } from '@jest/globals';
+import {
+  TestAsset as Asset,
+  TestTransfer as Transfer,
+  TestPendingTransfer as PendingTransfer
+} from './testDb.js';
+import {
+  assetId,
+  owner1,
+  owner2,
+  owner3,
+  unknownAsset,
+  mockProvider,
+  mockContract,
+  createListener
+} from './testChain.js';
+import './setup.js';
+
+describe('Transfers before registration', () => {
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    mockProvider.getBlock.mockResolvedValue({ timestamp: 1234567890 });
+    mockContract.getAsset.mockResolvedValue(unknownAsset);
+
+    await Transfer.destroy({ where: {} });
+    await Asset.destroy({ where: {} });
+    await PendingTransfer.destroy({ where: {} });
+  });
+
+  it('should hold a transfer while the contract does not know the asset', async () => {
+    const listener = createListener();
+
+    await listener.handleAssetTransferred(assetId, owner2, { transactionHash: '0xtx2', blockNumber: 200, index: 1 });
+
+    const held = await PendingTransfer.findAll();
+    expect(held).toHaveLength(1);
+    expect(held[0].toOwner).toBe(owner2);
+    expect(Number(held[0].blockNumber)).toBe(200);
+    expect(held[0].logIndex).toBe(1);
+    expect(await Asset.count()).toBe(0);
+  });
+
+  it('should load the asset as of the block before the transfer and apply it', async () => {
+    const listener = createListener();
+    mockContract.getAsset.mockResolvedValue({ id: assetId, owner: owner1, description: 'Old Asset', timestamp: 1000n });
+
+    await listener.handleAssetTransferred(assetId, owner2, { transactionHash: '0xtx2', blockNumber: 200 });
+
+    expect(mockContract.getAsset).toHaveBeenCalledWith(assetId, { blockTag: 199 });
+    const asset = await Asset.findByPk(assetId);
+    expect(asset.owner).toBe(owner2);
+    expect(asset.description).toBe('Old Asset');
+    expect(asset.registeredAt.getTime()).toBe(1000 * 1000);
+
+    const transfer = await Transfer.findOne({ where: { transactionHash: '0xtx2' } });
+    expect(transfer.fromOwner).toBe(owner1);
+    expect(transfer.toOwner).toBe(owner2);
+    expect(await PendingTransfer.count()).toBe(0);
+  });
+
+  it('should fall back to the latest state when historical state is unavailable', async () => {
+    const listener = createListener();
+    mockContract.getAsset
+      .mockRejectedValueOnce(new Error('missing trie node'))
+      .mockResolvedValueOnce({ id: assetId, owner: owner2, description: 'Old Asset', timestamp: 1000n });
+
+    await listener.handleAssetTransferred(assetId, owner2, { transactionHash: '0xtx2', blockNumber: 200 });
+
+    expect(mockContract.getAsset).toHaveBeenLastCalledWith(assetId);
+    const asset = await Asset.findByPk(assetId);
+    expect(asset.owner).toBe(owner2);
+    expect(await PendingTransfer.count()).toBe(0);
+  });
+
+  it('should keep the transfer held when the contract call fails', async () => {
+    const listener = createListener();
+    mockContract.getAsset.mockRejectedValue(new Error('RPC Error'));
+
+    await listener.handleAssetTransferred(assetId, owner2, { transactionHash: '0xtx2', blockNumber: 200 });
+
+    expect(await PendingTransfer.count()).toBe(1);
+    expect(await Asset.count()).toBe(0);
+  });
+
+  it('should apply held transfers in order once the registration arrives', async () => {
+    const listener = createListener();
+
+    await listener.handleAssetTransferred(assetId, owner3, { transactionHash: '0xtx3', blockNumber: 102 });
+    await listener.handleAssetTransferred(assetId, owner2, { transactionHash: '0xtx2', blockNumber: 101 });
+    await listener.handleAssetRegistered(assetId, owner1, 'Test Asset', '1234567890', {
+      transactionHash: '0xtx1', blockNumber: 100
+    });
+
+    const asset = await Asset.findByPk(assetId);
+    expect(asset.owner).toBe(owner3);
+
+    const transfers = await Transfer.findAll({ order: [['blockNumber', 'ASC'], ['logIndex', 'ASC']] });
+    expect(transfers.map(t => [t.fromOwner, t.toOwner])).toEqual([
+      [null, owner1],
+      [owner1, owner2],
+      [owner2, owner3]
+    ]);
+    expect(await PendingTransfer.count()).toBe(0);
+  });
+
+  it('should not hold the same transfer twice', async () => {
+    const listener = createListener();
+    const event = { transactionHash: '0xtx2', blockNumber: 200 };
+
+    await listener.handleAssetTransferred(assetId, owner2, event);
+    await listener.handleAssetTransferred(assetId, owner2, event);
+
+    expect(await PendingTransfer.count()).toBe(1);
+  });
+
+  describe('resolvePendingTransfers', () => {
+    it('should apply held transfers once the contract knows the asset', async () => {
+      const listener = createListener();
+      mockContract.getAsset.mockRejectedValueOnce(new Error('RPC Error'));
+      await listener.handleAssetTransferred(assetId, owner2, { transactionHash: '0xtx2', blockNumber: 200 });
+
+      mockContract.getAsset.mockResolvedValue({ id: assetId, owner: owner1, description: 'Old Asset', timestamp: 1000n });
+      const pending = await listener.resolvePendingTransfers();
+
+      expect(pending).toBe(0);
+      const asset = await Asset.findByPk(assetId);
+      expect(asset.owner).toBe(owner2);
+    });
+
+    it('should not ask the contract again before the backoff of an asset expires', async () => {
+      const listener = createListener();
+      await listener.handleAssetTransferred(assetId, owner2, { transactionHash: '0xtx2', blockNumber: 200 });
+      await listener.resolvePendingTransfers();
+      mockContract.getAsset.mockClear();
+
+      expect(await listener.resolvePendingTransfers()).toBe(1);
+      expect(mockContract.getAsset).not.toHaveBeenCalled();
+
+      await listener.resolvePendingTransfers({ force: true });
+      expect(mockContract.getAsset).toHaveBeenCalled();
+    });
+
+    it('should count the attempts of an asset and push back its next retry', async () => {
+      const listener = createListener();
+      await listener.handleAssetTransferred(assetId, owner2, { transactionHash: '0xtx2', blockNumber: 200 });
+
+      await listener.resolvePendingTransfers();
+      const firstRetryAt = listener.heldAssetRetries.get(assetId).nextRetryAt;
+      listener.heldAssetRetries.get(assetId).nextRetryAt = new Date(Date.now() - 1000);
+      mockContract.getAsset.mockRejectedValue(new Error('RPC Error'));
+      await listener.resolvePendingTransfers();
+
+      const retry = listener.heldAssetRetries.get(assetId);
+      expect(retry.attempts).toBe(2);
+      expect(retry.nextRetryAt.getTime()).toBeGreaterThan(firstRetryAt.getTime());
+    });
+
+    it('should forget the backoff of an asset whose registration arrived', async () => {
+      const listener = createListener();
+      await listener.handleAssetTransferred(assetId, owner2, { transactionHash: '0xtx2', blockNumber: 200 });
+      await listener.resolvePendingTransfers();
+
+      await listener.handleAssetRegistered(assetId, owner1, 'Test Asset', 1234567890n, { transactionHash: '0xtx1', blockNumber: 199 });
+      await listener.resolvePendingTransfers();
+
+      expect(await PendingTransfer.count()).toBe(0);
+      expect(listener.heldAssetRetries.size).toBe(0);
+    });
+  });
+
+  describe('rollbackFromBlock', () => {
+    it('should drop held transfers from orphaned blocks', async () => {
+      const listener = createListener();
+      await listener.handleAssetTransferred(assetId, owner2, { transactionHash: '0xtx2', blockNumber: 200 });
+
+      await listener.rollbackFromBlock(200);
+
+      expect(await PendingTransfer.count()).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,168 @@
+import { describe, it, expect, beforeEach, jest } from '@jest/globals';
+import {
+  TestAsset as Asset,
+  TestTransfer as Transfer,
+  TestSyncCheckpoint as SyncCheckpoint,
+  TestDeadLetterEvent as DeadLetterEvent
+} from './testDb.js';
+import {
+  contractAddress,
+  chainId,
+  assetId,
+  owner1,
+  owner2,
+  owner3,
+  mockProvider,
+  makeLog,
+  createListener
+} from './testChain.js';
+import './setup.js';
+
+const otherAssetId = '0xabcdef1234567890abcdef1234567890abcdef1234567890abcdef1234567890';
+
+describe('Event pipeline', () => {
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    mockProvider.getBlock.mockResolvedValue({ timestamp: 1234567890 });
+    mockProvider.getLogs.mockResolvedValue([]);
+
+    await Transfer.destroy({ where: {} });
+    await Asset.destroy({ where: {} });
+    await SyncCheckpoint.destroy({ where: {} });
+    await DeadLetterEvent.destroy({ where: {} });
+  });
+
+  describe('syncRange', () => {
+    it('should commit each block together with the checkpoint', async () => {
+      const listener = createListener();
+      mockProvider.getLogs.mockResolvedValueOnce([
+        makeLog('AssetRegistered', [assetId, owner1, 'Test Asset', 1234567890], { transactionHash: '0xtx1', blockNumber: 100 }),
+        makeLog('AssetRegistered', [otherAssetId, owner1, 'Other Asset', 1234567890], { transactionHash: '0xtx2', blockNumber: 101, index: 0 }),
+        makeLog('AssetTransferred', [otherAssetId, owner2], { transactionHash: '0xtx3', blockNumber: 101, index: 1 })
+      ]);
+      // The transfer fails and cannot be dead-lettered either, so block 101 must not be applied at all
+      jest.spyOn(listener, 'handleAssetTransferred').mockRejectedValueOnce(new Error('Bug'));
+      jest.spyOn(listener, 'deadLetter').mockResolvedValueOnce(null);
+
+      await expect(listener.syncRange(100, 101)).rejects.toThrow('Bug');
+
+      expect(await Asset.findByPk(assetId)).not.toBeNull();
+      expect(await Asset.findByPk(otherAssetId)).toBeNull();
+      expect(await listener.getCheckpoint()).toBe(100);
+    });
+
+    it('should roll back the partial writes of a failed handler', async () => {
+      const listener = createListener();
+      await Asset.create({
+        chainId,
+        contractAddress,
+        id: assetId,
+        owner: owner1,
+        description: 'Test Asset',
+        timestamp: '1234567890',
+        registeredAt: new Date(),
+      });
+
+      // Handler updates the owner, then fails before recording the transfer
+      jest.spyOn(listener, 'handleAssetTransferred').mockImplementationOnce(async (id, newOwner, event, { transaction }) => {
+        await Asset.update({ owner: newOwner.toLowerCase() }, { where: { id }, transaction });
+        throw new Error('Crash between writes');
+      });
+      mockProvider.getLogs.mockResolvedValueOnce([
+        makeLog('AssetTransferred', [assetId, owner2], { transactionHash: '0xtx2', blockNumber: 100 })
+      ]);
+
+      await listener.syncRange(100, 100);
+
+      const asset = await Asset.findByPk(assetId);
+      expect(asset.owner).toBe(owner1);
+      expect(await Transfer.count()).toBe(0);
+      expect(await DeadLetterEvent.count()).toBe(1);
+      expect(await listener.getCheckpoint()).toBe(100);
+    });
+
+    it('should advance the checkpoint over blocks without events', async () => {
+      const listener = createListener();
+
+      await listener.syncRange(100, 109);
+
+      expect(await listener.getCheckpoint()).toBe(109);
+    });
+  });
+
+  describe('enqueue', () => {
+    it('should run tasks one after another', async () => {
+      const listener = createListener();
+      const steps = [];
+      let releaseFirst;
+
+      const first = listener.enqueue(async () => {
+        steps.push('first:start');
+        await new Promise(resolve => { releaseFirst = resolve; });
+        steps.push('first:end');
+      });
+      const second = listener.enqueue(async () => {
+        steps.push('second');
+      });
+
+      await new Promise(resolve => setImmediate(resolve));
+      releaseFirst();
+      await Promise.all([first, second]);
+
+      expect(steps).toEqual(['first:start', 'first:end', 'second']);
+    });
+
+    it('should keep going after a failed task', async () => {
+      const listener = createListener();
+
+      await expect(listener.enqueue(async () => { throw new Error('Bug'); })).rejects.toThrow('Bug');
+
+      expect(await listener.enqueue(async () => 'done')).toBe('done');
+    });
+  });
+
+  describe('live blocks', () => {
+    it('should apply live events in (block, logIndex) order', async () => {
+      const listener = createListener();
+      await listener.saveCheckpoint(99);
+      await listener.startListening();
+      const onBlock = mockProvider.on.mock.calls.find(([name]) => name === 'block')[1];
+
+      mockProvider.getLogs.mockResolvedValueOnce([
+        makeLog('AssetTransferred', [assetId, owner3], { transactionHash: '0xtx3', blockNumber: 101, index: 0 }),
+        makeLog('AssetTransferred', [assetId, owner2], { transactionHash: '0xtx2', blockNumber: 100, index: 3 }),
+        makeLog('AssetRegistered', [assetId, owner1, 'Test Asset', 1234567890], { transactionHash: '0xtx1', blockNumber: 100, index: 1 })
+      ]);
+
+      onBlock(101);
+      await listener.enqueue(async () => {});
+
+      const asset = await Asset.findByPk(assetId);
+      expect(asset.owner).toBe(owner3);
+      const transfers = await Transfer.findAll({ order: [['blockNumber', 'ASC'], ['logIndex', 'ASC']] });
+      expect(transfers.map(t => [t.fromOwner, t.toOwner])).toEqual([
+        [null, owner1],
+        [owner1, owner2],
+        [owner2, owner3]
+      ]);
+      expect(await listener.getCheckpoint()).toBe(101);
+    });
+
+    it('should fold blocks that arrive while a sync is queued into one sync', async () => {
+      const listener = createListener();
+      await listener.saveCheckpoint(100);
+      await listener.startListening();
+      const onBlock = mockProvider.on.mock.calls.find(([name]) => name === 'block')[1];
+      const blockSpy = jest.spyOn(listener, 'handleNewBlock');
+
+      onBlock(101);
+      onBlock(102);
+      onBlock(103);
+      await listener.enqueue(async () => {});
+
+      expect(blockSpy).toHaveBeenCalledTimes(1);
+      expect(blockSpy).toHaveBeenCalledWith(103);
+      expect(await listener.getCheckpoint()).toBe(103);
+    });
+  });
+});
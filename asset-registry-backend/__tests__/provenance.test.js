@@ -0,0 +1,174 @@
+import { describe, it, expect } from '@jest/globals';
+import { TestAsset as Asset, TestTransfer as Transfer } from './testDb.js';
+import { buildProvenance, parsePointInTime, ownerAt, heldAt } from '../provenance.js';
+import './setup.js';
+
+const scope = { chainId: 31337, contractAddress: '0x1234567890123456789012345678901234567890' };
+const assetId = '0x1111111111111111111111111111111111111111111111111111111111111111';
+const owner1 = '0x1111111111111111111111111111111111111111';
+const owner2 = '0x2222222222222222222222222222222222222222';
+const owner3 = '0x3333333333333333333333333333333333333333';
+
+async function createTransfer(fromOwner, toOwner, blockNumber, timestamp, logIndex = 0) {
+  return Transfer.create({
+    ...scope,
+    assetId,
+    fromOwner,
+    toOwner,
+    blockNumber: String(blockNumber),
+    transactionHash: `0xtx${blockNumber}${logIndex}`,
+    logIndex,
+    timestamp: String(timestamp),
+    transferredAt: new Date(timestamp * 1000)
+  });
+}
+
+async function loadProvenance(now) {
+  const asset = await Asset.findOne({ where: { ...scope, id: assetId } });
+  const transfers = await Transfer.findAll({
+    where: { ...scope, assetId },
+    order: [['blockNumber', 'ASC'], ['logIndex', 'ASC'], ['id', 'ASC']]
+  });
+  return buildProvenance(asset, transfers, { now: now * 1000 });
+}
+
+describe('buildProvenance', () => {
+  it('should build the chain with holding durations', async () => {
+    await Asset.create({ ...scope, id: assetId, owner: owner3, description: 'Asset', timestamp: '1000', registeredAt: new Date(1000 * 1000) });
+    await createTransfer(null, owner1, 100, 1000);
+    await createTransfer(owner1, owner2, 110, 1500);
+    // Two transfers in one block are ordered by log index
+    await createTransfer(owner3, owner1, 120, 2000, 1);
+    await createTransfer(owner2, owner3, 120, 2000, 0);
+    await createTransfer(owner1, owner3, 130, 2600);
+
+    const result = await loadProvenance(3000);
+
+    expect(result.currentOwner).toBe(owner3);
+    expect(result.registration).toEqual({
+      owner: owner1,
+      blockNumber: 100,
+      transactionHash: '0xtx1000',
+      logIndex: 0,
+      timestamp: 1000,
+      registeredAt: new Date(1000 * 1000)
+    });
+    expect(result.provenance.map((hop) => [hop.from, hop.to, hop.blockNumber, hop.heldSeconds, hop.current])).toEqual([
+      [null, owner1, 100, 500, false],
+      [owner1, owner2, 110, 500, false],
+      [owner2, owner3, 120, 0, false],
+      [owner3, owner1, 120, 600, false],
+      [owner1, owner3, 130, 400, true]
+    ]);
+    expect(result.continuity).toEqual({ continuous: true, currentOwnerMatches: true, breaks: [] });
+  });
+
+  it('should report hops that do not continue the chain', async () => {
+    await Asset.create({ ...scope, id: assetId, owner: owner1, description: 'Asset', timestamp: '1000', registeredAt: new Date(1000 * 1000) });
+    await createTransfer(null, owner1, 100, 1000);
+    // The transfer from owner1 to owner2 is missing
+    await createTransfer(owner2, owner3, 120, 2000);
+
+    const result = await loadProvenance(3000);
+
+    expect(result.continuity).toEqual({
+      continuous: false,
+      currentOwnerMatches: false,
+      breaks: [{ index: 1, blockNumber: 120, transactionHash: '0xtx1200', expectedFrom: owner1, actualFrom: owner2 }]
+    });
+  });
+
+  it('should start the chain at the first transfer without a registration', async () => {
+    await Asset.create({ ...scope, id: assetId, owner: owner3, description: 'Asset', timestamp: '1000', registeredAt: new Date(1000 * 1000) });
+    await createTransfer(owner1, owner2, 110, 1500);
+    await createTransfer(owner2, owner3, 120, 2000);
+
+    const result = await loadProvenance(3000);
+
+    expect(result.registration).toBeNull();
+    expect(result.provenance).toHaveLength(2);
+    expect(result.continuity.continuous).toBe(true);
+  });
+
+  it('should handle an asset without transfers', async () => {
+    await Asset.create({ ...scope, id: assetId, owner: owner1, description: 'Asset', timestamp: '1000', registeredAt: new Date(1000 * 1000) });
+
+    const result = await loadProvenance(3000);
+
+    expect(result).toEqual({
+      currentOwner: owner1,
+      registration: null,
+      provenance: [],
+      continuity: { continuous: true, currentOwnerMatches: false, breaks: [] }
+    });
+  });
+});
+
+describe('Point-in-time ownership', () => {
+  const otherContract = '0x9999999999999999999999999999999999999999';
+
+  async function loadTransfers() {
+    return Transfer.findAll({ order: [['blockNumber', 'ASC'], ['logIndex', 'ASC'], ['id', 'ASC']] });
+  }
+
+  it.each([
+    [{}, 'Pass either block or at'],
+    [{ block: '10', at: '2024-01-01' }, 'Pass either block or at'],
+    [{ block: '-1' }, 'Invalid block'],
+    [{ block: 'latest' }, 'Invalid block'],
+    [{ at: 'yesterday' }, 'Invalid at']
+  ])('should reject %o', (query, error) => {
+    expect(parsePointInTime(query).error).toMatch(error);
+  });
+
+  it('should read a block or a date', () => {
+    expect(parsePointInTime({ block: '120' })).toEqual({ block: 120 });
+    expect(parsePointInTime({ at: '2024-01-01T00:00:00Z' })).toEqual({ at: new Date('2024-01-01T00:00:00Z') });
+  });
+
+  it('should find the owner after a block or at a date', async () => {
+    await createTransfer(null, owner1, 100, 1000);
+    await createTransfer(owner1, owner2, 110, 1500);
+    await createTransfer(owner2, owner3, 120, 2000);
+    const transfers = await loadTransfers();
+
+    expect(ownerAt(transfers, { block: 99 })).toEqual({ owner: null, since: null });
+    expect(ownerAt(transfers, { block: 115 }).owner).toBe(owner2);
+    // The state after the block includes its transfers
+    expect(ownerAt(transfers, { block: 120 }).since).toEqual({
+      blockNumber: 120,
+      transactionHash: '0xtx1200',
+      logIndex: 0,
+      timestamp: 2000,
+      transferredAt: new Date(2000 * 1000)
+    });
+    expect(ownerAt(transfers, { at: new Date(1499 * 1000) }).owner).toBe(owner1);
+    expect(ownerAt(transfers, { at: new Date(1500 * 1000) }).owner).toBe(owner2);
+  });
+
+  it('should take the owner before the synced blocks from the first transfer', async () => {
+    await createTransfer(owner1, owner2, 110, 1500);
+
+    expect(ownerAt(await loadTransfers(), { block: 100 })).toEqual({ owner: owner1, since: null });
+  });
+
+  it('should list the assets an address held, including those transferred away', async () => {
+    const secondAssetId = '0x2222222222222222222222222222222222222222222222222222222222222222';
+    await Asset.create({ ...scope, id: assetId, owner: owner3, description: 'Sold', timestamp: '1000', registeredAt: new Date(1000 * 1000) });
+    await Asset.create({ ...scope, id: secondAssetId, owner: owner1, description: 'Kept', timestamp: '1000', registeredAt: new Date(1000 * 1000) });
+    // The same asset ID on another contract, never held by owner1
+    await Asset.create({ ...scope, contractAddress: otherContract, id: assetId, owner: owner2, description: 'Other', timestamp: '1000', registeredAt: new Date(1000 * 1000) });
+    await createTransfer(null, owner1, 100, 1000);
+    await createTransfer(owner1, owner3, 120, 2000);
+    await Transfer.create({ ...scope, assetId: secondAssetId, fromOwner: null, toOwner: owner1, blockNumber: '105', transactionHash: '0xtx105', timestamp: '1200', transferredAt: new Date(1200 * 1000) });
+    await Transfer.create({ ...scope, contractAddress: otherContract, assetId, fromOwner: null, toOwner: owner2, blockNumber: '100', transactionHash: '0xtx100', timestamp: '1000', transferredAt: new Date(1000 * 1000) });
+    const assets = await Asset.findAll({ order: [['description', 'ASC']] });
+    const transfers = await loadTransfers();
+
+    const atBlock = (block) => heldAt(owner1, assets, transfers, { block }).map((held) => [held.description, held.heldNow]);
+
+    expect(atBlock(102)).toEqual([['Sold', false]]);
+    expect(atBlock(110)).toEqual([['Kept', true], ['Sold', false]]);
+    expect(atBlock(130)).toEqual([['Kept', true]]);
+  });
+});
@@ -0,0 +1,156 @@
+import { describe, it, expect, beforeEach, jest } from '@jest/globals';
+import {
+  TestAsset as Asset,
+  TestTransfer as Transfer,
+  TestSyncCheckpoint as SyncCheckpoint,
+  TestDeadLetterEvent as DeadLetterEvent,
+  TestRawEvent as RawEvent
+} from './testDb.js';
+import {
+  EventListener,
+  contractAddress,
+  chainId,
+  assetId,
+  owner1,
+  owner2,
+  owner3,
+  mockProvider,
+  makeLog,
+  createListener
+} from './testChain.js';
+import { AssetRegistryABI } from '../contractABI.js';
+import './setup.js';
+
+// Blocks are final after one confirmation
+const listenerOptions = { confirmations: 1 };
+
+function createOfflineListener() {
+  return new EventListener(contractAddress, null, AssetRegistryABI, { chainId, ...listenerOptions });
+}
+
+const registeredLog = makeLog('AssetRegistered', [assetId, owner1, 'Test Asset', 1234567890], {
+  transactionHash: '0xtx1', blockNumber: 100, blockHash: '0xhash100'
+});
+const transferLogs = [
+  makeLog('AssetTransferred', [assetId, owner2], { transactionHash: '0xtx2', blockNumber: 101, blockHash: '0xhash101' }),
+  makeLog('AssetTransferred', [assetId, owner3], { transactionHash: '0xtx3', blockNumber: 102, blockHash: '0xhash102' })
+];
+
+describe('Raw event log', () => {
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    mockProvider.getBlock.mockImplementation(async (blockNumber) => ({ number: blockNumber, hash: `0xhash${blockNumber}`, timestamp: 1234567890 + blockNumber }));
+    mockProvider.getLogs.mockResolvedValue([registeredLog, ...transferLogs]);
+
+    await Transfer.destroy({ where: {} });
+    await Asset.destroy({ where: {} });
+    await SyncCheckpoint.destroy({ where: {} });
+    await DeadLetterEvent.destroy({ where: {} });
+    await RawEvent.destroy({ where: {} });
+  });
+
+  it('should store every log verbatim with its position and block time', async () => {
+    await createListener(listenerOptions).syncRange(100, 102);
+
+    const rawEvents = await RawEvent.findAll({ order: [['blockNumber', 'ASC']] });
+    expect(rawEvents.map(e => e.eventName)).toEqual(['AssetRegistered', 'AssetTransferred', 'AssetTransferred']);
+    expect(rawEvents[0]).toMatchObject({
+      chainId,
+      contractAddress,
+      transactionHash: '0xtx1',
+      blockHash: '0xhash100',
+      logIndex: 0,
+      data: registeredLog.data,
+      removed: false
+    });
+    expect(JSON.parse(rawEvents[0].topics)).toEqual(registeredLog.topics);
+    expect(JSON.parse(rawEvents[1].args)).toEqual([assetId, owner2]);
+    // The registration carries its block time, transfers take it from the block
+    expect(Number(rawEvents[0].blockTimestamp)).toBe(1234567890);
+    expect(Number(rawEvents[1].blockTimestamp)).toBe(1234567890 + 101);
+    expect(mockProvider.getBlock).not.toHaveBeenCalledWith(100);
+  });
+
+  it('should not store a log twice when a range is synced again', async () => {
+    const listener = createListener(listenerOptions);
+
+    await listener.syncRange(100, 102);
+    await listener.syncRange(100, 102);
+
+    expect(await RawEvent.count()).toBe(3);
+  });
+
+  it('should keep orphaned events but mark them removed', async () => {
+    const listener = createListener(listenerOptions);
+    await listener.syncRange(100, 102);
+
+    await listener.rollbackFromBlock(101);
+
+    expect(await RawEvent.count()).toBe(3);
+    expect(await RawEvent.count({ where: { removed: true } })).toBe(2);
+  });
+
+  describe('rebuildProjections', () => {
+    it('should replay assets and transfers without the RPC', async () => {
+      await createListener(listenerOptions).syncRange(100, 102);
+      await SyncCheckpoint.update({ lastProcessedBlock: '102' }, { where: {} });
+      await Asset.update({ owner: owner1 }, { where: {} });
+      await Transfer.destroy({ where: { transactionHash: '0xtx3' } });
+
+      const listener = createOfflineListener();
+      const result = await listener.rebuildProjections();
+
+      expect(listener.provider).toBeNull();
+      expect(result).toEqual({ replayed: 3, pendingTransfers: 0 });
+      const asset = await Asset.findByPk(assetId);
+      expect(asset.owner).toBe(owner3);
+      const transfers = await Transfer.findAll({ order: [['blockNumber', 'ASC']] });
+      expect(transfers.map(t => [t.fromOwner, t.toOwner])).toEqual([[null, owner1], [owner1, owner2], [owner2, owner3]]);
+      expect(Number(transfers[2].timestamp)).toBe(1234567890 + 102);
+      expect(transfers.map(t => t.status)).toEqual(['confirmed', 'confirmed', 'pending']);
+    });
+
+    it('should apply events that a broken handler dead-lettered during the sync', async () => {
+      const listener = createListener(listenerOptions);
+      jest.spyOn(listener, 'handleAssetTransferred').mockRejectedValueOnce(new Error('Bug'));
+      await listener.syncRange(100, 102);
+      expect(await DeadLetterEvent.count()).toBe(1);
+      expect(await Transfer.count()).toBe(2);
+
+      await createOfflineListener().rebuildProjections();
+
+      expect(await Transfer.count()).toBe(3);
+      expect((await Asset.findByPk(assetId)).owner).toBe(owner3);
+    });
+
+    it('should not replay events of orphaned blocks', async () => {
+      const listener = createListener(listenerOptions);
+      await listener.syncRange(100, 102);
+      await listener.rollbackFromBlock(102);
+
+      await createOfflineListener().rebuildProjections();
+
+      expect((await Asset.findByPk(assetId)).owner).toBe(owner2);
+      expect(await Transfer.count()).toBe(2);
+    });
+
+    it('should refuse to drop transfers the raw log does not cover', async () => {
+      mockProvider.getLogs.mockResolvedValueOnce(transferLogs);
+      await createListener(listenerOptions).syncRange(101, 102);
+      await Transfer.create({
+        chainId,
+        contractAddress,
+        assetId,
+        fromOwner: null,
+        toOwner: owner1,
+        blockNumber: '100',
+        transactionHash: '0xtx1',
+        timestamp: '1234567890',
+        transferredAt: new Date(),
+      });
+
+      await expect(createOfflineListener().rebuildProjections()).rejects.toThrow('does not cover block 100');
+      expect(await Transfer.count()).toBe(1);
+    });
+  });
+});
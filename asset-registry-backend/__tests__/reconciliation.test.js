@@ -0,0 +1,136 @@
+import { describe, it, expect, beforeEach, jest } from '@jest/globals';
+import { ethers } from 'ethers';
+import {
+  TestAsset as Asset,
+  TestSyncCheckpoint as SyncCheckpoint,
+  TestPendingTransfer as PendingTransfer
+} from './testDb.js';
+import {
+  scope,
+  owner1,
+  owner2,
+  owner3,
+  unknownAsset,
+  mockContract,
+  createListener
+} from './testChain.js';
+import './setup.js';
+
+const asset1 = '0x1111111111111111111111111111111111111111111111111111111111111111';
+const asset2 = '0x2222222222222222222222222222222222222222222222222222222222222222';
+const asset3 = '0x3333333333333333333333333333333333333333333333333333333333333333';
+const asset4 = '0x4444444444444444444444444444444444444444444444444444444444444444';
+const asset5 = '0x5555555555555555555555555555555555555555555555555555555555555555';
+
+// On-chain state as returned by getAsset: checksummed owners, zeroed struct for unknown ids
+let onChain = {};
+
+function onChainAsset(id, owner, description) {
+  return { id, owner: ethers.getAddress(owner), description, timestamp: 1234567890n };
+}
+
+function storeAsset(id, owner, description) {
+  return Asset.create({
+    ...scope,
+    id,
+    owner,
+    description,
+    timestamp: '1234567890',
+    registeredAt: new Date(1234567890 * 1000)
+  });
+}
+
+describe('Reconciliation', () => {
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    mockContract.getAsset.mockImplementation(async (id) => onChain[id] ?? unknownAsset);
+    mockContract.getAssetsByOwner.mockImplementation(async (owner) =>
+      Object.values(onChain).filter((asset) => asset.owner.toLowerCase() === owner.toLowerCase()));
+
+    // asset1 matches, asset2 has a missed transfer, asset3 a different description,
+    // asset4 is not stored, and the stored asset5 is unknown on chain
+    onChain = {
+      [asset1]: onChainAsset(asset1, owner1, 'First'),
+      [asset2]: onChainAsset(asset2, owner2, 'Second'),
+      [asset3]: onChainAsset(asset3, owner1, 'Third'),
+      [asset4]: onChainAsset(asset4, owner1, 'Fourth')
+    };
+    await storeAsset(asset1, owner1, 'First');
+    await storeAsset(asset2, owner1, 'Second');
+    await storeAsset(asset3, owner1, 'Third, edited');
+    await storeAsset(asset5, owner3, 'Fifth');
+    await SyncCheckpoint.create({ ...scope, lastProcessedBlock: '200' });
+  });
+
+  it('should report drift against the on-chain state at the checkpoint', async () => {
+    const report = await createListener().reconcile();
+
+    expect(report).toMatchObject({
+      ...scope,
+      blockNumber: 200,
+      repair: false,
+      checked: 4,
+      summary: { missingAssets: 1, wrongOwners: 1, descriptionMismatches: 1, notOnChain: 1, repaired: 0 }
+    });
+    expect(report.drift).toEqual(expect.arrayContaining([
+      { type: 'wrongOwner', assetId: asset2, stored: { owner: owner1, description: 'Second' }, onChain: { owner: owner2, description: 'Second' }, repaired: false },
+      { type: 'descriptionMismatch', assetId: asset3, stored: { owner: owner1, description: 'Third, edited' }, onChain: { owner: owner1, description: 'Third' }, repaired: false },
+      { type: 'notOnChain', assetId: asset5, stored: { owner: owner3, description: 'Fifth' }, onChain: null, repaired: false },
+      { type: 'missingAsset', assetId: asset4, stored: null, onChain: { owner: owner1, description: 'Fourth' }, repaired: false }
+    ]));
+    expect(mockContract.getAsset).toHaveBeenCalledWith(asset1, { blockTag: 200 });
+
+    // Nothing is changed without repair
+    expect((await Asset.findOne({ where: { ...scope, id: asset2 } })).owner).toBe(owner1);
+    expect(await Asset.count()).toBe(4);
+  });
+
+  it('should find missing assets through held transfers', async () => {
+    // Owned by someone without stored assets, so only the held transfer points at it
+    const owner4 = '0x4444444444444444444444444444444444444444';
+    onChain[asset4] = onChainAsset(asset4, owner4, 'Fourth');
+    const listener = createListener();
+    await listener.holdTransfer(asset4, owner4, { transactionHash: '0xtx150', blockNumber: 150, blockHash: '0xhash150', index: 0 });
+
+    const report = await listener.reconcile();
+
+    expect(report.drift.filter((entry) => entry.type === 'missingAsset').map((entry) => entry.assetId)).toEqual([asset4]);
+  });
+
+  it('should repair owners, descriptions and missing assets', async () => {
+    const report = await createListener().reconcile({ repair: true, batchSize: 2 });
+
+    expect(report.summary.repaired).toBe(3);
+    expect(report.drift.find((entry) => entry.type === 'notOnChain').repaired).toBe(false);
+
+    const assets = await Asset.findAll({ where: scope, order: [['id', 'ASC']] });
+    expect(assets.map((asset) => [asset.id, asset.owner, asset.description])).toEqual([
+      [asset1, owner1, 'First'],
+      [asset2, owner2, 'Second'],
+      [asset3, owner1, 'Third'],
+      [asset4, owner1, 'Fourth'],
+      [asset5, owner3, 'Fifth']
+    ]);
+    expect(await PendingTransfer.count()).toBe(0);
+
+    const again = await createListener().reconcile();
+    expect(again.drift.map((entry) => entry.type)).toEqual(['notOnChain']);
+  });
+
+  it('should keep the latest report and emit it', async () => {
+    const listener = createListener();
+    const reports = [];
+    listener.on('reconciled', (report) => reports.push(report));
+
+    const report = await listener.reconcile();
+
+    expect(reports).toEqual([report]);
+    expect(listener.lastReconciliation).toBe(report);
+  });
+
+  it('should refuse to reconcile before the first sync', async () => {
+    await SyncCheckpoint.destroy({ where: {} });
+
+    await expect(createListener().reconcile()).rejects.toThrow('has not been synced yet');
+  });
+});
@@ -0,0 +1,129 @@
+import { describe, it, expect, beforeEach, jest } from '@jest/globals';
+import {
+  TestAsset as Asset,
+  TestTransfer as Transfer,
+  TestSyncCheckpoint as SyncCheckpoint
+} from './testDb.js';
+import {
+  assetId,
+  owner1,
+  owner2,
+  owner3,
+  mockProvider,
+  createListener
+} from './testChain.js';
+import './setup.js';
+
+// Canonical block hashes as seen by the mock provider
+let canonicalHashes = {};
+
+// Register an asset at block 100 and transfer it at blocks 101 and 102
+async function seedHistory(listener) {
+  await listener.handleAssetRegistered(assetId, owner1, 'Test Asset', '1234567890', {
+    transactionHash: '0xtx100', blockNumber: 100, blockHash: '0xhash100'
+  });
+  await listener.handleAssetTransferred(assetId, owner2, {
+    transactionHash: '0xtx101', blockNumber: 101, blockHash: '0xhash101'
+  });
+  await listener.handleAssetTransferred(assetId, owner3, {
+    transactionHash: '0xtx102', blockNumber: 102, blockHash: '0xhash102'
+  });
+  await listener.saveCheckpoint(102);
+}
+
+describe('Reorg handling', () => {
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    canonicalHashes = {};
+    mockProvider.getBlock.mockImplementation(async (blockNumber) => ({
+      number: blockNumber,
+      hash: canonicalHashes[blockNumber] || `0xhash${blockNumber}`,
+      timestamp: 1234567890
+    }));
+    mockProvider.getLogs.mockResolvedValue([]);
+
+    await Transfer.destroy({ where: {} });
+    await Asset.destroy({ where: {} });
+    await SyncCheckpoint.destroy({ where: {} });
+  });
+
+  it('should store the block hash and pending status on new events', async () => {
+    const listener = createListener();
+    await seedHistory(listener);
+
+    const transfer = await Transfer.findOne({ where: { transactionHash: '0xtx101' } });
+    expect(transfer.blockHash).toBe('0xhash101');
+    expect(transfer.status).toBe('pending');
+  });
+
+  describe('confirmBlocks', () => {
+    it('should confirm events with enough confirmations', async () => {
+      const listener = createListener({ confirmations: 2 });
+      await seedHistory(listener);
+
+      await listener.confirmBlocks(103);
+
+      const transfers = await Transfer.findAll({ order: [['blockNumber', 'ASC']] });
+      expect(transfers.map(t => t.status)).toEqual(['confirmed', 'confirmed', 'pending']);
+    });
+  });
+
+  describe('checkForReorg', () => {
+    it('should return null when stored hashes are canonical', async () => {
+      const listener = createListener();
+      await seedHistory(listener);
+
+      expect(await listener.checkForReorg()).toBeNull();
+      expect(await Transfer.count()).toBe(3);
+    });
+
+    it('should roll back transfers and restore the previous owner', async () => {
+      const listener = createListener();
+      await seedHistory(listener);
+      canonicalHashes[101] = '0xforked101';
+
+      const forkBlock = await listener.checkForReorg();
+
+      expect(forkBlock).toBe(101);
+      const asset = await Asset.findByPk(assetId);
+      expect(asset.owner).toBe(owner1);
+      expect(await Transfer.count()).toBe(1);
+      expect(await listener.getCheckpoint()).toBe(100);
+    });
+
+    it('should remove assets whose registration was orphaned', async () => {
+      const listener = createListener();
+      await seedHistory(listener);
+      canonicalHashes[100] = '0xforked100';
+
+      await listener.checkForReorg();
+
+      expect(await Asset.findByPk(assetId)).toBeNull();
+      expect(await Transfer.count()).toBe(0);
+    });
+
+    it('should ignore confirmed events', async () => {
+      const listener = createListener({ confirmations: 0 });
+      await seedHistory(listener);
+      await listener.confirmBlocks(102);
+      canonicalHashes[101] = '0xforked101';
+
+      expect(await listener.checkForReorg()).toBeNull();
+    });
+  });
+
+  describe('handleNewBlock', () => {
+    it('should resync from the fork block after a rollback', async () => {
+      const listener = createListener();
+      await seedHistory(listener);
+      canonicalHashes[102] = '0xforked102';
+      const syncSpy = jest.spyOn(listener, 'syncHistoricalEvents');
+
+      await listener.handleNewBlock(105);
+
+      expect(syncSpy).toHaveBeenCalledWith(102, 105);
+      const asset = await Asset.findByPk(assetId);
+      expect(asset.owner).toBe(owner2);
+    });
+  });
+});
@@ -0,0 +1,195 @@
+import { describe, it, expect, beforeEach, jest } from '@jest/globals';
+import { RpcPool } from '../rpcPool.js';
+
+function createMockProvider() {
+  return {
+    getBlockNumber: jest.fn().mockResolvedValue(100),
+    getBlock: jest.fn(),
+    getLogs: jest.fn().mockResolvedValue([]),
+    call: jest.fn(),
+    on: jest.fn(),
+    off: jest.fn(),
+    destroy: jest.fn(),
+  };
+}
+
+const endpoints = [
+  { url: 'https://primary.example.com/v2/secret-key', priority: 1 },
+  { url: 'https://backup.example.com/v2/secret-key', priority: 2 },
+  { url: 'https://last.example.com/v2/secret-key', priority: 3 }
+];
+
+let providers;
+
+function createPool(options = {}) {
+  return new RpcPool(endpoints, {
+    createProvider: (url) => {
+      const provider = createMockProvider();
+      providers[url] = provider;
+      return provider;
+    },
+    ...options
+  });
+}
+
+const providerFor = (index) => providers[endpoints[index].url];
+
+describe('RpcPool', () => {
+  beforeEach(() => {
+    providers = {};
+  });
+
+  it('should reject a quorum larger than the number of endpoints', () => {
+    expect(() => createPool({ quorum: 4 })).toThrow('Quorum must be between 1 and the number of endpoints (3)');
+  });
+
+  it('should send calls to the highest priority endpoint', async () => {
+    const pool = createPool();
+
+    expect(await pool.getBlockNumber()).toBe(100);
+
+    expect(providerFor(0).getBlockNumber).toHaveBeenCalled();
+    expect(providerFor(1).getBlockNumber).not.toHaveBeenCalled();
+  });
+
+  it('should fail over to the next endpoint and record the error', async () => {
+    const pool = createPool();
+    providerFor(0).getBlockNumber.mockRejectedValueOnce(new Error('429 Too Many Requests'));
+    providerFor(1).getBlockNumber.mockResolvedValueOnce(101);
+
+    expect(await pool.getBlockNumber()).toBe(101);
+
+    const [primary] = pool.getHealth();
+    expect(primary.errors).toBe(1);
+    expect(primary.consecutiveFailures).toBe(1);
+    expect(primary.errorRate).toBeGreaterThan(0);
+    expect(primary.lastError).toBe('429 Too Many Requests');
+  });
+
+  it('should pass through errors that do not call for failover', async () => {
+    const pool = createPool({ shouldFailover: (error) => !/block range/.test(error.message) });
+    providerFor(0).getLogs.mockRejectedValueOnce(new Error('block range too large'));
+
+    await expect(pool.getLogs({ fromBlock: 0, toBlock: 100000 })).rejects.toThrow('block range too large');
+
+    expect(providerFor(1).getLogs).not.toHaveBeenCalled();
+    expect(pool.getHealth()[0].errors).toBe(0);
+  });
+
+  it('should throw the last error when every endpoint fails', async () => {
+    const pool = createPool();
+    for (const endpoint of endpoints) {
+      providers[endpoint.url].getBlockNumber.mockRejectedValueOnce(new Error(`${endpoint.priority} down`));
+    }
+
+    await expect(pool.getBlockNumber()).rejects.toThrow('3 down');
+  });
+
+  it('should treat a hung request as failed', async () => {
+    const pool = createPool({ requestTimeoutMs: 20 });
+    providerFor(0).getBlockNumber.mockReturnValueOnce(new Promise(() => {}));
+
+    expect(await pool.getBlockNumber()).toBe(100);
+    expect(pool.getHealth().find(e => e.priority === 1).lastError).toMatch(/timed out/);
+  });
+
+  describe('health', () => {
+    it('should mark an endpoint unhealthy after repeated failures and route around it', async () => {
+      const pool = createPool();
+      const failingProvider = providerFor(0);
+      failingProvider.getBlockNumber.mockRejectedValue(new Error('down'));
+
+      for (let i = 0; i < 3; i++) {
+        await pool.getBlockNumber();
+      }
+
+      const health = pool.getHealth();
+      expect(health.map(e => e.priority)).toEqual([2, 3, 1]);
+      expect(health[2].healthy).toBe(false);
+      // The next attempt uses a fresh connection
+      expect(failingProvider.destroy).toHaveBeenCalled();
+      expect(providerFor(0)).not.toBe(failingProvider);
+    });
+
+    it('should redact endpoint URLs', () => {
+      const pool = createPool();
+
+      expect(pool.getHealth().map(e => e.name)).toEqual([
+        'https://primary.example.com',
+        'https://backup.example.com',
+        'https://last.example.com'
+      ]);
+    });
+
+    it('should track rolling latency', async () => {
+      const pool = createPool();
+
+      await pool.getBlockNumber();
+
+      expect(pool.getHealth()[0].latencyMs).toBeGreaterThanOrEqual(0);
+      expect(pool.getHealth()[0].requests).toBe(1);
+    });
+  });
+
+  describe('quorum', () => {
+    it('should accept a result once enough endpoints agree', async () => {
+      const pool = createPool({ quorum: 2 });
+      providerFor(0).call.mockResolvedValue('0xaa');
+      providerFor(1).call.mockResolvedValue('0xbb');
+      providerFor(2).call.mockResolvedValue('0xaa');
+
+      expect(await pool.call({ to: '0x0', data: '0x' })).toBe('0xaa');
+      expect(providerFor(2).call).toHaveBeenCalled();
+    });
+
+    it('should fail when endpoints never agree', async () => {
+      const pool = createPool({ quorum: 2 });
+      providerFor(0).call.mockResolvedValue('0xaa');
+      providerFor(1).call.mockResolvedValue('0xbb');
+      providerFor(2).call.mockResolvedValue('0xcc');
+
+      await expect(pool.call({ to: '0x0', data: '0x' })).rejects.toThrow('RPC quorum of 2 not reached');
+    });
+
+    it('should use the lowest block number of the quorum', async () => {
+      const pool = createPool({ quorum: 2 });
+      providerFor(0).getBlockNumber.mockResolvedValue(105);
+      providerFor(1).getBlockNumber.mockResolvedValue(104);
+
+      expect(await pool.getBlockNumber()).toBe(104);
+    });
+  });
+
+  describe('block subscription', () => {
+    it('should subscribe on the best endpoint and move when it fails', async () => {
+      const pool = createPool();
+      const listener = jest.fn();
+      pool.on('block', listener);
+
+      const primary = providerFor(0);
+      expect(primary.on).toHaveBeenCalledWith('block', pool.emitBlock);
+
+      primary.getBlockNumber.mockRejectedValue(new Error('down'));
+      for (let i = 0; i < 3; i++) {
+        await pool.checkHealth();
+      }
+
+      expect(providerFor(1).on).toHaveBeenCalledWith('block', pool.emitBlock);
+      expect(pool.getHealth().find(e => e.subscribed).priority).toBe(2);
+
+      pool.emitBlock(200);
+      expect(listener).toHaveBeenCalledWith(200);
+    });
+
+    it('should drop the subscription when the last listener leaves', () => {
+      const pool = createPool();
+      const listener = jest.fn();
+
+      pool.on('block', listener);
+      pool.off('block', listener);
+
+      expect(providerFor(0).off).toHaveBeenCalledWith('block', pool.emitBlock);
+      expect(pool.getHealth().some(e => e.subscribed)).toBe(false);
+    });
+  });
+});
@@ -1,5 +1,5 @@
 import { beforeAll, afterEach, afterAll } from '@jest/globals';
-import { TestAsset, TestTransfer, testSequelize } from './testDb.js';
+import { TestAsset, TestTransfer, TestSyncCheckpoint, TestFailedRange, TestDeadLetterEvent, TestPendingTransfer, TestRawEvent, testSequelize } from './testDb.js';
 
 // Setup test database before all tests
 beforeAll(async () => {
@@ -10,6 +10,11 @@ beforeAll(async () => {
 afterEach(async () => {
   await TestTransfer.destroy({ where: {}, truncate: true });
   await TestAsset.destroy({ where: {}, truncate: true });
+  await TestSyncCheckpoint.destroy({ where: {}, truncate: true });
+  await TestFailedRange.destroy({ where: {}, truncate: true });
+  await TestDeadLetterEvent.destroy({ where: {}, truncate: true });
+  await TestPendingTransfer.destroy({ where: {}, truncate: true });
+  await TestRawEvent.destroy({ where: {}, truncate: true });
 });
 
 // Close database connection after all tests
@@ -0,0 +1,276 @@
+import { describe, it, expect, beforeEach, jest } from '@jest/globals';
+import {
+  TestAsset as Asset,
+  TestTransfer as Transfer,
+  TestSyncCheckpoint as SyncCheckpoint
+} from './testDb.js';
+import {
+  contractAddress,
+  chainId,
+  assetId,
+  owner1,
+  owner2,
+  owner3,
+  mockProvider,
+  contractInterface,
+  makeLog,
+  createListener
+} from './testChain.js';
+import './setup.js';
+
+describe('Sync checkpoint', () => {
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    mockProvider.getBlock.mockResolvedValue({ timestamp: 1234567890 });
+    mockProvider.getLogs.mockResolvedValue([]);
+
+    await Transfer.destroy({ where: {} });
+    await Asset.destroy({ where: {} });
+    await SyncCheckpoint.destroy({ where: {} });
+  });
+
+  describe('saveCheckpoint', () => {
+    it('should store and read back the last processed block', async () => {
+      const listener = createListener();
+
+      expect(await listener.getCheckpoint()).toBeNull();
+
+      await listener.saveCheckpoint(150);
+
+      expect(await listener.getCheckpoint()).toBe(150);
+    });
+
+    it('should never move the checkpoint backwards', async () => {
+      const listener = createListener();
+
+      await listener.saveCheckpoint(150);
+      await listener.saveCheckpoint(120);
+
+      expect(await listener.getCheckpoint()).toBe(150);
+    });
+  });
+
+  describe('syncHistoricalEvents', () => {
+    it('should advance the checkpoint after each chunk', async () => {
+      const listener = createListener();
+
+      await listener.syncHistoricalEvents(100, 124);
+
+      expect(await listener.getCheckpoint()).toBe(124);
+    });
+
+    it('should advance the checkpoint past a failed range once it is tracked', async () => {
+      const listener = createListener();
+
+      // First range succeeds, second range fails, third succeeds
+      mockProvider.getLogs
+        .mockResolvedValueOnce([])
+        .mockRejectedValueOnce(new Error('RPC Error'));
+
+      const result = await listener.syncHistoricalEvents(100, 159);
+
+      expect(await listener.getCheckpoint()).toBe(159);
+      expect(result.complete).toBe(false);
+      expect(result.failedRanges).toBe(1);
+    });
+
+    it('should fetch both event types with a single topic-OR query', async () => {
+      const listener = createListener();
+
+      await listener.syncHistoricalEvents(100, 105);
+
+      expect(mockProvider.getLogs).toHaveBeenCalledTimes(1);
+      expect(mockProvider.getLogs).toHaveBeenCalledWith({
+        address: contractAddress,
+        topics: [[
+          contractInterface.getEvent('AssetRegistered').topicHash,
+          contractInterface.getEvent('AssetTransferred').topicHash
+        ]],
+        fromBlock: 100,
+        toBlock: 105
+      });
+    });
+
+    it('should grow the range while the provider accepts it', async () => {
+      const listener = createListener();
+
+      await listener.syncHistoricalEvents(100, 169);
+
+      const ranges = mockProvider.getLogs.mock.calls.map(([filter]) => [filter.fromBlock, filter.toBlock]);
+      expect(ranges).toEqual([[100, 109], [110, 129], [130, 169]]);
+    });
+
+    it('should not grow past the maximum range size', async () => {
+      const listener = createListener();
+      listener.maxChunkSize = 15;
+
+      await listener.syncHistoricalEvents(100, 139);
+
+      const ranges = mockProvider.getLogs.mock.calls.map(([filter]) => [filter.fromBlock, filter.toBlock]);
+      expect(ranges).toEqual([[100, 109], [110, 124], [125, 139]]);
+    });
+
+    it('should shrink the range when the provider rejects it as too large', async () => {
+      const listener = createListener();
+      listener.chunkSize = 40;
+
+      mockProvider.getLogs
+        .mockRejectedValueOnce(new Error('eth_getLogs is limited to a 10 block range'))
+        .mockRejectedValueOnce(new Error('query returned more than 10000 results'));
+
+      await listener.syncHistoricalEvents(100, 119);
+
+      const ranges = mockProvider.getLogs.mock.calls.map(([filter]) => [filter.fromBlock, filter.toBlock]);
+      expect(ranges.slice(0, 3)).toEqual([[100, 119], [100, 109], [100, 104]]);
+      expect(await listener.getCheckpoint()).toBe(119);
+    });
+
+    it('should back off and retry when rate limited', async () => {
+      const listener = createListener();
+
+      mockProvider.getLogs.mockRejectedValueOnce(new Error('429 Too Many Requests'));
+
+      await listener.syncHistoricalEvents(100, 109);
+
+      const ranges = mockProvider.getLogs.mock.calls.map(([filter]) => [filter.fromBlock, filter.toBlock]);
+      expect(ranges[0]).toEqual([100, 109]);
+      expect(ranges[1]).toEqual([100, 104]);
+      expect(await listener.getCheckpoint()).toBe(109);
+    });
+
+    it('should report sync progress', async () => {
+      const listener = createListener();
+
+      await listener.syncHistoricalEvents(100, 129);
+
+      expect(listener.syncProgress).toMatchObject({ fromBlock: 100, toBlock: 129, lastBlock: 129, etaSeconds: 0 });
+      expect(listener.syncProgress.blocksPerSecond).toBeGreaterThan(0);
+    });
+  });
+
+  describe('event identity', () => {
+    it('should store a register and a transfer from the same transaction', async () => {
+      const listener = createListener();
+
+      mockProvider.getLogs.mockResolvedValueOnce([
+        makeLog('AssetRegistered', [assetId, owner1, 'Test Asset', 1234567890],
+          { transactionHash: '0xmulticall', blockNumber: 100, transactionIndex: 3, index: 5 }),
+        makeLog('AssetTransferred', [assetId, owner2],
+          { transactionHash: '0xmulticall', blockNumber: 100, transactionIndex: 3, index: 6 })
+      ]);
+
+      await listener.syncHistoricalEvents(100, 100);
+
+      const transfers = await Transfer.findAll({ order: [['blockNumber', 'ASC'], ['logIndex', 'ASC']] });
+      expect(transfers.map(t => t.logIndex)).toEqual([5, 6]);
+      expect(transfers.map(t => t.transactionIndex)).toEqual([3, 3]);
+      expect(transfers[1].fromOwner).toBe(owner1);
+
+      const asset = await Asset.findByPk(assetId);
+      expect(asset.owner).toBe(owner2);
+    });
+
+    it('should apply events in (block, logIndex) order across event types', async () => {
+      const listener = createListener();
+
+      await Asset.create({
+        chainId,
+        contractAddress,
+        id: assetId,
+        owner: owner1,
+        description: 'Test Asset',
+        timestamp: '1234567890',
+        registeredAt: new Date(),
+      });
+
+      // Transfer back to owner1 in block 101 must be applied after the transfer in block 100
+      mockProvider.getLogs.mockResolvedValueOnce([
+        makeLog('AssetTransferred', [assetId, owner1], { transactionHash: '0xtx2', blockNumber: 101, index: 0 }),
+        makeLog('AssetTransferred', [assetId, owner2], { transactionHash: '0xtx1', blockNumber: 100, index: 2 })
+      ]);
+
+      await listener.syncHistoricalEvents(100, 101);
+
+      const asset = await Asset.findByPk(assetId);
+      expect(asset.owner).toBe(owner1);
+    });
+  });
+
+  describe('start', () => {
+    it('should backfill from the checkpoint to the chain head', async () => {
+      const listener = createListener();
+      await listener.saveCheckpoint(200);
+      mockProvider.getBlockNumber.mockResolvedValue(215);
+      const syncSpy = jest.spyOn(listener, 'syncHistoricalEvents');
+
+      await listener.start(100);
+
+      expect(syncSpy).toHaveBeenCalledWith(201, 215);
+      expect(listener.isListening).toBe(true);
+      expect(await listener.getCheckpoint()).toBe(215);
+    });
+
+    it('should start from the default block when no checkpoint exists', async () => {
+      const listener = createListener();
+      mockProvider.getBlockNumber.mockResolvedValue(105);
+      const syncSpy = jest.spyOn(listener, 'syncHistoricalEvents');
+
+      await listener.start(100);
+
+      expect(syncSpy).toHaveBeenCalledWith(100, 105);
+      expect(await listener.getCheckpoint()).toBe(105);
+    });
+
+    it('should start at the chain head without a checkpoint or default block', async () => {
+      const listener = createListener();
+      mockProvider.getBlockNumber.mockResolvedValue(500);
+      const syncSpy = jest.spyOn(listener, 'syncHistoricalEvents');
+
+      await listener.start();
+
+      expect(syncSpy).not.toHaveBeenCalled();
+      expect(await listener.getCheckpoint()).toBe(500);
+      expect(listener.isListening).toBe(true);
+    });
+
+    it('should catch up on blocks mined during the backfill', async () => {
+      const listener = createListener();
+      await listener.saveCheckpoint(200);
+      mockProvider.getBlockNumber
+        .mockResolvedValueOnce(210)
+        .mockResolvedValueOnce(213);
+      const syncSpy = jest.spyOn(listener, 'syncHistoricalEvents');
+
+      await listener.start();
+
+      expect(syncSpy).toHaveBeenNthCalledWith(1, 201, 210);
+      expect(syncSpy).toHaveBeenNthCalledWith(2, 211, 213);
+    });
+  });
+
+  describe('handleAssetTransferred', () => {
+    it('should not roll the owner back when an old transfer is replayed', async () => {
+      const listener = createListener();
+
+      await Asset.create({
+        chainId,
+        contractAddress,
+        id: assetId,
+        owner: owner1,
+        description: 'Test Asset',
+        timestamp: '1234567890',
+        registeredAt: new Date(),
+      });
+
+      await listener.handleAssetTransferred(assetId, owner2, { transactionHash: '0xtx1', blockNumber: 300 });
+      await listener.handleAssetTransferred(assetId, owner3, { transactionHash: '0xtx2', blockNumber: 301 });
+
+      // Replay of the first transfer after a restart
+      await listener.handleAssetTransferred(assetId, owner2, { transactionHash: '0xtx1', blockNumber: 300 });
+
+      const asset = await Asset.findByPk(assetId);
+      expect(asset.owner).toBe(owner3);
+      expect(await Transfer.count()).toBe(2);
+    });
+  });
+});
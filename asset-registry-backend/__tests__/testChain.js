@@ -0,0 +1,86 @@
+import { jest } from '@jest/globals';
+import { ethers } from 'ethers';
+import { testDbModule } from './testDb.js';
+import { AssetRegistryABI } from '../contractABI.js';
+
+/**
+ * Shared setup of the suites that run the real EventListener against a mocked chain:
+ * the indexed contract, a mock provider and contract, raw logs and listeners.
+ * Import it before any module that reads db.js. Each suite sets the mocks' answers
+ * in its beforeEach; jest.clearAllMocks keeps them.
+ */
+
+// Point the real EventListener at the in-memory test models
+jest.unstable_mockModule('../db.js', () => testDbModule);
+
+export const { EventListener } = await import('../eventListener.js');
+
+export const contractAddress = '0x1234567890123456789012345678901234567890';
+export const chainId = 31337;
+export const rpcUrl = 'http://127.0.0.1:8545';
+export const scope = { chainId, contractAddress };
+
+export const assetId = '0x1234567890abcdef1234567890abcdef1234567890abcdef1234567890abcdef';
+export const owner1 = '0x1111111111111111111111111111111111111111';
+export const owner2 = '0x2222222222222222222222222222222222222222';
+export const owner3 = '0x3333333333333333333333333333333333333333';
+
+export const contractInterface = new ethers.Interface(AssetRegistryABI);
+
+// getAsset result for an asset the contract does not know
+export const unknownAsset = { id: ethers.ZeroHash, owner: ethers.ZeroAddress, description: '', timestamp: 0n };
+
+/**
+ * A provider for the given chain whose methods are mocks. Until a suite says otherwise,
+ * block N has the hash 0xhashN and no block has logs.
+ */
+export function createMockProvider(providerChainId = chainId) {
+  return {
+    getBlock: jest.fn(async (blockNumber) => ({ number: blockNumber, hash: `0xhash${blockNumber}`, timestamp: 1234567890 })),
+    getBlockNumber: jest.fn(),
+    getLogs: jest.fn(async () => []),
+    getNetwork: jest.fn(async () => ({ chainId: BigInt(providerChainId) })),
+    on: jest.fn(),
+    off: jest.fn()
+  };
+}
+
+export const mockProvider = createMockProvider();
+
+export const mockContract = {
+  getAsset: jest.fn(),
+  getAssetsByOwner: jest.fn(),
+  on: jest.fn(),
+  removeAllListeners: jest.fn(),
+  interface: contractInterface
+};
+
+/**
+ * Build a raw log as returned by provider.getLogs, encoded with the contract's ABI
+ * or the given interface
+ */
+export function makeLog(eventName, args, position, logInterface = contractInterface) {
+  const { data, topics } = logInterface.encodeEventLog(eventName, args);
+  return { address: contractAddress, data, topics, transactionIndex: 0, index: 0, ...position };
+}
+
+/**
+ * Answer a getLogs filter from the given logs the way a node does: by address, block range and topics
+ */
+export function getLogsFrom(logs) {
+  return async ({ address, topics = [], fromBlock, toBlock }) => logs.filter((log) =>
+    log.address.toLowerCase() === address.toLowerCase() &&
+    log.blockNumber >= fromBlock && log.blockNumber <= toBlock &&
+    topics.every((topic, i) => topic === null || (Array.isArray(topic) ? topic.includes(log.topics[i]) : topic === log.topics[i]))
+  );
+}
+
+/**
+ * A listener of the test contract on the mock provider and contract
+ */
+export function createListener(options = {}) {
+  const listener = new EventListener(contractAddress, rpcUrl, AssetRegistryABI, { chainId, ...options });
+  listener.provider = mockProvider;
+  listener.contract = mockContract;
+  return listener;
+}
@@ -14,6 +14,16 @@ export const TestAsset = testSequelize.define('Asset', {
     primaryKey: true,
     allowNull: false
   },
+  chainId: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    allowNull: false
+  },
+  contractAddress: {
+    type: DataTypes.STRING,
+    primaryKey: true,
+    allowNull: false
+  },
   owner: {
     type: DataTypes.STRING,
     allowNull: false
@@ -41,13 +51,17 @@ export const TestTransfer = testSequelize.define('Transfer', {
     primaryKey: true,
     autoIncrement: true
   },
+  chainId: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  contractAddress: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
   assetId: {
     type: DataTypes.STRING,
-    allowNull: false,
-    references: {
-      model: TestAsset,
-      key: 'id'
-    }
+    allowNull: false
   },
   fromOwner: {
     type: DataTypes.STRING,
@@ -61,10 +75,27 @@ export const TestTransfer = testSequelize.define('Transfer', {
     type: DataTypes.BIGINT,
     allowNull: false
   },
+  blockHash: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  status: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    defaultValue: 'pending' // 'pending' until the block has enough confirmations, then 'confirmed'
+  },
   transactionHash: {
     type: DataTypes.STRING,
+    allowNull: false
+  },
+  transactionIndex: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  logIndex: {
+    type: DataTypes.INTEGER,
     allowNull: false,
-    unique: true
+    defaultValue: 0
   },
   timestamp: {
     type: DataTypes.BIGINT,
@@ -75,11 +106,311 @@ export const TestTransfer = testSequelize.define('Transfer', {
     allowNull: false,
     defaultValue: DataTypes.NOW
   }
+}, {
+  timestamps: false,
+  indexes: [
+    // A transaction can emit several events, so identity is (transactionHash, logIndex) within a chain
+    { unique: true, fields: ['chainId', 'transactionHash', 'logIndex'] },
+    // Lookups and paged lists by asset, block and owner
+    { fields: ['assetId'] },
+    { fields: ['blockNumber'] },
+    { fields: ['fromOwner'] },
+    { fields: ['toOwner'] }
+  ]
+});
+
+export const TestSyncCheckpoint = testSequelize.define('SyncCheckpoint', {
+  chainId: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    allowNull: false
+  },
+  contractAddress: {
+    type: DataTypes.STRING,
+    primaryKey: true,
+    allowNull: false
+  },
+  lastProcessedBlock: {
+    type: DataTypes.BIGINT,
+    allowNull: false
+  },
+  updatedAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  timestamps: false
+});
+
+export const TestFailedRange = testSequelize.define('FailedRange', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  chainId: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  contractAddress: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  fromBlock: {
+    type: DataTypes.BIGINT,
+    allowNull: false
+  },
+  toBlock: {
+    type: DataTypes.BIGINT,
+    allowNull: false
+  },
+  error: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  attempts: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 1
+  },
+  status: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    defaultValue: 'pending' // 'pending', 'resolved' once a retry succeeds, or 'discarded'
+  },
+  nextRetryAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  createdAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  },
+  lastAttemptAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  },
+  resolvedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
 }, {
   timestamps: false
 });
 
+export const TestDeadLetterEvent = testSequelize.define('DeadLetterEvent', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  chainId: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  contractAddress: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  eventName: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  blockNumber: {
+    type: DataTypes.BIGINT,
+    allowNull: true
+  },
+  transactionHash: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  logIndex: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  rawLog: {
+    type: DataTypes.TEXT, // JSON of the log as received from the provider
+    allowNull: false
+  },
+  args: {
+    type: DataTypes.TEXT, // JSON of the decoded event arguments
+    allowNull: true
+  },
+  error: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  attempts: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 1
+  },
+  status: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    defaultValue: 'pending' // 'pending', 'resolved' once a retry succeeds, or 'discarded'
+  },
+  createdAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  },
+  lastAttemptAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  },
+  resolvedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  timestamps: false
+});
+
+export const TestPendingTransfer = testSequelize.define('PendingTransfer', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  chainId: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  contractAddress: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  assetId: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  toOwner: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  blockNumber: {
+    type: DataTypes.BIGINT,
+    allowNull: false
+  },
+  blockHash: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  transactionHash: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  transactionIndex: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  logIndex: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  createdAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  timestamps: false,
+  indexes: [
+    { unique: true, fields: ['chainId', 'transactionHash', 'logIndex'] }
+  ]
+});
+
+export const TestRawEvent = testSequelize.define('RawEvent', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  chainId: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  contractAddress: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  eventName: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  blockNumber: {
+    type: DataTypes.BIGINT,
+    allowNull: false
+  },
+  blockHash: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  blockTimestamp: {
+    type: DataTypes.BIGINT, // Block time in seconds, so transfers can be replayed without the RPC
+    allowNull: false
+  },
+  transactionHash: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  transactionIndex: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  logIndex: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  topics: {
+    type: DataTypes.TEXT, // JSON array of the log topics
+    allowNull: false
+  },
+  data: {
+    type: DataTypes.TEXT,
+    allowNull: false
+  },
+  args: {
+    type: DataTypes.TEXT, // JSON of the decoded event arguments
+    allowNull: false
+  },
+  removed: {
+    type: DataTypes.BOOLEAN, // Set when a reorg orphans the block; the row itself is kept
+    allowNull: false,
+    defaultValue: false
+  },
+  createdAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  timestamps: false,
+  indexes: [
+    { fields: ['chainId', 'contractAddress', 'blockNumber', 'logIndex'] },
+    { fields: ['chainId', 'transactionHash', 'logIndex'] }
+  ]
+});
+
 // Define associations
-TestAsset.hasMany(TestTransfer, { foreignKey: 'assetId', as: 'transfers' });
-TestTransfer.belongsTo(TestAsset, { foreignKey: 'assetId', as: 'asset' });
+TestAsset.hasMany(TestTransfer, { foreignKey: 'assetId', as: 'transfers', constraints: false });
+TestTransfer.belongsTo(TestAsset, { foreignKey: 'assetId', as: 'asset', constraints: false });
 
+// Same exports as ../db.js, for tests that load the real modules through jest.unstable_mockModule
+export const testDbModule = {
+  sequelize: testSequelize,
+  Asset: TestAsset,
+  Transfer: TestTransfer,
+  SyncCheckpoint: TestSyncCheckpoint,
+  FailedRange: TestFailedRange,
+  DeadLetterEvent: TestDeadLetterEvent,
+  PendingTransfer: TestPendingTransfer,
+  RawEvent: TestRawEvent
+};
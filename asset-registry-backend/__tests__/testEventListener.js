@@ -7,6 +7,7 @@ import { TestAsset as Asset, TestTransfer as Transfer } from './testDb.js';
 export class TestEventListener {
   constructor(contractAddress, rpcUrl, contractABI, provider, contract) {
     this.contractAddress = contractAddress;
+    this.chainId = 31337;
     this.provider = provider;
     this.contract = contract;
     this.isListening = false;
@@ -40,6 +41,13 @@ export class TestEventListener {
     console.log('Event listener started successfully');
   }
 
+  scope() {
+    return {
+      chainId: this.chainId,
+      contractAddress: this.contractAddress.toLowerCase()
+    };
+  }
+
   async handleAssetRegistered(id, owner, description, timestamp, event) {
     const assetId = id.toString();
     const ownerAddress = owner.toLowerCase();
@@ -51,6 +59,7 @@ export class TestEventListener {
     
     if (!existingAsset) {
       await Asset.create({
+        ...this.scope(),
         id: assetId,
         owner: ownerAddress,
         description: description,
@@ -73,6 +82,7 @@ export class TestEventListener {
 
       if (!existingTransfer) {
         await Transfer.create({
+          ...this.scope(),
           assetId: assetId,
           fromOwner: null,
           toOwner: ownerAddress,
@@ -112,6 +122,7 @@ export class TestEventListener {
           const blockTimestamp = block ? block.timestamp.toString() : Date.now().toString();
 
           await Transfer.create({
+            ...this.scope(),
             assetId: assetId,
             fromOwner: previousOwner,
             toOwner: newOwnerAddress,
@@ -0,0 +1,160 @@
+import { describe, it, expect, beforeEach, jest } from '@jest/globals';
+import {
+  TestAsset as Asset,
+  TestTransfer as Transfer
+} from './testDb.js';
+import {
+  contractAddress,
+  chainId,
+  assetId,
+  owner1,
+  owner2,
+  owner3,
+  mockProvider,
+  createListener
+} from './testChain.js';
+import './setup.js';
+
+// Block N was mined at 1700000000 + N * 12 seconds
+const blockTime = (blockNumber) => 1700000000 + blockNumber * 12;
+
+describe('Block timestamps', () => {
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    mockProvider.getBlock.mockImplementation(async (blockNumber) => ({ number: blockNumber, timestamp: blockTime(blockNumber) }));
+
+    await Transfer.destroy({ where: {} });
+    await Asset.destroy({ where: {} });
+  });
+
+  it('should store the block time as registeredAt', async () => {
+    const listener = createListener();
+
+    await listener.handleAssetRegistered(assetId, owner1, 'Test Asset', blockTime(100).toString(), {
+      transactionHash: '0xtx1', blockNumber: 100
+    });
+
+    const asset = await Asset.findByPk(assetId);
+    expect(asset.registeredAt.getTime()).toBe(blockTime(100) * 1000);
+
+    const transfer = await Transfer.findOne({ where: { transactionHash: '0xtx1' } });
+    expect(transfer.transferredAt.getTime()).toBe(blockTime(100) * 1000);
+  });
+
+  it('should store the block time as transferredAt', async () => {
+    const listener = createListener();
+    await Asset.create({
+      chainId,
+      contractAddress,
+      id: assetId,
+      owner: owner1,
+      description: 'Test Asset',
+      timestamp: blockTime(100).toString(),
+      registeredAt: new Date(blockTime(100) * 1000),
+    });
+
+    await listener.handleAssetTransferred(assetId, owner2, { transactionHash: '0xtx2', blockNumber: 250 });
+
+    const transfer = await Transfer.findOne({ where: { transactionHash: '0xtx2' } });
+    expect(Number(transfer.timestamp)).toBe(blockTime(250));
+    expect(transfer.transferredAt.getTime()).toBe(blockTime(250) * 1000);
+  });
+
+  it('should fetch each block only once', async () => {
+    const listener = createListener();
+    await Asset.create({
+      chainId,
+      contractAddress,
+      id: assetId,
+      owner: owner1,
+      description: 'Test Asset',
+      timestamp: blockTime(100).toString(),
+      registeredAt: new Date(blockTime(100) * 1000),
+    });
+
+    await listener.handleAssetTransferred(assetId, owner2, { transactionHash: '0xtx2', blockNumber: 250, index: 0 });
+    await listener.handleAssetTransferred(assetId, owner3, { transactionHash: '0xtx3', blockNumber: 250, index: 1 });
+
+    expect(mockProvider.getBlock).toHaveBeenCalledTimes(1);
+  });
+
+  it('should reuse the registration timestamp for its block', async () => {
+    const listener = createListener();
+
+    await listener.handleAssetRegistered(assetId, owner1, 'Test Asset', blockTime(100).toString(), {
+      transactionHash: '0xtx1', blockNumber: 100, index: 0
+    });
+    await listener.handleAssetTransferred(assetId, owner2, { transactionHash: '0xtx1', blockNumber: 100, index: 1 });
+
+    expect(mockProvider.getBlock).not.toHaveBeenCalled();
+  });
+
+  it('should fail instead of guessing when the block is unavailable', async () => {
+    const listener = createListener();
+    mockProvider.getBlock.mockResolvedValueOnce(null);
+
+    await expect(listener.getBlockTimestamp(999)).rejects.toThrow('Block 999 not found');
+  });
+
+  describe('repairBlockTimestamps', () => {
+    it('should rewrite processing times with block times', async () => {
+      const listener = createListener();
+      const syncDate = new Date('2025-06-01T00:00:00Z');
+
+      await Asset.create({
+        chainId,
+        contractAddress,
+        id: assetId,
+        owner: owner2,
+        description: 'Test Asset',
+        timestamp: blockTime(100).toString(),
+        registeredAt: syncDate,
+      });
+      await Transfer.create({
+        chainId,
+        contractAddress,
+        assetId,
+        fromOwner: null,
+        toOwner: owner1,
+        blockNumber: '100',
+        transactionHash: '0xtx1',
+        timestamp: blockTime(100).toString(),
+        transferredAt: syncDate,
+      });
+      await Transfer.create({
+        chainId,
+        contractAddress,
+        assetId,
+        fromOwner: owner1,
+        toOwner: owner2,
+        blockNumber: '250',
+        transactionHash: '0xtx2',
+        timestamp: Date.now().toString(), // Old fallback stored milliseconds
+        transferredAt: syncDate,
+      });
+
+      const result = await listener.repairBlockTimestamps();
+
+      expect(result).toEqual({ assetsRepaired: 1, transfersRepaired: 2 });
+
+      const asset = await Asset.findByPk(assetId);
+      expect(asset.registeredAt.getTime()).toBe(blockTime(100) * 1000);
+
+      const transfer = await Transfer.findOne({ where: { transactionHash: '0xtx2' } });
+      expect(Number(transfer.timestamp)).toBe(blockTime(250));
+      expect(transfer.transferredAt.getTime()).toBe(blockTime(250) * 1000);
+    });
+
+    it('should leave correct rows untouched', async () => {
+      const listener = createListener();
+
+      await listener.handleAssetRegistered(assetId, owner1, 'Test Asset', blockTime(100).toString(), {
+        transactionHash: '0xtx1', blockNumber: 100
+      });
+
+      const result = await listener.repairBlockTimestamps();
+
+      expect(result).toEqual({ assetsRepaired: 0, transfersRepaired: 0 });
+    });
+  });
+});
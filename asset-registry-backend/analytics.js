@@ -0,0 +1,303 @@
+import { Op, QueryTypes, fn, col, literal } from 'sequelize';
+import { Asset, Transfer } from './db.js';
+
+// Aggregates over the index, computed in SQL so clients do not download the tables. Medians
+// and inequality measures are taken from the grouped rows, one per owner or holding period.
+// Bucketing uses SQLite's strftime and holding periods its window functions, the dialect of db.js.
+
+export const DEFAULT_TOP_OWNERS = 10;
+export const MAX_TOP_OWNERS = 100;
+
+export const TIMESERIES_METRICS = ['registrations', 'transfers'];
+
+// Largest owners whose share of the assets is reported by getDistribution
+export const DEFAULT_TOP_SHARE = 10;
+
+// strftime formats and modifiers turning a date into the ISO start of its bucket.
+// Weeks start on Monday: the next Sunday (or the day itself), then back six days.
+const BUCKETS = {
+  hour: ['%Y-%m-%dT%H:00:00.000Z'],
+  day: ['%Y-%m-%dT00:00:00.000Z'],
+  week: ['%Y-%m-%dT00:00:00.000Z', 'weekday 0', '-6 days']
+};
+
+/**
+ * Read the optional ?from= and ?to= ISO dates of a query, both inclusive.
+ * Returns { from, to }, null for a bound not given, or { error } for an invalid date.
+ */
+export function parseDateRange(query) {
+  const range = { from: null, to: null };
+  for (const bound of ['from', 'to']) {
+    if (query[bound] !== undefined) {
+      range[bound] = new Date(query[bound]);
+      if (Number.isNaN(range[bound].getTime())) {
+        return { error: `Invalid ${bound}. Expected an ISO 8601 date.` };
+      }
+    }
+  }
+  if (range.from && range.to && range.from > range.to) {
+    return { error: 'Invalid date range. from is after to.' };
+  }
+  return range;
+}
+
+/**
+ * A where clause matching a date column within a range from parseDateRange
+ */
+export function dateFilter(column, { from, to }) {
+  if (!from && !to) {
+    return {};
+  }
+  return {
+    [column]: {
+      ...(from && { [Op.gte]: from }),
+      ...(to && { [Op.lte]: to })
+    }
+  };
+}
+
+/**
+ * Read ?limit= of the top owners. Returns { limit } or { error }.
+ */
+export function parseTopOwnersQuery(query) {
+  if (query.limit === undefined) {
+    return { limit: DEFAULT_TOP_OWNERS };
+  }
+  const limit = Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_TOP_OWNERS) {
+    return { error: `Invalid limit. Expected an integer between 1 and ${MAX_TOP_OWNERS}.` };
+  }
+  return { limit };
+}
+
+/**
+ * Read ?top= and the date range of the ownership distribution. Returns { top, from, to } or { error }.
+ */
+export function parseDistributionQuery(query) {
+  let top = DEFAULT_TOP_SHARE;
+  if (query.top !== undefined) {
+    top = Number(query.top);
+    if (!Number.isInteger(top) || top < 1 || top > MAX_TOP_OWNERS) {
+      return { error: `Invalid top. Expected an integer between 1 and ${MAX_TOP_OWNERS}.` };
+    }
+  }
+  const range = parseDateRange(query);
+  if (range.error) {
+    return range;
+  }
+  return { top, ...range };
+}
+
+/**
+ * Read ?metric=, ?bucket= (default day) and the date range of a time series.
+ * Returns { metric, bucket, from, to } or { error }.
+ */
+export function parseTimeseriesQuery(query) {
+  if (!TIMESERIES_METRICS.includes(query.metric)) {
+    return { error: `Invalid metric. Expected one of: ${TIMESERIES_METRICS.join(', ')}.` };
+  }
+  const bucket = query.bucket ?? 'day';
+  if (!BUCKETS[bucket]) {
+    return { error: `Invalid bucket. Expected one of: ${Object.keys(BUCKETS).join(', ')}.` };
+  }
+  const range = parseDateRange(query);
+  if (range.error) {
+    return range;
+  }
+  return { metric: query.metric, bucket, ...range };
+}
+
+/**
+ * The conditions of a scope filter for raw SQL, each starting with AND, with named replacements
+ */
+function scopeSql(where) {
+  return Object.keys(where).map((column) => ` AND \`${column}\` = :${column}`).join('');
+}
+
+/**
+ * Totals within a scope filter: assets registered, ownership transfers (registrations left out)
+ * and distinct current owners
+ */
+export async function getSummary(where = {}) {
+  const [assets, transfers, owners] = await Promise.all([
+    Asset.count({ where }),
+    Transfer.count({ where: { ...where, fromOwner: { [Op.ne]: null } } }),
+    Asset.count({ where, distinct: true, col: 'owner' })
+  ]);
+  return { assets, transfers, owners };
+}
+
+/**
+ * The most active addresses within a scope filter: the number of transfers they sent or
+ * received, registrations included, and the number of assets they hold now
+ */
+export async function getTopOwners(where = {}, limit = DEFAULT_TOP_OWNERS) {
+  const scope = scopeSql(where);
+  const table = Transfer.getTableName();
+  const rows = await Transfer.sequelize.query(
+    `SELECT owner AS address, COUNT(*) AS transfers FROM (
+      SELECT \`fromOwner\` AS owner FROM \`${table}\` WHERE \`fromOwner\` IS NOT NULL${scope}
+      UNION ALL
+      SELECT \`toOwner\` AS owner FROM \`${table}\` WHERE 1 = 1${scope}
+    ) GROUP BY owner ORDER BY transfers DESC, owner ASC LIMIT :limit`,
+    { replacements: { ...where, limit }, type: QueryTypes.SELECT }
+  );
+  if (rows.length === 0) {
+    return [];
+  }
+
+  const held = await Asset.findAll({
+    attributes: ['owner', [fn('COUNT', col('id')), 'held']],
+    where: { ...where, owner: rows.map((row) => row.address) },
+    group: ['owner'],
+    raw: true
+  });
+  const heldBy = new Map(held.map((row) => [row.owner, Number(row.held)]));
+
+  return rows.map((row) => ({ address: row.address, transfers: Number(row.transfers), held: heldBy.get(row.address) ?? 0 }));
+}
+
+/**
+ * Event counts per hour, day or week within a scope filter and date range (see
+ * parseTimeseriesQuery): registrations by registeredAt, ownership transfers by transferredAt.
+ * Buckets without events are left out.
+ */
+export async function getTimeseries(where, { metric, bucket, from, to }) {
+  const [model, column, extra] = metric === 'registrations'
+    ? [Asset, 'registeredAt', {}]
+    : [Transfer, 'transferredAt', { fromOwner: { [Op.ne]: null } }];
+  const [format, ...modifiers] = BUCKETS[bucket];
+
+  const rows = await model.findAll({
+    attributes: [
+      [fn('strftime', format, col(column), ...modifiers), 'bucket'],
+      [fn('COUNT', col('id')), 'count']
+    ],
+    where: { ...where, ...extra, ...dateFilter(column, { from, to }) },
+    group: ['bucket'],
+    order: [[col('bucket'), 'ASC']],
+    raw: true
+  });
+  return rows.map((row) => ({ bucket: row.bucket, count: Number(row.count) }));
+}
+
+function sum(values) {
+  return values.reduce((total, value) => total + value, 0);
+}
+
+function average(values) {
+  return values.length === 0 ? null : sum(values) / values.length;
+}
+
+function median(values) {
+  if (values.length === 0) {
+    return null;
+  }
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Gini coefficient of holdings: 0 when every owner holds as many assets, approaching 1 when
+ * one owner holds them all
+ */
+function gini(holdings) {
+  const total = sum(holdings);
+  if (total === 0) {
+    return null;
+  }
+  const sorted = [...holdings].sort((a, b) => a - b);
+  const weighted = sum(sorted.map((value, i) => (i + 1) * value));
+  return (2 * weighted) / (sorted.length * total) - (sorted.length + 1) / sorted.length;
+}
+
+/**
+ * How the assets registered within a scope filter and date range are spread over their
+ * current owners:
+ * - topShare: the share of the assets held by the `top` largest owners
+ * - gini: the Gini coefficient of the holdings
+ * - hhi: the Herfindahl-Hirschman index, the sum of the squared shares, between 1 / owners and 1
+ * - neverTransferred: the assets that never changed owner since their registration, and their share
+ */
+export async function getDistribution(where, { top = DEFAULT_TOP_SHARE, from = null, to = null } = {}) {
+  const assetWhere = { ...where, ...dateFilter('registeredAt', { from, to }) };
+  const neverTransferredFilter = literal(`NOT EXISTS (SELECT 1 FROM \`${Transfer.getTableName()}\` AS t WHERE t.\`chainId\` = \`${Asset.name}\`.\`chainId\`
+    AND t.\`contractAddress\` = \`${Asset.name}\`.\`contractAddress\` AND t.\`assetId\` = \`${Asset.name}\`.\`id\` AND t.\`fromOwner\` IS NOT NULL)`);
+
+  const [rows, neverTransferred] = await Promise.all([
+    Asset.findAll({ attributes: ['owner', [fn('COUNT', col('id')), 'assets']], where: assetWhere, group: ['owner'], raw: true }),
+    Asset.count({ where: { ...assetWhere, [Op.and]: [neverTransferredFilter] } })
+  ]);
+  const holdings = rows.map((row) => Number(row.assets)).sort((a, b) => b - a);
+  const assets = sum(holdings);
+  const topAssets = sum(holdings.slice(0, top));
+  const share = (count) => (assets === 0 ? null : count / assets);
+
+  return {
+    assets,
+    owners: holdings.length,
+    topShare: { top, assets: topAssets, share: share(topAssets) },
+    gini: gini(holdings),
+    hhi: assets === 0 ? null : sum(holdings.map((count) => (count / assets) ** 2)),
+    neverTransferred: { assets: neverTransferred, share: share(neverTransferred) }
+  };
+}
+
+/**
+ * Holding periods within a scope filter that ended in a date range. A period runs from the
+ * transfer that gave an owner an asset to the next transfer of the asset, in block time; current
+ * holdings have not ended and are left out. Reports the average and median period overall, and
+ * of the average period of each asset and of each owner.
+ */
+export async function getHoldingTimes(where, { from = null, to = null } = {}) {
+  const range = [from && ' AND endedAt >= :from', to && ' AND endedAt <= :to'].filter(Boolean).join('');
+  // The next transfer of each asset in chain order ends the holding its predecessor started
+  const periods = await Transfer.sequelize.query(
+    `SELECT assetKey, owner, endedTimestamp - startedTimestamp AS seconds FROM (
+      SELECT \`chainId\` || ':' || \`contractAddress\` || ':' || \`assetId\` AS assetKey, \`toOwner\` AS owner,
+        \`timestamp\` AS startedTimestamp,
+        LEAD(\`timestamp\`) OVER holding AS endedTimestamp,
+        LEAD(\`transferredAt\`) OVER holding AS endedAt
+      FROM \`${Transfer.getTableName()}\` WHERE 1 = 1${scopeSql(where)}
+      WINDOW holding AS (PARTITION BY \`chainId\`, \`contractAddress\`, \`assetId\` ORDER BY \`blockNumber\`, \`logIndex\`, \`id\`)
+    ) WHERE endedTimestamp IS NOT NULL${range}`,
+    { replacements: { ...where, ...(from && { from }), ...(to && { to }) }, type: QueryTypes.SELECT }
+  );
+
+  const averagesBy = (key) => {
+    const groups = new Map();
+    for (const period of periods) {
+      groups.set(period[key], [...(groups.get(period[key]) ?? []), Number(period.seconds)]);
+    }
+    return [...groups.values()].map(average);
+  };
+  const stats = (values) => ({ count: values.length, averageSeconds: average(values), medianSeconds: median(values) });
+
+  return {
+    periods: stats(periods.map((period) => Number(period.seconds))),
+    perAsset: stats(averagesBy('assetKey')),
+    perOwner: stats(averagesBy('owner'))
+  };
+}
+
+/**
+ * Ownership transfers within a scope filter and date range against the assets registered by the
+ * end of the range: turnoverRate is the number of transfers per asset, assetsTransferred the
+ * number of assets that changed owner at least once
+ */
+export async function getTurnover(where, { from = null, to = null } = {}) {
+  const transferWhere = { ...where, fromOwner: { [Op.ne]: null }, ...dateFilter('transferredAt', { from, to }) };
+  const [transfers, transferredGroups, assets] = await Promise.all([
+    Transfer.count({ where: transferWhere }),
+    Transfer.count({ where: transferWhere, group: ['chainId', 'contractAddress', 'assetId'] }),
+    Asset.count({ where: { ...where, ...dateFilter('registeredAt', { to }) } })
+  ]);
+
+  return {
+    transfers,
+    assets,
+    assetsTransferred: transferredGroups.length,
+    turnoverRate: assets === 0 ? null : transfers / assets
+  };
+}
@@ -0,0 +1,1636 @@
+import express from 'express';
+import { ethers } from 'ethers';
+import { Asset, Transfer, FailedRange, DeadLetterEvent } from './db.js';
+import { parseListQuery, findPage, partPage, nextCursor, nextPartsCursor, projectRows } from './pagination.js';
+import { buildProvenance, parsePointInTime, ownerAt, heldAt } from './provenance.js';
+import { getOwnerProfile, describeActivity } from './ownerProfile.js';
+import { ENTITY_QUERY_PARAMETERS } from './eventMapping.js';
+import {
+  getSummary,
+  getTopOwners,
+  getTimeseries,
+  getDistribution,
+  getHoldingTimes,
+  getTurnover,
+  parseTopOwnersQuery,
+  parseTimeseriesQuery,
+  parseDistributionQuery,
+  parseDateRange
+} from './analytics.js';
+import { Op } from 'sequelize';
+
+// The REST API over the index. index.js starts the event listeners and serves the app;
+// tests load it on the test models.
+export const app = express();
+
+/**
+ * What the API reads from the running indexer, filled in by index.js on startup:
+ * - eventListeners: one per indexed chain and contract, added as they start
+ * - eventMapping: the EVENT_MAPPING file, for the entity routes
+ * - reconcileOptions: the defaults of reconciliation runs
+ */
+export const indexer = {
+  eventListeners: [],
+  eventMapping: null,
+  reconcileOptions: {}
+};
+
+// The paged lists of the list endpoints, see pagination.js. Sort columns are never null.
+const ASSET_LIST = {
+  model: Asset,
+  sortFields: ['registeredAt', 'id', 'owner'],
+  defaultOrder: 'desc',
+  tieBreakers: ['chainId', 'contractAddress', 'id']
+};
+const ASSET_WITH_TRANSFERS_LIST = { ...ASSET_LIST, associations: ['transfers'] };
+const TRANSFER_LIST = {
+  model: Transfer,
+  sortFields: ['blockNumber', 'transferredAt'],
+  defaultOrder: 'asc',
+  tieBreakers: ['blockNumber', 'logIndex', 'id'],
+  associations: ['asset']
+};
+const SEARCH_PARTS = {
+  transfers: { ...TRANSFER_LIST, defaultOrder: 'desc' },
+  assets: ASSET_WITH_TRANSFERS_LIST
+};
+const ACTIVITY_LIST = { ...TRANSFER_LIST, defaultOrder: 'desc' };
+const FAILED_RANGE_LIST = {
+  model: FailedRange,
+  sortFields: ['fromBlock'],
+  defaultOrder: 'asc',
+  tieBreakers: ['fromBlock', 'id']
+};
+// Dead letters of undecodable logs may lack a block number, so they are listed in arrival order
+const DEAD_LETTER_LIST = {
+  model: DeadLetterEvent,
+  sortFields: ['id'],
+  defaultOrder: 'asc',
+  tieBreakers: ['id']
+};
+/**
+ * The paged list of a mapped entity, newest event first
+ */
+function entityList(model) {
+  return {
+    model,
+    sortFields: ['blockNumber'],
+    defaultOrder: 'desc',
+    tieBreakers: ['blockNumber', 'logIndex', 'id']
+  };
+}
+
+/**
+ * Read the chainId and contract query parameters that every route accepts.
+ * Returns { where } to merge into queries, or { error } for an invalid value.
+ */
+function getScopeFilter(query) {
+  const where = {};
+
+  if (query.chainId !== undefined) {
+    const chainId = Number(query.chainId);
+    if (!Number.isSafeInteger(chainId) || chainId <= 0) {
+      return { error: 'Invalid chainId. Expected a positive integer.' };
+    }
+    where.chainId = chainId;
+  }
+
+  if (query.contract !== undefined) {
+    if (!ethers.isAddress(query.contract)) {
+      return { error: 'Invalid contract address. Expected a valid Ethereum address.' };
+    }
+    where.contractAddress = query.contract.toLowerCase();
+  }
+
+  return { where };
+}
+
+/**
+ * Read an address path parameter, checksummed, lowercase or uppercase (0X prefix included).
+ * ethers.getAddress rejects a mixed-case address with a wrong checksum. Returns the lowercase
+ * address, or null.
+ */
+function parseAddress(address) {
+  if (!address || !/^0x/i.test(address)) {
+    return null;
+  }
+  try {
+    return ethers.getAddress(`0x${address.slice(2)}`).toLowerCase();
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Running event listeners that match a scope filter
+ */
+function findListeners(where) {
+  return indexer.eventListeners.filter((listener) =>
+    (where.chainId === undefined || listener.chainId === where.chainId) &&
+    (where.contractAddress === undefined || listener.contractAddress.toLowerCase() === where.contractAddress)
+  );
+}
+
+/**
+ * Run a retry on the queue of each listener and add up the retried, resolved and pending counts
+ */
+async function retryOnListeners(listeners, retry) {
+  const totals = { retried: 0, resolved: 0, pending: 0 };
+
+  for (const listener of listeners) {
+    const result = await listener.enqueue(() => retry(listener));
+    totals.retried += result.retried;
+    totals.resolved += result.resolved;
+    totals.pending += result.pending;
+  }
+
+  return totals;
+}
+
+/**
+ * Find the asset an :assetId names within a scope filter. Asset IDs are only unique within a
+ * contract, so returns { asset }, or { status, error } when there is none or there are several.
+ */
+async function findAsset(assetId, where) {
+  const assets = await Asset.findAll({ where: { ...where, id: assetId }, limit: 2 });
+  if (assets.length === 0) {
+    return { status: 404, error: 'Asset not found' };
+  }
+  if (assets.length > 1) {
+    return { status: 400, error: 'Several contracts have an asset with this ID. Pass chainId and contract to pick one.' };
+  }
+  return { asset: assets[0] };
+}
+
+/**
+ * The transfers of an asset in chain order
+ */
+function findAssetTransfers(asset) {
+  return Transfer.findAll({
+    where: { chainId: asset.chainId, contractAddress: asset.contractAddress, assetId: asset.id },
+    order: [['blockNumber', 'ASC'], ['logIndex', 'ASC'], ['id', 'ASC']]
+  });
+}
+
+// Middleware to parse JSON
+app.use(express.json());
+
+// Health check route
+app.get('/', (req, res) => {
+  res.json({ 
+    message: 'Asset Registry Backend API',
+    status: 'running',
+    filters: 'Every route accepts ?chainId= and ?contract= to limit results to one chain or contract',
+    pagination: 'List routes return a page of ?limit= rows (default 100, max 1000) and nextCursor; pass it as ?cursor= for the next page. They also take ?sort=, ?order=asc|desc and ?fields=',
+      endpoints: {
+      getAllAssets: 'GET /api/assets',
+      getAllTransfers: 'GET /api/transfers',
+      getAsset: 'GET /api/assets/:assetId',
+      getAssetTransfers: 'GET /api/assets/:assetId/transfers',
+      getOwnerAt: 'GET /api/assets/:assetId/owner?block=|at=',
+      getAssetsByOwner: 'GET /api/assets/owner/:address',
+      getOwnerProfile: 'GET /api/owners/:address',
+      getPortfolioAt: 'GET /api/owners/:address/assets?block=|at=',
+      getRecentEvents: 'GET /api/events/recent?blocks=1000',
+      searchEvents: 'GET /api/events/search?assetId=&owner=&startDate=&endDate=',
+      getEntities: 'GET /api/entities/:entity?<column>=&limit=&cursor=',
+      getSummary: 'GET /api/analytics/summary',
+      getTopOwners: 'GET /api/analytics/top-owners?limit=10',
+      getTimeseries: 'GET /api/analytics/timeseries?metric=registrations|transfers&bucket=hour|day|week&from=&to=',
+      getDistribution: 'GET /api/analytics/distribution?top=10&from=&to=',
+      getHoldingTimes: 'GET /api/analytics/holding-times?from=&to=',
+      getTurnover: 'GET /api/analytics/turnover?from=&to=',
+      getStatus: 'GET /api/status',
+      getFailedRanges: 'GET /api/admin/failed-ranges?status=pending',
+      retryFailedRanges: 'POST /api/admin/failed-ranges/retry',
+      getDeadLetters: 'GET /api/admin/dead-letters?status=pending',
+      retryDeadLetters: 'POST /api/admin/dead-letters/retry',
+      retryDeadLetter: 'POST /api/admin/dead-letters/:id/retry',
+      discardDeadLetter: 'DELETE /api/admin/dead-letters/:id',
+      getRpcHealth: 'GET /api/admin/rpc-health',
+      getReconciliation: 'GET /api/admin/reconciliation',
+      runReconciliation: 'POST /api/admin/reconciliation/run?repair=false'
+    }
+  });
+});
+
+/**
+ * GET /api/transfers
+ * Fetch transfers in chain order, a page at a time (limit, cursor, sort, order, fields)
+ */
+app.get('/api/transfers', async (req, res) => {
+  try {
+    const scope = getScopeFilter(req.query);
+    if (scope.error) {
+      return res.status(400).json({
+        success: false,
+        error: scope.error
+      });
+    }
+
+    const page = parseListQuery(req.query, TRANSFER_LIST);
+    if (page.error) {
+      return res.status(400).json({
+        success: false,
+        error: page.error
+      });
+    }
+
+    const transfers = await findPage(TRANSFER_LIST, page, {
+      where: scope.where,
+      include: [{
+        model: Asset,
+        as: 'asset',
+        attributes: ['id', 'description', 'owner']
+      }]
+    });
+    
+    res.json({
+      success: true,
+      count: transfers.rows.length,
+      data: projectRows(transfers.rows, page.fields),
+      nextCursor: nextCursor(page, transfers)
+    });
+  } catch (error) {
+    console.error('Error fetching transfers:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch transfers',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/assets
+ * Fetch registered assets, newest first, a page at a time (limit, cursor, sort, order, fields)
+ */
+app.get('/api/assets', async (req, res) => {
+  try {
+    const scope = getScopeFilter(req.query);
+    if (scope.error) {
+      return res.status(400).json({
+        success: false,
+        error: scope.error
+      });
+    }
+
+    const page = parseListQuery(req.query, ASSET_LIST);
+    if (page.error) {
+      return res.status(400).json({
+        success: false,
+        error: page.error
+      });
+    }
+
+    const assets = await findPage(ASSET_LIST, page, { where: scope.where });
+    
+    res.json({
+      success: true,
+      count: assets.rows.length,
+      data: projectRows(assets.rows, page.fields),
+      nextCursor: nextCursor(page, assets)
+    });
+  } catch (error) {
+    console.error('Error fetching assets:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch assets',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/assets/:assetId
+ * Fetch an asset with its registration and provenance chain, see provenance.js
+ */
+app.get('/api/assets/:assetId', async (req, res) => {
+  try {
+    const { assetId } = req.params;
+
+    if (!assetId || !assetId.startsWith('0x') || assetId.length < 3) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid asset ID format. Expected a hex string starting with 0x.'
+      });
+    }
+
+    const scope = getScopeFilter(req.query);
+    if (scope.error) {
+      return res.status(400).json({
+        success: false,
+        error: scope.error
+      });
+    }
+
+    const found = await findAsset(assetId, scope.where);
+    if (found.error) {
+      return res.status(found.status).json({
+        success: false,
+        error: found.error
+      });
+    }
+
+    const { asset } = found;
+    const transfers = await findAssetTransfers(asset);
+
+    res.json({
+      success: true,
+      data: {
+        asset,
+        ...buildProvenance(asset, transfers)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching asset:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch asset',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/assets/:assetId/owner
+ * Fetch who owned an asset after a block (?block=) or at a date (?at=), from its transfers
+ */
+app.get('/api/assets/:assetId/owner', async (req, res) => {
+  try {
+    const { assetId } = req.params;
+
+    if (!assetId || !assetId.startsWith('0x') || assetId.length < 3) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid asset ID format. Expected a hex string starting with 0x.'
+      });
+    }
+
+    const scope = getScopeFilter(req.query);
+    if (scope.error) {
+      return res.status(400).json({
+        success: false,
+        error: scope.error
+      });
+    }
+
+    const point = parsePointInTime(req.query);
+    if (point.error) {
+      return res.status(400).json({
+        success: false,
+        error: point.error
+      });
+    }
+
+    const found = await findAsset(assetId, scope.where);
+    if (found.error) {
+      return res.status(found.status).json({
+        success: false,
+        error: found.error
+      });
+    }
+
+    const { asset } = found;
+    const { owner, since } = ownerAt(await findAssetTransfers(asset), point);
+
+    res.json({
+      success: true,
+      data: {
+        assetId: asset.id,
+        chainId: asset.chainId,
+        contractAddress: asset.contractAddress,
+        block: point.block ?? null,
+        at: point.at ?? null,
+        owner,
+        since,
+        currentOwner: asset.owner
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching owner:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch owner',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/assets/:assetId/transfers
+ * Fetch the transfers of a given asset ID in chain order, a page at a time
+ */
+app.get('/api/assets/:assetId/transfers', async (req, res) => {
+  try {
+    const { assetId } = req.params;
+    
+    // Validate assetId format (should be a hex string)
+    // bytes32 can be 0x + 64 hex characters, but we'll be flexible
+    if (!assetId || !assetId.startsWith('0x') || assetId.length < 3) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid asset ID format. Expected a hex string starting with 0x.'
+      });
+    }
+
+    const scope = getScopeFilter(req.query);
+    if (scope.error) {
+      return res.status(400).json({
+        success: false,
+        error: scope.error
+      });
+    }
+
+    const page = parseListQuery(req.query, TRANSFER_LIST);
+    if (page.error) {
+      return res.status(400).json({
+        success: false,
+        error: page.error
+      });
+    }
+
+    const transfers = await findPage(TRANSFER_LIST, page, {
+      where: { ...scope.where, assetId: assetId },
+      include: [{
+        model: Asset,
+        as: 'asset',
+        attributes: ['id', 'description', 'owner']
+      }]
+    });
+
+    res.json({
+      success: true,
+      assetId: assetId,
+      count: transfers.rows.length,
+      data: projectRows(transfers.rows, page.fields),
+      nextCursor: nextCursor(page, transfers)
+    });
+  } catch (error) {
+    console.error('Error fetching transfers:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch transfers',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/assets/owner/:address
+ * Fetch the assets owned by a given address with their transfers, a page of assets at a time
+ */
+app.get('/api/assets/owner/:address', async (req, res) => {
+  try {
+    const normalizedAddress = parseAddress(req.params.address);
+    if (!normalizedAddress) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid address format. Expected a valid Ethereum address.'
+      });
+    }
+
+    const scope = getScopeFilter(req.query);
+    if (scope.error) {
+      return res.status(400).json({
+        success: false,
+        error: scope.error
+      });
+    }
+
+    const page = parseListQuery(req.query, ASSET_WITH_TRANSFERS_LIST);
+    if (page.error) {
+      return res.status(400).json({
+        success: false,
+        error: page.error
+      });
+    }
+
+    const assets = await findPage(ASSET_WITH_TRANSFERS_LIST, page, {
+      where: { ...scope.where, owner: normalizedAddress },
+      order: [
+        [{ model: Transfer, as: 'transfers' }, 'blockNumber', 'ASC'],
+        [{ model: Transfer, as: 'transfers' }, 'logIndex', 'ASC']
+      ],
+      include: [{
+        model: Transfer,
+        as: 'transfers',
+        attributes: ['id', 'fromOwner', 'toOwner', 'blockNumber', 'transactionHash', 'logIndex', 'transferredAt', 'status']
+      }]
+    });
+
+    res.json({
+      success: true,
+      owner: normalizedAddress,
+      count: assets.rows.length,
+      data: projectRows(assets.rows, page.fields),
+      nextCursor: nextCursor(page, assets)
+    });
+  } catch (error) {
+    console.error('Error fetching assets by owner:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch assets by owner',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/owners/:address
+ * Fetch the profile of an address (see ownerProfile.js) with a page of its activity, newest first
+ */
+app.get('/api/owners/:address', async (req, res) => {
+  try {
+    const address = parseAddress(req.params.address);
+    if (!address) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid address format. Expected a valid Ethereum address.'
+      });
+    }
+
+    const scope = getScopeFilter(req.query);
+    if (scope.error) {
+      return res.status(400).json({
+        success: false,
+        error: scope.error
+      });
+    }
+
+    const page = parseListQuery(req.query, ACTIVITY_LIST);
+    if (page.error) {
+      return res.status(400).json({
+        success: false,
+        error: page.error
+      });
+    }
+
+    // The activity type is read from the owners, also when fields leaves them out
+    const [profile, activity] = await Promise.all([
+      getOwnerProfile(address, scope.where),
+      findPage(ACTIVITY_LIST, { ...page, fields: page.fields && [...page.fields, 'fromOwner', 'toOwner'] }, {
+        where: { ...scope.where, [Op.or]: [{ fromOwner: address }, { toOwner: address }] },
+        include: [{
+          model: Asset,
+          as: 'asset',
+          attributes: ['id', 'description', 'owner']
+        }]
+      })
+    ]);
+    const values = page.fields ? projectRows(activity.rows, page.fields) : activity.rows.map((transfer) => transfer.toJSON());
+
+    res.json({
+      success: true,
+      data: {
+        ...profile,
+        activity: {
+          count: values.length,
+          data: activity.rows.map((transfer, i) => ({ ...describeActivity(transfer, address), ...values[i] })),
+          nextCursor: nextCursor(page, activity)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching owner profile:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch owner profile',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/owners/:address/assets
+ * Fetch the assets an address held after a block (?block=) or at a date (?at=), including
+ * those it has transferred away since
+ */
+app.get('/api/owners/:address/assets', async (req, res) => {
+  try {
+    const normalizedAddress = parseAddress(req.params.address);
+    if (!normalizedAddress) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid address format. Expected a valid Ethereum address.'
+      });
+    }
+
+    const scope = getScopeFilter(req.query);
+    if (scope.error) {
+      return res.status(400).json({
+        success: false,
+        error: scope.error
+      });
+    }
+
+    const point = parsePointInTime(req.query);
+    if (point.error) {
+      return res.status(400).json({
+        success: false,
+        error: point.error
+      });
+    }
+
+    // Only assets the address sent or received can have been held by it
+    const involved = await Transfer.findAll({
+      attributes: ['chainId', 'contractAddress', 'assetId'],
+      where: { ...scope.where, [Op.or]: [{ fromOwner: normalizedAddress }, { toOwner: normalizedAddress }] },
+      group: ['chainId', 'contractAddress', 'assetId']
+    });
+
+    // Block numbers are per chain
+    if (point.block !== undefined && new Set(involved.map((row) => row.chainId)).size > 1) {
+      return res.status(400).json({
+        success: false,
+        error: 'Several chains are indexed. Pass chainId to pick one.'
+      });
+    }
+
+    const assetIds = [...new Set(involved.map((row) => row.assetId))];
+    const [assets, transfers] = assetIds.length === 0 ? [[], []] : await Promise.all([
+      Asset.findAll({ where: { ...scope.where, id: assetIds }, order: [['registeredAt', 'ASC'], ['id', 'ASC']] }),
+      Transfer.findAll({
+        where: { ...scope.where, assetId: assetIds },
+        order: [['blockNumber', 'ASC'], ['logIndex', 'ASC'], ['id', 'ASC']]
+      })
+    ]);
+    const held = heldAt(normalizedAddress, assets, transfers, point);
+
+    res.json({
+      success: true,
+      owner: normalizedAddress,
+      block: point.block ?? null,
+      at: point.at ?? null,
+      count: held.length,
+      data: held
+    });
+  } catch (error) {
+    console.error('Error fetching assets held by owner:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch assets held by owner',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/events/recent
+ * Fetch all events (assets and transfers) from the last N blocks
+ */
+app.get('/api/events/recent', async (req, res) => {
+  try {
+    const blocks = parseInt(req.query.blocks) || 1000;
+    const scope = getScopeFilter(req.query);
+    if (scope.error) {
+      return res.status(400).json({
+        success: false,
+        error: scope.error
+      });
+    }
+
+    // Block numbers are per chain, so the chain has to be known when several are indexed
+    if (scope.where.chainId === undefined) {
+      const storedChains = await Transfer.findAll({ attributes: ['chainId'], where: scope.where, group: ['chainId'] });
+      const chainIds = new Set([
+        ...storedChains.map((row) => row.chainId),
+        ...findListeners(scope.where).map((listener) => listener.chainId)
+      ]);
+      if (chainIds.size > 1) {
+        return res.status(400).json({
+          success: false,
+          error: 'Several chains are indexed. Pass chainId to pick one.'
+        });
+      }
+    }
+    
+    // Get current block number from provider if available
+    let currentBlock = null;
+    const [eventListener] = findListeners(scope.where);
+    if (eventListener && eventListener.provider) {
+      try {
+        currentBlock = await eventListener.provider.getBlockNumber();
+      } catch (error) {
+        console.warn('Could not fetch current block number:', error);
+      }
+    }
+    
+    // If we can't get current block, use the highest block number in transfers
+    if (!currentBlock) {
+      const latestTransfer = await Transfer.findOne({
+        where: scope.where,
+        order: [['blockNumber', 'DESC']],
+        attributes: ['blockNumber']
+      });
+      currentBlock = latestTransfer ? parseInt(latestTransfer.blockNumber) : 0;
+    }
+    
+    const fromBlock = Math.max(0, currentBlock - blocks);
+    
+    // Get assets registered in this block range
+    const assets = await Asset.findAll({
+      where: scope.where,
+      include: [{
+        model: Transfer,
+        as: 'transfers',
+        where: {
+          blockNumber: {
+            [Op.gte]: fromBlock.toString()
+          }
+        },
+        required: false
+      }],
+      order: [
+        ['registeredAt', 'DESC'],
+        [{ model: Transfer, as: 'transfers' }, 'blockNumber', 'ASC'],
+        [{ model: Transfer, as: 'transfers' }, 'logIndex', 'ASC']
+      ]
+    });
+    
+    // Get transfers in this block range
+    const transfers = await Transfer.findAll({
+      where: {
+        ...scope.where,
+        blockNumber: {
+          [Op.gte]: fromBlock.toString(),
+          [Op.lte]: currentBlock.toString()
+        }
+      },
+      include: [{
+        model: Asset,
+        as: 'asset',
+        attributes: ['id', 'description', 'owner']
+      }],
+      order: [['blockNumber', 'ASC'], ['logIndex', 'ASC']]
+    });
+    
+    res.json({
+      success: true,
+      blockRange: {
+        from: fromBlock,
+        to: currentBlock,
+        blocks: currentBlock - fromBlock
+      },
+      assets: {
+        count: assets.length,
+        data: assets
+      },
+      transfers: {
+        count: transfers.length,
+        data: transfers
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching recent events:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch recent events',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/events/search
+ * Search events by Asset ID, Owner address, and/or Date range. Transfers (newest first) and
+ * assets are paged together: each page holds up to limit of both, and sort, order and fields
+ * apply to the transfers.
+ */
+app.get('/api/events/search', async (req, res) => {
+  try {
+    const { assetId, owner, startDate, endDate } = req.query;
+    const scope = getScopeFilter(req.query);
+    if (scope.error) {
+      return res.status(400).json({
+        success: false,
+        error: scope.error
+      });
+    }
+
+    const page = parseListQuery(req.query, SEARCH_PARTS.transfers, { parts: SEARCH_PARTS });
+    if (page.error) {
+      return res.status(400).json({
+        success: false,
+        error: page.error
+      });
+    }
+
+    // Build where clause for transfers
+    const transferWhere = { ...scope.where };
+    const assetWhere = { ...scope.where };
+    
+    if (assetId) {
+      if (!assetId.startsWith('0x')) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid asset ID format. Expected a hex string starting with 0x.'
+        });
+      }
+      transferWhere.assetId = assetId;
+      assetWhere.id = assetId;
+    }
+    
+    if (owner) {
+      if (owner.length !== 42 || !owner.startsWith('0x')) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid address format. Expected a valid Ethereum address.'
+        });
+      }
+      const normalizedOwner = owner.toLowerCase();
+      transferWhere[Op.or] = [
+        { fromOwner: normalizedOwner },
+        { toOwner: normalizedOwner }
+      ];
+      assetWhere.owner = normalizedOwner;
+    }
+    
+    if (startDate || endDate) {
+      transferWhere.transferredAt = {};
+      if (startDate) {
+        transferWhere.transferredAt[Op.gte] = new Date(startDate);
+      }
+      if (endDate) {
+        transferWhere.transferredAt[Op.lte] = new Date(endDate);
+      }
+    }
+    
+    // Fetch transfers matching criteria
+    const transferPage = partPage(page, SEARCH_PARTS, 'transfers');
+    const transfers = transferPage && await findPage(SEARCH_PARTS.transfers, transferPage, {
+      where: transferWhere,
+      include: [{
+        model: Asset,
+        as: 'asset',
+        attributes: ['id', 'description', 'owner']
+      }]
+    });
+    
+    // Fetch assets matching criteria (if assetId or owner specified)
+    const assetPage = (assetId || owner) ? partPage(page, SEARCH_PARTS, 'assets') : null;
+    const assets = assetPage && await findPage(SEARCH_PARTS.assets, assetPage, {
+      where: assetWhere,
+      include: [{
+        model: Transfer,
+        as: 'transfers',
+        attributes: ['id', 'fromOwner', 'toOwner', 'blockNumber', 'transactionHash', 'logIndex', 'transferredAt', 'status']
+      }],
+      order: [
+        [{ model: Transfer, as: 'transfers' }, 'blockNumber', 'ASC'],
+        [{ model: Transfer, as: 'transfers' }, 'logIndex', 'ASC']
+      ]
+    });
+    const transferRows = transfers?.rows ?? [];
+    const assetRows = assets?.rows ?? [];
+    
+    res.json({
+      success: true,
+      query: {
+        chainId: scope.where.chainId ?? null,
+        contract: scope.where.contractAddress ?? null,
+        assetId: assetId || null,
+        owner: owner || null,
+        startDate: startDate || null,
+        endDate: endDate || null
+      },
+      results: {
+        transfers: {
+          count: transferRows.length,
+          data: projectRows(transferRows, page.fields)
+        },
+        assets: {
+          count: assetRows.length,
+          data: assetRows
+        }
+      },
+      nextCursor: nextPartsCursor(page, { transfers, assets })
+    });
+  } catch (error) {
+    console.error('Error searching events:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to search events',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/entities/:entity
+ * Fetch the rows of an entity from the event mapping, newest first, a page at a time
+ * (limit, cursor, order, fields). Every column the entity declares can be passed as an
+ * exact-match query parameter.
+ */
+app.get('/api/entities/:entity', async (req, res) => {
+  try {
+    const { entity } = req.params;
+    const model = indexer.eventMapping?.models.get(entity);
+    if (!model) {
+      return res.status(404).json({
+        success: false,
+        error: `Unknown entity ${entity}`
+      });
+    }
+
+    const scope = getScopeFilter(req.query);
+    if (scope.error) {
+      return res.status(400).json({
+        success: false,
+        error: scope.error
+      });
+    }
+
+    const list = entityList(model);
+    const page = parseListQuery(req.query, list);
+    if (page.error) {
+      return res.status(400).json({
+        success: false,
+        error: page.error
+      });
+    }
+
+    const where = { ...scope.where };
+    for (const [column, value] of Object.entries(req.query)) {
+      if (ENTITY_QUERY_PARAMETERS.includes(column)) {
+        continue;
+      }
+      if (!model.rawAttributes[column] || typeof value !== 'string') {
+        return res.status(400).json({
+          success: false,
+          error: `Invalid filter ${column}. ${entity} has no such column.`
+        });
+      }
+      // Addresses are stored lowercase
+      where[column] = ethers.isAddress(value) ? value.toLowerCase() : value;
+    }
+
+    const rows = await findPage(list, page, { where });
+
+    res.json({
+      success: true,
+      entity,
+      count: rows.rows.length,
+      data: projectRows(rows.rows, page.fields),
+      nextCursor: nextCursor(page, rows)
+    });
+  } catch (error) {
+    console.error('Error fetching entities:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch entities',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/analytics/summary
+ * Fetch the number of assets, ownership transfers and current owners
+ */
+app.get('/api/analytics/summary', async (req, res) => {
+  try {
+    const scope = getScopeFilter(req.query);
+    if (scope.error) {
+      return res.status(400).json({
+        success: false,
+        error: scope.error
+      });
+    }
+
+    res.json({
+      success: true,
+      data: await getSummary(scope.where)
+    });
+  } catch (error) {
+    console.error('Error fetching summary:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch summary',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/analytics/top-owners
+ * Fetch the addresses that took part in the most transfers
+ */
+app.get('/api/analytics/top-owners', async (req, res) => {
+  try {
+    const scope = getScopeFilter(req.query);
+    if (scope.error) {
+      return res.status(400).json({
+        success: false,
+        error: scope.error
+      });
+    }
+
+    const query = parseTopOwnersQuery(req.query);
+    if (query.error) {
+      return res.status(400).json({
+        success: false,
+        error: query.error
+      });
+    }
+
+    const owners = await getTopOwners(scope.where, query.limit);
+    res.json({
+      success: true,
+      count: owners.length,
+      data: owners
+    });
+  } catch (error) {
+    console.error('Error fetching top owners:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch top owners',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/analytics/timeseries
+ * Fetch registrations or ownership transfers per hour, day or week
+ */
+app.get('/api/analytics/timeseries', async (req, res) => {
+  try {
+    const scope = getScopeFilter(req.query);
+    if (scope.error) {
+      return res.status(400).json({
+        success: false,
+        error: scope.error
+      });
+    }
+
+    const query = parseTimeseriesQuery(req.query);
+    if (query.error) {
+      return res.status(400).json({
+        success: false,
+        error: query.error
+      });
+    }
+
+    const series = await getTimeseries(scope.where, query);
+    res.json({
+      success: true,
+      metric: query.metric,
+      bucket: query.bucket,
+      from: query.from,
+      to: query.to,
+      count: series.length,
+      data: series
+    });
+  } catch (error) {
+    console.error('Error fetching time series:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch time series',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/analytics/distribution
+ * Fetch how the assets registered in a date range are spread over their owners
+ */
+app.get('/api/analytics/distribution', async (req, res) => {
+  try {
+    const scope = getScopeFilter(req.query);
+    if (scope.error) {
+      return res.status(400).json({
+        success: false,
+        error: scope.error
+      });
+    }
+
+    const query = parseDistributionQuery(req.query);
+    if (query.error) {
+      return res.status(400).json({
+        success: false,
+        error: query.error
+      });
+    }
+
+    res.json({
+      success: true,
+      from: query.from,
+      to: query.to,
+      data: await getDistribution(scope.where, query)
+    });
+  } catch (error) {
+    console.error('Error fetching distribution:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch distribution',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/analytics/holding-times
+ * Fetch the average and median holding periods that ended in a date range
+ */
+app.get('/api/analytics/holding-times', async (req, res) => {
+  try {
+    const scope = getScopeFilter(req.query);
+    if (scope.error) {
+      return res.status(400).json({
+        success: false,
+        error: scope.error
+      });
+    }
+
+    const query = parseDateRange(req.query);
+    if (query.error) {
+      return res.status(400).json({
+        success: false,
+        error: query.error
+      });
+    }
+
+    res.json({
+      success: true,
+      from: query.from,
+      to: query.to,
+      data: await getHoldingTimes(scope.where, query)
+    });
+  } catch (error) {
+    console.error('Error fetching holding times:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch holding times',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/analytics/turnover
+ * Fetch the ownership transfers in a date range per registered asset
+ */
+app.get('/api/analytics/turnover', async (req, res) => {
+  try {
+    const scope = getScopeFilter(req.query);
+    if (scope.error) {
+      return res.status(400).json({
+        success: false,
+        error: scope.error
+      });
+    }
+
+    const query = parseDateRange(req.query);
+    if (query.error) {
+      return res.status(400).json({
+        success: false,
+        error: query.error
+      });
+    }
+
+    res.json({
+      success: true,
+      from: query.from,
+      to: query.to,
+      data: await getTurnover(scope.where, query)
+    });
+  } catch (error) {
+    console.error('Error fetching turnover:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch turnover',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/status
+ * Fetch the state of each listener: chain head against the last indexed block, lag in blocks and
+ * seconds, connection mode, sync progress and the number of failed ranges and dead-lettered events
+ */
+app.get('/api/status', async (req, res) => {
+  try {
+    const scope = getScopeFilter(req.query);
+    if (scope.error) {
+      return res.status(400).json({
+        success: false,
+        error: scope.error
+      });
+    }
+
+    const listeners = findListeners(scope.where);
+    if (listeners.length === 0) {
+      return res.status(503).json({
+        success: false,
+        error: 'Event listener is not running'
+      });
+    }
+
+    const statuses = await Promise.all(listeners.map((listener) => listener.getStatus()));
+
+    res.json({
+      success: true,
+      count: statuses.length,
+      data: statuses
+    });
+  } catch (error) {
+    console.error('Error fetching status:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch status',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/admin/failed-ranges
+ * Fetch block ranges that failed to sync a page at a time, optionally filtered by status (pending or resolved)
+ */
+app.get('/api/admin/failed-ranges', async (req, res) => {
+  try {
+    const { status } = req.query;
+    
+    if (status && !['pending', 'resolved'].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid status. Expected pending or resolved.'
+      });
+    }
+
+    const scope = getScopeFilter(req.query);
+    if (scope.error) {
+      return res.status(400).json({
+        success: false,
+        error: scope.error
+      });
+    }
+
+    const page = parseListQuery(req.query, FAILED_RANGE_LIST);
+    if (page.error) {
+      return res.status(400).json({
+        success: false,
+        error: page.error
+      });
+    }
+
+    const ranges = await findPage(FAILED_RANGE_LIST, page, {
+      where: status ? { ...scope.where, status } : scope.where
+    });
+
+    res.json({
+      success: true,
+      count: ranges.rows.length,
+      data: projectRows(ranges.rows, page.fields),
+      nextCursor: nextCursor(page, ranges)
+    });
+  } catch (error) {
+    console.error('Error fetching failed ranges:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch failed ranges',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/admin/failed-ranges/retry
+ * Retry every pending failed range now, ignoring the backoff schedule
+ */
+app.post('/api/admin/failed-ranges/retry', async (req, res) => {
+  try {
+    const scope = getScopeFilter(req.query);
+    if (scope.error) {
+      return res.status(400).json({
+        success: false,
+        error: scope.error
+      });
+    }
+
+    const listeners = findListeners(scope.where);
+    if (listeners.length === 0) {
+      return res.status(503).json({
+        success: false,
+        error: 'Event listener is not running'
+      });
+    }
+
+    const result = await retryOnListeners(listeners, (listener) => listener.retryFailedRanges({ force: true }));
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    console.error('Error retrying failed ranges:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retry failed ranges',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/admin/dead-letters
+ * Fetch live events whose handler failed a page at a time, optionally filtered by status (pending, resolved or discarded)
+ */
+app.get('/api/admin/dead-letters', async (req, res) => {
+  try {
+    const { status } = req.query;
+
+    if (status && !['pending', 'resolved', 'discarded'].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid status. Expected pending, resolved or discarded.'
+      });
+    }
+
+    const scope = getScopeFilter(req.query);
+    if (scope.error) {
+      return res.status(400).json({
+        success: false,
+        error: scope.error
+      });
+    }
+
+    const page = parseListQuery(req.query, DEAD_LETTER_LIST);
+    if (page.error) {
+      return res.status(400).json({
+        success: false,
+        error: page.error
+      });
+    }
+
+    const deadLetters = await findPage(DEAD_LETTER_LIST, page, {
+      where: status ? { ...scope.where, status } : scope.where
+    });
+
+    res.json({
+      success: true,
+      count: deadLetters.rows.length,
+      data: projectRows(deadLetters.rows, page.fields),
+      nextCursor: nextCursor(page, deadLetters)
+    });
+  } catch (error) {
+    console.error('Error fetching dead letters:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch dead letters',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/admin/dead-letters/retry
+ * Replay every pending dead-lettered event in chain order
+ */
+app.post('/api/admin/dead-letters/retry', async (req, res) => {
+  try {
+    const scope = getScopeFilter(req.query);
+    if (scope.error) {
+      return res.status(400).json({
+        success: false,
+        error: scope.error
+      });
+    }
+
+    const listeners = findListeners(scope.where);
+    if (listeners.length === 0) {
+      return res.status(503).json({
+        success: false,
+        error: 'Event listener is not running'
+      });
+    }
+
+    const result = await retryOnListeners(listeners, (listener) => listener.retryDeadLetters());
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    console.error('Error retrying dead letters:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retry dead letters',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/admin/dead-letters/:id/retry
+ * Replay a single dead-lettered event; the returned entry's status tells whether it succeeded
+ */
+app.post('/api/admin/dead-letters/:id/retry', async (req, res) => {
+  try {
+    const scope = getScopeFilter(req.query);
+    if (scope.error) {
+      return res.status(400).json({
+        success: false,
+        error: scope.error
+      });
+    }
+
+    const deadLetter = await DeadLetterEvent.findOne({ where: { ...scope.where, id: req.params.id } });
+
+    if (!deadLetter) {
+      return res.status(404).json({
+        success: false,
+        error: 'Dead letter not found'
+      });
+    }
+
+    // Replayed by the listener of the chain and contract that emitted the event
+    const [eventListener] = findListeners({ chainId: deadLetter.chainId, contractAddress: deadLetter.contractAddress });
+    if (!eventListener) {
+      return res.status(503).json({
+        success: false,
+        error: 'Event listener is not running'
+      });
+    }
+
+    const result = await eventListener.enqueue(() => eventListener.retryDeadLetter(deadLetter.id));
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    console.error('Error retrying dead letter:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retry dead letter',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/admin/dead-letters/:id
+ * Discard a dead-lettered event so it is no longer retried. The entry is kept for reference.
+ */
+app.delete('/api/admin/dead-letters/:id', async (req, res) => {
+  try {
+    const scope = getScopeFilter(req.query);
+    if (scope.error) {
+      return res.status(400).json({
+        success: false,
+        error: scope.error
+      });
+    }
+
+    const deadLetter = await DeadLetterEvent.findOne({ where: { ...scope.where, id: req.params.id } });
+
+    if (!deadLetter) {
+      return res.status(404).json({
+        success: false,
+        error: 'Dead letter not found'
+      });
+    }
+
+    if (deadLetter.status === 'resolved') {
+      return res.status(400).json({
+        success: false,
+        error: 'Dead letter has already been resolved'
+      });
+    }
+
+    deadLetter.status = 'discarded';
+    await deadLetter.save();
+
+    res.json({
+      success: true,
+      data: deadLetter
+    });
+  } catch (error) {
+    console.error('Error discarding dead letter:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to discard dead letter',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/admin/rpc-health
+ * Fetch the health of each listener's RPC endpoints: latency, error rate and whether calls are routed to it
+ */
+app.get('/api/admin/rpc-health', (req, res) => {
+  const scope = getScopeFilter(req.query);
+  if (scope.error) {
+    return res.status(400).json({
+      success: false,
+      error: scope.error
+    });
+  }
+
+  const listeners = findListeners(scope.where);
+  if (listeners.length === 0) {
+    return res.status(503).json({
+      success: false,
+      error: 'Event listener is not running'
+    });
+  }
+
+  res.json({
+    success: true,
+    count: listeners.length,
+    data: listeners.map((listener) => ({
+      name: listener.name,
+      chainId: listener.chainId,
+      contractAddress: listener.contractAddress.toLowerCase(),
+      ...listener.getRpcHealth()
+    }))
+  });
+});
+
+/**
+ * GET /api/admin/reconciliation
+ * Fetch the latest reconciliation report of each listener: assets whose stored owner or
+ * description differs from the contract, and assets missing from the index or unknown on chain
+ */
+app.get('/api/admin/reconciliation', (req, res) => {
+  const scope = getScopeFilter(req.query);
+  if (scope.error) {
+    return res.status(400).json({
+      success: false,
+      error: scope.error
+    });
+  }
+
+  const listeners = findListeners(scope.where);
+  if (listeners.length === 0) {
+    return res.status(503).json({
+      success: false,
+      error: 'Event listener is not running'
+    });
+  }
+
+  const reports = listeners.map((listener) => listener.lastReconciliation).filter(Boolean);
+
+  res.json({
+    success: true,
+    count: reports.length,
+    data: reports
+  });
+});
+
+/**
+ * POST /api/admin/reconciliation/run
+ * Reconcile now. ?repair=true sets drifted assets to their on-chain state; it defaults to RECONCILE_REPAIR.
+ */
+app.post('/api/admin/reconciliation/run', async (req, res) => {
+  try {
+    const { repair } = req.query;
+
+    if (repair !== undefined && !['true', 'false'].includes(repair)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid repair. Expected true or false.'
+      });
+    }
+
+    const scope = getScopeFilter(req.query);
+    if (scope.error) {
+      return res.status(400).json({
+        success: false,
+        error: scope.error
+      });
+    }
+
+    const listeners = findListeners(scope.where);
+    if (listeners.length === 0) {
+      return res.status(503).json({
+        success: false,
+        error: 'Event listener is not running'
+      });
+    }
+
+    const options = { ...indexer.reconcileOptions, ...(repair !== undefined && { repair: repair === 'true' }) };
+    const reports = [];
+    for (const listener of listeners) {
+      reports.push(await listener.enqueue(() => listener.reconcile(options)));
+    }
+
+    res.json({
+      success: true,
+      count: reports.length,
+      data: reports
+    });
+  } catch (error) {
+    console.error('Error reconciling:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to reconcile',
+      message: error.message
+    });
+  }
+});
@@ -0,0 +1,122 @@
+import fs from 'fs';
+import { ethers } from 'ethers';
+
+/**
+ * Replace ${NAME} in config strings with the environment variable NAME,
+ * so RPC URLs carrying API keys can stay in .env
+ */
+function expandEnv(value, env) {
+  if (typeof value === 'string') {
+    return value.replace(/\$\{(\w+)\}/g, (match, name) => {
+      if (env[name] === undefined) {
+        throw new Error(`Environment variable ${name} is not set`);
+      }
+      return env[name];
+    });
+  }
+  if (Array.isArray(value)) {
+    return value.map((item) => expandEnv(item, env));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, expandEnv(item, env)]));
+  }
+  return value;
+}
+
+function optionalInt(value) {
+  return value === undefined || value === null || value === '' ? undefined : parseInt(value);
+}
+
+function optionalBool(value) {
+  return value === undefined || value === null || value === '' ? undefined : value === true || value === 'true';
+}
+
+/**
+ * Check one indexed contract from the config and fill in defaults
+ */
+function normalizeEntry(entry, index) {
+  const label = entry.name ?? `#${index}`;
+
+  const chainId = Number(entry.chainId);
+  if (!Number.isSafeInteger(chainId) || chainId <= 0) {
+    throw new Error(`Contract ${label}: chainId must be a positive integer`);
+  }
+  if (!ethers.isAddress(entry.contractAddress)) {
+    throw new Error(`Contract ${label}: contractAddress is not a valid address`);
+  }
+  if (!entry.rpcUrl && !entry.rpcEndpoints?.length) {
+    throw new Error(`Contract ${label}: rpcUrl or rpcEndpoints is required`);
+  }
+
+  return {
+    name: entry.name ?? `${chainId}:${entry.contractAddress.toLowerCase()}`,
+    chainId,
+    contractAddress: entry.contractAddress,
+    rpcUrl: entry.rpcUrl,
+    rpcEndpoints: entry.rpcEndpoints,
+    pollingRpcUrl: entry.pollingRpcUrl || undefined,
+    rpcQuorum: optionalInt(entry.rpcQuorum),
+    syncFromBlock: optionalInt(entry.syncFromBlock) ?? 0,
+    confirmations: optionalInt(entry.confirmations),
+    chunkSize: optionalInt(entry.chunkSize),
+    maxChunkSize: optionalInt(entry.maxChunkSize),
+    bulkSync: optionalBool(entry.bulkSync)
+  };
+}
+
+/**
+ * Read the contracts to index from a JSON file: a list of entries with chainId,
+ * contractAddress, rpcUrl (or rpcEndpoints) and optional sync settings.
+ * The same contract can only be listed once per chain.
+ */
+export function loadChainConfig(path, env = process.env) {
+  const parsed = JSON.parse(fs.readFileSync(path, 'utf8'));
+  const entries = Array.isArray(parsed) ? parsed : parsed.contracts;
+  if (!Array.isArray(entries) || entries.length === 0) {
+    throw new Error(`${path} does not list any contracts`);
+  }
+
+  const contracts = entries.map((entry, index) => normalizeEntry(expandEnv(entry, env), index));
+
+  const seen = new Set();
+  for (const contract of contracts) {
+    const key = `${contract.chainId}:${contract.contractAddress.toLowerCase()}`;
+    if (seen.has(key)) {
+      throw new Error(`Contract ${contract.contractAddress} is listed twice for chain ${contract.chainId}`);
+    }
+    seen.add(key);
+  }
+
+  return contracts;
+}
+
+/**
+ * The contracts to index: from the file in CHAINS_CONFIG when set, otherwise the single
+ * contract in CONTRACT_ADDRESS and RPC_URL (or RPC_ENDPOINTS). Without CHAIN_ID the chain id
+ * of that contract is read from the RPC. Returns an empty list when nothing is configured.
+ */
+export function getIndexedContracts(env = process.env) {
+  if (env.CHAINS_CONFIG) {
+    return loadChainConfig(env.CHAINS_CONFIG, env);
+  }
+
+  if (!env.CONTRACT_ADDRESS || !(env.RPC_URL || env.RPC_ENDPOINTS)) {
+    return [];
+  }
+
+  return [{
+    name: 'default',
+    chainId: optionalInt(env.CHAIN_ID) ?? null,
+    contractAddress: env.CONTRACT_ADDRESS,
+    rpcUrl: env.RPC_URL,
+    // RPC_ENDPOINTS lists several endpoints to fail over between and takes precedence over RPC_URL
+    rpcEndpoints: env.RPC_ENDPOINTS ? JSON.parse(env.RPC_ENDPOINTS) : undefined,
+    pollingRpcUrl: env.RPC_POLLING_URL || undefined,
+    rpcQuorum: optionalInt(env.RPC_QUORUM),
+    syncFromBlock: optionalInt(env.SYNC_FROM_BLOCK) ?? 0,
+    confirmations: optionalInt(env.CONFIRMATIONS),
+    chunkSize: optionalInt(env.SYNC_CHUNK_SIZE),
+    maxChunkSize: optionalInt(env.SYNC_MAX_CHUNK_SIZE),
+    bulkSync: optionalBool(env.SYNC_BULK)
+  }];
+}
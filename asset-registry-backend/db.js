@@ -6,13 +6,24 @@ export const sequelize = new Sequelize({
   logging: false
 });
 
-// Asset model matching the smart contract structure
+// Asset model matching the smart contract structure.
+// An asset is identified by its id within the contract and chain that registered it.
 export const Asset = sequelize.define("Asset", {
   id: {
     type: DataTypes.STRING,
     primaryKey: true,
     allowNull: false
   },
+  chainId: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    allowNull: false
+  },
+  contractAddress: {
+    type: DataTypes.STRING, // lowercase
+    primaryKey: true,
+    allowNull: false
+  },
   owner: {
     type: DataTypes.STRING,
     allowNull: false
@@ -41,13 +52,17 @@ export const Transfer = sequelize.define("Transfer", {
     primaryKey: true,
     autoIncrement: true
   },
+  chainId: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  contractAddress: {
+    type: DataTypes.STRING, // lowercase
+    allowNull: false
+  },
   assetId: {
     type: DataTypes.STRING,
-    allowNull: false,
-    references: {
-      model: Asset,
-      key: 'id'
-    }
+    allowNull: false
   },
   fromOwner: {
     type: DataTypes.STRING,
@@ -61,10 +76,27 @@ export const Transfer = sequelize.define("Transfer", {
     type: DataTypes.BIGINT,
     allowNull: false
   },
+  blockHash: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  status: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    defaultValue: 'pending' // 'pending' until the block has enough confirmations, then 'confirmed'
+  },
   transactionHash: {
     type: DataTypes.STRING,
+    allowNull: false
+  },
+  transactionIndex: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  logIndex: {
+    type: DataTypes.INTEGER,
     allowNull: false,
-    unique: true
+    defaultValue: 0
   },
   timestamp: {
     type: DataTypes.BIGINT,
@@ -75,10 +107,333 @@ export const Transfer = sequelize.define("Transfer", {
     allowNull: false,
     defaultValue: DataTypes.NOW
   }
+}, {
+  timestamps: false,
+  indexes: [
+    // A transaction can emit several events, so identity is (transactionHash, logIndex) within a chain
+    { unique: true, fields: ['chainId', 'transactionHash', 'logIndex'] },
+    // Lookups and paged lists by asset, block and owner
+    { fields: ['assetId'] },
+    { fields: ['blockNumber'] },
+    { fields: ['fromOwner'] },
+    { fields: ['toOwner'] }
+  ]
+});
+
+// Sync checkpoint model to remember the last fully processed block per chain and contract
+export const SyncCheckpoint = sequelize.define("SyncCheckpoint", {
+  chainId: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    allowNull: false
+  },
+  contractAddress: {
+    type: DataTypes.STRING,
+    primaryKey: true,
+    allowNull: false
+  },
+  lastProcessedBlock: {
+    type: DataTypes.BIGINT,
+    allowNull: false
+  },
+  updatedAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  timestamps: false
+});
+
+// Failed sync range model so skipped block ranges are retried instead of lost
+export const FailedRange = sequelize.define("FailedRange", {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  chainId: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  contractAddress: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  fromBlock: {
+    type: DataTypes.BIGINT,
+    allowNull: false
+  },
+  toBlock: {
+    type: DataTypes.BIGINT,
+    allowNull: false
+  },
+  error: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  attempts: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 1
+  },
+  status: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    defaultValue: 'pending' // 'pending', 'resolved' once a retry succeeds, or 'discarded'
+  },
+  nextRetryAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  createdAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  },
+  lastAttemptAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  },
+  resolvedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  timestamps: false
+});
+
+// Dead-letter model for events whose handler failed, kept so they can be retried
+export const DeadLetterEvent = sequelize.define("DeadLetterEvent", {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  chainId: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  contractAddress: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  eventName: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  blockNumber: {
+    type: DataTypes.BIGINT,
+    allowNull: true
+  },
+  transactionHash: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  logIndex: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  rawLog: {
+    type: DataTypes.TEXT, // JSON of the log as received from the provider
+    allowNull: false
+  },
+  args: {
+    type: DataTypes.TEXT, // JSON of the decoded event arguments
+    allowNull: true
+  },
+  error: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  attempts: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 1
+  },
+  status: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    defaultValue: 'pending' // 'pending', 'resolved' once a retry succeeds, or 'discarded'
+  },
+  createdAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  },
+  lastAttemptAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  },
+  resolvedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
 }, {
   timestamps: false
 });
 
-// Define associations
-Asset.hasMany(Transfer, { foreignKey: 'assetId', as: 'transfers' });
-Transfer.belongsTo(Asset, { foreignKey: 'assetId', as: 'asset' });
+// Pending transfer model for transfers whose asset is not stored yet
+export const PendingTransfer = sequelize.define("PendingTransfer", {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  chainId: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  contractAddress: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  assetId: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  toOwner: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  blockNumber: {
+    type: DataTypes.BIGINT,
+    allowNull: false
+  },
+  blockHash: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  transactionHash: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  transactionIndex: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  logIndex: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  createdAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  timestamps: false,
+  indexes: [
+    { unique: true, fields: ['chainId', 'transactionHash', 'logIndex'] }
+  ]
+});
+
+// Raw event model: every decoded contract log, stored verbatim and never deleted.
+// Assets and transfers are projections of this log and can be rebuilt from it offline.
+export const RawEvent = sequelize.define("RawEvent", {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  chainId: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  contractAddress: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  eventName: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  blockNumber: {
+    type: DataTypes.BIGINT,
+    allowNull: false
+  },
+  blockHash: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  blockTimestamp: {
+    type: DataTypes.BIGINT, // Block time in seconds, so transfers can be replayed without the RPC
+    allowNull: false
+  },
+  transactionHash: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  transactionIndex: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  logIndex: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  topics: {
+    type: DataTypes.TEXT, // JSON array of the log topics
+    allowNull: false
+  },
+  data: {
+    type: DataTypes.TEXT,
+    allowNull: false
+  },
+  args: {
+    type: DataTypes.TEXT, // JSON of the decoded event arguments
+    allowNull: false
+  },
+  removed: {
+    type: DataTypes.BOOLEAN, // Set when a reorg orphans the block; the row itself is kept
+    allowNull: false,
+    defaultValue: false
+  },
+  createdAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  timestamps: false,
+  indexes: [
+    { fields: ['chainId', 'contractAddress', 'blockNumber', 'logIndex'] },
+    { fields: ['chainId', 'transactionHash', 'logIndex'] }
+  ]
+});
+
+// Define associations. Asset ids are hashes of owner, description and block time, so they
+// join on assetId alone; there is no foreign key constraint since Asset has a composite key.
+Asset.hasMany(Transfer, { foreignKey: 'assetId', as: 'transfers', constraints: false });
+Transfer.belongsTo(Asset, { foreignKey: 'assetId', as: 'asset', constraints: false });
+
+/**
+ * Whether the database was created before records were tagged with their chain and contract.
+ * Such a database has to be migrated with `npm run migrate:chains` before it can be synced.
+ */
+export async function needsChainMigration() {
+  const queryInterface = sequelize.getQueryInterface();
+  const tables = await queryInterface.showAllTables();
+  if (!tables.includes(Asset.getTableName())) {
+    return false;
+  }
+
+  const columns = await queryInterface.describeTable(Asset.getTableName());
+  return !columns.chainId;
+}
+
+/**
+ * Create missing tables. Existing tables are left as they are: Sequelize's SQLite `alter`
+ * rebuilds columns of composite keys as UNIQUE on their own, so schema changes go through
+ * the scripts in scripts/ instead.
+ */
+export async function syncDatabase() {
+  if (await needsChainMigration()) {
+    throw new Error('The database predates multi-chain indexing. Run `npm run migrate:chains` first.');
+  }
+  await sequelize.sync();
+}
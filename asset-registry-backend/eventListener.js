@@ -1,211 +1,2152 @@
+import { EventEmitter } from 'events';
 import { ethers } from 'ethers';
-import { Asset, Transfer } from './db.js';
+import { SequelizeStorage } from './sequelizeStorage.js';
+import { RpcPool, withTimeout, destroyProvider, redactUrl } from './rpcPool.js';
+import { TaskQueue } from './taskQueue.js';
+
+// Number of blocks on top of an event's block before it is treated as final
+const DEFAULT_CONFIRMATIONS = 12;
+
+// Maximum number of block timestamps kept in memory
+const BLOCK_TIMESTAMP_CACHE_SIZE = 10000;
+
+// Blocks whose timestamps are requested at once; ethers sends concurrent calls as one JSON-RPC batch
+const BLOCK_FETCH_BATCH_SIZE = 100;
+
+// getLogs range sizes: start at the Alchemy free tier limit and grow while the provider allows it
+const DEFAULT_CHUNK_SIZE = 10;
+const DEFAULT_MAX_CHUNK_SIZE = 10000;
+
+// Retries of a rate-limited getLogs call, with exponential backoff starting at this delay
+const MAX_RATE_LIMIT_RETRIES = 5;
+const RATE_LIMIT_BACKOFF_MS = 500;
+
+// Backoff between retries of a failed sync range, or of loading the asset of held transfers:
+// 30s, 1m, 2m, ... capped at 1h
+const FAILED_RANGE_RETRY_BASE_MS = 30 * 1000;
+const FAILED_RANGE_RETRY_MAX_MS = 60 * 60 * 1000;
+
+// Connection health: ping the RPC every interval and treat it as dead if a ping takes longer than the timeout
+const DEFAULT_HEARTBEAT_INTERVAL_MS = 30 * 1000;
+const DEFAULT_HEARTBEAT_TIMEOUT_MS = 10 * 1000;
+
+// WebSocket reconnects back off exponentially: 1s, 2s, 4s, ... capped at 1m.
+// After this many failed attempts the listener falls back to HTTP polling.
+const DEFAULT_RECONNECT_DELAY_MS = 1000;
+const RECONNECT_MAX_DELAY_MS = 60 * 1000;
+const MAX_RECONNECT_ATTEMPTS = 5;
+
+// While on the polling fallback, try to get back to WebSockets this often
+const WEBSOCKET_RETRY_INTERVAL_MS = 5 * 60 * 1000;
+
+// Number of contract calls made side by side while reconciling
+const DEFAULT_RECONCILE_BATCH_SIZE = 50;
+
+function isWebSocketUrl(url) {
+  return /^wss?:\/\//i.test(url);
+}
+
+/**
+ * HTTP endpoint of a WebSocket RPC URL. Hosted providers serve both on the same path.
+ */
+function toHttpUrl(url) {
+  return url.replace(/^ws(s?):\/\//i, 'http$1://');
+}
+
+/**
+ * Get the position of a log within its block
+ * ethers v6 exposes it as `index`, raw JSON-RPC logs as `logIndex`
+ */
+function getLogIndex(log) {
+  return log.index ?? log.logIndex ?? 0;
+}
+
+/**
+ * Classify a getLogs failure as 'range' (block range or result set too large),
+ * 'rateLimit', or null for anything else. Providers word these differently.
+ */
+function classifyLogError(error) {
+  const message = [error.message, error.shortMessage, error.error?.message, error.info?.error?.message]
+    .filter(Boolean)
+    .join(' ');
+  const code = error.error?.code ?? error.info?.error?.code ?? error.code;
+
+  if (code === 429 || /rate limit|too many requests|compute units|exceeded.*capacity/i.test(message)) {
+    return 'rateLimit';
+  }
+  if (code === -32005 || /block range|range too (large|wide)|more than \d+ (results|logs)|response size|too many (results|logs)|limited to/i.test(message)) {
+    return 'range';
+  }
+  return null;
+}
+
+/**
+ * When to retry a failed range or held asset next, given how many attempts have been made
+ */
+function getNextRetryAt(attempts) {
+  const delay = Math.min(FAILED_RANGE_RETRY_BASE_MS * 2 ** (attempts - 1), FAILED_RANGE_RETRY_MAX_MS);
+  return new Date(Date.now() + delay);
+}
+
+/**
+ * Reduce a provider log to the fields needed to decode and replay it
+ */
+function serializeLog(log) {
+  return {
+    address: log.address,
+    blockNumber: log.blockNumber,
+    blockHash: log.blockHash,
+    transactionHash: log.transactionHash,
+    transactionIndex: log.transactionIndex,
+    index: getLogIndex(log),
+    topics: log.topics ? [...log.topics] : [],
+    data: log.data
+  };
+}
+
+/**
+ * JSON-encode decoded event arguments; uint256 values come back from ethers as bigint
+ */
+function serializeArgs(args) {
+  return JSON.stringify([...args], (key, value) => typeof value === 'bigint' ? value.toString() : value);
+}
+
+/**
+ * Turn a stored raw event back into a log that processLog can decode
+ */
+function rawEventToLog(rawEvent) {
+  return {
+    address: rawEvent.contractAddress,
+    blockNumber: parseInt(rawEvent.blockNumber),
+    blockHash: rawEvent.blockHash,
+    transactionHash: rawEvent.transactionHash,
+    transactionIndex: rawEvent.transactionIndex,
+    index: rawEvent.logIndex,
+    topics: JSON.parse(rawEvent.topics),
+    data: rawEvent.data
+  };
+}
+
+/**
+ * Call read for each item, batchSize calls at a time. Returns the results in item order.
+ */
+async function readInBatches(items, batchSize, read) {
+  const results = [];
+  for (let start = 0; start < items.length; start += batchSize) {
+    results.push(...await Promise.all(items.slice(start, start + batchSize).map(read)));
+  }
+  return results;
+}
+
+/**
+ * The fields of an asset that reconciliation compares, from a stored row or a getAsset struct
+ */
+function assetState(asset) {
+  return { owner: asset.owner.toLowerCase(), description: asset.description };
+}
+
+/**
+ * Order two events by their position in the chain: (blockNumber, logIndex)
+ */
+function compareLogs(a, b) {
+  const logA = a.log || a;
+  const logB = b.log || b;
+  return (logA.blockNumber - logB.blockNumber) || (getLogIndex(logA) - getLogIndex(logB));
+}
+
+/**
+ * @typedef {Object} AssetRegisteredEvent
+ * @property {number} chainId
+ * @property {string} contractAddress - lowercased
+ * @property {string} assetId
+ * @property {string} owner - lowercased
+ * @property {string} description
+ * @property {number} timestamp - block time in seconds
+ * @property {number} blockNumber
+ * @property {string|null} blockHash
+ * @property {string} transactionHash
+ * @property {number} logIndex
+ */
+
+/**
+ * @typedef {Object} AssetTransferredEvent
+ * @property {number} chainId
+ * @property {string} contractAddress - lowercased
+ * @property {string} assetId
+ * @property {string} from - previous owner, lowercased
+ * @property {string} to - new owner, lowercased
+ * @property {number} timestamp - block time in seconds
+ * @property {number} blockNumber
+ * @property {string|null} blockHash
+ * @property {string} transactionHash
+ * @property {number} logIndex
+ */
+
+/**
+ * @typedef {Object} ReorgEvent
+ * @property {number} chainId
+ * @property {string} contractAddress - lowercased
+ * @property {number} blockNumber - first orphaned block
+ * @property {number} rolledBack - number of transfers undone
+ */
+
+/**
+ * @typedef {Object} SyncedEvent
+ * @property {number} fromBlock
+ * @property {number} toBlock
+ * @property {number} registered
+ * @property {number} transferred
+ * @property {number} failedRanges - ranges still pending retry
+ * @property {boolean} complete
+ * @property {number} durationMs
+ * @property {number} blocksPerSecond
+ * @property {number} eventsPerSecond - registrations and transfers applied per second
+ */
 
 /**
- * Event listener service that connects to the blockchain and listens for events
+ * @typedef {Object} ReconciliationReport
+ * @property {number} chainId
+ * @property {string} contractAddress - lowercased
+ * @property {number} blockNumber - block whose on-chain state was compared, the checkpoint
+ * @property {boolean} repair - whether drift was repaired
+ * @property {Date} startedAt
+ * @property {Date} finishedAt
+ * @property {number} checked - number of assets compared
+ * @property {{ missingAssets: number, wrongOwners: number, descriptionMismatches: number, notOnChain: number, repaired: number }} summary
+ * @property {Array<{ type: string, assetId: string, stored: Object|null, onChain: Object|null, repaired: boolean }>} drift
+ *   type is 'missingAsset', 'wrongOwner', 'descriptionMismatch' or 'notOnChain'
  */
-export class EventListener {
-  constructor(contractAddress, rpcUrl, contractABI) {
+
+/**
+ * Event listener service that connects to the blockchain and listens for events.
+ *
+ * Also usable as a library: it is an EventEmitter, and where the index is kept is up to
+ * options.storage (see indexer.js). It emits
+ * - 'assetRegistered' (AssetRegisteredEvent) and 'assetTransferred' (AssetTransferredEvent)
+ *   once the block that carries the event is committed, so never for rolled back writes
+ * - 'reorg' (ReorgEvent) after orphaned blocks were rolled back
+ * - 'synced' (SyncedEvent) after each historical sync
+ * - 'reconciled' (ReconciliationReport) after each reconciliation
+ * - 'error' (error, { stage, ... }) for failures the listener recovers from by itself;
+ *   stage is 'block', 'range', 'event', 'pendingTransfer' or 'reconciliation'. Without an 'error' handler
+ *   these are only logged.
+ * Rebuilding from the raw event log does not emit asset events.
+ */
+export class EventListener extends EventEmitter {
+  /**
+   * rpcUrl is a single RPC URL, or a list of { url, priority, name } endpoints to fail over
+   * between (see RpcPool). options.rpcQuorum sets how many endpoints must agree on a result.
+   * options.chainId is the chain the contract lives on; without it the chain is read from the RPC on start.
+   * Listeners that write to the same database should share one options.queue.
+   * With a null rpcUrl the listener works offline and can only rebuild from the raw event log.
+   * options.mapping is an EventMapping of further events to index besides the built-in ones.
+   * options.storage keeps the index, by default a SequelizeStorage on db.js.
+   * With options.bulkSync, historical ranges are written with bulk inserts, see applyRangeInBulk.
+   */
+  constructor(contractAddress, rpcUrl, contractABI, options = {}) {
+    super();
     this.contractAddress = contractAddress;
-    this.provider = new ethers.JsonRpcProvider(rpcUrl);
-    this.contract = new ethers.Contract(contractAddress, contractABI, this.provider);
+    this.chainId = options.chainId ?? null;
+    this.name = options.name ?? null;
+    this.mapping = options.mapping ?? null;
+    // Events of the mapping are decoded with the signatures it lists, on every provider connected
+    this.contractABI = this.mapping ? [...contractABI, ...this.mapping.fragments] : contractABI;
+    this.storage = options.storage ?? new SequelizeStorage();
+    // Events of writes not committed yet, see inTransaction
+    this.pendingEvents = [];
+
+    // Mapped entities are Sequelize models written in the storage's transactions
+    if (this.mapping && !(this.storage instanceof SequelizeStorage)) {
+      throw new Error('An event mapping needs a SequelizeStorage');
+    }
+
+    if (rpcUrl === null) {
+      this.rpcUrl = null;
+      this.pollingRpcUrl = null;
+      this.connectionMode = 'offline';
+      this.provider = null;
+    } else if (Array.isArray(rpcUrl)) {
+      this.rpcUrl = null;
+      this.pollingRpcUrl = null;
+      this.connectionMode = 'failover';
+      this.provider = new RpcPool(rpcUrl, {
+        quorum: options.rpcQuorum,
+        createProvider: (url) => this.createProvider(url),
+        // A range the endpoint does not accept is handled by shrinking the range, not by failing over
+        shouldFailover: (error) => classifyLogError(error) !== 'range'
+      });
+    } else {
+      this.rpcUrl = rpcUrl;
+      // HTTP endpoint used when WebSockets are unavailable
+      this.pollingRpcUrl = options.pollingRpcUrl ?? (isWebSocketUrl(rpcUrl) ? toHttpUrl(rpcUrl) : null);
+      this.connectionMode = isWebSocketUrl(rpcUrl) ? 'websocket' : 'http';
+      this.provider = this.createProvider(rpcUrl);
+    }
+    this.contract = new ethers.Contract(contractAddress, this.contractABI, this.provider);
+    this.heartbeatIntervalMs = options.heartbeatIntervalMs ?? DEFAULT_HEARTBEAT_INTERVAL_MS;
+    this.heartbeatTimeoutMs = options.heartbeatTimeoutMs ?? DEFAULT_HEARTBEAT_TIMEOUT_MS;
+    this.reconnectDelayMs = options.reconnectDelayMs ?? DEFAULT_RECONNECT_DELAY_MS;
+    this.heartbeatTimer = null;
+    this.isReconnecting = false;
+    this.lastHeartbeatAt = null;
+    this.lastWebSocketAttemptAt = null;
+    this.confirmations = options.confirmations ?? DEFAULT_CONFIRMATIONS;
     this.isListening = false;
+    this.isBackfilling = false;
+    this.queue = options.queue ?? new TaskQueue();
+    this.queuedHead = null;
+    this.blockListener = null;
+    this.blockTimestamps = new Map();
+    this.chunkSize = options.chunkSize ?? DEFAULT_CHUNK_SIZE;
+    this.maxChunkSize = options.maxChunkSize ?? DEFAULT_MAX_CHUNK_SIZE;
+    this.bulkSync = options.bulkSync ?? false;
+    this.syncProgress = null;
+    // Held assets the contract did not return on the last attempt: assetId -> { attempts, nextRetryAt }
+    this.heldAssetRetries = new Map();
+    this.reconcileTimer = null;
+    this.lastReconciliation = null;
   }
 
   /**
-   * Start listening for events from the smart contract
+   * Backfill from the stored checkpoint to the chain head, then switch to live mode.
+   * When no checkpoint exists yet, the backfill starts at defaultFromBlock,
+   * or at the current head if no starting block is given.
    */
-  async startListening() {
-    if (this.isListening) {
-      console.log('Event listener is already running');
-      return;
+  async start(defaultFromBlock = null) {
+    // HTTP providers connect per request, a WebSocket has to be up before we can sync
+    if (this.connectionMode === 'websocket') {
+      await this.ensureConnection();
     }
 
-    this.isListening = true;
-    console.log(`Starting event listener for contract at ${this.contractAddress}`);
+    await this.resolveChainId();
 
-    // Listen for AssetRegistered events
-    this.contract.on('AssetRegistered', async (id, owner, description, timestamp, event) => {
-      try {
-        await this.handleAssetRegistered(id, owner, description, timestamp, event);
-      } catch (error) {
-        console.error('Error handling AssetRegistered event:', error);
+    this.isBackfilling = true;
+    try {
+      await this.backfill(defaultFromBlock);
+    } finally {
+      this.isBackfilling = false;
+    }
+  }
+
+  /**
+   * The backfill and live subscription of start(). Until it settles, getStatus reports the
+   * listener as backfilling, with the blocks synced so far in syncProgress.
+   */
+  async backfill(defaultFromBlock) {
+    // The backfill runs on the queue, so it does not write at the same time as other listeners
+    await this.enqueue(async () => {
+      // Events stored before a shutdown may have been orphaned while we were down
+      await this.checkForReorg();
+
+      const checkpoint = await this.getCheckpoint();
+      const currentBlock = await this.provider.getBlockNumber();
+
+      let fromBlock;
+      if (checkpoint !== null) {
+        fromBlock = checkpoint + 1;
+        console.log(`Resuming from checkpoint at block ${checkpoint}`);
+      } else if (defaultFromBlock) {
+        fromBlock = defaultFromBlock;
+      } else {
+        console.log(`No checkpoint found, starting from current block ${currentBlock}`);
+        await this.saveCheckpoint(currentBlock);
+        fromBlock = currentBlock + 1;
+      }
+
+      if (fromBlock <= currentBlock) {
+        await this.syncHistoricalEvents(fromBlock, currentBlock);
       }
     });
 
-    // Listen for AssetTransferred events
-    this.contract.on('AssetTransferred', async (id, newOwner, event) => {
-      try {
-        await this.handleAssetTransferred(id, newOwner, event);
-      } catch (error) {
-        console.error('Error handling AssetTransferred event:', error);
+    await this.startListening();
+
+    // Catch up on blocks mined between the backfill and the live subscription
+    await this.enqueue(async () => {
+      const resumeFrom = (await this.getCheckpoint()) + 1;
+      const latestBlock = await this.provider.getBlockNumber();
+      if (resumeFrom <= latestBlock) {
+        await this.syncHistoricalEvents(resumeFrom, latestBlock);
       }
     });
+  }
+
+  /**
+   * Read the chain id from the RPC. Without a configured chain id the RPC's is used,
+   * otherwise the two must match, so records are never tagged with the wrong chain.
+   */
+  async resolveChainId() {
+    const network = await this.provider.getNetwork();
+    const chainId = Number(network.chainId);
 
-    console.log('Event listener started successfully');
+    if (this.chainId === null) {
+      this.chainId = chainId;
+    } else if (this.chainId !== chainId) {
+      throw new Error(`RPC for contract ${this.contractAddress} serves chain ${chainId}, expected chain ${this.chainId}`);
+    }
+    return this.chainId;
   }
 
   /**
-   * Handle AssetRegistered events
+   * Chain and contract this listener indexes. Every row it writes is tagged with these,
+   * and every query it makes is limited to them.
    */
-  async handleAssetRegistered(id, owner, description, timestamp, event) {
-    const assetId = id.toString();
-    const ownerAddress = owner.toLowerCase();
-    const timestampValue = timestamp.toString();
+  scope() {
+    return {
+      chainId: this.chainId,
+      contractAddress: this.contractAddress.toLowerCase()
+    };
+  }
 
-    console.log(`AssetRegistered: ${assetId} by ${ownerAddress}`);
+  /**
+   * Run a task after every task queued before it. All writes to the index go through
+   * this queue, so blocks, retries and rollbacks never interleave.
+   * Resolves or rejects with the task's result; a failed task does not stop the queue.
+   */
+  enqueue(task) {
+    return this.queue.enqueue(task);
+  }
 
-    // Check if asset already exists
-    const existingAsset = await Asset.findByPk(assetId);
-    
-    if (!existingAsset) {
-      await Asset.create({
-        id: assetId,
-        owner: ownerAddress,
-        description: description,
-        timestamp: timestampValue,
-        registeredAt: new Date()
-      });
-      console.log(`Asset ${assetId} stored in database`);
-    } else {
-      console.log(`Asset ${assetId} already exists in database`);
+  /**
+   * Run work in a storage transaction and emit the events it queued once it is committed.
+   * If it fails, its events are dropped with its writes.
+   */
+  async inTransaction(work) {
+    const mark = this.pendingEvents.length;
+    try {
+      const result = await this.storage.transaction(work);
+      for (const [name, payload] of this.pendingEvents.splice(mark)) {
+        this.emit(name, payload);
+      }
+      return result;
+    } catch (error) {
+      this.pendingEvents.length = mark;
+      throw error;
     }
+  }
 
-    // Also create a transfer record for the initial registration
-    // Handle both ethers v6 event structures (from .on() and queryFilter)
-    const log = event.log || event;
-    const transferHash = log.transactionHash || log.hash;
-    const blockNumber = log.blockNumber;
-    
-    if (transferHash && blockNumber) {
-      const existingTransfer = await Transfer.findOne({
-        where: { transactionHash: transferHash }
+  /**
+   * Queue an event for when the current transaction is committed
+   */
+  queueEvent(name, payload) {
+    this.pendingEvents.push([name, payload]);
+  }
+
+  /**
+   * Emit 'error' for a failure the listener recovers from. EventEmitter throws on an 'error'
+   * nobody listens to, so without a handler it is only logged where it happened.
+   */
+  reportError(error, context) {
+    if (this.listenerCount('error') > 0) {
+      this.emit('error', error, context);
+    }
+  }
+
+  /**
+   * Get the last fully processed block for this chain and contract, or null if none is stored
+   */
+  async getCheckpoint({ transaction } = {}) {
+    return this.storage.getCheckpoint(this.scope(), { transaction });
+  }
+
+  /**
+   * Store the last fully processed block. The checkpoint never moves backwards.
+   */
+  async saveCheckpoint(blockNumber, { transaction } = {}) {
+    const current = await this.getCheckpoint({ transaction });
+    if (current !== null && blockNumber <= current) {
+      return;
+    }
+
+    await this.storage.setCheckpoint(this.scope(), blockNumber, { transaction });
+  }
+
+  /**
+   * Start listening for events from the smart contract
+   */
+  async startListening() {
+    if (this.isListening) {
+      console.log('Event listener is already running');
+      return;
+    }
+
+    this.isListening = true;
+    console.log(`Starting event listener for contract at ${this.contractAddress} on chain ${this.chainId}`);
+
+    // Each new block is synced with getLogs from the checkpoint, so events are applied
+    // in (block, logIndex) order and each block is committed together with the checkpoint.
+    // Blocks arriving while a sync is queued only move its target head forward.
+    this.blockListener = (blockNumber) => {
+      if (this.queuedHead !== null) {
+        this.queuedHead = Math.max(this.queuedHead, blockNumber);
+        return;
+      }
+
+      this.queuedHead = blockNumber;
+      this.enqueue(async () => {
+        const headBlock = this.queuedHead;
+        this.queuedHead = null;
+        await this.handleNewBlock(headBlock);
+      }).catch((error) => {
+        console.error(`Error processing block ${blockNumber}:`, error);
+        this.reportError(error, { stage: 'block', blockNumber });
       });
+    };
+    this.provider.on('block', this.blockListener);
+    this.startHeartbeat();
 
-      if (!existingTransfer) {
-        await Transfer.create({
-          assetId: assetId,
-          fromOwner: null, // null for initial registration
-          toOwner: ownerAddress,
-          blockNumber: blockNumber.toString(),
-          transactionHash: transferHash,
-          timestamp: timestampValue,
-          transferredAt: new Date()
-        });
-        console.log(`Initial transfer record created for asset ${assetId}`);
+    console.log(`Event listener started successfully (${this.connectionMode})`);
+  }
+
+  /**
+   * Create a provider for an RPC URL: a WebSocketProvider for ws:// and wss://, a polling
+   * JsonRpcProvider otherwise. ethers does not reconnect a closed socket by itself,
+   * so closing the socket of the active provider triggers a reconnect.
+   */
+  createProvider(url) {
+    if (!isWebSocketUrl(url)) {
+      return new ethers.JsonRpcProvider(url);
+    }
+
+    const provider = new ethers.WebSocketProvider(url);
+    provider.websocket.onerror = (error) => {
+      console.error('WebSocket error:', error.message);
+    };
+    provider.websocket.onclose = () => {
+      if (this.provider === provider && this.isListening) {
+        console.warn('WebSocket connection closed');
+        this.reconnect();
+      }
+    };
+    return provider;
+  }
+
+  /**
+   * Make sure the RPC answers, reconnecting (and falling back to polling) if it does not
+   */
+  async ensureConnection() {
+    try {
+      await withTimeout(this.provider.getBlockNumber(), this.heartbeatTimeoutMs, 'RPC did not respond');
+    } catch (error) {
+      console.warn(`RPC connection failed: ${error.message}`);
+      if (!await this.reconnect()) {
+        throw new Error(`Could not connect to ${this.rpcUrl}`);
       }
     }
   }
 
   /**
-   * Handle AssetTransferred events
+   * Ping the RPC on an interval. A failed or slow ping means the connection is dead.
    */
-  async handleAssetTransferred(id, newOwner, event) {
-    const assetId = id.toString();
-    const newOwnerAddress = newOwner.toLowerCase();
+  startHeartbeat() {
+    this.stopHeartbeat();
+    this.heartbeatTimer = setInterval(() => this.checkConnection(), this.heartbeatIntervalMs);
+    this.heartbeatTimer.unref?.();
+  }
 
-    console.log(`AssetTransferred: ${assetId} to ${newOwnerAddress}`);
+  stopHeartbeat() {
+    if (this.heartbeatTimer) {
+      clearInterval(this.heartbeatTimer);
+      this.heartbeatTimer = null;
+    }
+  }
 
-    // Update the asset owner
-    const asset = await Asset.findByPk(assetId);
-    if (asset) {
-      const previousOwner = asset.owner;
-      asset.owner = newOwnerAddress;
-      await asset.save();
+  /**
+   * Run one heartbeat. On the polling fallback this also tries to get back to WebSockets.
+   */
+  async checkConnection() {
+    if (this.isReconnecting) {
+      return;
+    }
 
-      // Create transfer record
-      // Handle both ethers v6 event structures (from .on() and queryFilter)
-      const log = event.log || event;
-      const transferHash = log.transactionHash || log.hash;
-      const blockNumber = log.blockNumber;
-      
-      if (transferHash && blockNumber) {
-        const existingTransfer = await Transfer.findOne({
-          where: { transactionHash: transferHash }
-        });
+    // The pool fails over on its own; refresh endpoint health and move the block subscription if needed
+    if (this.provider instanceof RpcPool) {
+      await this.provider.checkHealth();
+      this.lastHeartbeatAt = new Date();
+      return;
+    }
 
-        if (!existingTransfer) {
-          // Get block timestamp
-          const block = await this.provider.getBlock(blockNumber);
-          const blockTimestamp = block ? block.timestamp.toString() : Date.now().toString();
+    try {
+      await withTimeout(this.provider.getBlockNumber(), this.heartbeatTimeoutMs, 'Heartbeat timed out');
+      this.lastHeartbeatAt = new Date();
+    } catch (error) {
+      console.warn(`Connection lost: ${error.message}`);
+      await this.reconnect();
+      return;
+    }
 
-          await Transfer.create({
-            assetId: assetId,
-            fromOwner: previousOwner,
-            toOwner: newOwnerAddress,
-            blockNumber: blockNumber.toString(),
-            transactionHash: transferHash,
-            timestamp: blockTimestamp,
-            transferredAt: new Date()
-          });
-          console.log(`Transfer record created for asset ${assetId}`);
-        }
+    if (this.connectionMode === 'polling' && Date.now() - this.lastWebSocketAttemptAt >= WEBSOCKET_RETRY_INTERVAL_MS) {
+      this.lastWebSocketAttemptAt = Date.now();
+      try {
+        await this.connect(this.rpcUrl, 'websocket');
+      } catch (error) {
+        console.warn(`WebSockets still unavailable: ${error.message}`);
       }
-    } else {
-      console.warn(`Asset ${assetId} not found in database when processing transfer`);
     }
   }
 
   /**
-   * Sync historical events from a specific block number
-   * Alchemy free tier limits to 10 block range, so we sync in chunks
+   * Health of the RPC endpoints in use: per-endpoint latency and error rates with failover,
+   * or the state of the single connection otherwise
    */
-  async syncHistoricalEvents(fromBlock = 0) {
-    console.log(`Syncing historical events from block ${fromBlock}`);
-    
+  getRpcHealth() {
+    if (this.provider instanceof RpcPool) {
+      return {
+        connectionMode: this.connectionMode,
+        quorum: this.provider.quorum,
+        endpoints: this.provider.getHealth()
+      };
+    }
+
+    return {
+      connectionMode: this.connectionMode,
+      quorum: 1,
+      endpoints: [{
+        name: redactUrl(this.rpcUrl),
+        priority: 1,
+        healthy: !this.isReconnecting,
+        subscribed: this.isListening,
+        lastHeartbeatAt: this.lastHeartbeatAt
+      }]
+    };
+  }
+
+  /**
+   * Replace the provider: retry the configured RPC URL with exponential backoff, then fall
+   * back to HTTP polling. Live subscriptions move to the new provider and the blocks missed
+   * while disconnected are backfilled from the checkpoint.
+   * Returns true once connected.
+   */
+  async reconnect() {
+    if (this.isReconnecting || this.provider instanceof RpcPool) {
+      return false;
+    }
+    this.isReconnecting = true;
+
     try {
-      const currentBlock = await this.provider.getBlockNumber();
-      const BLOCK_CHUNK_SIZE = 10; // Alchemy free tier limit
-      let totalRegistered = 0;
-      let totalTransferred = 0;
-      
-      // Sync in chunks of 10 blocks
-      for (let startBlock = fromBlock; startBlock <= currentBlock; startBlock += BLOCK_CHUNK_SIZE) {
-        const endBlock = Math.min(startBlock + BLOCK_CHUNK_SIZE - 1, currentBlock);
-        console.log(`Syncing blocks ${startBlock} to ${endBlock}...`);
-        
-        try {
-          // Get AssetRegistered events for this chunk
-          const registeredFilter = this.contract.filters.AssetRegistered();
-          const registeredEvents = await this.contract.queryFilter(registeredFilter, startBlock, endBlock);
-
-          for (const event of registeredEvents) {
-            const [id, owner, description, timestamp] = event.args;
-            await this.handleAssetRegistered(id, owner, description, timestamp, event);
-            totalRegistered++;
-          }
+      for (let attempt = 0; attempt < MAX_RECONNECT_ATTEMPTS; attempt++) {
+        if (isWebSocketUrl(this.rpcUrl)) {
+          this.lastWebSocketAttemptAt = Date.now();
+        }
 
-          // Get AssetTransferred events for this chunk
-          const transferredFilter = this.contract.filters.AssetTransferred();
-          const transferredEvents = await this.contract.queryFilter(transferredFilter, startBlock, endBlock);
+        try {
+          await this.connect(this.rpcUrl, isWebSocketUrl(this.rpcUrl) ? 'websocket' : 'http');
+          return true;
+        } catch (error) {
+          const delay = Math.min(this.reconnectDelayMs * 2 ** attempt, RECONNECT_MAX_DELAY_MS);
+          console.warn(`Reconnect attempt ${attempt + 1} failed: ${error.message}. Retrying in ${delay}ms`);
+          await new Promise(resolve => setTimeout(resolve, delay));
+        }
+      }
 
-          for (const event of transferredEvents) {
-            const [id, newOwner] = event.args;
-            await this.handleAssetTransferred(id, newOwner, event);
-            totalTransferred++;
-          }
-          
-          // Small delay to avoid rate limiting
-          await new Promise(resolve => setTimeout(resolve, 100));
-        } catch (chunkError) {
-          console.error(`Error syncing blocks ${startBlock}-${endBlock}:`, chunkError.message);
-          // Continue with next chunk
+      if (this.pollingRpcUrl) {
+        try {
+          await this.connect(this.pollingRpcUrl, 'polling');
+          console.warn(`WebSockets unavailable, falling back to HTTP polling on ${this.pollingRpcUrl}`);
+          return true;
+        } catch (error) {
+          console.error('HTTP polling fallback failed:', error.message);
         }
       }
 
-      console.log(`Historical sync completed. Processed ${totalRegistered} registrations and ${totalTransferred} transfers`);
+      // The next heartbeat tries again
+      return false;
+    } finally {
+      this.isReconnecting = false;
+    }
+  }
+
+  /**
+   * Connect a new provider and make it the active one once it answers
+   */
+  async connect(url, connectionMode) {
+    const provider = this.createProvider(url);
+    let headBlock;
+    try {
+      headBlock = await withTimeout(provider.getBlockNumber(), this.heartbeatTimeoutMs, 'Connection timed out');
     } catch (error) {
-      console.error('Error syncing historical events:', error);
+      destroyProvider(provider);
       throw error;
     }
+
+    // Destroying the old provider also drops its subscriptions
+    destroyProvider(this.provider);
+    this.provider = provider;
+    this.contract = new ethers.Contract(this.contractAddress, this.contractABI, provider);
+    this.connectionMode = connectionMode;
+    this.lastHeartbeatAt = new Date();
+    console.log(`Connected to ${url} (${connectionMode})`);
+
+    if (this.blockListener) {
+      provider.on('block', this.blockListener);
+      // Backfill the blocks missed while disconnected
+      this.blockListener(headBlock);
+    }
   }
 
   /**
-   * Stop listening for events
+   * Bring the index up to a new chain head: roll back orphaned blocks, sync every block
+   * after the checkpoint, then retry failed ranges and held transfers.
+   * Runs on the queue, see startListening.
+   */
+  async handleNewBlock(blockNumber) {
+    // A rollback moves the checkpoint back before the fork, so the sync below re-applies it
+    await this.checkForReorg();
+
+    const checkpoint = await this.getCheckpoint();
+    const fromBlock = checkpoint !== null ? checkpoint + 1 : blockNumber;
+    if (fromBlock <= blockNumber) {
+      await this.syncHistoricalEvents(fromBlock, blockNumber);
+    } else {
+      await this.confirmBlocks(blockNumber);
+    }
+
+    await this.retryFailedRanges();
+    await this.resolvePendingTransfers();
+  }
+
+  /**
+   * Compare the stored block hashes of pending events with the canonical chain.
+   * If a stored block was orphaned, everything from that block onwards is rolled back.
+   * Returns the first orphaned block number, or null when no reorg was found.
+   */
+  async checkForReorg() {
+    const pendingBlocks = await this.storage.listPendingBlocks(this.scope());
+
+    for (const pendingBlock of pendingBlocks) {
+      const blockNumber = parseInt(pendingBlock.blockNumber);
+      const block = await this.provider.getBlock(blockNumber);
+
+      if (!block || block.hash !== pendingBlock.blockHash) {
+        console.warn(`Reorg detected at block ${blockNumber}: stored hash ${pendingBlock.blockHash} is no longer canonical`);
+        await this.rollbackFromBlock(blockNumber);
+        return blockNumber;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Undo every transfer from the given block onwards, newest first, restoring each
+   * asset's previous owner. Assets whose registration is rolled back are removed.
+   * The checkpoint is moved back to the block before the fork.
+   */
+  async rollbackFromBlock(blockNumber) {
+    const rolledBack = await this.storage.transaction(async (transaction) => {
+      const transfers = await this.storage.listTransfers(this.scope(), { fromBlock: blockNumber, newestFirst: true, transaction });
+
+      await this.storage.deletePendingTransfers(this.scope(), { fromBlock: blockNumber, transaction });
+
+      // The raw log is append-only: orphaned events are kept, but no longer replayed
+      await this.storage.markRawEventsRemoved(this.scope(), blockNumber, { transaction });
+
+      // Mapped entities keep no history to undo, so they are replayed from the canonical raw events
+      if (this.mapping) {
+        await this.replayMappedEvents({ transaction });
+      }
+
+      for (const transfer of transfers) {
+        const asset = await this.storage.findAsset(this.scope(), transfer.assetId, { transaction });
+        await this.storage.deleteTransfer(transfer, { transaction });
+
+        if (!asset) {
+          continue;
+        }
+
+        if (transfer.fromOwner === null) {
+          await this.storage.deleteAsset(asset, { transaction });
+        } else {
+          await this.storage.updateAsset(asset, { owner: transfer.fromOwner }, { transaction });
+        }
+      }
+
+      await this.storage.setCheckpoint(this.scope(), blockNumber - 1, { transaction });
+
+      console.log(`Rolled back ${transfers.length} events from block ${blockNumber}`);
+      return transfers.length;
+    });
+
+    this.emit('reorg', { ...this.scope(), blockNumber, rolledBack });
+
+    // Orphaned blocks have different timestamps on the new chain
+    for (const cachedBlock of this.blockTimestamps.keys()) {
+      if (cachedBlock >= blockNumber) {
+        this.blockTimestamps.delete(cachedBlock);
+      }
+    }
+  }
+
+  /**
+   * Mark events with at least the configured number of confirmations as confirmed
+   */
+  async confirmBlocks(headBlock, { transaction } = {}) {
+    const confirmedBlock = headBlock - this.confirmations;
+
+    await this.storage.confirmTransfers(this.scope(), confirmedBlock, { transaction });
+  }
+
+  /**
+   * Handle AssetRegistered events. Pass a transaction to apply the event as part of a block.
+   */
+  async handleAssetRegistered(id, owner, description, timestamp, event, { transaction } = {}) {
+    const assetId = id.toString();
+    const ownerAddress = owner.toLowerCase();
+    const timestampValue = timestamp.toString();
+    // The contract emits block.timestamp, so this is the on-chain block time
+    const blockTime = new Date(Number(timestampValue) * 1000);
+
+    console.log(`AssetRegistered: ${assetId} by ${ownerAddress}`);
+
+    // Check if asset already exists
+    const existingAsset = await this.storage.findAsset(this.scope(), assetId, { transaction });
+    
+    if (!existingAsset) {
+      await this.storage.createAsset({
+        ...this.scope(),
+        id: assetId,
+        owner: ownerAddress,
+        description: description,
+        timestamp: timestampValue,
+        registeredAt: blockTime
+      }, { transaction });
+      console.log(`Asset ${assetId} stored in database`);
+    } else {
+      console.log(`Asset ${assetId} already exists in database`);
+    }
+
+    // Also create a transfer record for the initial registration
+    // Handle both ethers v6 event structures (from .on() and queryFilter)
+    const log = event.log || event;
+    const transferHash = log.transactionHash || log.hash;
+    const blockNumber = log.blockNumber;
+    const blockHash = log.blockHash || null;
+    const logIndex = getLogIndex(log);
+    const transactionIndex = log.transactionIndex ?? null;
+    
+    if (transferHash && blockNumber) {
+      this.cacheBlockTimestamp(blockNumber, Number(timestampValue));
+
+      const existingTransfer = await this.storage.findTransferByEvent(this.chainId, transferHash, logIndex, { transaction });
+
+      if (!existingTransfer) {
+        await this.storage.createTransfer({
+          ...this.scope(),
+          assetId: assetId,
+          fromOwner: null, // null for initial registration
+          toOwner: ownerAddress,
+          blockNumber: blockNumber.toString(),
+          blockHash: blockHash,
+          transactionHash: transferHash,
+          transactionIndex: transactionIndex,
+          logIndex: logIndex,
+          timestamp: timestampValue,
+          transferredAt: blockTime
+        }, { transaction });
+        console.log(`Initial transfer record created for asset ${assetId}`);
+
+        this.queueEvent('assetRegistered', {
+          ...this.scope(),
+          assetId,
+          owner: ownerAddress,
+          description,
+          timestamp: Number(timestampValue),
+          blockNumber,
+          blockHash,
+          transactionHash: transferHash,
+          logIndex
+        });
+      }
+    }
+
+    // Transfers seen before this registration can be applied now
+    await this.applyPendingTransfers(assetId, { transaction });
+  }
+
+  /**
+   * Handle AssetTransferred events. Pass a transaction to apply the event as part of a block.
+   */
+  async handleAssetTransferred(id, newOwner, event, { transaction } = {}) {
+    const assetId = id.toString();
+    const newOwnerAddress = newOwner.toLowerCase();
+
+    console.log(`AssetTransferred: ${assetId} to ${newOwnerAddress}`);
+
+    // Handle both ethers v6 event structures (from .on() and queryFilter)
+    const log = event.log || event;
+    const transferHash = log.transactionHash || log.hash;
+    const blockNumber = log.blockNumber;
+    const blockHash = log.blockHash || null;
+    const logIndex = getLogIndex(log);
+    const transactionIndex = log.transactionIndex ?? null;
+
+    // Skip transfers that were already applied, e.g. when a backfill replays blocks
+    // after a restart. Re-applying an old transfer would roll the owner back.
+    if (transferHash) {
+      const existingTransfer = await this.storage.findTransferByEvent(this.chainId, transferHash, logIndex, { transaction });
+      if (existingTransfer) {
+        console.log(`Transfer ${transferHash}:${logIndex} already processed`);
+        return;
+      }
+    }
+
+    const asset = await this.storage.findAsset(this.scope(), assetId, { transaction });
+    if (asset) {
+      let previousOwner = asset.owner;
+      let laterTransfer = null;
+
+      // Transfers can arrive out of chain order, e.g. when a failed range is retried.
+      // Take the previous owner from the transfer just before this one, and only move
+      // the current owner forward if no later transfer is stored yet.
+      if (blockNumber) {
+        const position = { blockNumber, logIndex };
+        const earlierTransfer = await this.storage.findAdjacentTransfer(this.scope(), assetId, position, 'before', { transaction });
+        laterTransfer = await this.storage.findAdjacentTransfer(this.scope(), assetId, position, 'after', { transaction });
+        if (earlierTransfer) {
+          previousOwner = earlierTransfer.toOwner;
+        }
+      }
+
+      if (laterTransfer && laterTransfer.fromOwner !== null) {
+        // The later transfer was recorded without this one, so it actually came from the new owner
+        await this.storage.updateTransfer(laterTransfer, { fromOwner: newOwnerAddress }, { transaction });
+      } else {
+        // Update the asset owner
+        await this.storage.updateAsset(asset, { owner: newOwnerAddress }, { transaction });
+      }
+
+      // Create transfer record
+      if (transferHash && blockNumber) {
+        const blockTimestamp = await this.getBlockTimestamp(blockNumber);
+
+        await this.storage.createTransfer({
+          ...this.scope(),
+          assetId: assetId,
+          fromOwner: previousOwner,
+          toOwner: newOwnerAddress,
+          blockNumber: blockNumber.toString(),
+          blockHash: blockHash,
+          transactionHash: transferHash,
+          transactionIndex: transactionIndex,
+          logIndex: logIndex,
+          timestamp: blockTimestamp.toString(),
+          transferredAt: new Date(blockTimestamp * 1000)
+        }, { transaction });
+        console.log(`Transfer record created for asset ${assetId}`);
+
+        this.queueEvent('assetTransferred', {
+          ...this.scope(),
+          assetId,
+          from: previousOwner,
+          to: newOwnerAddress,
+          timestamp: blockTimestamp,
+          blockNumber,
+          blockHash,
+          transactionHash: transferHash,
+          logIndex
+        });
+      }
+    } else if (transferHash && blockNumber) {
+      // The registration is not stored yet: it predates SYNC_FROM_BLOCK or arrives later.
+      // Hold the transfer and try to load the asset from the contract instead.
+      console.warn(`Asset ${assetId} not found in database, holding transfer ${transferHash}:${logIndex}`);
+      await this.holdTransfer(assetId, newOwnerAddress, log, { transaction });
+      try {
+        await this.loadAssetFromContract(assetId, { transaction });
+      } catch (error) {
+        // The transfer is held, so it is picked up again on the next block
+        console.error(`Error loading asset ${assetId} from contract:`, error.message);
+      }
+    } else {
+      console.warn(`Asset ${assetId} not found in database when processing transfer`);
+    }
+  }
+
+  /**
+   * Store a transfer whose asset is not in the database yet, so it can be applied later
+   */
+  async holdTransfer(assetId, newOwnerAddress, log, { transaction } = {}) {
+    const transactionHash = log.transactionHash || log.hash;
+    const logIndex = getLogIndex(log);
+
+    const existing = await this.storage.findPendingTransferByEvent(this.chainId, transactionHash, logIndex, { transaction });
+    if (existing) {
+      return existing;
+    }
+
+    return this.storage.createPendingTransfer({
+      ...this.scope(),
+      assetId,
+      toOwner: newOwnerAddress,
+      blockNumber: log.blockNumber.toString(),
+      blockHash: log.blockHash || null,
+      transactionHash,
+      transactionIndex: log.transactionIndex ?? null,
+      logIndex
+    }, { transaction });
+  }
+
+  /**
+   * Create a missing asset from the contract's getAsset view, then apply its held transfers.
+   * The asset is read as of the block before its first held transfer, so that transfer gets
+   * the right previous owner; providers without archive state fall back to the latest state.
+   * Returns the asset, or null if the contract does not know it (yet).
+   */
+  async loadAssetFromContract(assetId, { transaction } = {}) {
+    // Offline there is no contract to read, so the transfers stay on hold
+    if (!this.provider) {
+      return null;
+    }
+
+    const [firstHeld] = await this.storage.listPendingTransfers(this.scope(), assetId, { transaction });
+
+    let onChainAsset;
+    if (firstHeld) {
+      try {
+        onChainAsset = await this.contract.getAsset(assetId, { blockTag: parseInt(firstHeld.blockNumber) - 1 });
+      } catch (error) {
+        console.warn(`Could not read asset ${assetId} at block ${parseInt(firstHeld.blockNumber) - 1}, using the latest state:`, error.message);
+      }
+    }
+    onChainAsset ??= await this.contract.getAsset(assetId);
+
+    // getAsset returns a zeroed struct for unknown ids
+    if (onChainAsset.owner === ethers.ZeroAddress) {
+      console.log(`Asset ${assetId} is not registered on chain yet, keeping its transfers on hold`);
+      return null;
+    }
+
+    let asset = await this.storage.findAsset(this.scope(), assetId, { transaction });
+    if (!asset) {
+      const timestampValue = onChainAsset.timestamp.toString();
+      asset = await this.storage.createAsset({
+        ...this.scope(),
+        id: assetId,
+        owner: onChainAsset.owner.toLowerCase(),
+        description: onChainAsset.description,
+        timestamp: timestampValue,
+        registeredAt: new Date(Number(timestampValue) * 1000)
+      }, { transaction });
+      console.log(`Asset ${assetId} loaded from contract`);
+    }
+
+    await this.applyPendingTransfers(assetId, { transaction });
+    return asset;
+  }
+
+  /**
+   * Apply the held transfers of an asset that now exists, in chain order.
+   * Returns the number of transfers applied.
+   */
+  async applyPendingTransfers(assetId, { transaction } = {}) {
+    const heldTransfers = await this.storage.listPendingTransfers(this.scope(), assetId, { transaction });
+
+    for (const heldTransfer of heldTransfers) {
+      await this.handleAssetTransferred(assetId, heldTransfer.toOwner, {
+        blockNumber: parseInt(heldTransfer.blockNumber),
+        blockHash: heldTransfer.blockHash,
+        transactionHash: heldTransfer.transactionHash,
+        transactionIndex: heldTransfer.transactionIndex,
+        index: heldTransfer.logIndex
+      }, { transaction });
+      await this.storage.deletePendingTransfer(heldTransfer, { transaction });
+    }
+
+    if (heldTransfers.length > 0) {
+      console.log(`Applied ${heldTransfers.length} held transfers for asset ${assetId}`);
+    }
+    return heldTransfers.length;
+  }
+
+  /**
+   * Retry loading the assets of held transfers, e.g. after the contract call failed.
+   * An asset the contract does not return is retried with backoff, so held transfers do not
+   * cost a contract call per block; force retries every held asset now.
+   * Returns the number of transfers still on hold.
+   */
+  async resolvePendingTransfers({ force = false } = {}) {
+    const heldAssetIds = await this.storage.listHeldAssetIds(this.scope());
+
+    // Assets whose transfers were applied on registration or dropped by a rollback
+    for (const assetId of this.heldAssetRetries.keys()) {
+      if (!heldAssetIds.includes(assetId)) {
+        this.heldAssetRetries.delete(assetId);
+      }
+    }
+
+    for (const assetId of heldAssetIds) {
+      const retry = this.heldAssetRetries.get(assetId);
+      if (!force && retry && retry.nextRetryAt > new Date()) {
+        continue;
+      }
+
+      let asset = null;
+      try {
+        asset = await this.inTransaction((transaction) => this.loadAssetFromContract(assetId, { transaction }));
+      } catch (error) {
+        console.error(`Error loading held asset ${assetId}:`, error.message);
+        this.reportError(error, { stage: 'pendingTransfer', assetId });
+      }
+
+      if (asset) {
+        this.heldAssetRetries.delete(assetId);
+      } else {
+        const attempts = (retry?.attempts ?? 0) + 1;
+        this.heldAssetRetries.set(assetId, { attempts, nextRetryAt: getNextRetryAt(attempts) });
+      }
+    }
+
+    return this.storage.countPendingTransfers(this.scope());
+  }
+
+  /**
+   * Get the on-chain timestamp (in seconds) of a block. Each block is fetched at most once.
+   */
+  async getBlockTimestamp(blockNumber) {
+    const cached = this.blockTimestamps.get(blockNumber);
+    if (cached !== undefined) {
+      return cached;
+    }
+
+    const block = await this.provider.getBlock(blockNumber);
+    if (!block) {
+      throw new Error(`Block ${blockNumber} not found`);
+    }
+
+    const blockTimestamp = Number(block.timestamp);
+    this.cacheBlockTimestamp(blockNumber, blockTimestamp);
+    return blockTimestamp;
+  }
+
+  /**
+   * Get the timestamps of several blocks as a Map, fetching those not cached in batches
+   */
+  async getBlockTimestamps(blockNumbers) {
+    const timestamps = new Map();
+    const missing = [];
+    for (const blockNumber of new Set(blockNumbers)) {
+      const cached = this.blockTimestamps.get(blockNumber);
+      if (cached !== undefined) {
+        timestamps.set(blockNumber, cached);
+      } else {
+        missing.push(blockNumber);
+      }
+    }
+
+    for (let start = 0; start < missing.length; start += BLOCK_FETCH_BATCH_SIZE) {
+      const batch = missing.slice(start, start + BLOCK_FETCH_BATCH_SIZE);
+      const blocks = await Promise.all(batch.map((blockNumber) => this.provider.getBlock(blockNumber)));
+      blocks.forEach((block, i) => {
+        if (!block) {
+          throw new Error(`Block ${batch[i]} not found`);
+        }
+        timestamps.set(batch[i], Number(block.timestamp));
+        this.cacheBlockTimestamp(batch[i], Number(block.timestamp));
+      });
+    }
+
+    return timestamps;
+  }
+
+  /**
+   * Remember a block's timestamp, evicting the oldest entry once the cache is full
+   */
+  cacheBlockTimestamp(blockNumber, blockTimestamp) {
+    if (this.blockTimestamps.size >= BLOCK_TIMESTAMP_CACHE_SIZE && !this.blockTimestamps.has(blockNumber)) {
+      const oldestBlock = this.blockTimestamps.keys().next().value;
+      this.blockTimestamps.delete(oldestBlock);
+    }
+    this.blockTimestamps.set(blockNumber, blockTimestamp);
+  }
+
+  /**
+   * Rewrite registeredAt and transferredAt from on-chain block times.
+   * Repairs rows written before these columns carried the block time.
+   */
+  async repairBlockTimestamps() {
+    let assetsRepaired = 0;
+    let transfersRepaired = 0;
+
+    const assets = await this.storage.listAssets(this.scope());
+    for (const asset of assets) {
+      const registeredAt = new Date(Number(asset.timestamp) * 1000);
+      if (asset.registeredAt.getTime() !== registeredAt.getTime()) {
+        await this.storage.updateAsset(asset, { registeredAt });
+        assetsRepaired++;
+      }
+    }
+
+    const transfers = await this.storage.listTransfers(this.scope());
+    for (const transfer of transfers) {
+      const blockTimestamp = await this.getBlockTimestamp(parseInt(transfer.blockNumber));
+      const transferredAt = new Date(blockTimestamp * 1000);
+
+      if (Number(transfer.timestamp) !== blockTimestamp || transfer.transferredAt.getTime() !== transferredAt.getTime()) {
+        await this.storage.updateTransfer(transfer, { timestamp: blockTimestamp.toString(), transferredAt });
+        transfersRepaired++;
+      }
+    }
+
+    console.log(`Repaired timestamps of ${assetsRepaired} assets and ${transfersRepaired} transfers`);
+    return { assetsRepaired, transfersRepaired };
+  }
+
+  /**
+   * Compare the stored assets with the contract's getAsset, as of the checkpoint so events
+   * not synced yet do not show up as drift. Finds assets whose owner or description differs,
+   * stored assets the contract does not know, and assets missing from the index: those of
+   * known owners (getAssetsByOwner) and those of held transfers.
+   * With repair, owners and descriptions are set to the on-chain values and missing assets are
+   * loaded from the contract; assets unknown on chain are only reported.
+   * Run it on the queue, so no block is written while comparing. Returns a ReconciliationReport.
+   */
+  async reconcile({ repair = false, batchSize = DEFAULT_RECONCILE_BATCH_SIZE } = {}) {
+    if (!this.provider) {
+      throw new Error('Reconciliation needs an RPC connection');
+    }
+    const blockNumber = await this.getCheckpoint();
+    if (blockNumber === null) {
+      throw new Error(`${this.contractAddress} on chain ${this.chainId} has not been synced yet`);
+    }
+
+    const startedAt = new Date();
+    const blockTag = { blockTag: blockNumber };
+    const drift = [];
+
+    const assets = await this.storage.listAssets(this.scope());
+    const storedIds = new Set(assets.map((asset) => asset.id));
+    const onChainAssets = await readInBatches(assets, batchSize, (asset) => this.contract.getAsset(asset.id, blockTag));
+
+    assets.forEach((asset, index) => {
+      const stored = assetState(asset);
+      // getAsset returns a zeroed struct for unknown ids
+      if (onChainAssets[index].owner === ethers.ZeroAddress) {
+        drift.push({ type: 'notOnChain', assetId: asset.id, stored, onChain: null, asset });
+        return;
+      }
+      const onChain = assetState(onChainAssets[index]);
+      if (stored.owner !== onChain.owner) {
+        drift.push({ type: 'wrongOwner', assetId: asset.id, stored, onChain, asset });
+      }
+      if (stored.description !== onChain.description) {
+        drift.push({ type: 'descriptionMismatch', assetId: asset.id, stored, onChain, asset });
+      }
+    });
+
+    const missing = new Map();
+    const owners = [...new Set(assets.map((asset) => asset.owner))];
+    const ownedAssets = await readInBatches(owners, batchSize, (owner) => this.contract.getAssetsByOwner(owner, blockTag));
+    for (const onChainAsset of ownedAssets.flat()) {
+      missing.set(onChainAsset.id.toString(), onChainAsset);
+    }
+    const heldIds = (await this.storage.listHeldAssetIds(this.scope())).filter((assetId) => !missing.has(assetId));
+    const heldAssets = await readInBatches(heldIds, batchSize, (assetId) => this.contract.getAsset(assetId, blockTag));
+    heldIds.forEach((assetId, index) => missing.set(assetId, heldAssets[index]));
+
+    for (const [assetId, onChainAsset] of missing) {
+      if (!storedIds.has(assetId) && onChainAsset.owner !== ethers.ZeroAddress) {
+        drift.push({ type: 'missingAsset', assetId, stored: null, onChain: assetState(onChainAsset) });
+      }
+    }
+
+    if (repair && drift.length > 0) {
+      await this.repairDrift(drift);
+    }
+
+    const count = (type) => drift.filter((entry) => entry.type === type).length;
+    const report = {
+      ...this.scope(),
+      blockNumber,
+      repair,
+      startedAt,
+      finishedAt: new Date(),
+      checked: assets.length,
+      summary: {
+        missingAssets: count('missingAsset'),
+        wrongOwners: count('wrongOwner'),
+        descriptionMismatches: count('descriptionMismatch'),
+        notOnChain: count('notOnChain'),
+        repaired: drift.filter((entry) => entry.repaired).length
+      },
+      drift: drift.map(({ type, assetId, stored, onChain, repaired = false }) => ({ type, assetId, stored, onChain, repaired }))
+    };
+
+    console.log(`Reconciled ${assets.length} assets of ${this.contractAddress} on chain ${this.chainId} at block ${blockNumber}: ${drift.length} differences, ${report.summary.repaired} repaired`);
+    this.lastReconciliation = report;
+    this.emit('reconciled', report);
+    return report;
+  }
+
+  /**
+   * Apply the on-chain values of the drift found by reconcile, in one transaction
+   */
+  async repairDrift(drift) {
+    await this.inTransaction(async (transaction) => {
+      for (const entry of drift) {
+        if (entry.type === 'wrongOwner') {
+          await this.storage.updateAsset(entry.asset, { owner: entry.onChain.owner }, { transaction });
+          entry.repaired = true;
+        } else if (entry.type === 'descriptionMismatch') {
+          await this.storage.updateAsset(entry.asset, { description: entry.onChain.description }, { transaction });
+          entry.repaired = true;
+        } else if (entry.type === 'missingAsset') {
+          // Also applies the asset's held transfers
+          entry.repaired = (await this.loadAssetFromContract(entry.assetId, { transaction })) !== null;
+        }
+      }
+    });
+  }
+
+  /**
+   * Reconcile every intervalMs on the queue, see reconcile. Failures are logged and reported
+   * as 'error' events; the next run tries again.
+   */
+  startReconciliation(intervalMs, options = {}) {
+    this.stopReconciliation();
+    this.reconcileTimer = setInterval(() => {
+      this.enqueue(() => this.reconcile(options)).catch((error) => {
+        console.error(`Reconciliation of ${this.contractAddress} failed:`, error.message);
+        this.reportError(error, { stage: 'reconciliation' });
+      });
+    }, intervalMs);
+    this.reconcileTimer.unref?.();
+  }
+
+  stopReconciliation() {
+    if (this.reconcileTimer) {
+      clearInterval(this.reconcileTimer);
+      this.reconcileTimer = null;
+    }
+  }
+
+  /**
+   * Sync historical events from a specific block number up to toBlock (defaults to the chain head)
+   * Both event types are fetched with a single getLogs query per range. The range grows
+   * while the provider accepts it and shrinks when it is rejected as too large or rate limited.
+   * Ranges that still fail are recorded in FailedRange and retried later with backoff, so the
+   * sync is only complete once no failed range is pending.
+   * The result and the 'synced' event carry the throughput in blocks and events per second.
+   */
+  async syncHistoricalEvents(fromBlock = 0, toBlock = null) {
+    console.log(`Syncing historical events from block ${fromBlock}`);
+    
+    try {
+      const currentBlock = toBlock ?? await this.provider.getBlockNumber();
+      const startedAt = Date.now();
+      let totalRegistered = 0;
+      let totalTransferred = 0;
+      let startBlock = fromBlock;
+
+      this.syncProgress = { fromBlock, toBlock: currentBlock, lastBlock: fromBlock - 1, blocksPerSecond: 0, eventsPerSecond: 0, etaSeconds: null };
+      
+      while (startBlock <= currentBlock) {
+        let endBlock = Math.min(startBlock + this.chunkSize - 1, currentBlock);
+        
+        try {
+          const result = await this.syncRange(startBlock, endBlock);
+          endBlock = result.toBlock;
+          totalRegistered += result.registered;
+          totalTransferred += result.transferred;
+        } catch (chunkError) {
+          console.error(`Error syncing blocks ${startBlock}-${endBlock}:`, chunkError.message);
+          this.reportError(chunkError, { stage: 'range', fromBlock: startBlock, toBlock: endBlock });
+          // Keep going; the range is tracked and retried separately
+          await this.recordFailedRange(startBlock, endBlock, chunkError);
+        }
+
+        await this.saveCheckpoint(endBlock);
+        startBlock = endBlock + 1;
+        this.reportSyncProgress(fromBlock, endBlock, currentBlock, startedAt, totalRegistered + totalTransferred);
+      }
+
+      await this.confirmBlocks(currentBlock);
+
+      const pendingRanges = await this.countPendingFailedRanges();
+      this.syncProgress.complete = pendingRanges === 0;
+      const durationMs = Date.now() - startedAt;
+      const eventsPerSecond = (totalRegistered + totalTransferred) / Math.max(durationMs / 1000, 0.001);
+
+      if (pendingRanges === 0) {
+        console.log(`Historical sync completed. Processed ${totalRegistered} registrations and ${totalTransferred} transfers in ${durationMs}ms (${eventsPerSecond.toFixed(1)} events/sec)`);
+      } else {
+        console.warn(`Historical sync incomplete. Processed ${totalRegistered} registrations and ${totalTransferred} transfers, ${pendingRanges} failed ranges pending retry`);
+      }
+
+      const result = {
+        registered: totalRegistered,
+        transferred: totalTransferred,
+        failedRanges: pendingRanges,
+        complete: pendingRanges === 0,
+        durationMs,
+        blocksPerSecond: this.syncProgress.blocksPerSecond,
+        eventsPerSecond
+      };
+      this.emit('synced', { fromBlock, toBlock: currentBlock, ...result });
+      return result;
+    } catch (error) {
+      console.error('Error syncing historical events:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Fetch and apply the events of one block range. The provider may only accept part of
+   * the range; the returned toBlock is the last block actually synced.
+   * Each block's events are committed in one transaction together with the checkpoint,
+   * so a crash never leaves a block half applied. With bulkSync the whole range is tried
+   * in one transaction first.
+   */
+  async syncRange(fromBlock, toBlock) {
+    const result = await this.fetchLogs(fromBlock, toBlock);
+    let registered = 0;
+    let transferred = 0;
+
+    // Apply both event types in chain order, so a register followed by a
+    // transfer in the same transaction is replayed exactly as it happened
+    const logs = result.logs.sort(compareLogs);
+
+    if (this.bulkSync) {
+      const counts = await this.applyRangeInBulk(logs, fromBlock, result.toBlock);
+      if (counts) {
+        return { toBlock: result.toBlock, ...counts };
+      }
+    }
+
+    for (let start = 0; start < logs.length;) {
+      const blockNumber = logs[start].blockNumber;
+      let end = start;
+      while (end < logs.length && logs[end].blockNumber === blockNumber) {
+        end++;
+      }
+      const blockLogs = logs.slice(start, end);
+      start = end;
+
+      await this.inTransaction(async (transaction) => {
+        await this.recordRawEvents(blockLogs, { transaction });
+        for (const log of blockLogs) {
+          const eventName = await this.applyLog(log, { transaction });
+          if (eventName === 'AssetRegistered') {
+            registered++;
+          } else if (eventName === 'AssetTransferred') {
+            transferred++;
+          }
+        }
+        await this.saveCheckpoint(blockNumber, { transaction });
+      });
+    }
+
+    await this.saveCheckpoint(result.toBlock);
+    return { toBlock: result.toBlock, registered, transferred };
+  }
+
+  /**
+   * Apply the logs of a range with a few queries in all rather than several per event: block
+   * times are fetched in batches, registrations and transfers are folded in memory and the
+   * raw events, new assets, owner changes, transfers and checkpoint are written in one
+   * transaction, mostly with bulk inserts. Logs returned twice and raw events already stored,
+   * e.g. after resetIndex, are skipped.
+   *
+   * Only ranges that append to the index qualify. Returns null, having written nothing, when the
+   * range needs the per-block path of syncRange: mapped events, a registration of an asset that
+   * is stored or has held transfers, a transfer of an asset the index does not know, stored
+   * transfers of a touched asset from fromBlock onwards (a retried or replayed range), or a
+   * write that failed, so the event at fault is dead-lettered there.
+   */
+  async applyRangeInBulk(logs, fromBlock, toBlock) {
+    const scope = this.scope();
+    const events = [];
+    const seen = new Set();
+    for (const log of logs) {
+      const key = `${log.transactionHash}:${getLogIndex(log)}`;
+      const parsed = this.contract.interface.parseLog(log);
+      if (!parsed || seen.has(key)) {
+        continue;
+      }
+      if (parsed.name !== 'AssetRegistered' && parsed.name !== 'AssetTransferred') {
+        return null;
+      }
+      seen.add(key);
+      events.push({ log, parsed, assetId: parsed.args[0].toString() });
+      // A registration carries its block time, which saves fetching the block
+      if (parsed.name === 'AssetRegistered') {
+        this.cacheBlockTimestamp(log.blockNumber, Number(parsed.args[3]));
+      }
+    }
+    if (events.length === 0) {
+      return null;
+    }
+
+    // Fetched before the transaction, so the database is not locked while waiting for the RPC
+    const blockTimestamps = await this.getBlockTimestamps(events.map(({ log }) => log.blockNumber));
+    const assetIds = [...new Set(events.map(({ assetId }) => assetId))];
+    const startedAt = Date.now();
+
+    try {
+      const counts = await this.inTransaction(async (transaction) => {
+        const storedTransfers = await this.storage.listTransfers(scope, { assetIds, fromBlock, transaction });
+        if (storedTransfers.length > 0) {
+          return null;
+        }
+        const storedAssets = new Map((await this.storage.findAssets(scope, assetIds, { transaction })).map((asset) => [asset.id, asset]));
+        const heldAssetIds = new Set(await this.storage.listHeldAssetIds(scope, { transaction }));
+        const storedRawEvents = new Set((await this.storage.listRawEvents(scope, { fromBlock, toBlock, transaction }))
+          .map((rawEvent) => `${rawEvent.transactionHash}:${rawEvent.logIndex}`));
+
+        // Current owner of each touched asset, moved forward event by event
+        const owners = new Map([...storedAssets.values()].map((asset) => [asset.id, asset.owner]));
+        const newAssets = new Map();
+        const rawEvents = [];
+        const transfers = [];
+        // Queued once the whole range qualifies, so a range left to the per-block path emits nothing
+        const emitted = [];
+        let registered = 0;
+        let transferred = 0;
+
+        for (const { log, parsed, assetId } of events) {
+          const blockTimestamp = blockTimestamps.get(log.blockNumber);
+          const logIndex = getLogIndex(log);
+          const position = {
+            blockNumber: log.blockNumber,
+            blockHash: log.blockHash || null,
+            transactionHash: log.transactionHash,
+            logIndex
+          };
+          const record = {
+            ...scope,
+            assetId,
+            blockNumber: log.blockNumber.toString(),
+            blockHash: position.blockHash,
+            transactionHash: log.transactionHash,
+            transactionIndex: log.transactionIndex ?? null,
+            logIndex,
+            timestamp: blockTimestamp.toString(),
+            transferredAt: new Date(blockTimestamp * 1000)
+          };
+
+          if (!storedRawEvents.has(`${log.transactionHash}:${logIndex}`)) {
+            rawEvents.push({
+              ...scope,
+              eventName: parsed.name,
+              blockNumber: record.blockNumber,
+              blockHash: position.blockHash,
+              blockTimestamp: record.timestamp,
+              transactionHash: log.transactionHash,
+              transactionIndex: record.transactionIndex,
+              logIndex,
+              topics: JSON.stringify(log.topics ? [...log.topics] : []),
+              data: log.data,
+              args: serializeArgs(parsed.args)
+            });
+          }
+
+          if (parsed.name === 'AssetRegistered') {
+            if (owners.has(assetId) || heldAssetIds.has(assetId)) {
+              return null;
+            }
+            const [, owner, description, timestamp] = parsed.args;
+            const ownerAddress = owner.toLowerCase();
+            const timestampValue = timestamp.toString();
+            newAssets.set(assetId, {
+              ...scope,
+              id: assetId,
+              owner: ownerAddress,
+              description,
+              timestamp: timestampValue,
+              registeredAt: new Date(Number(timestampValue) * 1000)
+            });
+            owners.set(assetId, ownerAddress);
+            transfers.push({ ...record, fromOwner: null, toOwner: ownerAddress });
+            emitted.push(['assetRegistered', { ...scope, assetId, owner: ownerAddress, description, timestamp: Number(timestampValue), ...position }]);
+            registered++;
+          } else {
+            if (!owners.has(assetId)) {
+              return null;
+            }
+            const previousOwner = owners.get(assetId);
+            const newOwnerAddress = parsed.args[1].toLowerCase();
+            owners.set(assetId, newOwnerAddress);
+            transfers.push({ ...record, fromOwner: previousOwner, toOwner: newOwnerAddress });
+            emitted.push(['assetTransferred', { ...scope, assetId, from: previousOwner, to: newOwnerAddress, timestamp: blockTimestamp, ...position }]);
+            transferred++;
+          }
+        }
+
+        for (const asset of newAssets.values()) {
+          asset.owner = owners.get(asset.id);
+        }
+
+        await this.storage.createRawEvents(rawEvents, { transaction });
+        await this.storage.createAssets([...newAssets.values()], { transaction });
+        for (const asset of storedAssets.values()) {
+          if (owners.get(asset.id) !== asset.owner) {
+            await this.storage.updateAsset(asset, { owner: owners.get(asset.id) }, { transaction });
+          }
+        }
+        await this.storage.createTransfers(transfers, { transaction });
+        await this.saveCheckpoint(toBlock, { transaction });
+        for (const [name, payload] of emitted) {
+          this.queueEvent(name, payload);
+        }
+        return { registered, transferred };
+      });
+
+      if (counts) {
+        const seconds = Math.max((Date.now() - startedAt) / 1000, 0.001);
+        console.log(`Bulk-applied ${events.length} events of blocks ${fromBlock}-${toBlock} in ${Math.round(seconds * 1000)}ms (${(events.length / seconds).toFixed(1)} events/sec)`);
+      }
+      return counts;
+    } catch (error) {
+      console.warn(`Bulk insert of blocks ${fromBlock}-${toBlock} failed, applying them block by block:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Append the logs of one block to the raw event log, with the block time so they can be
+   * replayed offline. Logs that are already stored and not orphaned are skipped.
+   */
+  async recordRawEvents(blockLogs, { transaction }) {
+    const parsedLogs = blockLogs.map((log) => ({ log, parsed: this.contract.interface.parseLog(log) }));
+
+    // A registration carries its block time, which saves fetching the block
+    for (const { log, parsed } of parsedLogs) {
+      if (parsed?.name === 'AssetRegistered') {
+        this.cacheBlockTimestamp(log.blockNumber, Number(parsed.args[3]));
+      }
+    }
+
+    for (const { log, parsed } of parsedLogs) {
+      if (!parsed) {
+        continue;
+      }
+
+      const logIndex = getLogIndex(log);
+      const existing = await this.storage.findRawEvent(this.chainId, log.transactionHash, logIndex, { transaction });
+      if (existing) {
+        continue;
+      }
+
+      await this.storage.createRawEvent({
+        ...this.scope(),
+        eventName: parsed.name,
+        blockNumber: log.blockNumber.toString(),
+        blockHash: log.blockHash || null,
+        blockTimestamp: (await this.getBlockTimestamp(log.blockNumber)).toString(),
+        transactionHash: log.transactionHash,
+        transactionIndex: log.transactionIndex ?? null,
+        logIndex,
+        topics: JSON.stringify(log.topics ? [...log.topics] : []),
+        data: log.data,
+        args: serializeArgs(parsed.args)
+      }, { transaction });
+    }
+  }
+
+  /**
+   * Drop the assets, transfers and held transfers of this chain and contract and replay them
+   * from the raw event log, without the RPC. Runs in one transaction, so a failure leaves the
+   * old projections in place. Events whose handler throws are dead-lettered as during a sync.
+   * Returns the number of events replayed and of transfers left on hold.
+   */
+  async rebuildProjections() {
+    const firstTransfer = await this.storage.findFirstTransfer(this.scope());
+    const firstRawEvent = await this.storage.findFirstRawEvent(this.scope());
+    if (firstTransfer && (!firstRawEvent || parseInt(firstTransfer.blockNumber) < parseInt(firstRawEvent.blockNumber))) {
+      throw new Error(`The raw event log of ${this.contractAddress} on chain ${this.chainId} does not cover block ${firstTransfer.blockNumber}. Resync from the deployment block to fill it first.`);
+    }
+
+    const rawEvents = await this.storage.listRawEvents(this.scope());
+    const checkpoint = await this.getCheckpoint();
+    const mark = this.pendingEvents.length;
+
+    try {
+      return await this.rebuildFromRawEvents(rawEvents, checkpoint);
+    } finally {
+      // The replayed events were emitted when they were first indexed
+      this.pendingEvents.length = mark;
+    }
+  }
+
+  /**
+   * Replace the projections with a replay of the given raw events, see rebuildProjections
+   */
+  rebuildFromRawEvents(rawEvents, checkpoint) {
+    return this.storage.transaction(async (transaction) => {
+      await this.storage.deleteTransfers(this.scope(), { transaction });
+      await this.storage.deletePendingTransfers(this.scope(), { transaction });
+      await this.storage.deleteAssets(this.scope(), { transaction });
+      if (this.mapping) {
+        await this.mapping.clear(this.scope(), { transaction });
+      }
+      this.blockTimestamps.clear();
+
+      for (const rawEvent of rawEvents) {
+        this.cacheBlockTimestamp(parseInt(rawEvent.blockNumber), Number(rawEvent.blockTimestamp));
+        await this.applyLog(rawEventToLog(rawEvent), { transaction });
+      }
+
+      // Blocks up to the checkpoint were synced, so it is the latest head the index has seen
+      if (checkpoint !== null) {
+        await this.confirmBlocks(checkpoint, { transaction });
+      }
+
+      const pending = await this.storage.countPendingTransfers(this.scope(), { transaction });
+      console.log(`Rebuilt ${this.contractAddress} on chain ${this.chainId} from ${rawEvents.length} raw events, ${pending} transfers on hold`);
+      return { replayed: rawEvents.length, pendingTransfers: pending };
+    });
+  }
+
+  /**
+   * Fetch the AssetRegistered and AssetTransferred events of one asset again, from fromBlock up
+   * to the checkpoint, and replace its stored asset, transfers and held transfers with them,
+   * e.g. after reconciliation found it drifted. Later blocks are left to the regular sync.
+   * Throws without changing anything when the range holds no registration of the asset.
+   * Runs in one transaction and emits nothing, like a rebuild. Returns the number of events applied.
+   */
+  async resyncAsset(assetId, { fromBlock = 0 } = {}) {
+    if (!this.provider) {
+      throw new Error('Resyncing an asset needs an RPC connection');
+    }
+    const toBlock = await this.getCheckpoint();
+    if (toBlock === null) {
+      throw new Error(`${this.contractAddress} on chain ${this.chainId} has not been synced yet`);
+    }
+
+    const logs = [];
+    for (let startBlock = fromBlock; startBlock <= toBlock;) {
+      const result = await this.fetchLogs(startBlock, Math.min(startBlock + this.chunkSize - 1, toBlock), { assetId });
+      logs.push(...result.logs);
+      startBlock = result.toBlock + 1;
+    }
+    logs.sort(compareLogs);
+
+    // Without its registration the replay could not rebuild the asset, so keep what is stored
+    const registeredTopic = this.contract.interface.getEvent('AssetRegistered').topicHash;
+    if (!logs.some((log) => log.topics[0] === registeredTopic)) {
+      throw new Error(`No AssetRegistered event of asset ${assetId} found in blocks ${fromBlock}-${toBlock}`);
+    }
+
+    const mark = this.pendingEvents.length;
+    try {
+      return await this.storage.transaction(async (transaction) => {
+        for (const transfer of await this.storage.listTransfers(this.scope(), { assetId, transaction })) {
+          await this.storage.deleteTransfer(transfer, { transaction });
+        }
+        for (const heldTransfer of await this.storage.listPendingTransfers(this.scope(), assetId, { transaction })) {
+          await this.storage.deletePendingTransfer(heldTransfer, { transaction });
+        }
+        const asset = await this.storage.findAsset(this.scope(), assetId, { transaction });
+        if (asset) {
+          await this.storage.deleteAsset(asset, { transaction });
+        }
+
+        await this.recordRawEvents(logs, { transaction });
+        for (const log of logs) {
+          await this.applyLog(log, { transaction });
+        }
+        await this.confirmBlocks(toBlock, { transaction });
+
+        console.log(`Resynced asset ${assetId} from ${logs.length} events in blocks ${fromBlock}-${toBlock}`);
+        return logs.length;
+      });
+    } finally {
+      this.pendingEvents.length = mark;
+    }
+  }
+
+  /**
+   * Delete everything indexed for this chain and contract, checkpoint included, so the next
+   * sync starts over. The raw event log is kept unless rawEvents is set.
+   * Returns the number of assets, transfers and raw events deleted.
+   */
+  async resetIndex({ rawEvents = false } = {}) {
+    const deleted = await this.storage.transaction(async (transaction) => {
+      const transfers = await this.storage.deleteTransfers(this.scope(), { transaction });
+      await this.storage.deletePendingTransfers(this.scope(), { transaction });
+      const assets = await this.storage.deleteAssets(this.scope(), { transaction });
+      await this.storage.deleteFailedRanges(this.scope(), { transaction });
+      await this.storage.deleteDeadLetters(this.scope(), { transaction });
+      await this.storage.deleteCheckpoint(this.scope(), { transaction });
+      if (this.mapping) {
+        await this.mapping.clear(this.scope(), { transaction });
+      }
+      const deletedRawEvents = rawEvents ? await this.storage.deleteRawEvents(this.scope(), { transaction }) : 0;
+      return { assets, transfers, rawEvents: deletedRawEvents };
+    });
+
+    this.blockTimestamps.clear();
+    this.syncProgress = null;
+    console.log(`Reset ${this.contractAddress} on chain ${this.chainId}: ${deleted.assets} assets, ${deleted.transfers} transfers and ${deleted.rawEvents} raw events deleted`);
+    return deleted;
+  }
+
+  /**
+   * Where the index of this chain and contract stands: the checkpoint against the chain head,
+   * in blocks and in seconds of block time, the listener's state, the progress of the running or
+   * last sync (from, to and last synced block), and the failed ranges, dead-lettered events and
+   * held transfers still pending.
+   * The head and lag are null when the RPC cannot be reached.
+   */
+  async getStatus() {
+    const checkpoint = await this.getCheckpoint();
+
+    let head = { headBlock: null, lagSeconds: null };
+    if (this.provider) {
+      try {
+        head = await withTimeout(this.readHead(checkpoint), this.heartbeatTimeoutMs, 'Reading the chain head timed out');
+      } catch (error) {
+        console.warn(`Could not read the head of chain ${this.chainId}:`, error.message);
+      }
+    }
+
+    return {
+      name: this.name,
+      ...this.scope(),
+      isListening: this.isListening,
+      isBackfilling: this.isBackfilling,
+      connectionMode: this.connectionMode,
+      checkpoint,
+      headBlock: head.headBlock,
+      lag: checkpoint !== null && head.headBlock !== null ? Math.max(head.headBlock - checkpoint, 0) : null,
+      lagSeconds: head.lagSeconds,
+      syncProgress: this.syncProgress,
+      failedRanges: await this.storage.countPendingFailedRanges(this.scope()),
+      deadLetters: await this.storage.countPendingDeadLetters(this.scope()),
+      pendingTransfers: await this.storage.countPendingTransfers(this.scope())
+    };
+  }
+
+  /**
+   * The chain head, and how many seconds of block time it is ahead of the checkpoint
+   */
+  async readHead(checkpoint) {
+    const headBlock = await this.provider.getBlockNumber();
+    if (checkpoint === null) {
+      return { headBlock, lagSeconds: null };
+    }
+    const headTimestamp = await this.getBlockTimestamp(headBlock);
+    const checkpointTimestamp = await this.getBlockTimestamp(Math.min(checkpoint, headBlock));
+    return { headBlock, lagSeconds: Math.max(headTimestamp - checkpointTimestamp, 0) };
+  }
+
+  /**
+   * Rebuild the mapped entities of this chain and contract from the raw events of mapped events
+   */
+  async replayMappedEvents({ transaction }) {
+    await this.mapping.clear(this.scope(), { transaction });
+
+    const rawEvents = await this.storage.listRawEvents(this.scope(), { eventNames: this.mapping.eventNames, transaction });
+
+    for (const rawEvent of rawEvents) {
+      this.cacheBlockTimestamp(parseInt(rawEvent.blockNumber), Number(rawEvent.blockTimestamp));
+      await this.processLog(rawEventToLog(rawEvent), { transaction });
+    }
+  }
+
+  /**
+   * Apply one log within a block's transaction. If its handler throws, the handler's
+   * writes are rolled back to a savepoint and the event is dead-lettered instead,
+   * so one bad event does not hold back the rest of the block.
+   * Returns the event name, or null for logs that were not applied.
+   */
+  async applyLog(log, { transaction }) {
+    const mark = this.pendingEvents.length;
+    try {
+      return await this.storage.transaction((savepoint) => this.processLog(log, { transaction: savepoint }), { transaction });
+    } catch (error) {
+      this.pendingEvents.length = mark;
+      console.error(`Error handling event ${log.transactionHash}:${getLogIndex(log)}:`, error);
+      this.reportError(error, { stage: 'event', transactionHash: log.transactionHash, logIndex: getLogIndex(log) });
+      const parsed = this.contract.interface.parseLog(log);
+      const stored = await this.deadLetter(parsed?.name ?? null, log, parsed ? parsed.args : [], error, { transaction });
+      if (!stored) {
+        throw error;
+      }
+      return null;
+    }
+  }
+
+  /**
+   * Store a block range that could not be synced, or count another attempt if it is already tracked
+   */
+  async recordFailedRange(fromBlock, toBlock, error) {
+    const existing = await this.storage.findPendingFailedRange(this.scope(), fromBlock, toBlock);
+
+    if (existing) {
+      const attempts = existing.attempts + 1;
+      return this.storage.updateFailedRange(existing, {
+        attempts,
+        error: error.message,
+        lastAttemptAt: new Date(),
+        nextRetryAt: getNextRetryAt(attempts)
+      });
+    }
+
+    return this.storage.createFailedRange({
+      ...this.scope(),
+      fromBlock: fromBlock.toString(),
+      toBlock: toBlock.toString(),
+      error: error.message,
+      attempts: 1,
+      nextRetryAt: getNextRetryAt(1)
+    });
+  }
+
+  /**
+   * Retry failed ranges whose backoff has expired (or all pending ranges when force is set).
+   * Returns how many ranges were retried, resolved and are still pending.
+   */
+  async retryFailedRanges({ force = false } = {}) {
+    const ranges = await this.storage.listPendingFailedRanges(this.scope(), { dueBy: force ? null : new Date() });
+    let resolved = 0;
+
+    for (const range of ranges) {
+      const fromBlock = parseInt(range.fromBlock);
+      const toBlock = parseInt(range.toBlock);
+      console.log(`Retrying failed range ${fromBlock}-${toBlock} (attempt ${range.attempts + 1})`);
+
+      try {
+        let startBlock = fromBlock;
+        while (startBlock <= toBlock) {
+          const result = await this.syncRange(startBlock, Math.min(startBlock + this.chunkSize - 1, toBlock));
+          startBlock = result.toBlock + 1;
+        }
+
+        await this.storage.updateFailedRange(range, {
+          attempts: range.attempts + 1,
+          status: 'resolved',
+          lastAttemptAt: new Date(),
+          resolvedAt: new Date(),
+          nextRetryAt: null
+        });
+        resolved++;
+      } catch (error) {
+        console.error(`Retry of blocks ${fromBlock}-${toBlock} failed:`, error.message);
+        await this.recordFailedRange(fromBlock, toBlock, error);
+      }
+    }
+
+    const pending = await this.countPendingFailedRanges();
+    if (this.syncProgress) {
+      this.syncProgress.complete = pending === 0;
+    }
+
+    return { retried: ranges.length, resolved, pending };
+  }
+
+  /**
+   * Count failed ranges of this chain and contract that have not been synced yet
+   */
+  async countPendingFailedRanges() {
+    return this.storage.countPendingFailedRanges(this.scope());
+  }
+
+  /**
+   * Store an event whose handler threw, with its raw log, decoded args and error.
+   * A repeated failure of the same log counts another attempt on the existing entry.
+   * Returns the entry, or null if it could not be stored either.
+   */
+  async deadLetter(eventName, event, args, error, { transaction } = {}) {
+    const log = event.log || event;
+
+    try {
+      const existing = await this.storage.findPendingDeadLetter(this.scope(), log.transactionHash, getLogIndex(log), { transaction });
+
+      if (existing) {
+        return await this.storage.updateDeadLetter(existing, {
+          attempts: existing.attempts + 1,
+          error: error.message,
+          lastAttemptAt: new Date()
+        }, { transaction });
+      }
+
+      return await this.storage.createDeadLetter({
+        ...this.scope(),
+        eventName,
+        blockNumber: log.blockNumber?.toString(),
+        transactionHash: log.transactionHash,
+        logIndex: getLogIndex(log),
+        rawLog: JSON.stringify(serializeLog(log)),
+        args: serializeArgs(args),
+        error: error.message
+      }, { transaction });
+    } catch (storeError) {
+      console.error(`Could not dead-letter ${eventName} event from ${log.transactionHash}:`, storeError);
+      return null;
+    }
+  }
+
+  /**
+   * Replay a dead-lettered event from its raw log. On success the entry is marked resolved,
+   * otherwise the attempt and new error are recorded. Returns the entry, or null if this chain
+   * and contract have no entry with that id.
+   */
+  async retryDeadLetter(id) {
+    const entry = await this.storage.findDeadLetter(this.scope(), id);
+    if (!entry) {
+      return null;
+    }
+    if (entry.status !== 'pending') {
+      return entry;
+    }
+
+    const changes = { lastAttemptAt: new Date() };
+    try {
+      await this.inTransaction((transaction) => this.processLog(JSON.parse(entry.rawLog), { transaction }));
+      changes.status = 'resolved';
+      changes.resolvedAt = new Date();
+    } catch (error) {
+      console.error(`Retry of dead-lettered event ${id} failed:`, error.message);
+      changes.attempts = entry.attempts + 1;
+      changes.error = error.message;
+    }
+
+    return this.storage.updateDeadLetter(entry, changes);
+  }
+
+  /**
+   * Replay all pending dead-lettered events of this chain and contract in chain order.
+   * Returns how many were retried, resolved and are still pending.
+   */
+  async retryDeadLetters() {
+    const entries = await this.storage.listPendingDeadLetters(this.scope());
+    let resolved = 0;
+
+    for (const entry of entries) {
+      const result = await this.retryDeadLetter(entry.id);
+      if (result.status === 'resolved') {
+        resolved++;
+      }
+    }
+
+    return { retried: entries.length, resolved, pending: entries.length - resolved };
+  }
+
+  /**
+   * Whether a log decodes to an event of the given asset. Neither event indexes the asset id,
+   * so logs cannot be filtered by it on the node.
+   */
+  isLogOfAsset(log, assetId) {
+    let parsed;
+    try {
+      parsed = this.contract.interface.parseLog(log);
+    } catch {
+      return false;
+    }
+    return parsed?.args.id.toLowerCase() === assetId.toLowerCase();
+  }
+
+  /**
+   * Fetch AssetRegistered, AssetTransferred and mapped event logs for a block range in one query.
+   * With assetId only the AssetRegistered and AssetTransferred logs of that asset are returned.
+   * The range may be narrowed to what the provider accepts; the returned toBlock is
+   * the last block actually covered. The learned range size is kept for the next call.
+   */
+  async fetchLogs(fromBlock, toBlock, { assetId = null } = {}) {
+    const eventNames = ['AssetRegistered', 'AssetTransferred', ...(assetId ? [] : this.mapping?.eventNames ?? [])];
+    const topics = [eventNames.map((name) => this.contract.interface.getEvent(name).topicHash)];
+    let rateLimitRetries = 0;
+
+    while (true) {
+      try {
+        const logs = await this.provider.getLogs({
+          address: this.contractAddress,
+          topics,
+          fromBlock,
+          toBlock
+        });
+
+        // A full-size range went through, so try a larger one next time
+        if (toBlock - fromBlock + 1 >= this.chunkSize) {
+          this.chunkSize = Math.min(this.chunkSize * 2, this.maxChunkSize);
+        }
+        return { logs: assetId ? logs.filter((log) => this.isLogOfAsset(log, assetId)) : logs, toBlock };
+      } catch (error) {
+        const errorType = classifyLogError(error);
+        const rangeSize = toBlock - fromBlock + 1;
+
+        if (errorType === 'range' && rangeSize > 1) {
+          this.chunkSize = Math.max(1, Math.floor(rangeSize / 2));
+          toBlock = fromBlock + this.chunkSize - 1;
+          console.warn(`Block range too large, retrying with ${this.chunkSize} blocks`);
+          continue;
+        }
+
+        if (errorType === 'rateLimit' && rateLimitRetries < MAX_RATE_LIMIT_RETRIES) {
+          const delay = RATE_LIMIT_BACKOFF_MS * 2 ** rateLimitRetries;
+          rateLimitRetries++;
+          this.chunkSize = Math.max(1, Math.floor(rangeSize / 2));
+          toBlock = fromBlock + this.chunkSize - 1;
+          console.warn(`Rate limited, retrying with ${this.chunkSize} blocks in ${delay}ms`);
+          await new Promise(resolve => setTimeout(resolve, delay));
+          continue;
+        }
+
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Decode a raw contract log and pass it to the matching handler.
+   * Returns the event name, or null for logs that are not indexed.
+   */
+  async processLog(log, { transaction } = {}) {
+    const parsed = this.contract.interface.parseLog(log);
+    if (!parsed) {
+      return null;
+    }
+
+    if (parsed.name === 'AssetRegistered') {
+      const [id, owner, description, timestamp] = parsed.args;
+      await this.handleAssetRegistered(id, owner, description, timestamp, log, { transaction });
+    } else if (parsed.name === 'AssetTransferred') {
+      const [id, newOwner] = parsed.args;
+      await this.handleAssetTransferred(id, newOwner, log, { transaction });
+    } else if (this.mapping?.handles(parsed.name)) {
+      await this.mapping.apply(parsed, {
+        blockNumber: log.blockNumber,
+        blockHash: log.blockHash || null,
+        transactionHash: log.transactionHash,
+        logIndex: getLogIndex(log)
+      }, {
+        scope: this.scope(),
+        getBlockTimestamp: (blockNumber) => this.getBlockTimestamp(blockNumber),
+        transaction
+      });
+    } else {
+      return null;
+    }
+
+    return parsed.name;
+  }
+
+  /**
+   * Update and log sync progress: blocks done, throughput in blocks and events and estimated time left
+   */
+  reportSyncProgress(fromBlock, lastBlock, toBlock, startedAt, eventsDone = 0) {
+    const blocksDone = lastBlock - fromBlock + 1;
+    const totalBlocks = toBlock - fromBlock + 1;
+    const elapsedSeconds = Math.max((Date.now() - startedAt) / 1000, 0.001);
+    const blocksPerSecond = blocksDone / elapsedSeconds;
+    const eventsPerSecond = eventsDone / elapsedSeconds;
+    const etaSeconds = blocksPerSecond > 0 ? Math.round((toBlock - lastBlock) / blocksPerSecond) : null;
+    const percent = ((blocksDone / totalBlocks) * 100).toFixed(1);
+
+    this.syncProgress = { fromBlock, toBlock, lastBlock, blocksPerSecond, eventsPerSecond, etaSeconds };
+    console.log(`Synced to block ${lastBlock} (${blocksDone}/${totalBlocks} blocks, ${percent}%) at ${blocksPerSecond.toFixed(1)} blocks/sec and ${eventsPerSecond.toFixed(1)} events/sec, ETA ${etaSeconds ?? '?'}s`);
+  }
+
+  /**
+   * Stop listening for events
    */
   stopListening() {
+    this.stopReconciliation();
     if (this.isListening) {
-      this.contract.removeAllListeners();
+      this.stopHeartbeat();
+      if (this.blockListener) {
+        this.provider.off('block', this.blockListener);
+        this.blockListener = null;
+      }
       this.isListening = false;
       console.log('Event listener stopped');
     }
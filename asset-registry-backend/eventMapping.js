@@ -0,0 +1,323 @@
+import fs from 'fs';
+import { ethers } from 'ethers';
+import { DataTypes } from 'sequelize';
+
+// Column types an entity can declare
+const COLUMN_TYPES = {
+  string: DataTypes.STRING,
+  text: DataTypes.TEXT,
+  integer: DataTypes.INTEGER,
+  bigint: DataTypes.BIGINT,
+  boolean: DataTypes.BOOLEAN,
+  date: DataTypes.DATE
+};
+
+const ACTIONS = ['insert', 'upsert', 'update', 'delete'];
+
+// Events with their own handlers in EventListener, and the tables they feed
+const BUILT_IN_EVENTS = ['AssetRegistered', 'AssetTransferred'];
+const BUILT_IN_MODELS = ['Asset', 'Transfer', 'SyncCheckpoint', 'FailedRange', 'DeadLetterEvent', 'PendingTransfer', 'RawEvent'];
+
+// Columns every entity table gets: where the row comes from and the event that last wrote it
+const SOURCE_COLUMNS = ['id', 'chainId', 'contractAddress', 'blockNumber', 'logIndex', 'transactionHash'];
+
+// Query parameters of GET /api/entities/:entity that are not column filters: the scope and paging
+export const ENTITY_QUERY_PARAMETERS = ['chainId', 'contract', 'limit', 'cursor', 'sort', 'order', 'fields'];
+
+/**
+ * Convert a decoded event argument to a column value: addresses are lowercased like
+ * everywhere else in the index, uint256 values are kept as strings
+ */
+function toColumnValue(value, param) {
+  if (param.type === 'address') {
+    return value.toLowerCase();
+  }
+  if (typeof value === 'bigint') {
+    return value.toString();
+  }
+  if (value && typeof value === 'object') {
+    return JSON.stringify([...value], (key, item) => typeof item === 'bigint' ? item.toString() : item);
+  }
+  return value;
+}
+
+/**
+ * Compile a column value from the mapping into a function of the event. Strings starting
+ * with $ read from the event: $args.<name>, $block.number, $block.hash, $block.timestamp,
+ * $transaction.hash or $log.index. Anything else is a literal.
+ */
+function compileValue(expression, fragment, label) {
+  if (typeof expression !== 'string' || !expression.startsWith('$')) {
+    return { read: () => expression, usesBlockTimestamp: false };
+  }
+
+  const [source, field] = expression.slice(1).split('.');
+  if (source === 'args') {
+    const index = fragment.inputs.findIndex((input) => input.name === field);
+    if (index === -1) {
+      throw new Error(`${label}: ${fragment.name} has no argument ${field}`);
+    }
+    const param = fragment.inputs[index];
+    return { read: ({ args }) => toColumnValue(args[index], param), usesBlockTimestamp: false };
+  }
+
+  const readers = {
+    'block.number': ({ position }) => position.blockNumber.toString(),
+    'block.hash': ({ position }) => position.blockHash,
+    'block.timestamp': ({ blockTimestamp }) => blockTimestamp.toString(),
+    'transaction.hash': ({ position }) => position.transactionHash,
+    'log.index': ({ position }) => position.logIndex
+  };
+  const read = readers[`${source}.${field}`];
+  if (!read) {
+    throw new Error(`${label}: unknown value ${expression}`);
+  }
+  return { read, usesBlockTimestamp: expression === '$block.timestamp' };
+}
+
+/**
+ * Whether an event comes after the event that last wrote a row, in chain order
+ */
+function isNewer(position, row) {
+  const rowBlock = parseInt(row.blockNumber);
+  return position.blockNumber > rowBlock || (position.blockNumber === rowBlock && position.logIndex > row.logIndex);
+}
+
+/**
+ * Check the declared columns of an entity and turn them into Sequelize attributes
+ */
+function checkEntity(name, columns) {
+  if (!/^[A-Za-z][A-Za-z0-9]*$/.test(name)) {
+    throw new Error(`Entity ${name}: names may only contain letters and digits`);
+  }
+  if (BUILT_IN_MODELS.includes(name)) {
+    throw new Error(`Entity ${name}: the name is taken by a built-in table`);
+  }
+
+  const attributes = {};
+  for (const [column, type] of Object.entries(columns)) {
+    if (SOURCE_COLUMNS.includes(column) || ENTITY_QUERY_PARAMETERS.includes(column)) {
+      throw new Error(`Entity ${name}: column ${column} is reserved`);
+    }
+    if (!COLUMN_TYPES[type]) {
+      throw new Error(`Entity ${name}: column ${column} has unknown type ${type}, expected one of ${Object.keys(COLUMN_TYPES).join(', ')}`);
+    }
+    attributes[column] = { type: COLUMN_TYPES[type], allowNull: true };
+  }
+  return attributes;
+}
+
+/**
+ * Define the table of an entity: its declared columns plus the source columns.
+ * Rows are looked up by their keys, and inserted rows by their event.
+ */
+function defineEntity(sequelize, name, attributes, keys) {
+  return sequelize.define(name, {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    chainId: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    contractAddress: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    ...attributes,
+    blockNumber: {
+      type: DataTypes.BIGINT,
+      allowNull: false
+    },
+    logIndex: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    transactionHash: {
+      type: DataTypes.STRING,
+      allowNull: false
+    }
+  }, {
+    timestamps: false,
+    indexes: [
+      { fields: ['chainId', 'transactionHash', 'logIndex'] },
+      ...keys.map((key) => ({ fields: ['chainId', 'contractAddress', ...key] }))
+    ]
+  });
+}
+
+/**
+ * Indexes contract events from a declarative mapping instead of hand-written handlers.
+ * The mapping declares entities (tables and their columns) and, for each event, the entity
+ * it feeds, how its args map to columns and the action to take:
+ * - insert: add a row per event
+ * - upsert: create the row with the given key, or update it
+ * - update: update the row with the given key if it exists
+ * - delete: delete the row with the given key
+ * Every row records the event that last wrote it, so an update or delete only applies when
+ * the event is newer than that one; events arriving out of chain order do not roll a row back.
+ */
+export class EventMapping {
+  constructor(config, sequelize) {
+    this.fragments = [];
+    this.rules = new Map();
+    this.models = new Map();
+
+    const entities = new Map();
+    for (const [name, columns] of Object.entries(config.entities ?? {})) {
+      entities.set(name, checkEntity(name, columns));
+    }
+
+    const events = config.events ?? [];
+    if (!Array.isArray(events) || events.length === 0) {
+      throw new Error('The event mapping does not list any events');
+    }
+    events.forEach((entry, index) => this.addRule(entry, index, entities));
+
+    const rules = [...this.rules.values()].flat();
+    for (const [name, attributes] of entities) {
+      const keys = new Set(rules.filter((rule) => rule.entity === name && rule.key).map((rule) => rule.key.join(',')));
+      this.models.set(name, defineEntity(sequelize, name, attributes, [...keys].map((key) => key.split(','))));
+    }
+    for (const rule of rules) {
+      rule.model = this.models.get(rule.entity);
+    }
+  }
+
+  /**
+   * Check one event entry of the mapping and compile its column values
+   */
+  addRule(entry, index, entities) {
+    let fragment;
+    try {
+      fragment = ethers.EventFragment.from(entry.event);
+    } catch (error) {
+      throw new Error(`Event #${index}: ${entry.event} is not a valid event signature`);
+    }
+    const label = `Event ${fragment.name}`;
+
+    if (BUILT_IN_EVENTS.includes(fragment.name)) {
+      throw new Error(`${label}: handled by the built-in handlers`);
+    }
+    const attributes = entities.get(entry.entity);
+    if (!attributes) {
+      throw new Error(`${label}: unknown entity ${entry.entity}`);
+    }
+    if (!ACTIONS.includes(entry.action)) {
+      throw new Error(`${label}: action must be one of ${ACTIONS.join(', ')}`);
+    }
+
+    const columns = Object.entries(entry.columns ?? {}).map(([column, expression]) => {
+      if (!attributes[column]) {
+        throw new Error(`${label}: ${entry.entity} has no column ${column}`);
+      }
+      return { column, ...compileValue(expression, fragment, label) };
+    });
+
+    let key = null;
+    if (entry.action !== 'insert') {
+      key = entry.key ?? [];
+      if (key.length === 0 || !key.every((column) => columns.some((value) => value.column === column))) {
+        throw new Error(`${label}: ${entry.action} needs a key made of mapped columns`);
+      }
+    }
+
+    const existing = this.rules.get(fragment.name);
+    if (existing && existing[0].fragment.format() !== fragment.format()) {
+      throw new Error(`${label}: listed with two different signatures`);
+    }
+    if (!existing) {
+      this.fragments.push(fragment);
+      this.rules.set(fragment.name, []);
+    }
+    this.rules.get(fragment.name).push({ fragment, entity: entry.entity, action: entry.action, key, columns });
+  }
+
+  /**
+   * Names of the events the mapping indexes
+   */
+  get eventNames() {
+    return [...this.rules.keys()];
+  }
+
+  handles(eventName) {
+    return this.rules.has(eventName);
+  }
+
+  /**
+   * Apply a decoded event to the entities it feeds. position holds the blockNumber, blockHash,
+   * transactionHash and logIndex of the event; getBlockTimestamp is only called when a
+   * column uses $block.timestamp.
+   */
+  async apply(parsed, position, { scope, getBlockTimestamp, transaction }) {
+    for (const rule of this.rules.get(parsed.name) ?? []) {
+      const blockTimestamp = rule.columns.some((value) => value.usesBlockTimestamp)
+        ? await getBlockTimestamp(position.blockNumber)
+        : null;
+      const values = {};
+      for (const { column, read } of rule.columns) {
+        values[column] = read({ args: parsed.args, position, blockTimestamp });
+      }
+      const source = {
+        ...scope,
+        blockNumber: position.blockNumber.toString(),
+        logIndex: position.logIndex,
+        transactionHash: position.transactionHash
+      };
+
+      if (rule.action === 'insert') {
+        const existing = await rule.model.findOne({
+          where: { chainId: scope.chainId, transactionHash: position.transactionHash, logIndex: position.logIndex },
+          transaction
+        });
+        if (!existing) {
+          await rule.model.create({ ...values, ...source }, { transaction });
+        }
+        continue;
+      }
+
+      const where = { ...scope };
+      for (const column of rule.key) {
+        where[column] = values[column];
+      }
+      const row = await rule.model.findOne({ where, transaction });
+
+      if (!row) {
+        if (rule.action === 'upsert') {
+          await rule.model.create({ ...values, ...source }, { transaction });
+        }
+      } else if (isNewer(position, row)) {
+        if (rule.action === 'delete') {
+          await row.destroy({ transaction });
+        } else {
+          await row.update({ ...values, ...source }, { transaction });
+        }
+      }
+    }
+  }
+
+  /**
+   * Remove every entity row of a chain and contract, before replaying its events
+   */
+  async clear(scope, { transaction } = {}) {
+    for (const model of this.models.values()) {
+      await model.destroy({ where: scope, transaction });
+    }
+  }
+}
+
+/**
+ * Read an event mapping from a JSON file and define its entity tables on sequelize
+ */
+export function loadEventMapping(path, sequelize) {
+  return new EventMapping(JSON.parse(fs.readFileSync(path, 'utf8')), sequelize);
+}
+
+/**
+ * The event mapping from the file in EVENT_MAPPING, or null when none is configured
+ */
+export function getEventMapping(sequelize, env = process.env) {
+  return env.EVENT_MAPPING ? loadEventMapping(env.EVENT_MAPPING, sequelize) : null;
+}
@@ -0,0 +1,15 @@
+/**
+ * Entry point for embedding the indexer in another service, without the HTTP API:
+ *
+ *   import { EventListener, MemoryStorage, AssetRegistryABI } from 'asset-registry-backend/indexer';
+ *
+ *   const indexer = new EventListener(contractAddress, rpcUrl, AssetRegistryABI, { storage: new MemoryStorage() });
+ *   indexer.on('assetTransferred', ({ assetId, from, to }) => { ... });
+ *   await indexer.start(deploymentBlock);
+ */
+export { EventListener } from './eventListener.js';
+export { SequelizeStorage } from './sequelizeStorage.js';
+export { MemoryStorage } from './memoryStorage.js';
+export { EventMapping, loadEventMapping } from './eventMapping.js';
+export { TaskQueue } from './taskQueue.js';
+export { AssetRegistryABI } from './contractABI.js';
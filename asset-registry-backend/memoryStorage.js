@@ -0,0 +1,379 @@
+/**
+ * Order rows by their position in the chain: (blockNumber, logIndex)
+ */
+function byPosition(a, b) {
+  return (Number(a.blockNumber) - Number(b.blockNumber)) || ((a.logIndex ?? 0) - (b.logIndex ?? 0));
+}
+
+function inScope(row, scope) {
+  return row.chainId === scope.chainId && row.contractAddress === scope.contractAddress;
+}
+
+/**
+ * One table of the in-memory store. Rows are returned as copies, so they only change through
+ * the store. Writes made within a transaction record how to undo them.
+ */
+class MemoryTable {
+  constructor(getKey, defaults = () => ({})) {
+    this.rows = new Map();
+    this.nextId = 1;
+    this.getKey = getKey;
+    this.defaults = defaults;
+  }
+
+  all() {
+    return [...this.rows.values()].map((row) => ({ ...row }));
+  }
+
+  find(predicate) {
+    return this.all().filter(predicate);
+  }
+
+  findOne(predicate) {
+    return this.find(predicate)[0] ?? null;
+  }
+
+  insert(values, transaction) {
+    const row = { ...this.defaults(), ...values };
+    if (row.id === undefined) {
+      row.id = this.nextId++;
+    }
+    const key = this.getKey(row);
+    if (this.rows.has(key)) {
+      throw new Error(`Duplicate row ${key}`);
+    }
+    this.rows.set(key, row);
+    transaction?.undo.push(() => this.rows.delete(key));
+    return { ...row };
+  }
+
+  update(row, changes, transaction) {
+    const stored = this.rows.get(this.getKey(row));
+    if (!stored) {
+      return null;
+    }
+    const previous = { ...stored };
+    Object.assign(stored, changes);
+    transaction?.undo.push(() => Object.assign(stored, previous));
+    return { ...stored };
+  }
+
+  remove(row, transaction) {
+    const key = this.getKey(row);
+    const stored = this.rows.get(key);
+    if (stored) {
+      this.rows.delete(key);
+      transaction?.undo.push(() => this.rows.set(key, stored));
+    }
+  }
+
+  removeWhere(predicate, transaction) {
+    const rows = this.find(predicate);
+    for (const row of rows) {
+      this.remove(row, transaction);
+    }
+    return rows.length;
+  }
+}
+
+const byId = (row) => row.id;
+
+/**
+ * Storage adapter that keeps the index in memory, for tests, short-lived processes and
+ * services that only react to events. Implements the same interface as SequelizeStorage.
+ * A custom sink can extend it and forward writes elsewhere, e.g. override createTransfer
+ * to publish each transfer after calling super.
+ */
+export class MemoryStorage {
+  constructor() {
+    this.checkpoints = new MemoryTable((row) => `${row.chainId}:${row.contractAddress}`);
+    this.assets = new MemoryTable((row) => `${row.chainId}:${row.contractAddress}:${row.id}`);
+    this.transfers = new MemoryTable(byId, () => ({ status: 'pending', logIndex: 0, transactionIndex: null, blockHash: null }));
+    this.pendingTransfers = new MemoryTable(byId, () => ({ logIndex: 0, createdAt: new Date() }));
+    this.failedRanges = new MemoryTable(byId, () => ({
+      attempts: 1,
+      status: 'pending',
+      createdAt: new Date(),
+      lastAttemptAt: new Date(),
+      resolvedAt: null
+    }));
+    this.deadLetters = new MemoryTable(byId, () => ({
+      attempts: 1,
+      status: 'pending',
+      createdAt: new Date(),
+      lastAttemptAt: new Date(),
+      resolvedAt: null
+    }));
+    this.rawEvents = new MemoryTable(byId, () => ({ removed: false, createdAt: new Date() }));
+  }
+
+  /**
+   * Run work in a transaction: if it throws, its writes are undone. Within another
+   * transaction, its writes are undone with that transaction too.
+   */
+  async transaction(work, { transaction } = {}) {
+    const frame = { undo: [] };
+    try {
+      const result = await work(frame);
+      transaction?.undo.push(...frame.undo);
+      return result;
+    } catch (error) {
+      for (const undo of frame.undo.reverse()) {
+        undo();
+      }
+      throw error;
+    }
+  }
+
+  // Checkpoints
+
+  async getCheckpoint(scope) {
+    const checkpoint = this.checkpoints.findOne((row) => inScope(row, scope));
+    return checkpoint ? parseInt(checkpoint.lastProcessedBlock) : null;
+  }
+
+  async setCheckpoint(scope, blockNumber, { transaction } = {}) {
+    const values = { ...scope, lastProcessedBlock: blockNumber.toString(), updatedAt: new Date() };
+    if (!this.checkpoints.update(values, values, transaction)) {
+      this.checkpoints.insert(values, transaction);
+    }
+  }
+
+  async deleteCheckpoint(scope, { transaction } = {}) {
+    return this.checkpoints.removeWhere((row) => inScope(row, scope), transaction);
+  }
+
+  // Assets
+
+  async findAsset(scope, assetId) {
+    return this.assets.findOne((row) => inScope(row, scope) && row.id === assetId);
+  }
+
+  async listAssets(scope) {
+    return this.assets.find((row) => inScope(row, scope));
+  }
+
+  async findAssets(scope, assetIds) {
+    return this.assets.find((row) => inScope(row, scope) && assetIds.includes(row.id));
+  }
+
+  async createAsset(values, { transaction } = {}) {
+    return this.assets.insert(values, transaction);
+  }
+
+  async createAssets(rows, { transaction } = {}) {
+    return rows.map((values) => this.assets.insert(values, transaction));
+  }
+
+  async updateAsset(asset, changes, { transaction } = {}) {
+    return this.assets.update(asset, changes, transaction);
+  }
+
+  async deleteAsset(asset, { transaction } = {}) {
+    this.assets.remove(asset, transaction);
+  }
+
+  async deleteAssets(scope, { transaction } = {}) {
+    return this.assets.removeWhere((row) => inScope(row, scope), transaction);
+  }
+
+  // Transfers
+
+  async findTransferByEvent(chainId, transactionHash, logIndex) {
+    return this.transfers.findOne((row) =>
+      row.chainId === chainId && row.transactionHash === transactionHash && row.logIndex === logIndex);
+  }
+
+  async findAdjacentTransfer(scope, assetId, position, direction) {
+    const transfers = this.transfers
+      .find((row) => inScope(row, scope) && row.assetId === assetId)
+      .sort(byPosition);
+    if (direction === 'before') {
+      return transfers.filter((row) => byPosition(row, position) < 0).pop() ?? null;
+    }
+    return transfers.find((row) => byPosition(row, position) > 0) ?? null;
+  }
+
+  async findFirstTransfer(scope) {
+    return (await this.listTransfers(scope))[0] ?? null;
+  }
+
+  async listTransfers(scope, { assetId = null, assetIds = null, fromBlock = null, newestFirst = false } = {}) {
+    const transfers = this.transfers
+      .find((row) => inScope(row, scope) &&
+        (assetId === null || row.assetId === assetId) &&
+        (assetIds === null || assetIds.includes(row.assetId)) &&
+        (fromBlock === null || Number(row.blockNumber) >= fromBlock))
+      .sort(byPosition);
+    return newestFirst ? transfers.reverse() : transfers;
+  }
+
+  async listPendingBlocks(scope) {
+    const blocks = new Map();
+    for (const row of (await this.listTransfers(scope))) {
+      if (row.status === 'pending' && row.blockHash) {
+        blocks.set(`${row.blockNumber}:${row.blockHash}`, { blockNumber: row.blockNumber, blockHash: row.blockHash });
+      }
+    }
+    return [...blocks.values()];
+  }
+
+  async createTransfer(values, { transaction } = {}) {
+    return this.transfers.insert(values, transaction);
+  }
+
+  async createTransfers(rows, { transaction } = {}) {
+    return rows.map((values) => this.transfers.insert(values, transaction));
+  }
+
+  async updateTransfer(transfer, changes, { transaction } = {}) {
+    return this.transfers.update(transfer, changes, transaction);
+  }
+
+  async confirmTransfers(scope, toBlock, { transaction } = {}) {
+    const transfers = this.transfers.find((row) =>
+      inScope(row, scope) && row.status === 'pending' && Number(row.blockNumber) <= toBlock);
+    for (const transfer of transfers) {
+      this.transfers.update(transfer, { status: 'confirmed' }, transaction);
+    }
+  }
+
+  async deleteTransfer(transfer, { transaction } = {}) {
+    this.transfers.remove(transfer, transaction);
+  }
+
+  async deleteTransfers(scope, { transaction } = {}) {
+    return this.transfers.removeWhere((row) => inScope(row, scope), transaction);
+  }
+
+  // Transfers held until their asset is stored
+
+  async findPendingTransferByEvent(chainId, transactionHash, logIndex) {
+    return this.pendingTransfers.findOne((row) =>
+      row.chainId === chainId && row.transactionHash === transactionHash && row.logIndex === logIndex);
+  }
+
+  async listPendingTransfers(scope, assetId) {
+    return this.pendingTransfers.find((row) => inScope(row, scope) && row.assetId === assetId).sort(byPosition);
+  }
+
+  async listHeldAssetIds(scope) {
+    return [...new Set(this.pendingTransfers.find((row) => inScope(row, scope)).map((row) => row.assetId))];
+  }
+
+  async countPendingTransfers(scope) {
+    return this.pendingTransfers.find((row) => inScope(row, scope)).length;
+  }
+
+  async createPendingTransfer(values, { transaction } = {}) {
+    return this.pendingTransfers.insert(values, transaction);
+  }
+
+  async deletePendingTransfer(pendingTransfer, { transaction } = {}) {
+    this.pendingTransfers.remove(pendingTransfer, transaction);
+  }
+
+  async deletePendingTransfers(scope, { fromBlock = null, transaction } = {}) {
+    return this.pendingTransfers.removeWhere((row) =>
+      inScope(row, scope) && (fromBlock === null || Number(row.blockNumber) >= fromBlock), transaction);
+  }
+
+  // Failed block ranges
+
+  async findPendingFailedRange(scope, fromBlock, toBlock) {
+    return this.failedRanges.findOne((row) =>
+      inScope(row, scope) && row.status === 'pending' &&
+      Number(row.fromBlock) === fromBlock && Number(row.toBlock) === toBlock);
+  }
+
+  async listPendingFailedRanges(scope, { dueBy = null } = {}) {
+    return this.failedRanges
+      .find((row) => inScope(row, scope) && row.status === 'pending' && (!dueBy || row.nextRetryAt <= dueBy))
+      .sort((a, b) => Number(a.fromBlock) - Number(b.fromBlock));
+  }
+
+  async countPendingFailedRanges(scope) {
+    return this.failedRanges.find((row) => inScope(row, scope) && row.status === 'pending').length;
+  }
+
+  async createFailedRange(values, { transaction } = {}) {
+    return this.failedRanges.insert(values, transaction);
+  }
+
+  async updateFailedRange(range, changes, { transaction } = {}) {
+    return this.failedRanges.update(range, changes, transaction);
+  }
+
+  async deleteFailedRanges(scope, { transaction } = {}) {
+    return this.failedRanges.removeWhere((row) => inScope(row, scope), transaction);
+  }
+
+  // Dead-lettered events
+
+  async findDeadLetter(scope, id) {
+    return this.deadLetters.findOne((row) => inScope(row, scope) && row.id === Number(id));
+  }
+
+  async findPendingDeadLetter(scope, transactionHash, logIndex) {
+    return this.deadLetters.findOne((row) =>
+      inScope(row, scope) && row.status === 'pending' && row.transactionHash === transactionHash && row.logIndex === logIndex);
+  }
+
+  async listPendingDeadLetters(scope) {
+    return this.deadLetters.find((row) => inScope(row, scope) && row.status === 'pending').sort(byPosition);
+  }
+
+  async countPendingDeadLetters(scope) {
+    return this.deadLetters.find((row) => inScope(row, scope) && row.status === 'pending').length;
+  }
+
+  async createDeadLetter(values, { transaction } = {}) {
+    return this.deadLetters.insert(values, transaction);
+  }
+
+  async updateDeadLetter(entry, changes, { transaction } = {}) {
+    return this.deadLetters.update(entry, changes, transaction);
+  }
+
+  async deleteDeadLetters(scope, { transaction } = {}) {
+    return this.deadLetters.removeWhere((row) => inScope(row, scope), transaction);
+  }
+
+  // Raw event log
+
+  async findRawEvent(chainId, transactionHash, logIndex) {
+    return this.rawEvents.findOne((row) =>
+      row.chainId === chainId && !row.removed && row.transactionHash === transactionHash && row.logIndex === logIndex);
+  }
+
+  async findFirstRawEvent(scope) {
+    return (await this.listRawEvents(scope))[0] ?? null;
+  }
+
+  async listRawEvents(scope, { eventNames = null, fromBlock = null, toBlock = null } = {}) {
+    const inRange = (row) => fromBlock === null || toBlock === null ||
+      (Number(row.blockNumber) >= fromBlock && Number(row.blockNumber) <= toBlock);
+    return this.rawEvents
+      .find((row) => inScope(row, scope) && !row.removed && (!eventNames || eventNames.includes(row.eventName)) && inRange(row))
+      .sort(byPosition);
+  }
+
+  async createRawEvent(values, { transaction } = {}) {
+    return this.rawEvents.insert(values, transaction);
+  }
+
+  async createRawEvents(rows, { transaction } = {}) {
+    return rows.map((values) => this.rawEvents.insert(values, transaction));
+  }
+
+  async deleteRawEvents(scope, { transaction } = {}) {
+    return this.rawEvents.removeWhere((row) => inScope(row, scope), transaction);
+  }
+
+  async markRawEventsRemoved(scope, fromBlock, { transaction } = {}) {
+    const rawEvents = this.rawEvents.find((row) => inScope(row, scope) && !row.removed && Number(row.blockNumber) >= fromBlock);
+    for (const rawEvent of rawEvents) {
+      this.rawEvents.update(rawEvent, { removed: true }, transaction);
+    }
+  }
+}
@@ -0,0 +1,79 @@
+import { Op, fn, col } from 'sequelize';
+import { Asset, Transfer } from './db.js';
+
+// Counterparties listed in a profile, those with the most transfers first
+export const COUNTERPARTY_LIMIT = 10;
+
+/**
+ * The number of distinct assets among the transfers matching a where clause
+ */
+async function countAssets(where) {
+  const groups = await Transfer.count({ where, group: ['chainId', 'contractAddress', 'assetId'] });
+  return groups.length;
+}
+
+/**
+ * Summarize the activity of a lowercase address within a scope filter:
+ * - registered, held, received, sent: the number of assets it registered, holds now, received
+ *   from another owner and sent away
+ * - firstActivityAt, lastActivityAt: the block times of its first and last transfer, null without any
+ * - counterparties: the addresses it transferred with, ranked by the number of transfers
+ */
+export async function getOwnerProfile(address, where = {}) {
+  const involving = { ...where, [Op.or]: [{ fromOwner: address }, { toOwner: address }] };
+  const countBy = (column) => [[column, 'counterparty'], [fn('COUNT', col('id')), 'count']];
+
+  const [registered, held, received, sent, first, last, sentTo, receivedFrom] = await Promise.all([
+    countAssets({ ...where, fromOwner: null, toOwner: address }),
+    Asset.count({ where: { ...where, owner: address } }),
+    countAssets({ ...where, fromOwner: { [Op.ne]: null }, toOwner: address }),
+    countAssets({ ...where, fromOwner: address }),
+    Transfer.findOne({ attributes: ['transferredAt'], where: involving, order: [['transferredAt', 'ASC']] }),
+    Transfer.findOne({ attributes: ['transferredAt'], where: involving, order: [['transferredAt', 'DESC']] }),
+    Transfer.findAll({ attributes: countBy('toOwner'), where: { ...where, fromOwner: address }, group: ['toOwner'], raw: true }),
+    Transfer.findAll({
+      attributes: countBy('fromOwner'),
+      where: { ...where, fromOwner: { [Op.ne]: null }, toOwner: address },
+      group: ['fromOwner'],
+      raw: true
+    })
+  ]);
+
+  const counterparties = new Map();
+  const tally = (rows, direction) => {
+    for (const row of rows) {
+      const counterparty = counterparties.get(row.counterparty) ?? { address: row.counterparty, sent: 0, received: 0, transfers: 0 };
+      counterparty[direction] += Number(row.count);
+      counterparty.transfers += Number(row.count);
+      counterparties.set(row.counterparty, counterparty);
+    }
+  };
+  tally(sentTo, 'sent');
+  tally(receivedFrom, 'received');
+
+  return {
+    address,
+    registered,
+    held,
+    received,
+    sent,
+    firstActivityAt: first ? first.transferredAt : null,
+    lastActivityAt: last ? last.transferredAt : null,
+    counterparties: [...counterparties.values()]
+      .sort((a, b) => b.transfers - a.transfers || a.address.localeCompare(b.address))
+      .slice(0, COUNTERPARTY_LIMIT)
+  };
+}
+
+/**
+ * What a transfer was for an address taking part in it: its registration, or an asset it
+ * received or sent, with the other owner as counterparty (null for a registration)
+ */
+export function describeActivity(transfer, address) {
+  if (transfer.fromOwner === null) {
+    return { type: 'registered', counterparty: null };
+  }
+  return transfer.fromOwner === address
+    ? { type: 'sent', counterparty: transfer.toOwner }
+    : { type: 'received', counterparty: transfer.fromOwner };
+}
@@ -0,0 +1,200 @@
+import { Op } from 'sequelize';
+
+// Keyset pagination for the list endpoints. A list is described by an object with
+// - model: the Sequelize model listed
+// - sortFields: columns ?sort= accepts, the first is the default
+// - defaultOrder: 'asc' or 'desc'
+// - tieBreakers: columns appended to the sort column so the order is unique, e.g. the primary key
+// - associations: included associations ?fields= can select besides the model's columns, if any
+// Pages continue after the sort key of the previous page's last row, so rows written in
+// between do not shift pages the way an offset would.
+
+export const DEFAULT_PAGE_SIZE = 100;
+export const MAX_PAGE_SIZE = 1000;
+
+/**
+ * Cursors are opaque to clients: base64url JSON of the sort, the order and the last row's sort key
+ */
+function encodeCursor(value) {
+  return Buffer.from(JSON.stringify(value)).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const value = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    return value && typeof value === 'object' ? value : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * The columns a page is ordered by: the sort column, then the tie breakers
+ */
+function sortKeys(list, sort) {
+  return [sort, ...list.tieBreakers.filter((key) => key !== sort)];
+}
+
+/**
+ * Whether a cursor's after is null or the sort key of a row, i.e. one value per sort column
+ */
+function isSortKey(after, list, sort) {
+  return after === null || (Array.isArray(after) && after.length === sortKeys(list, sort).length);
+}
+
+/**
+ * Read limit, cursor, sort, order and fields from a query string.
+ * Returns { limit, sort, order, fields, after } or { error } for an invalid value; fields is null
+ * when all columns are requested, after is the sort key to continue after, null on the first page.
+ *
+ * An endpoint that pages several lists at once passes them as parts, e.g. { transfers, assets }:
+ * sort, order and fields then apply to the first, the others keep their default order, and
+ * after is an object holding each part's sort key, or false for a part that is exhausted.
+ */
+export function parseListQuery(query, list, { parts = null } = {}) {
+  let limit = DEFAULT_PAGE_SIZE;
+  if (query.limit !== undefined) {
+    limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+      return { error: `Invalid limit. Expected an integer between 1 and ${MAX_PAGE_SIZE}.` };
+    }
+  }
+
+  const sort = query.sort ?? list.sortFields[0];
+  if (!list.sortFields.includes(sort)) {
+    return { error: `Invalid sort. Expected one of: ${list.sortFields.join(', ')}.` };
+  }
+
+  const order = query.order ?? list.defaultOrder;
+  if (!['asc', 'desc'].includes(order)) {
+    return { error: 'Invalid order. Expected asc or desc.' };
+  }
+
+  let fields = null;
+  if (query.fields !== undefined) {
+    const selectable = [...Object.keys(list.model.getAttributes()), ...(list.associations ?? [])];
+    fields = query.fields.split(',').map((field) => field.trim()).filter(Boolean);
+    const unknown = fields.find((field) => !selectable.includes(field));
+    if (fields.length === 0 || unknown !== undefined) {
+      return { error: `Invalid fields. Expected a comma-separated list of: ${selectable.join(', ')}.` };
+    }
+  }
+
+  let after = parts ? Object.fromEntries(Object.keys(parts).map((name) => [name, null])) : null;
+  if (query.cursor !== undefined) {
+    const cursor = decodeCursor(query.cursor);
+    // A cursor only continues the order it was issued for
+    const valid = cursor && cursor.sort === sort && cursor.order === order && (parts
+      ? cursor.after && typeof cursor.after === 'object' && Object.entries(parts).every(([name, part], i) =>
+        cursor.after[name] === false || isSortKey(cursor.after[name] ?? null, part, i === 0 ? sort : part.sortFields[0]))
+      : isSortKey(cursor.after ?? null, list, sort));
+    if (!valid) {
+      return { error: 'Invalid cursor. Pass the nextCursor of the previous page with the same sort and order.' };
+    }
+    after = parts
+      ? Object.fromEntries(Object.keys(parts).map((name) => [name, cursor.after[name] ?? null]))
+      : cursor.after ?? null;
+  }
+
+  return { limit, sort, order, fields, after };
+}
+
+/**
+ * Match the rows after a sort key in the page's order, e.g. for (a, b) ascending:
+ * a > va OR (a = va AND b > vb)
+ */
+function keysetFilter(list, keys, values, order) {
+  const attributes = list.model.getAttributes();
+  const operator = order === 'desc' ? Op.lt : Op.gt;
+  // Dates come back from the cursor as ISO strings
+  const typed = values.map((value, i) => (attributes[keys[i]].type.key === 'DATE' ? new Date(value) : value));
+
+  return {
+    [Op.or]: keys.map((key, i) => ({
+      ...Object.fromEntries(keys.slice(0, i).map((earlierKey, j) => [earlierKey, typed[j]])),
+      [key]: { [operator]: typed[i] }
+    }))
+  };
+}
+
+/**
+ * Fetch one page of a list, continuing after page.after (see parseListQuery). include and order
+ * are applied as usual, order after the page's own order.
+ * Returns { rows, next }, next being the sort key to continue after or null on the last page.
+ */
+export async function findPage(list, page, { where = {}, include = [], order = [] } = {}) {
+  const keys = sortKeys(list, page.sort);
+  const direction = page.order.toUpperCase();
+  const { after } = page;
+
+  let attributes;
+  let includes = include;
+  if (page.fields) {
+    // The sort key is always read, to build the next cursor
+    const columns = Object.keys(list.model.getAttributes());
+    attributes = [...new Set([...keys, ...page.fields.filter((field) => columns.includes(field))])];
+    includes = include.filter((association) => page.fields.includes(association.as));
+  }
+
+  const rows = await list.model.findAll({
+    where: after === null ? where : { [Op.and]: [where, keysetFilter(list, keys, after, page.order)] },
+    attributes,
+    include: includes,
+    order: [...keys.map((key) => [key, direction]), ...order],
+    limit: page.limit + 1
+  });
+
+  const hasMore = rows.length > page.limit;
+  const pageRows = hasMore ? rows.slice(0, page.limit) : rows;
+  const last = pageRows[pageRows.length - 1];
+  return {
+    rows: pageRows,
+    next: hasMore ? keys.map((key) => last.get(key)) : null
+  };
+}
+
+/**
+ * The page of one part of a multi-part list (see parseListQuery). The first part is paged as
+ * requested, the others in their default order with all their fields. Returns null for a part
+ * that was exhausted on an earlier page.
+ */
+export function partPage(page, parts, name) {
+  const after = page.after[name];
+  if (after === false) {
+    return null;
+  }
+  if (name === Object.keys(parts)[0]) {
+    return { ...page, after };
+  }
+  const part = parts[name];
+  return { limit: page.limit, sort: part.sortFields[0], order: part.defaultOrder, fields: null, after };
+}
+
+/**
+ * The cursor of the page after a findPage result, or null on the last page
+ */
+export function nextCursor(page, result) {
+  return result.next === null ? null : encodeCursor({ sort: page.sort, order: page.order, after: result.next });
+}
+
+/**
+ * The cursor of the page after a multi-part page, given each part's findPage result or null
+ * for a part that was already exhausted. Returns null once every part is.
+ */
+export function nextPartsCursor(page, results) {
+  const after = Object.fromEntries(Object.entries(results).map(([name, result]) => [name, result?.next ?? false]));
+  return Object.values(after).every((next) => next === false) ? null : encodeCursor({ sort: page.sort, order: page.order, after });
+}
+
+/**
+ * Reduce rows to the requested fields; all of them when fields is null
+ */
+export function projectRows(rows, fields) {
+  if (!fields) {
+    return rows;
+  }
+  return rows.map((row) => {
+    const values = row.get({ plain: true });
+    return Object.fromEntries(fields.filter((field) => field in values).map((field) => [field, values[field]]));
+  });
+}
@@ -0,0 +1,159 @@
+/**
+ * One hop of a provenance chain, from a stored transfer. heldSeconds is how long `to` held the
+ * asset: until the next hop, or until now for the current owner.
+ */
+function toHop(transfer, nextTransfer, now) {
+  const timestamp = Number(transfer.timestamp);
+  const heldUntil = nextTransfer ? Number(nextTransfer.timestamp) : Math.floor(now / 1000);
+
+  return {
+    from: transfer.fromOwner,
+    to: transfer.toOwner,
+    blockNumber: Number(transfer.blockNumber),
+    transactionHash: transfer.transactionHash,
+    logIndex: transfer.logIndex,
+    timestamp,
+    transferredAt: transfer.transferredAt,
+    status: transfer.status,
+    heldSeconds: Math.max(heldUntil - timestamp, 0),
+    current: !nextTransfer
+  };
+}
+
+/**
+ * Build the provenance of an asset from its transfers in chain order (blockNumber, logIndex):
+ * - registration: the registration event, or null when the asset predates the synced blocks
+ *   and was loaded from the contract
+ * - provenance: one hop per transfer, the registration first, with how long each owner held it
+ * - continuity: whether each hop starts where the previous one ended, with the hops that do not
+ *   (breaks), and whether the last hop ends at the stored owner. A break means a transfer is
+ *   missing from the index, see reconciliation and resync.
+ */
+export function buildProvenance(asset, transfers, { now = Date.now() } = {}) {
+  const provenance = transfers.map((transfer, i) => toHop(transfer, transfers[i + 1], now));
+  const first = transfers[0];
+  const registration = first && first.fromOwner === null
+    ? {
+      owner: first.toOwner,
+      blockNumber: Number(first.blockNumber),
+      transactionHash: first.transactionHash,
+      logIndex: first.logIndex,
+      timestamp: Number(first.timestamp),
+      registeredAt: first.transferredAt
+    }
+    : null;
+
+  const breaks = [];
+  provenance.forEach((hop, i) => {
+    // Without a registration the first hop has nothing to follow
+    const expectedFrom = i === 0 ? (registration ? null : hop.from) : provenance[i - 1].to;
+    if (hop.from !== expectedFrom) {
+      breaks.push({
+        index: i,
+        blockNumber: hop.blockNumber,
+        transactionHash: hop.transactionHash,
+        expectedFrom,
+        actualFrom: hop.from
+      });
+    }
+  });
+
+  const lastHop = provenance[provenance.length - 1];
+  return {
+    currentOwner: asset.owner,
+    registration,
+    provenance,
+    continuity: {
+      continuous: breaks.length === 0,
+      currentOwnerMatches: lastHop ? lastHop.to === asset.owner : false,
+      breaks
+    }
+  };
+}
+
+/**
+ * Read the moment of a point-in-time query: ?block= for the state after that block, or ?at= for
+ * the state at an ISO date. Returns { block } or { at }, or { error } for a missing or invalid value.
+ */
+export function parsePointInTime(query) {
+  if ((query.block === undefined) === (query.at === undefined)) {
+    return { error: 'Pass either block or at.' };
+  }
+
+  if (query.block !== undefined) {
+    const block = Number(query.block);
+    if (!Number.isSafeInteger(block) || block < 0) {
+      return { error: 'Invalid block. Expected a non-negative integer.' };
+    }
+    return { block };
+  }
+
+  const at = new Date(query.at);
+  if (Number.isNaN(at.getTime())) {
+    return { error: 'Invalid at. Expected an ISO 8601 date.' };
+  }
+  return { at };
+}
+
+function isAtOrBefore(transfer, point) {
+  return point.block !== undefined
+    ? Number(transfer.blockNumber) <= point.block
+    : new Date(transfer.transferredAt).getTime() <= point.at.getTime();
+}
+
+/**
+ * The owner of an asset at a point in time (see parsePointInTime), from its transfers in chain
+ * order. Returns { owner, since }, since being the transfer that made them owner. owner is null
+ * before the registration. An owner from before the synced blocks is the sender of the first
+ * synced transfer, with since null.
+ */
+export function ownerAt(transfers, point) {
+  const earlier = transfers.filter((transfer) => isAtOrBefore(transfer, point));
+  const last = earlier[earlier.length - 1];
+  if (last) {
+    return {
+      owner: last.toOwner,
+      since: {
+        blockNumber: Number(last.blockNumber),
+        transactionHash: last.transactionHash,
+        logIndex: last.logIndex,
+        timestamp: Number(last.timestamp),
+        transferredAt: last.transferredAt
+      }
+    };
+  }
+
+  const next = transfers[earlier.length];
+  return { owner: next ? next.fromOwner : null, since: null };
+}
+
+/**
+ * The assets an address held at a point in time, given assets and their transfers in chain order.
+ * The same asset ID may exist on several contracts, so transfers are matched on the full key.
+ * Each entry tells since when the address held the asset and whether it still does (heldNow).
+ */
+export function heldAt(address, assets, transfers, point) {
+  const keyOf = (chainId, contractAddress, assetId) => `${chainId}:${contractAddress}:${assetId}`;
+  const transfersByAsset = new Map();
+  for (const transfer of transfers) {
+    const key = keyOf(transfer.chainId, transfer.contractAddress, transfer.assetId);
+    transfersByAsset.set(key, [...(transfersByAsset.get(key) ?? []), transfer]);
+  }
+
+  const held = [];
+  for (const asset of assets) {
+    const { owner, since } = ownerAt(transfersByAsset.get(keyOf(asset.chainId, asset.contractAddress, asset.id)) ?? [], point);
+    if (owner === address) {
+      held.push({
+        id: asset.id,
+        chainId: asset.chainId,
+        contractAddress: asset.contractAddress,
+        description: asset.description,
+        since,
+        currentOwner: asset.owner,
+        heldNow: asset.owner === address
+      });
+    }
+  }
+  return held;
+}
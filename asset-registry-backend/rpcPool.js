@@ -0,0 +1,346 @@
+import { ethers } from 'ethers';
+
+// An endpoint is marked unhealthy after this many consecutive failures and skipped until the cooldown ends
+const UNHEALTHY_AFTER_FAILURES = 3;
+const UNHEALTHY_COOLDOWN_MS = 30 * 1000;
+
+// Requests that take longer than this count as failed, so a hung connection fails over
+const DEFAULT_REQUEST_TIMEOUT_MS = 10 * 1000;
+
+// Weight of the newest sample in the rolling latency and error rate
+const ROLLING_WEIGHT = 0.1;
+
+/**
+ * Reject if a promise does not settle within the given time
+ */
+export function withTimeout(promise, ms, message) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(message)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Shut down a provider without failing if its connection is already gone
+ */
+export function destroyProvider(provider) {
+  Promise.resolve()
+    .then(() => provider.destroy())
+    .catch(() => {});
+}
+
+/**
+ * Strip the path from an RPC URL, which usually carries the API key
+ */
+export function redactUrl(url) {
+  try {
+    const { protocol, host } = new URL(url);
+    return `${protocol}//${host}`;
+  } catch (error) {
+    return 'invalid url';
+  }
+}
+
+/**
+ * Key used to compare results from different endpoints when checking quorum
+ */
+function resultKey(value) {
+  return JSON.stringify(value, (key, item) => typeof item === 'bigint' ? item.toString() : item);
+}
+
+/**
+ * Pick the value returned by at least quorum endpoints, or undefined if none was
+ */
+function agreedValue(values, quorum) {
+  const counts = new Map();
+  for (const value of values) {
+    const key = resultKey(value);
+    const entry = counts.get(key) || { value, count: 0 };
+    entry.count++;
+    counts.set(key, entry);
+    if (entry.count >= quorum) {
+      return entry.value;
+    }
+  }
+  return undefined;
+}
+
+/**
+ * A set of RPC endpoints used as one provider. Calls go to the healthiest endpoint first
+ * (by health, then priority, then latency) and fail over to the next one on errors.
+ * With a quorum above 1, a result is only accepted once that many endpoints agree on it.
+ * Implements the provider methods the EventListener uses, and can back an ethers.Contract.
+ */
+export class RpcPool {
+  constructor(endpoints, options = {}) {
+    if (!endpoints.length) {
+      throw new Error('At least one RPC endpoint is required');
+    }
+
+    this.quorum = options.quorum ?? 1;
+    if (this.quorum < 1 || this.quorum > endpoints.length) {
+      throw new Error(`Quorum must be between 1 and the number of endpoints (${endpoints.length})`);
+    }
+
+    this.createProvider = options.createProvider ?? ((url) => new ethers.JsonRpcProvider(url));
+    this.requestTimeoutMs = options.requestTimeoutMs ?? DEFAULT_REQUEST_TIMEOUT_MS;
+    // Errors that say nothing about the endpoint (e.g. a block range it does not accept) are passed straight through
+    this.shouldFailover = options.shouldFailover ?? (() => true);
+    this.endpoints = endpoints.map((endpoint) => ({
+      url: endpoint.url,
+      name: endpoint.name ?? redactUrl(endpoint.url),
+      priority: endpoint.priority ?? 1,
+      provider: this.createProvider(endpoint.url),
+      requests: 0,
+      errors: 0,
+      consecutiveFailures: 0,
+      latencyMs: null,
+      errorRate: 0,
+      blockNumber: null,
+      lastError: null,
+      lastErrorAt: null,
+      unhealthyUntil: null
+    }));
+
+    this.blockListeners = new Set();
+    this.subscribedEndpoint = null;
+    this.emitBlock = (blockNumber) => {
+      for (const listener of this.blockListeners) {
+        listener(blockNumber);
+      }
+    };
+  }
+
+  isHealthy(endpoint) {
+    return endpoint.unhealthyUntil === null || endpoint.unhealthyUntil <= Date.now();
+  }
+
+  /**
+   * Endpoints in the order calls should try them. Unhealthy endpoints come last,
+   * so they are still used when nothing else answers.
+   */
+  rankedEndpoints() {
+    return [...this.endpoints].sort((a, b) =>
+      (this.isHealthy(b) - this.isHealthy(a)) ||
+      (a.priority - b.priority) ||
+      ((a.latencyMs ?? 0) - (b.latencyMs ?? 0))
+    );
+  }
+
+  /**
+   * Run an operation against one endpoint and record its latency and outcome
+   */
+  async callEndpoint(endpoint, operation) {
+    const startedAt = Date.now();
+    endpoint.requests++;
+
+    try {
+      const value = await withTimeout(operation(endpoint.provider), this.requestTimeoutMs, `Request to ${endpoint.name} timed out`);
+      this.recordSuccess(endpoint, Date.now() - startedAt);
+      return value;
+    } catch (error) {
+      if (this.shouldFailover(error)) {
+        this.recordFailure(endpoint, error);
+      } else {
+        this.recordSuccess(endpoint, Date.now() - startedAt);
+      }
+      throw error;
+    }
+  }
+
+  recordSuccess(endpoint, latencyMs) {
+    endpoint.latencyMs = endpoint.latencyMs === null
+      ? latencyMs
+      : Math.round((1 - ROLLING_WEIGHT) * endpoint.latencyMs + ROLLING_WEIGHT * latencyMs);
+    endpoint.errorRate = (1 - ROLLING_WEIGHT) * endpoint.errorRate;
+    endpoint.consecutiveFailures = 0;
+    endpoint.unhealthyUntil = null;
+  }
+
+  recordFailure(endpoint, error) {
+    endpoint.errors++;
+    endpoint.errorRate = (1 - ROLLING_WEIGHT) * endpoint.errorRate + ROLLING_WEIGHT;
+    endpoint.consecutiveFailures++;
+    endpoint.lastError = error.message;
+    endpoint.lastErrorAt = new Date();
+
+    if (endpoint.consecutiveFailures >= UNHEALTHY_AFTER_FAILURES) {
+      const wasHealthy = this.isHealthy(endpoint);
+      endpoint.unhealthyUntil = Date.now() + UNHEALTHY_COOLDOWN_MS;
+
+      if (wasHealthy) {
+        console.warn(`RPC endpoint ${endpoint.name} marked unhealthy after ${endpoint.consecutiveFailures} failures: ${error.message}`);
+        // Start over with a fresh connection when the endpoint is tried again
+        destroyProvider(endpoint.provider);
+        endpoint.provider = this.createProvider(endpoint.url);
+        if (this.subscribedEndpoint === endpoint) {
+          this.subscribedEndpoint = null;
+          this.updateSubscription();
+        }
+      }
+    }
+  }
+
+  /**
+   * Run an operation with failover until quorum is reached. pick receives the values
+   * collected so far and returns the result, or undefined while more answers are needed.
+   */
+  async execute(operation, pick = (values) => agreedValue(values, this.quorum)) {
+    const candidates = this.rankedEndpoints();
+    const values = [];
+    let lastError = null;
+    let next = 0;
+
+    while (next < candidates.length) {
+      // Ask just enough endpoints in parallel to reach quorum, one more per disagreement
+      const needed = Math.max(this.quorum - values.length, 1);
+      const batch = candidates.slice(next, next + needed);
+      next += batch.length;
+
+      const outcomes = await Promise.allSettled(batch.map((endpoint) => this.callEndpoint(endpoint, operation)));
+      for (const outcome of outcomes) {
+        if (outcome.status === 'fulfilled') {
+          values.push(outcome.value);
+        } else if (!this.shouldFailover(outcome.reason)) {
+          throw outcome.reason;
+        } else {
+          lastError = outcome.reason;
+        }
+      }
+
+      const result = pick(values);
+      if (result !== undefined) {
+        return result;
+      }
+    }
+
+    throw lastError ?? new Error(`RPC quorum of ${this.quorum} not reached`);
+  }
+
+  async getBlockNumber() {
+    // Endpoints drift by a block or two; the lowest answer is a block all of them have
+    return this.execute(
+      (provider) => provider.getBlockNumber(),
+      (values) => values.length >= this.quorum ? Math.min(...values) : undefined
+    );
+  }
+
+  async getNetwork() {
+    return this.execute(async (provider) => {
+      const network = await provider.getNetwork();
+      return { name: network.name, chainId: network.chainId };
+    });
+  }
+
+  async getBlock(blockTag) {
+    return this.execute(async (provider) => {
+      const block = await provider.getBlock(blockTag);
+      return block && { number: block.number, hash: block.hash, parentHash: block.parentHash, timestamp: block.timestamp };
+    });
+  }
+
+  async getLogs(filter) {
+    return this.execute(async (provider) => {
+      const logs = await provider.getLogs(filter);
+      return logs.map((log) => ({
+        address: log.address,
+        blockNumber: log.blockNumber,
+        blockHash: log.blockHash,
+        transactionHash: log.transactionHash,
+        transactionIndex: log.transactionIndex,
+        index: log.index,
+        topics: [...log.topics],
+        data: log.data
+      }));
+    });
+  }
+
+  /**
+   * eth_call, used by ethers.Contract for view functions
+   */
+  async call(transaction) {
+    return this.execute((provider) => provider.call(transaction));
+  }
+
+  /**
+   * Subscribe to new blocks. The subscription lives on the best healthy endpoint and
+   * moves when that endpoint fails.
+   */
+  on(eventName, listener) {
+    if (eventName !== 'block') {
+      throw new Error(`RpcPool only supports block subscriptions, not ${eventName}`);
+    }
+    this.blockListeners.add(listener);
+    this.updateSubscription();
+    return this;
+  }
+
+  off(eventName, listener) {
+    this.blockListeners.delete(listener);
+    if (this.blockListeners.size === 0 && this.subscribedEndpoint) {
+      this.subscribedEndpoint.provider.off('block', this.emitBlock);
+      this.subscribedEndpoint = null;
+    }
+    return this;
+  }
+
+  /**
+   * Keep the block subscription on the first ranked endpoint
+   */
+  updateSubscription() {
+    if (this.blockListeners.size === 0) {
+      return;
+    }
+
+    const best = this.rankedEndpoints()[0];
+    if (best === this.subscribedEndpoint) {
+      return;
+    }
+
+    if (this.subscribedEndpoint) {
+      this.subscribedEndpoint.provider.off('block', this.emitBlock);
+    }
+    this.subscribedEndpoint = best;
+    best.provider.on('block', this.emitBlock);
+    console.log(`Subscribed to new blocks on ${best.name}`);
+  }
+
+  /**
+   * Ping every endpoint to refresh its health, then move the block subscription if needed
+   */
+  async checkHealth() {
+    await Promise.allSettled(this.endpoints.map(async (endpoint) => {
+      endpoint.blockNumber = await this.callEndpoint(endpoint, (provider) => provider.getBlockNumber());
+    }));
+    this.updateSubscription();
+  }
+
+  /**
+   * Health of each endpoint, in routing order. URLs are redacted.
+   */
+  getHealth() {
+    return this.rankedEndpoints().map((endpoint) => ({
+      name: endpoint.name,
+      priority: endpoint.priority,
+      healthy: this.isHealthy(endpoint),
+      subscribed: endpoint === this.subscribedEndpoint,
+      latencyMs: endpoint.latencyMs,
+      errorRate: Number(endpoint.errorRate.toFixed(3)),
+      requests: endpoint.requests,
+      errors: endpoint.errors,
+      consecutiveFailures: endpoint.consecutiveFailures,
+      blockNumber: endpoint.blockNumber,
+      lastError: endpoint.lastError,
+      lastErrorAt: endpoint.lastErrorAt
+    }));
+  }
+
+  destroy() {
+    for (const endpoint of this.endpoints) {
+      destroyProvider(endpoint.provider);
+    }
+    this.blockListeners.clear();
+    this.subscribedEndpoint = null;
+  }
+}
@@ -0,0 +1,228 @@
+import dotenv from 'dotenv';
+import { parseArgs } from 'util';
+import { ethers } from 'ethers';
+import { sequelize, syncDatabase } from '../db.js';
+import { EventListener } from '../eventListener.js';
+import { getIndexedContracts } from '../chainConfig.js';
+import { getEventMapping } from '../eventMapping.js';
+import { AssetRegistryABI } from '../contractABI.js';
+
+// Load environment variables
+dotenv.config();
+
+const USAGE = `Usage: npm run indexer -- <command> [options]
+
+Commands:
+  sync [--from <block>] [--to <block>]   Backfill a block range (default: checkpoint to chain head)
+  resync --asset <id> [--from <block>]   Fetch the events of one asset again and replace its records
+  status [--json]                        Show the checkpoint against the chain head, as a JSON line per contract
+  verify [--repair]                      Compare stored assets with the contract, exit 1 on drift
+  reset --yes [--raw]                    Delete the index and checkpoint, with --raw the raw event log too (no RPC needed)
+
+Options:
+  --contract <name|address>   Only this contract of CHAINS_CONFIG
+  --chain <id>                Only contracts on this chain
+
+Stop the server before sync, resync and reset: SQLite allows a single writer.`;
+
+const OPTIONS = {
+  from: { type: 'string' },
+  to: { type: 'string' },
+  asset: { type: 'string' },
+  contract: { type: 'string' },
+  chain: { type: 'string' },
+  repair: { type: 'boolean', default: false },
+  json: { type: 'boolean', default: false },
+  yes: { type: 'boolean', default: false },
+  raw: { type: 'boolean', default: false },
+  help: { type: 'boolean', short: 'h', default: false }
+};
+
+/**
+ * Parse a block number option, or return null when it is not given
+ */
+function parseBlock(value, name) {
+  if (value === undefined) {
+    return null;
+  }
+  const blockNumber = Number(value);
+  if (!Number.isSafeInteger(blockNumber) || blockNumber < 0) {
+    throw new Error(`--${name} must be a block number`);
+  }
+  return blockNumber;
+}
+
+/**
+ * Parse the --chain option, or return null when it is not given
+ */
+function parseChainId(value) {
+  if (value === undefined) {
+    return null;
+  }
+  const chainId = Number(value);
+  if (!Number.isSafeInteger(chainId) || chainId <= 0) {
+    throw new Error('--chain must be a chain id');
+  }
+  return chainId;
+}
+
+/**
+ * The configured contracts, limited by --contract and --chain
+ */
+function selectContracts(values) {
+  let contracts = getIndexedContracts();
+  if (contracts.length === 0) {
+    throw new Error('CHAINS_CONFIG, or CONTRACT_ADDRESS and RPC_URL, must be set in .env');
+  }
+
+  if (values.contract !== undefined) {
+    const selector = values.contract.toLowerCase();
+    contracts = contracts.filter((contract) =>
+      contract.name.toLowerCase() === selector || contract.contractAddress.toLowerCase() === selector);
+  }
+  if (values.chain !== undefined) {
+    contracts = contracts.filter((contract) => contract.chainId === null || contract.chainId === parseChainId(values.chain));
+  }
+
+  if (contracts.length === 0) {
+    throw new Error('No configured contract matches --contract and --chain');
+  }
+  return contracts;
+}
+
+// Commands that only touch the database, so they run without an RPC
+const OFFLINE_COMMANDS = new Set(['reset']);
+
+/**
+ * A listener for a configured contract, with its chain id checked against the RPC.
+ * An offline listener takes the chain id from the config or --chain instead.
+ */
+async function createListener(contract, eventMapping, { offline = false, chainId = null } = {}) {
+  if (offline) {
+    const offlineChainId = contract.chainId ?? chainId;
+    if (offlineChainId === null) {
+      throw new Error(`The chain of ${contract.name} is not configured, pass --chain or set CHAIN_ID`);
+    }
+    return new EventListener(contract.contractAddress, null, AssetRegistryABI, {
+      name: contract.name,
+      chainId: offlineChainId,
+      mapping: eventMapping
+    });
+  }
+
+  const eventListener = new EventListener(contract.contractAddress, contract.rpcEndpoints ?? contract.rpcUrl, AssetRegistryABI, {
+    name: contract.name,
+    chainId: contract.chainId,
+    confirmations: contract.confirmations,
+    chunkSize: contract.chunkSize,
+    maxChunkSize: contract.maxChunkSize,
+    bulkSync: contract.bulkSync,
+    pollingRpcUrl: contract.pollingRpcUrl,
+    rpcQuorum: contract.rpcQuorum,
+    mapping: eventMapping
+  });
+  await eventListener.resolveChainId();
+  return eventListener;
+}
+
+function describeStatus(status) {
+  let head = status.headBlock === null ? 'head unknown' : `head ${status.headBlock}`;
+  if (status.lag !== null) {
+    head += `, ${status.lag} blocks behind`;
+  }
+  if (status.lagSeconds !== null) {
+    head += ` (${status.lagSeconds}s)`;
+  }
+  return `${status.name} (chain ${status.chainId}, ${status.contractAddress}): checkpoint ${status.checkpoint ?? 'none'}, ${head}, ` +
+    `${status.failedRanges} failed ranges, ${status.deadLetters} dead letters, ${status.pendingTransfers} held transfers`;
+}
+
+const COMMANDS = {
+  async sync(eventListener, contract, values) {
+    // Events stored before may have been orphaned since
+    await eventListener.checkForReorg();
+
+    const checkpoint = await eventListener.getCheckpoint();
+    const fromBlock = values.fromBlock ?? (checkpoint !== null ? checkpoint + 1 : contract.syncFromBlock ?? 0);
+    const toBlock = values.toBlock ?? await eventListener.provider.getBlockNumber();
+
+    if (fromBlock > toBlock) {
+      console.log(`${contract.name} is synced up to block ${checkpoint}, nothing to do`);
+      return true;
+    }
+
+    const result = await eventListener.syncHistoricalEvents(fromBlock, toBlock);
+    await eventListener.resolvePendingTransfers();
+    return result.complete;
+  },
+
+  async resync(eventListener, contract, values) {
+    const fromBlock = values.fromBlock ?? contract.syncFromBlock ?? 0;
+    await eventListener.resyncAsset(values.asset.toLowerCase(), { fromBlock });
+    return true;
+  },
+
+  async status(eventListener, contract, values) {
+    const status = await eventListener.getStatus();
+    console.log(values.json ? JSON.stringify(status) : describeStatus(status));
+    return true;
+  },
+
+  async verify(eventListener, contract, values) {
+    const report = await eventListener.reconcile({ repair: values.repair });
+    for (const entry of report.drift) {
+      console.log(`${entry.type} ${entry.assetId}: stored ${JSON.stringify(entry.stored)}, on chain ${JSON.stringify(entry.onChain)}${entry.repaired ? ', repaired' : ''}`);
+    }
+    return report.drift.every((entry) => entry.repaired);
+  },
+
+  async reset(eventListener, contract, values) {
+    await eventListener.resetIndex({ rawEvents: values.raw });
+    return true;
+  }
+};
+
+/**
+ * Run a command for each selected contract. Exits with 1 when a command fails, or when
+ * sync leaves failed ranges or verify finds drift that was not repaired.
+ */
+async function main() {
+  const { values, positionals } = parseArgs({ options: OPTIONS, allowPositionals: true });
+  const [command] = positionals;
+
+  if (values.help || !COMMANDS[command]) {
+    console.log(USAGE);
+    return values.help;
+  }
+
+  // Checked before connecting, so a typo fails fast
+  const fromBlock = parseBlock(values.from, 'from');
+  const toBlock = parseBlock(values.to, 'to');
+  const chainId = parseChainId(values.chain);
+  if (command === 'resync' && !ethers.isHexString(values.asset ?? '', 32)) {
+    throw new Error('resync needs --asset with a 32-byte hex asset id');
+  }
+  if (command === 'reset' && !values.yes) {
+    throw new Error('reset deletes the index of the selected contracts, pass --yes to confirm');
+  }
+
+  const contracts = selectContracts(values);
+  const eventMapping = getEventMapping(sequelize);
+  await syncDatabase();
+
+  let ok = true;
+  for (const contract of contracts) {
+    const eventListener = await createListener(contract, eventMapping, { offline: OFFLINE_COMMANDS.has(command), chainId });
+    ok = await COMMANDS[command](eventListener, contract, { ...values, fromBlock, toBlock }) && ok;
+  }
+
+  await sequelize.close();
+  return ok;
+}
+
+main()
+  .then((ok) => process.exit(ok ? 0 : 1))
+  .catch((error) => {
+    console.error(error.message);
+    process.exit(1);
+  });
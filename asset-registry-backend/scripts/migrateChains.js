@@ -0,0 +1,77 @@
+import dotenv from 'dotenv';
+import { ethers } from 'ethers';
+import { sequelize, Asset, Transfer, SyncCheckpoint, FailedRange, DeadLetterEvent, PendingTransfer, needsChainMigration } from '../db.js';
+
+// Load environment variables
+dotenv.config();
+
+// Children before parents, so legacy tables can be dropped in this order
+const MODELS = [Transfer, PendingTransfer, DeadLetterEvent, FailedRange, SyncCheckpoint, Asset];
+
+/**
+ * Tag the rows of a database created before multi-chain indexing with their chain and contract.
+ * Those rows all belong to the single contract in CONTRACT_ADDRESS; the chain comes from CHAIN_ID,
+ * or from RPC_URL when it is not set. Rows that already name their contract keep it.
+ * SQLite cannot change a primary key in place, so each table is copied into a new one.
+ */
+async function main() {
+  if (!await needsChainMigration()) {
+    console.log('Database is already tagged with chains, nothing to migrate');
+    return;
+  }
+
+  const contractAddress = process.env.CONTRACT_ADDRESS;
+  if (!contractAddress) {
+    throw new Error('CONTRACT_ADDRESS must be set in .env to the contract the existing rows belong to');
+  }
+
+  let chainId = process.env.CHAIN_ID ? parseInt(process.env.CHAIN_ID) : null;
+  if (!chainId) {
+    if (!process.env.RPC_URL) {
+      throw new Error('CHAIN_ID or RPC_URL must be set in .env');
+    }
+    const provider = new ethers.JsonRpcProvider(process.env.RPC_URL);
+    chainId = Number((await provider.getNetwork()).chainId);
+    provider.destroy();
+  }
+  console.log(`Tagging existing rows with chain ${chainId} and contract ${contractAddress}`);
+
+  const queryInterface = sequelize.getQueryInterface();
+  const existingTables = await queryInterface.showAllTables();
+  const legacyTables = MODELS
+    .filter((model) => existingTables.includes(model.getTableName()))
+    .map((model) => ({ model, table: `${model.getTableName()}_legacy` }));
+
+  await sequelize.transaction(async (transaction) => {
+    for (const { model, table } of legacyTables) {
+      await queryInterface.renameTable(model.getTableName(), table, { transaction });
+    }
+  });
+
+  await sequelize.sync();
+
+  await sequelize.transaction(async (transaction) => {
+    for (const { model, table } of legacyTables) {
+      const [rows] = await sequelize.query(`SELECT * FROM \`${table}\``, { transaction });
+      const tagged = rows.map((row) => ({
+        ...row,
+        chainId,
+        contractAddress: (row.contractAddress ?? contractAddress).toLowerCase()
+      }));
+      await model.bulkCreate(tagged, { transaction });
+      console.log(`Migrated ${tagged.length} rows of ${model.getTableName()}`);
+    }
+
+    for (const { table } of legacyTables) {
+      await queryInterface.dropTable(table, { transaction });
+    }
+  });
+}
+
+main()
+  .then(() => sequelize.close())
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
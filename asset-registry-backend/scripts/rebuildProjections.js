@@ -0,0 +1,62 @@
+import dotenv from 'dotenv';
+import { sequelize, syncDatabase, RawEvent } from '../db.js';
+import { EventListener } from '../eventListener.js';
+import { getIndexedContracts } from '../chainConfig.js';
+import { getEventMapping } from '../eventMapping.js';
+import { AssetRegistryABI } from '../contractABI.js';
+
+// Load environment variables
+dotenv.config();
+
+/**
+ * Chain of a contract configured without CHAIN_ID, taken from its stored raw events
+ * since the RPC is not asked
+ */
+async function findStoredChainId(contractAddress) {
+  const chains = await RawEvent.findAll({
+    attributes: ['chainId'],
+    where: { contractAddress: contractAddress.toLowerCase() },
+    group: ['chainId']
+  });
+
+  if (chains.length !== 1) {
+    throw new Error(`Raw events of ${contractAddress} are stored for ${chains.length} chains, set CHAIN_ID in .env`);
+  }
+  return chains[0].chainId;
+}
+
+/**
+ * Rebuild the Asset, Transfer and PendingTransfer tables and the mapped entities of every indexed
+ * contract from the raw event log, e.g. after fixing a handler. Works offline; stop the server first.
+ */
+async function main() {
+  const contracts = getIndexedContracts();
+  const eventMapping = getEventMapping(sequelize);
+
+  if (contracts.length === 0) {
+    throw new Error('CHAINS_CONFIG, or CONTRACT_ADDRESS and RPC_URL, must be set in .env');
+  }
+
+  await syncDatabase();
+  console.log('Database connected and synced');
+
+  for (const contract of contracts) {
+    const eventListener = new EventListener(contract.contractAddress, null, AssetRegistryABI, {
+      name: contract.name,
+      chainId: contract.chainId ?? await findStoredChainId(contract.contractAddress),
+      confirmations: contract.confirmations,
+      mapping: eventMapping
+    });
+    console.log(`Rebuilding ${contract.name}`);
+    await eventListener.rebuildProjections();
+  }
+
+  await sequelize.close();
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
@@ -0,0 +1,44 @@
+import dotenv from 'dotenv';
+import { sequelize, syncDatabase } from '../db.js';
+import { EventListener } from '../eventListener.js';
+import { getIndexedContracts } from '../chainConfig.js';
+import { AssetRegistryABI } from '../contractABI.js';
+
+// Load environment variables
+dotenv.config();
+
+/**
+ * Rewrite Asset.registeredAt and Transfer.transferredAt with on-chain block times.
+ * Rows stored before block times were recorded carry the time they were processed.
+ */
+async function main() {
+  const contracts = getIndexedContracts();
+
+  if (contracts.length === 0) {
+    throw new Error('CHAINS_CONFIG, or CONTRACT_ADDRESS and RPC_URL, must be set in .env');
+  }
+
+  await syncDatabase();
+  console.log('Database connected and synced');
+
+  // Each contract's rows are repaired with block times from its own chain
+  for (const contract of contracts) {
+    const eventListener = new EventListener(contract.contractAddress, contract.rpcEndpoints ?? contract.rpcUrl, AssetRegistryABI, {
+      name: contract.name,
+      chainId: contract.chainId,
+      rpcQuorum: contract.rpcQuorum
+    });
+    await eventListener.resolveChainId();
+    console.log(`Repairing ${contract.name}`);
+    await eventListener.repairBlockTimestamps();
+  }
+
+  await sequelize.close();
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
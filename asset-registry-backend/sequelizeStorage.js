@@ -0,0 +1,375 @@
+import { Op } from 'sequelize';
+import * as defaultDb from './db.js';
+
+/**
+ * Build a where clause matching rows before (Op.lt) or after (Op.gt) a chain position
+ */
+function positionFilter(blockNumber, logIndex, operator) {
+  return {
+    [Op.or]: [
+      { blockNumber: { [operator]: blockNumber.toString() } },
+      { blockNumber: blockNumber.toString(), logIndex: { [operator]: logIndex } }
+    ]
+  };
+}
+
+/**
+ * Storage adapter that keeps the index in the Sequelize models of db.js (SQLite).
+ * Rows are model instances; they are only changed through the adapter's update methods.
+ *
+ * This is the reference for the storage interface EventListener expects. Every method is async
+ * and takes a { transaction } option from transaction(), so a block is written atomically.
+ * `scope` is the { chainId, contractAddress } of the listener. See MemoryStorage for an adapter
+ * that does not use a database.
+ */
+export class SequelizeStorage {
+  /**
+   * db holds the sequelize instance and the models, by default those of db.js
+   */
+  constructor(db = defaultDb) {
+    this.sequelize = db.sequelize;
+    this.Asset = db.Asset;
+    this.Transfer = db.Transfer;
+    this.SyncCheckpoint = db.SyncCheckpoint;
+    this.FailedRange = db.FailedRange;
+    this.DeadLetterEvent = db.DeadLetterEvent;
+    this.PendingTransfer = db.PendingTransfer;
+    this.RawEvent = db.RawEvent;
+  }
+
+  /**
+   * Run work in a transaction that is rolled back if it throws. Within another transaction
+   * it runs in a savepoint, so only its own writes are rolled back.
+   */
+  transaction(work, { transaction } = {}) {
+    return transaction
+      ? this.sequelize.transaction({ transaction }, work)
+      : this.sequelize.transaction(work);
+  }
+
+  // Checkpoints
+
+  async getCheckpoint(scope, { transaction } = {}) {
+    const checkpoint = await this.SyncCheckpoint.findOne({ where: scope, transaction });
+    return checkpoint ? parseInt(checkpoint.lastProcessedBlock) : null;
+  }
+
+  async setCheckpoint(scope, blockNumber, { transaction } = {}) {
+    await this.SyncCheckpoint.upsert({
+      ...scope,
+      lastProcessedBlock: blockNumber.toString(),
+      updatedAt: new Date()
+    }, { transaction });
+  }
+
+  deleteCheckpoint(scope, { transaction } = {}) {
+    return this.SyncCheckpoint.destroy({ where: scope, transaction });
+  }
+
+  // Assets
+
+  findAsset(scope, assetId, { transaction } = {}) {
+    return this.Asset.findOne({ where: { ...scope, id: assetId }, transaction });
+  }
+
+  listAssets(scope, { transaction } = {}) {
+    return this.Asset.findAll({ where: scope, transaction });
+  }
+
+  findAssets(scope, assetIds, { transaction } = {}) {
+    return this.Asset.findAll({ where: { ...scope, id: assetIds }, transaction });
+  }
+
+  createAsset(values, { transaction } = {}) {
+    return this.Asset.create(values, { transaction });
+  }
+
+  createAssets(rows, { transaction } = {}) {
+    return this.Asset.bulkCreate(rows, { transaction });
+  }
+
+  updateAsset(asset, changes, { transaction } = {}) {
+    return asset.update(changes, { transaction });
+  }
+
+  deleteAsset(asset, { transaction } = {}) {
+    return asset.destroy({ transaction });
+  }
+
+  deleteAssets(scope, { transaction } = {}) {
+    return this.Asset.destroy({ where: scope, transaction });
+  }
+
+  // Transfers
+
+  findTransferByEvent(chainId, transactionHash, logIndex, { transaction } = {}) {
+    return this.Transfer.findOne({ where: { chainId, transactionHash, logIndex }, transaction });
+  }
+
+  /**
+   * The transfer of an asset just before ('before') or after ('after') a chain position
+   */
+  findAdjacentTransfer(scope, assetId, { blockNumber, logIndex }, direction, { transaction } = {}) {
+    const before = direction === 'before';
+    return this.Transfer.findOne({
+      where: { ...scope, assetId, ...positionFilter(blockNumber, logIndex, before ? Op.lt : Op.gt) },
+      order: before ? [['blockNumber', 'DESC'], ['logIndex', 'DESC']] : [['blockNumber', 'ASC'], ['logIndex', 'ASC']],
+      transaction
+    });
+  }
+
+  findFirstTransfer(scope, { transaction } = {}) {
+    return this.Transfer.findOne({ where: scope, order: [['blockNumber', 'ASC']], transaction });
+  }
+
+  /**
+   * Transfers in chain order, or newest first; with fromBlock only those from that block onwards,
+   * with assetId only those of that asset, with assetIds only those of these assets
+   */
+  listTransfers(scope, { assetId = null, assetIds = null, fromBlock = null, newestFirst = false, transaction } = {}) {
+    const where = { ...scope };
+    if (assetId !== null) {
+      where.assetId = assetId;
+    } else if (assetIds !== null) {
+      where.assetId = assetIds;
+    }
+    if (fromBlock !== null) {
+      where.blockNumber = { [Op.gte]: fromBlock.toString() };
+    }
+    const direction = newestFirst ? 'DESC' : 'ASC';
+    return this.Transfer.findAll({ where, order: [['blockNumber', direction], ['logIndex', direction]], transaction });
+  }
+
+  /**
+   * Distinct { blockNumber, blockHash } of pending transfers with a known hash, oldest first
+   */
+  listPendingBlocks(scope, { transaction } = {}) {
+    return this.Transfer.findAll({
+      attributes: ['blockNumber', 'blockHash'],
+      where: {
+        ...scope,
+        status: 'pending',
+        blockHash: { [Op.ne]: null }
+      },
+      group: ['blockNumber', 'blockHash'],
+      order: [['blockNumber', 'ASC']],
+      transaction
+    });
+  }
+
+  createTransfer(values, { transaction } = {}) {
+    return this.Transfer.create(values, { transaction });
+  }
+
+  createTransfers(rows, { transaction } = {}) {
+    return this.Transfer.bulkCreate(rows, { transaction });
+  }
+
+  updateTransfer(transfer, changes, { transaction } = {}) {
+    return transfer.update(changes, { transaction });
+  }
+
+  /**
+   * Mark pending transfers up to a block as confirmed
+   */
+  confirmTransfers(scope, toBlock, { transaction } = {}) {
+    return this.Transfer.update({ status: 'confirmed' }, {
+      where: {
+        ...scope,
+        status: 'pending',
+        blockNumber: { [Op.lte]: toBlock.toString() }
+      },
+      transaction
+    });
+  }
+
+  deleteTransfer(transfer, { transaction } = {}) {
+    return transfer.destroy({ transaction });
+  }
+
+  deleteTransfers(scope, { transaction } = {}) {
+    return this.Transfer.destroy({ where: scope, transaction });
+  }
+
+  // Transfers held until their asset is stored
+
+  findPendingTransferByEvent(chainId, transactionHash, logIndex, { transaction } = {}) {
+    return this.PendingTransfer.findOne({ where: { chainId, transactionHash, logIndex }, transaction });
+  }
+
+  /**
+   * Held transfers of an asset in chain order
+   */
+  listPendingTransfers(scope, assetId, { transaction } = {}) {
+    return this.PendingTransfer.findAll({
+      where: { ...scope, assetId },
+      order: [['blockNumber', 'ASC'], ['logIndex', 'ASC']],
+      transaction
+    });
+  }
+
+  async listHeldAssetIds(scope, { transaction } = {}) {
+    const heldAssets = await this.PendingTransfer.findAll({
+      attributes: ['assetId'],
+      where: scope,
+      group: ['assetId'],
+      transaction
+    });
+    return heldAssets.map(({ assetId }) => assetId);
+  }
+
+  countPendingTransfers(scope, { transaction } = {}) {
+    return this.PendingTransfer.count({ where: scope, transaction });
+  }
+
+  createPendingTransfer(values, { transaction } = {}) {
+    return this.PendingTransfer.create(values, { transaction });
+  }
+
+  deletePendingTransfer(pendingTransfer, { transaction } = {}) {
+    return pendingTransfer.destroy({ transaction });
+  }
+
+  /**
+   * Delete held transfers, all of them or those from fromBlock onwards
+   */
+  deletePendingTransfers(scope, { fromBlock = null, transaction } = {}) {
+    const where = { ...scope };
+    if (fromBlock !== null) {
+      where.blockNumber = { [Op.gte]: fromBlock.toString() };
+    }
+    return this.PendingTransfer.destroy({ where, transaction });
+  }
+
+  // Failed block ranges
+
+  findPendingFailedRange(scope, fromBlock, toBlock, { transaction } = {}) {
+    return this.FailedRange.findOne({
+      where: {
+        ...scope,
+        fromBlock: fromBlock.toString(),
+        toBlock: toBlock.toString(),
+        status: 'pending'
+      },
+      transaction
+    });
+  }
+
+  /**
+   * Pending ranges by fromBlock; with dueBy only those whose retry is due by then
+   */
+  listPendingFailedRanges(scope, { dueBy = null, transaction } = {}) {
+    const where = { ...scope, status: 'pending' };
+    if (dueBy) {
+      where.nextRetryAt = { [Op.lte]: dueBy };
+    }
+    return this.FailedRange.findAll({ where, order: [['fromBlock', 'ASC']], transaction });
+  }
+
+  countPendingFailedRanges(scope, { transaction } = {}) {
+    return this.FailedRange.count({ where: { ...scope, status: 'pending' }, transaction });
+  }
+
+  createFailedRange(values, { transaction } = {}) {
+    return this.FailedRange.create(values, { transaction });
+  }
+
+  updateFailedRange(range, changes, { transaction } = {}) {
+    return range.update(changes, { transaction });
+  }
+
+  deleteFailedRanges(scope, { transaction } = {}) {
+    return this.FailedRange.destroy({ where: scope, transaction });
+  }
+
+  // Dead-lettered events
+
+  findDeadLetter(scope, id, { transaction } = {}) {
+    return this.DeadLetterEvent.findOne({ where: { ...scope, id }, transaction });
+  }
+
+  findPendingDeadLetter(scope, transactionHash, logIndex, { transaction } = {}) {
+    return this.DeadLetterEvent.findOne({
+      where: { ...scope, transactionHash, logIndex, status: 'pending' },
+      transaction
+    });
+  }
+
+  /**
+   * Pending dead-lettered events in chain order
+   */
+  listPendingDeadLetters(scope, { transaction } = {}) {
+    return this.DeadLetterEvent.findAll({
+      where: { ...scope, status: 'pending' },
+      order: [['blockNumber', 'ASC'], ['logIndex', 'ASC']],
+      transaction
+    });
+  }
+
+  countPendingDeadLetters(scope, { transaction } = {}) {
+    return this.DeadLetterEvent.count({ where: { ...scope, status: 'pending' }, transaction });
+  }
+
+  createDeadLetter(values, { transaction } = {}) {
+    return this.DeadLetterEvent.create(values, { transaction });
+  }
+
+  updateDeadLetter(entry, changes, { transaction } = {}) {
+    return entry.update(changes, { transaction });
+  }
+
+  deleteDeadLetters(scope, { transaction } = {}) {
+    return this.DeadLetterEvent.destroy({ where: scope, transaction });
+  }
+
+  // Raw event log
+
+  findRawEvent(chainId, transactionHash, logIndex, { transaction } = {}) {
+    return this.RawEvent.findOne({ where: { chainId, transactionHash, logIndex, removed: false }, transaction });
+  }
+
+  findFirstRawEvent(scope, { transaction } = {}) {
+    return this.RawEvent.findOne({ where: { ...scope, removed: false }, order: [['blockNumber', 'ASC']], transaction });
+  }
+
+  /**
+   * Raw events that were not orphaned, in chain order; with eventNames only those events,
+   * with fromBlock and toBlock only those of that block range
+   */
+  listRawEvents(scope, { eventNames = null, fromBlock = null, toBlock = null, transaction } = {}) {
+    const where = { ...scope, removed: false };
+    if (eventNames) {
+      where.eventName = eventNames;
+    }
+    if (fromBlock !== null && toBlock !== null) {
+      where.blockNumber = { [Op.between]: [fromBlock.toString(), toBlock.toString()] };
+    }
+    return this.RawEvent.findAll({ where, order: [['blockNumber', 'ASC'], ['logIndex', 'ASC']], transaction });
+  }
+
+  createRawEvent(values, { transaction } = {}) {
+    return this.RawEvent.create(values, { transaction });
+  }
+
+  createRawEvents(rows, { transaction } = {}) {
+    return this.RawEvent.bulkCreate(rows, { transaction });
+  }
+
+  deleteRawEvents(scope, { transaction } = {}) {
+    return this.RawEvent.destroy({ where: scope, transaction });
+  }
+
+  /**
+   * Mark the raw events from a block onwards as orphaned; they are kept but no longer replayed
+   */
+  markRawEventsRemoved(scope, fromBlock, { transaction } = {}) {
+    return this.RawEvent.update({ removed: true }, {
+      where: {
+        ...scope,
+        removed: false,
+        blockNumber: { [Op.gte]: fromBlock.toString() }
+      },
+      transaction
+    });
+  }
+}
@@ -0,0 +1,19 @@
+/**
+ * Runs async tasks one at a time, in the order they were queued.
+ * SQLite allows a single writer, so every listener writing to the same database shares one queue.
+ */
+export class TaskQueue {
+  constructor() {
+    this.tail = Promise.resolve();
+  }
+
+  /**
+   * Run a task after every task queued before it.
+   * Resolves or rejects with the task's result; a failed task does not stop the queue.
+   */
+  enqueue(task) {
+    const run = this.tail.then(task);
+    this.tail = run.catch(() => {});
+    return run;
+  }
+}